@@ -5,11 +5,73 @@
 
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { createChatCompletion } from '../services/llmGateway.js';
+import { createStructuredCompletion } from '../services/structuredOutput.js';
 
 dotenv.config();
 
 let openaiClient = null;
 
+const stringList = { type: 'array', items: { type: 'string' } };
+const percent = { type: 'number', minimum: 0, maximum: 100 };
+
+const INTERVIEW_QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 10 },
+    hints: stringList,
+    sampleInput: { type: 'string' },
+    sampleOutput: { type: 'string' },
+    constraints: stringList,
+    evaluationCriteria: { type: 'object', additionalProperties: { type: 'number' } },
+    timeLimit: { type: 'number' }
+  }
+};
+
+const INTERVIEW_FEEDBACK_SCHEMA = {
+  type: 'object',
+  required: ['overallScore', 'strengths', 'weaknesses', 'improvements'],
+  properties: {
+    overallScore: percent,
+    strengths: stringList,
+    weaknesses: stringList,
+    codeAnalysis: {
+      type: 'object',
+      properties: {
+        correctness: percent,
+        timeComplexity: { type: 'string' },
+        spaceComplexity: { type: 'string' },
+        codeQuality: percent,
+        edgeCaseHandling: percent
+      }
+    },
+    communicationAnalysis: {
+      type: 'object',
+      properties: { clarity: percent, structure: percent, technicalDepth: percent }
+    },
+    improvements: stringList,
+    nextSteps: stringList
+  }
+};
+
+const CODE_MISTAKE_SCHEMA = {
+  type: 'object',
+  required: ['mistakeType', 'rootCause', 'recommendedActions'],
+  properties: {
+    mistakeType: {
+      type: 'string',
+      enum: ['conceptual', 'logical', 'implementation', 'edge-case', 'optimization', 'syntax']
+    },
+    category: { type: 'string' },
+    rootCause: { type: 'string' },
+    commonPattern: { type: 'string' },
+    learningGap: { type: 'string' },
+    recommendedActions: stringList
+  }
+};
+
 /**
  * Initialize OpenAI client
  */
@@ -49,31 +111,53 @@ export const initializeOpenAI = () => {
 };
 
 /**
- * Generate chat completion
+ * Generate chat completion through the LLM gateway
+ * @param {string} feature - Gateway feature name
  * @param {Array} messages - Array of message objects {role, content}
- * @param {Object} options - Additional options
+ * @param {Object} options - { temperature, maxTokens, onEvent, signal, userId }
  * @returns {Promise<string>} Generated text
  */
-export const generateChatCompletion = async (messages, options = {}) => {
+export const generateChatCompletion = async (feature, messages, options = {}) => {
   try {
-    if (!openaiClient) {
-      throw new Error('OpenAI not initialized');
-    }
+    const response = await createChatCompletion(feature, messages, {
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      onEvent: options.onEvent,
+      signal: options.signal,
+      userId: options.userId
+    });
+
+    return response.content;
 
-    const completion = await openaiClient.chat.completions.create({
-      model: options.model || 'gpt-4-turbo-preview',
-      messages: messages,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 2000,
-      top_p: options.topP || 1,
-      frequency_penalty: options.frequencyPenalty || 0,
-      presence_penalty: options.presencePenalty || 0
+  } catch (error) {
+    const wrapped = new Error(`AI completion failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+};
+
+/**
+ * Generate a JSON reply matching options.schema through the LLM gateway
+ * @param {string} feature - Gateway feature name
+ * @param {Array} messages - Array of message objects {role, content}
+ * @param {Object} options - { schema, temperature, maxTokens, userId }
+ * @returns {Promise<Object>} The parsed, validated reply
+ */
+export const generateStructuredCompletion = async (feature, messages, options = {}) => {
+  try {
+    const response = await createStructuredCompletion(feature, messages, {
+      schema: options.schema,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      userId: options.userId
     });
 
-    return completion.choices[0].message.content;
+    return response.data;
 
   } catch (error) {
-    throw new Error(`OpenAI completion failed: ${error.message}`);
+    const wrapped = new Error(`AI completion failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
   }
 };
 
@@ -83,7 +167,7 @@ export const generateChatCompletion = async (messages, options = {}) => {
  * @returns {Promise<Object>} Generated question
  */
 export const generateInterviewQuestionGPT = async (params) => {
-  const { role, difficulty, format, topic } = params;
+  const { role, difficulty, format, topic, userId } = params;
 
   const prompt = `Generate a ${difficulty} difficulty ${format} interview question for a ${role} role focusing on ${topic}.
 
@@ -115,12 +199,12 @@ Return a JSON object with the following structure:
     }
   ];
 
-  const response = await generateChatCompletion(messages, {
+  return generateStructuredCompletion('interview', messages, {
+    schema: INTERVIEW_QUESTION_SCHEMA,
     temperature: 0.8,
-    maxTokens: 1500
+    maxTokens: 1500,
+    userId
   });
-
-  return JSON.parse(response);
 };
 
 /**
@@ -129,7 +213,7 @@ Return a JSON object with the following structure:
  * @returns {Promise<Object>} Generated feedback
  */
 export const generateInterviewFeedbackGPT = async (params) => {
-  const { questionDescription, userSolution, transcript, format } = params;
+  const { questionDescription, userSolution, transcript, format, userId } = params;
 
   const prompt = `Analyze this interview performance and provide detailed feedback.
 
@@ -177,21 +261,21 @@ Provide a comprehensive evaluation in JSON format:
     }
   ];
 
-  const response = await generateChatCompletion(messages, {
+  return generateStructuredCompletion('interviewEvaluation', messages, {
+    schema: INTERVIEW_FEEDBACK_SCHEMA,
     temperature: 0.5,
-    maxTokens: 2000
+    maxTokens: 2000,
+    userId
   });
-
-  return JSON.parse(response);
 };
 
 /**
  * Generate study companion response
- * @param {Object} params - Query parameters
+ * @param {Object} params - Query parameters, plus onEvent / signal to stream it and userId to meter it
  * @returns {Promise<string>} AI response
  */
 export const generateStudyCompanionResponse = async (params) => {
-  const { query, context, userLevel } = params;
+  const { query, context, userLevel, onEvent, signal, userId } = params;
 
   const prompt = `You are an AI study companion helping a ${userLevel || 'intermediate'} developer.
 
@@ -218,9 +302,12 @@ Your response:`;
     }
   ];
 
-  const response = await generateChatCompletion(messages, {
+  const response = await generateChatCompletion('studyCompanion', messages, {
     temperature: 0.7,
-    maxTokens: 800
+    maxTokens: 800,
+    onEvent,
+    signal,
+    userId
   });
 
   return response;
@@ -232,7 +319,7 @@ Your response:`;
  * @returns {Promise<Object>} Analysis result
  */
 export const analyzeCodeMistake = async (params) => {
-  const { code, expectedApproach, questionTopic } = params;
+  const { code, expectedApproach, questionTopic, userId } = params;
 
   const prompt = `Analyze this code submission for a ${questionTopic} problem and identify mistake patterns.
 
@@ -264,12 +351,12 @@ Identify and categorize the mistakes in JSON format:
     }
   ];
 
-  const response = await generateChatCompletion(messages, {
+  return generateStructuredCompletion('mistakeAnalysis', messages, {
+    schema: CODE_MISTAKE_SCHEMA,
     temperature: 0.3,
-    maxTokens: 1000
+    maxTokens: 1000,
+    userId
   });
-
-  return JSON.parse(response);
 };
 
 /**
@@ -283,6 +370,7 @@ export const isOpenAIEnabled = () => {
 export default {
   initializeOpenAI,
   generateChatCompletion,
+  generateStructuredCompletion,
   generateInterviewQuestionGPT,
   generateInterviewFeedbackGPT,
   generateStudyCompanionResponse,
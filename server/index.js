@@ -29,6 +29,9 @@ import interviewPrepRoutes from './routes/interviewPrep.js';
 import conversationalInterviewRoutes from './routes/conversationalInterview.js';
 import liveInterviewRoutes from './routes/liveInterview.js';
 import improvedInterviewRoutes from './routes/improvedInterview.js';
+import interviewTemplateRoutes from './routes/interviewTemplates.js';
+import interviewSessionRoutes from './routes/interviewSessions.js';
+import rubricRoutes from './routes/rubrics.js';
 import mediaRoutes from './routes/media.js';
 import dsaProgressRoutes from './routes/dsaProgress.js';
 import sheetsRoutes from './routes/sheets.js';
@@ -42,7 +45,11 @@ import { initializeOpenAI } from './config/openai.js';
 import { setupCollaborationHandlers } from './sockets/collaborationHandlers.js';
 import { setupInterviewHandlers } from './sockets/interviewHandlers.js';
 import setupInterviewSocket from './sockets/interviewSocket.js';
+import setupCodeExecutionSocket from './sockets/codeExecutionSocket.js';
+import setupDebugSocket from './sockets/debugSocket.js';
 import socketAuthMiddleware from './middleware/socketAuth.js';
+import { startHealthProbes } from './services/providerHealth.js';
+import { startInterviewSweep } from './services/interviewPresence.js';
 
 // Verify critical environment variables
 console.log('🔍 Environment Configuration Check:');
@@ -67,8 +74,12 @@ const io = new Server(httpServer, {
   },
 });
 
-// Apply Socket.IO authentication middleware
+// Apply Socket.IO authentication middleware. Namespaces do not inherit
+// io.use(), so the interview namespace (sessions are owner-checked) and the
+// mock interview namespace (AI calls are metered per user) get their own.
 io.use(socketAuthMiddleware);
+io.of('/interview').use(socketAuthMiddleware);
+io.of('/mock-interview').use(socketAuthMiddleware);
 
 const PORT = process.env.PORT || 5000;
 
@@ -101,6 +112,8 @@ if (!openaiInitialized) {
 setupCollaborationHandlers(io);
 setupInterviewHandlers(io); // Legacy real-time interview handlers
 setupInterviewSocket(io); // NEW: Improved dynamic interview handlers
+setupCodeExecutionSocket(io); // Code execution queue progress
+setupDebugSocket(io); // Step-through debugger sessions
 
 // Make IO instance available to routes
 app.set('io', io);
@@ -283,6 +296,9 @@ app.use('/api/interview-prep', interviewPrepRoutes); // Resume Upload & ATS Scor
 app.use('/api/interview/conversational', conversationalInterviewRoutes); // Conversational Interviews (Legacy)
 app.use('/api/interview', liveInterviewRoutes); // Real-Time Adaptive Interviews (V2)
 app.use('/api/interview/v3', improvedInterviewRoutes); // NEW: Fully Dynamic Interviews (V3)
+app.use('/api/interview-templates', interviewTemplateRoutes); // Interview loops as data (rounds, topic mix, rubric)
+app.use('/api/interview-sessions', interviewSessionRoutes); // Pause / resume across devices, answer drafts
+app.use('/api/rubrics', rubricRoutes); // Scoring rubrics: weighted dimensions, level descriptors, evidence
 app.use('/api/media', mediaRoutes); // NEW: Media upload for video interviews
 app.use('/api/dsa-progress', dsaProgressRoutes); // DSA Sheets & Playlist Progress Tracking
 app.use('/api/sheets', sheetsRoutes); // DSA Sheets Management & Progress
@@ -321,4 +337,6 @@ app.use((err, req, res, next) => {
 httpServer.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🔌 Socket.IO enabled for real-time collaboration`);
+  startHealthProbes();
+  startInterviewSweep();
 });
@@ -0,0 +1,70 @@
+/**
+ * AI Usage Model
+ *
+ * One ledger entry per LLM gateway completion
+ * - Who (user) and what (feature) consumed tokens
+ * - Which provider/model served it and how long it took
+ * - Backs per-user budgets and the admin usage report
+ */
+
+import mongoose from 'mongoose';
+
+const aiUsageSchema = new mongoose.Schema({
+  // Null for calls made outside a user request (background jobs, scripts)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  feature: {
+    type: String,
+    required: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  model: {
+    type: String
+  },
+
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+
+  // Served from the gateway cache; tokens are 0 and it doesn't count against budgets
+  cached: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Budget checks sum a user's tokens since the start of the day/month
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ userId: 1, feature: 1, createdAt: -1 });
+aiUsageSchema.index({ createdAt: -1 });
+
+const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
+
+export default AIUsage;
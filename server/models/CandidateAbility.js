@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * CandidateAbility Model
+ * A candidate's latest IRT ability estimate (see services/abilityEstimator.js),
+ * one document per topic plus one with topic 'overall' for the whole interview.
+ * Carried into the next interview as the starting estimate.
+ */
+
+const candidateAbilitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  
+  topic: {
+    type: String,
+    required: true,
+  },
+  
+  // Logit scale; 0 answers a medium question half right
+  theta: {
+    type: Number,
+    default: 0,
+  },
+  
+  standardError: {
+    type: Number,
+    default: 1,
+  },
+  
+  // Scored answers the estimate is based on
+  responses: {
+    type: Number,
+    default: 0,
+  },
+  
+  lastSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConversationalInterview',
+  },
+}, {
+  timestamps: true,
+});
+
+candidateAbilitySchema.index({ userId: 1, topic: 1 }, { unique: true });
+
+export default mongoose.model('CandidateAbility', candidateAbilitySchema);
@@ -0,0 +1,93 @@
+/**
+ * Companion Conversation Model
+ *
+ * One study companion chat per document
+ * - Full message history: questions, answers, tool calls and tool results
+ * - Older messages are folded into `summary` once the context gets long
+ * - Tool results are numbered across the conversation so answers can cite them as [n]
+ */
+
+import mongoose from 'mongoose';
+
+const citationSchema = new mongoose.Schema({
+  ref: Number, // the [n] the answer uses
+  tool: String,
+  arguments: mongoose.Schema.Types.Mixed,
+  summary: String // one line describing the result
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant', 'tool'],
+    required: true
+  },
+
+  content: {
+    type: String,
+    default: ''
+  },
+
+  // assistant: tools the model asked for in this step
+  toolCalls: [{
+    _id: false,
+    tool: String,
+    arguments: mongoose.Schema.Types.Mixed
+  }],
+
+  // tool: the numbered results of one round of calls
+  // assistant: the results the final answer cites
+  citations: [citationSchema],
+
+  aiProvider: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const companionConversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  title: {
+    type: String,
+    default: 'New conversation'
+  },
+
+  messages: [messageSchema],
+
+  // Running summary of messages[0 .. summarizedCount)
+  summary: {
+    type: String,
+    default: ''
+  },
+
+  summarizedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Last [n] handed out to a tool result
+  toolResultCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+companionConversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+const CompanionConversation = mongoose.model('CompanionConversation', companionConversationSchema);
+
+export default CompanionConversation;
@@ -37,6 +37,11 @@ const conversationalInterviewSchema = new mongoose.Schema({
     ref: 'ParsedResume',
   },
   
+  jobDescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobDescription',
+  },
+  
   // Job description context (if provided)
   jobDescription: {
     title: String,
@@ -49,26 +54,98 @@ const conversationalInterviewSchema = new mongoose.Schema({
   // Interview state
   status: {
     type: String,
-    enum: ['scheduled', 'in-progress', 'completed', 'abandoned'],
+    enum: ['scheduled', 'in-progress', 'paused', 'completed', 'terminated', 'abandoned'],
     default: 'scheduled',
   },
   
+  // Runtime phase (interviewRuntime.js): opening -> questions <-> follow-up -> closing -> report
+  phase: {
+    type: String,
+    enum: ['opening', 'questions', 'follow-up', 'closing', 'report'],
+    default: 'opening',
+  },
+  
+  // Runtime configuration the session runs with: profile name plus the
+  // strategies and limits it resolved to (see interviewStrategies.js)
+  profile: {
+    type: String,
+    default: 'adaptive',
+  },
+  config: mongoose.Schema.Types.Mixed,
+  
+  // Interview template the session was started from (built-in slug or template id);
+  // config.template holds the rounds as they were at the start
+  templateId: {
+    type: String,
+    index: true,
+  },
+  
+  socketId: String,
+  
+  // Live connection (see services/interviewPresence.js); a session whose
+  // client stays away past the reconnection grace period is paused
+  connection: {
+    deviceId: String, // Client-chosen id of the browser the session runs in
+    connectedAt: Date,
+    disconnectedAt: Date, // Unset while a client is connected
+  },
+  
+  // Pauses, by the candidate or after a lost connection; paused time does not
+  // count against time limits (see activeMillis)
+  pauses: [{
+    _id: false,
+    pausedAt: Date,
+    resumedAt: Date,
+    reason: {
+      type: String,
+      enum: ['user', 'disconnected'],
+    },
+  }],
+  
+  // Last answer, draft, pause or resume; idle sessions are marked abandoned
+  lastActivityAt: Date,
+  
   // Conversation turns (Q&A pairs)
   turns: [{
     turnNumber: Number,
     
     // Question details
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuestionBank',
+    },
+    
     question: {
       text: String,
       type: {
         type: String,
-        enum: ['opening', 'technical', 'behavioral', 'situational', 'follow-up', 'closing'],
+        enum: ['opening', 'technical', 'behavioral', 'situational', 'hr', 'coding', 'follow-up', 'closing'],
       },
       topic: String, // e.g., 'React Hooks', 'Conflict Resolution'
       difficulty: String,
       expectedKeyPoints: [String], // What a good answer should cover
       isFollowUp: Boolean,
       parentTurnNumber: Number, // If this is a follow-up
+      promptVersion: String, // Prompt registry id when AI-generated
+      round: Number, // Template round index, for template sessions
+      sourceText: String, // Pool / template question before it was rephrased
+      // IRT item parameters the answer is scored against (abilityEstimator.js)
+      calibration: {
+        b: Number, // Difficulty, logit scale
+        a: Number, // Discrimination
+        source: { type: String }, // 'questionBank', 'calibration' or 'label'
+      },
+    },
+    
+    // Rubric the evaluator checks the answer against (QuestionBank expectedComponents)
+    expectedComponents: mongoose.Schema.Types.Mixed,
+    
+    // Unsubmitted answer text, saved as the candidate types so it survives a
+    // reload or a switch to another device
+    draft: {
+      text: String,
+      savedAt: Date,
+      deviceId: String,
     },
     
     // Candidate answer
@@ -99,6 +176,8 @@ const conversationalInterviewSchema = new mongoose.Schema({
       depth: Number,
       structure: Number,
       confidence: Number,
+      completeness: Number,
+      technicalAccuracy: Number,
       
       // Overall turn score
       turnScore: Number,
@@ -114,11 +193,22 @@ const conversationalInterviewSchema = new mongoose.Schema({
         suggestions: [String],
       },
       
+      // Gaps the answer revealed
+      gaps: [{
+        _id: false,
+        type: { type: String }, // knowledge-gap, explanation-gap, depth-gap
+        skill: String,
+        severity: String,
+        evidence: String,
+      }],
+      
       // Follow-up decision
       needsFollowUp: Boolean,
       followUpReason: String,
     },
     
+    askedAt: Date,
+    
     // Metadata
     createdAt: {
       type: Date,
@@ -179,11 +269,34 @@ const conversationalInterviewSchema = new mongoose.Schema({
   
   // Adaptive interview context
   interviewContext: {
+    candidateSkills: [String],
+    requiredSkills: [String],
+    preferredSkills: [String],
+    identifiedGaps: [{
+      _id: false,
+      skill: String,
+      type: { type: String },
+      severity: String,
+      priority: Number,
+    }],
     currentDifficulty: String,
     topicSequence: [String],
     performanceTrend: [Number], // Turn-by-turn scores
     strugglingTopics: [String],
     strongTopics: [String],
+    // IRT ability estimates, updated after every answer (abilityEstimator.js)
+    ability: {
+      theta: { type: Number, default: 0 },
+      standardError: { type: Number, default: 1 },
+      responses: { type: Number, default: 0 },
+    },
+    topicAbilities: [{
+      _id: false,
+      topic: String,
+      theta: Number,
+      standardError: Number,
+      responses: Number,
+    }],
   },
   
   // Timestamps
@@ -202,6 +315,7 @@ const conversationalInterviewSchema = new mongoose.Schema({
 conversationalInterviewSchema.index({ userId: 1, status: 1 });
 conversationalInterviewSchema.index({ interviewType: 1, targetRole: 1 });
 conversationalInterviewSchema.index({ createdAt: -1 });
+conversationalInterviewSchema.index({ status: 1, lastActivityAt: 1 });
 
 // Virtual: Is interview active?
 conversationalInterviewSchema.virtual('isActive').get(function() {
@@ -214,6 +328,21 @@ conversationalInterviewSchema.virtual('progressPercent').get(function() {
   return Math.min((this.turns.length / targetTurns) * 100, 100);
 });
 
+// Method: Time the interview was running between two points, in ms (paused time excluded)
+conversationalInterviewSchema.methods.activeMillis = function(since = this.startedAt || this.createdAt, now = new Date()) {
+  const from = new Date(since).getTime();
+  const to = now.getTime();
+  if (to <= from) return 0;
+  
+  const paused = (this.pauses || []).reduce((total, pause) => {
+    const start = Math.max(from, pause.pausedAt.getTime());
+    const end = Math.min(to, (pause.resumedAt || now).getTime());
+    return total + Math.max(0, end - start);
+  }, 0);
+  
+  return to - from - paused;
+};
+
 // Method: Add a new turn
 conversationalInterviewSchema.methods.addTurn = function(questionData, answerData = null) {
   const turnNumber = this.turns.length + 1;
@@ -388,7 +517,7 @@ conversationalInterviewSchema.methods.calculateFinalEvaluation = function() {
     throw new Error('No turns to evaluate');
   }
   
-  const evaluatedTurns = this.turns.filter(t => t.evaluation);
+  const evaluatedTurns = this.turns.filter(t => t.evaluation?.turnScore != null);
   
   if (evaluatedTurns.length === 0) {
     throw new Error('No evaluated turns');
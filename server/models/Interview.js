@@ -70,34 +70,29 @@ const InterviewSchema = new mongoose.Schema({
       improvements: [String],
     },
   }],
-  // Rubric-based evaluation
-  rubricScores: {
-    problemSolving: {
-      type: Number,
-      min: 0,
-      max: 10,
-    },
-    communication: {
-      type: Number,
-      min: 0,
-      max: 10,
-    },
-    technicalKnowledge: {
-      type: Number,
-      min: 0,
-      max: 10,
-    },
-    clarity: {
-      type: Number,
-      min: 0,
-      max: 10,
+  // Rubric the interviewer scored with (services/rubricService.js);
+  // built-ins use their slug as id
+  rubric: {
+    id: String,
+    name: String,
+    version: Number,
+  },
+  // Rubric-based evaluation, one entry per scored dimension
+  rubricScores: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true,
     },
-    confidence: {
+    name: String,
+    score: {
       type: Number,
       min: 0,
       max: 10,
     },
-  },
+    level: String,
+    notes: String,
+  }],
   overallFeedback: {
     type: String,
   },
@@ -126,6 +121,27 @@ const InterviewSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+/**
+ * Interviews scored before rubricScores became a list hold the old fixed-field
+ * object ({ problemSolving: 7, communication: 8, ... }, 0-10, the keys of the
+ * built-in `interviewer` rubric); read as [{ key, score }] entries
+ */
+export function normalizeRubricScores(rubricScores) {
+  if (!rubricScores || typeof rubricScores !== 'object' || Array.isArray(rubricScores)) {
+    return rubricScores;
+  }
+  return Object.entries(rubricScores)
+    .filter(([, score]) => typeof score === 'number')
+    .map(([key, score]) => ({ key, score }));
+}
+
+// Runs on the raw document before it is cast, so legacy shapes load and save cleanly
+InterviewSchema.pre('init', function normalizeLegacyRubricScores(data) {
+  if (data?.rubricScores) {
+    data.rubricScores = normalizeRubricScores(data.rubricScores);
+  }
+});
+
 // Index for efficient querying
 InterviewSchema.index({ userId: 1, scheduledAt: -1 });
 InterviewSchema.index({ status: 1, scheduledAt: 1 });
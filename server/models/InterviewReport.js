@@ -7,11 +7,13 @@ import mongoose from 'mongoose';
  *
  * Covers:
  *  - Per-turn rubric subscores (clarity, relevance, depth, structure, confidence)
+ *    and the scoring rubric's dimensions with the level each reached
  *  - Aggregate section scores (technical, behavioral, communication, problem-solving)
  *  - Skill-gap classification (knowledge-gap / explanation-gap / depth-gap)
  *  - Interview readiness indicator (0-100)
  *  - Recommendations and learning roadmap seeds
- *  - Provenance: which inputs/weights produced which score (for auditability)
+ *  - Provenance: which rubric (id + version), inputs and weights produced which
+ *    score (for auditability)
  */
 const interviewReportSchema = new mongoose.Schema(
   {
@@ -73,6 +75,18 @@ const interviewReportSchema = new mongoose.Schema(
           technicalAccuracy: Number,  // optional; 0 if not applicable
         },
 
+        // The scoring rubric's dimensions for this turn (services/rubricService.js)
+        dimensions: [
+          {
+            _id: false,
+            key: String,
+            name: String,
+            weight: Number,
+            score: Number,
+            level: String,
+          },
+        ],
+
         // Weighted final score for this turn (0-100)
         turnScore: Number,
 
@@ -145,6 +159,46 @@ const interviewReportSchema = new mongoose.Schema(
       enum: ['Needs Work', 'Developing', 'Competent', 'Strong', 'Excellent'],
     },
 
+    // ── IRT ability estimate (services/abilityEstimator.js) ──────
+    // theta on the logit scale; score is the expected score on a medium
+    // question (0-100), the scale readinessScore uses
+    ability: {
+      theta: Number,
+      standardError: Number,
+      responses: Number,
+      interval: { lower: Number, upper: Number, level: Number },
+      score: Number,
+      scoreInterval: { lower: Number, upper: Number, level: Number },
+      byTopic: [
+        {
+          _id: false,
+          topic: String,
+          theta: Number,
+          standardError: Number,
+          responses: Number,
+          interval: { lower: Number, upper: Number, level: Number },
+          score: Number,
+          scoreInterval: { lower: Number, upper: Number, level: Number },
+        },
+      ],
+    },
+
+    // ── Rubric dimensions across the session ─────────────────────
+    // Average per dimension over the turns that scored it, with the level
+    // reached and that level's descriptor and expected evidence
+    rubricScores: [
+      {
+        _id: false,
+        key: String,
+        name: String,
+        weight: Number,
+        score: Number,
+        level: String,
+        descriptor: String,
+        evidence: [String],
+      },
+    ],
+
     // ── Skill gap summary ────────────────────────────────────────
     skillGapSummary: {
       total: Number,
@@ -180,13 +234,14 @@ const interviewReportSchema = new mongoose.Schema(
 
     // ── Provenance / auditability ────────────────────────────────
     provenance: {
-      rubricWeights: {
-        clarity: Number,       // default 0.20
-        relevance: Number,     // default 0.25
-        depth: Number,         // default 0.25
-        structure: Number,     // default 0.15
-        confidence: Number,    // default 0.15
+      // Rubric that scored the report; built-ins use their slug as id
+      rubric: {
+        id: String,
+        name: String,
+        version: Number,
       },
+      // { dimensionKey: weight } of that rubric version
+      rubricWeights: mongoose.Schema.Types.Mixed,
       evaluationVersion: {
         type: String,
         default: '2.0',
@@ -0,0 +1,171 @@
+/**
+ * Interview Template Model
+ *
+ * An interview loop authored as data, e.g. "FAANG onsite: 2 coding + 1 system
+ * design + 1 behavioral"
+ * - Rounds run in order, each with its own question count, time limit,
+ *   topic mix, difficulty curve and question pool
+ * - Follow-up policy and rubric (a Rubric, or plain metric weights) apply to
+ *   the whole loop
+ * - Built-in templates ship as JSON in server/data/interviewTemplates and are
+ *   never stored here; this collection holds the ones users write or import
+ */
+
+import mongoose from 'mongoose';
+
+export const ROUND_TYPES = ['hr', 'technical', 'behavioral', 'coding', 'system-design'];
+export const RUBRIC_METRICS = ['clarity', 'relevance', 'depth', 'structure', 'confidence', 'technicalAccuracy'];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const templateQuestionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  topic: {
+    type: String,
+    required: true
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTIES,
+    default: 'medium'
+  },
+  expectedKeyPoints: [String]
+}, { _id: false });
+
+const roundSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ROUND_TYPES,
+    required: true
+  },
+  // Fresh questions in the round; follow-ups come on top
+  questionCount: {
+    type: Number,
+    min: 1,
+    max: 15,
+    required: true
+  },
+  // The round ends early once this runs out
+  timeLimitMinutes: {
+    type: Number,
+    min: 1,
+    max: 180
+  },
+  // Share of the round's questions per topic
+  topicMix: [{
+    _id: false,
+    topic: { type: String, required: true },
+    weight: { type: Number, min: 0, default: 1 }
+  }],
+  // Difficulty of the 1st, 2nd, ... question; past the end the runtime adapts it
+  difficultyCurve: [{
+    type: String,
+    enum: DIFFICULTIES
+  }],
+  questions: [templateQuestionSchema]
+}, { _id: false });
+
+const interviewTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+
+  description: String,
+  company: String,
+  tags: [String],
+
+  // Session interviewType for interviews started from the template
+  interviewType: {
+    type: String,
+    enum: ['hr', 'technical', 'coding', 'behavioral', 'mixed'],
+    default: 'mixed'
+  },
+
+  rounds: {
+    type: [roundSchema],
+    validate: {
+      validator: (rounds) => rounds.length > 0 && rounds.length <= 10,
+      message: 'A template needs between 1 and 10 rounds'
+    }
+  },
+
+  followUpPolicy: {
+    trigger: {
+      type: String,
+      enum: ['evaluator', 'score', 'missedKeyPoints'],
+      default: 'score'
+    },
+    threshold: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 60
+    },
+    maxPerQuestion: {
+      type: Number,
+      min: 0,
+      max: 3,
+      default: 1
+    }
+  },
+
+  // Rubric (models/Rubric.js id or built-in slug) the loop is scored with;
+  // takes precedence over the weights below
+  rubricId: String,
+
+  // Weights for the turn score; unset metrics keep the evaluator's own score
+  rubric: {
+    clarity: { type: Number, min: 0 },
+    relevance: { type: Number, min: 0 },
+    depth: { type: Number, min: 0 },
+    structure: { type: Number, min: 0 },
+    confidence: { type: Number, min: 0 },
+    technicalAccuracy: { type: Number, min: 0 }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Public templates are listed for every user; only the author can edit them
+  visibility: {
+    type: String,
+    enum: ['private', 'public'],
+    default: 'private'
+  },
+
+  // Bumped on every edit; sessions record the version they ran
+  version: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+interviewTemplateSchema.index({ createdBy: 1, slug: 1 }, { unique: true });
+interviewTemplateSchema.index({ visibility: 1, updatedAt: -1 });
+
+const InterviewTemplate = mongoose.model('InterviewTemplate', interviewTemplateSchema);
+
+export default InterviewTemplate;
@@ -118,6 +118,7 @@ const mockInterviewReportSchema = new Schema(
     improvements: [String],
     skillGaps: [skillGapSchema],
     recruiterFeedback: Schema.Types.Mixed,
+    promptVersion: String, // Prompt registry id that wrote the narrative, e.g. "mockInterview.report@1"
 
     /* ── Difficulty arc ──────────────────────── */
     difficultyProgression: [
@@ -21,6 +21,10 @@ const progressSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // First accepted submission; unlike isCorrect it is never cleared
+    solvedAt: {
+      type: Date,
+    },
     timeSpent: {
       type: Number, // in seconds
       default: 0,
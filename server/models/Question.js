@@ -47,8 +47,46 @@ const questionSchema = new mongoose.Schema(
       {
         input: String,
         output: String,
+        hidden: {
+          type: Boolean,
+          default: false, // Hidden cases are judged but never shown to the candidate
+        },
       },
     ],
+    // How plain output comparison treats whitespace and numbers (ignored when
+    // a checker is set). Set by the question author, never by the submission.
+    compareOptions: {
+      whitespace: {
+        type: String,
+        enum: ['exact', 'trailing', 'all'],
+        default: 'trailing',
+      },
+      floatTolerance: {
+        type: Number,
+        min: 0,
+        default: 0, // absolute/relative tolerance for numeric tokens, 0 = exact
+      },
+    },
+    // Optional custom checker for problems with several valid outputs.
+    // Runs in the code sandbox, reads {input, expectedOutput, actualOutput}
+    // as JSON on stdin and prints AC (accept) or WA (reject) on its first line.
+    checker: {
+      language: {
+        type: String,
+        enum: ['python', 'javascript'],
+      },
+      code: String,
+    },
+    // Optional input generator for empirical complexity measurement. Runs in
+    // the code sandbox, reads a size n on stdin and prints one input of that size.
+    inputGenerator: {
+      language: {
+        type: String,
+        enum: ['python', 'javascript'],
+      },
+      code: String,
+      sizes: [Number], // explicit sizes, e.g. small ones for exponential problems
+    },
     companies: [String],
     tags: [String],
   },
@@ -57,4 +95,13 @@ const questionSchema = new mongoose.Schema(
   }
 );
 
+// Method to get the question without hidden test cases, checker or generator source
+questionSchema.methods.toCandidateView = function() {
+  const question = this.toObject();
+  question.testCases = (question.testCases || []).filter((testCase) => !testCase.hidden);
+  delete question.checker;
+  delete question.inputGenerator;
+  return question;
+};
+
 export default mongoose.model('Question', questionSchema);
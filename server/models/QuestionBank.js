@@ -50,6 +50,7 @@ const questionBankSchema = new mongoose.Schema({
     },
     
     generationPrompt: String, // GPT-4 prompt used
+    promptVersion: String, // Prompt registry id, e.g. "interview.gapQuestion@1"
     
     targetedConcepts: [String], // What concepts this tests
   },
@@ -95,6 +96,15 @@ const questionBankSchema = new mongoose.Schema({
     effectiveness: Number, // how well it identifies gaps (0-100)
     
     lastUsed: Date,
+    
+    // IRT difficulty (logit scale) estimated from answers by candidates of
+    // known ability; see services/abilityEstimator.js
+    irtDifficulty: Number,
+    
+    irtResponses: {
+      type: Number,
+      default: 0,
+    },
   },
   
   // Related questions
@@ -0,0 +1,126 @@
+/**
+ * Rubric Model
+ *
+ * A scoring rubric written by a user or shared within an organization:
+ * - Named dimensions, each weighted, each read from an evaluation metric
+ *   (or scored directly by an interviewer when it names none)
+ * - Levels per dimension: the lowest score (0-100) that reaches the level,
+ *   what the level means, and the evidence an answer shows at that level
+ * - Built-in rubrics ship as JSON in server/data/rubrics and are never stored
+ *   here; reports record the rubric id and version that scored them
+ */
+
+import mongoose from 'mongoose';
+
+// Evaluation fields a dimension can read (see interviewStrategies.js EVALUATORS)
+export const EVALUATION_METRICS = ['clarity', 'relevance', 'depth', 'structure', 'confidence', 'technicalAccuracy', 'completeness'];
+
+const levelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowest dimension score (0-100) at this level
+  minScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  descriptor: String,
+  // What an answer at this level shows, e.g. "names the trade-off it made"
+  evidence: [String]
+}, { _id: false });
+
+const dimensionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9]*$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Evaluation metric the dimension is scored from; unset means scored by hand under `key`
+  metric: {
+    type: String,
+    enum: EVALUATION_METRICS
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  levels: [levelSchema]
+}, { _id: false });
+
+const rubricSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+
+  description: String,
+
+  dimensions: {
+    type: [dimensionSchema],
+    validate: [{
+      validator: (dimensions) => dimensions.length > 0 && dimensions.length <= 12,
+      message: 'A rubric needs between 1 and 12 dimensions'
+    }, {
+      validator: (dimensions) => new Set(dimensions.map((d) => d.key)).size === dimensions.length,
+      message: 'Dimension keys must be unique'
+    }, {
+      validator: (dimensions) => dimensions.some((d) => d.weight > 0),
+      message: 'At least one dimension needs a weight above 0'
+    }]
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Organization slug of the author (User.organization) for organization rubrics
+  organization: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  // private: author only; organization: members of `organization`; public: everyone
+  visibility: {
+    type: String,
+    enum: ['private', 'organization', 'public'],
+    default: 'private'
+  },
+
+  // Bumped on every edit; reports record the version that scored them
+  version: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+rubricSchema.index({ createdBy: 1, slug: 1 }, { unique: true });
+rubricSchema.index({ organization: 1, visibility: 1 });
+
+const Rubric = mongoose.model('Rubric', rubricSchema);
+
+export default Rubric;
@@ -34,6 +34,19 @@ const userSchema = new mongoose.Schema(
       enum: ['local', 'firebase', 'google'],
       default: 'local',
     },
+    // Checked by requireRole(); admins can read the AI usage report
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
+    // Organization slug, set by admins (PUT /api/users/:id/organization);
+    // members share rubrics with visibility 'organization'
+    organization: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
     bio: {
       type: String,
       default: '',
@@ -0,0 +1,23 @@
+/**
+ * Prompt templates loaded into services/promptRegistry.js
+ *
+ * To change a prompt, add a new version next to the old one instead of
+ * editing it in place, so stored artifacts keep pointing at the text that
+ * produced them.
+ */
+
+import skillGap from './skillGap.js';
+import codeExplainer from './codeExplainer.js';
+import roadmap from './roadmap.js';
+import interview from './interview.js';
+import mockInterview from './mockInterview.js';
+import studyCompanion from './studyCompanion.js';
+
+export default [
+  ...skillGap,
+  ...codeExplainer,
+  ...roadmap,
+  ...interview,
+  ...mockInterview,
+  ...studyCompanion
+];
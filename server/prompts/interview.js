@@ -0,0 +1,152 @@
+/**
+ * Interview question generation prompts (questionGenerationService.js,
+ * dynamicInterviewEngine.js)
+ */
+
+export default [
+  {
+    name: 'interview.skillQuestion',
+    version: '1',
+    description: 'Verify a skill the candidate lists on their resume, JSON reply',
+    system: 'You are an expert technical interviewer. Generate questions that truly assess understanding, not memorization.',
+    user: `Generate a technical interview question to verify knowledge of: {{skill}}
+
+Context: The candidate listed this skill on their resume in the following context:
+{{resumeContext}}
+
+Requirements:
+- Question should verify ACTUAL understanding, not just familiarity
+- Difficulty level: {{difficulty}}
+- Should require explanation with examples
+- Should test practical application, not just definitions
+
+Return a JSON object with this structure:
+{
+  "question": "the interview question",
+  "requiredConcepts": ["concept1", "concept2"],
+  "optionalConcepts": ["concept3"],
+  "keyTerms": ["term1", "term2"],
+  "depthIndicators": ["phrase indicating deep understanding"],
+  "followUpQuestions": ["follow-up if answer is shallow", "another follow-up"]
+}`
+  },
+  {
+    name: 'interview.gapQuestion',
+    version: '1',
+    description: 'Probe an identified skill gap to confirm and size it, JSON reply',
+    system: 'You are an expert at identifying skill gaps through targeted questions.',
+    user: `Generate an interview question to assess a skill gap.
+
+Gap Details:
+- Skill: {{skill}}
+- Gap Type: {{gapType}}
+- Severity: {{severity}}
+- Evidence: {{evidence}}
+
+{{gapDescription}}
+
+Generate a question that will:
+1. Verify the gap exists
+2. Measure the severity accurately
+3. {{testFocus}}
+
+Return JSON:
+{
+  "question": "the question",
+  "requiredConcepts": ["must mention these"],
+  "depthIndicators": ["phrases showing true understanding"],
+  "followUpQuestions": ["if shallow answer", "if missing key concepts"]
+}`
+  },
+  {
+    name: 'interview.jdQuestion',
+    version: '1',
+    description: 'Test a job description skill in the context of the role, JSON reply',
+    system: 'You are an expert recruiter crafting role-specific interview questions.',
+    user: `Generate an interview question for a {{jobTitle}} position.
+
+Job Description Context:
+- Company: {{companyName}}
+- Role: {{jobTitle}}
+- Required Skills: {{requiredSkills}}
+- Preferred Skills: {{preferredSkills}}
+- Key Responsibilities: {{responsibilities}}
+
+Target Skill: {{targetSkill}} ({{skillImportance}})
+
+Generate a question that:
+1. Tests this skill in the context of this specific role
+2. Relates to the job responsibilities
+3. Assesses real-world application for this position
+
+Return JSON:
+{
+  "question": "the question",
+  "requiredConcepts": ["concepts specific to this role"],
+  "keyTerms": ["industry-specific terms"],
+  "followUpQuestions": ["contextual follow-ups"]
+}`
+  },
+  {
+    name: 'interview.followUpQuestion',
+    version: '1',
+    description: 'Follow up on a weak answer, JSON reply',
+    system: 'You are an interviewer following up on a weak answer. Be professional and give the candidate a fair opportunity.',
+    // *Issue variables: "- <problem>" lines, or '' when that score is fine
+    user: `Generate a follow-up interview question.
+
+Previous Question: {{previousQuestion}}
+Candidate's Answer: {{previousAnswer}}
+
+Answer Quality Assessment:
+- Clarity: {{clarity}}/100
+- Relevance: {{relevance}}/100
+- Depth: {{depth}}/100
+- Structure: {{structure}}/100
+
+Issues Identified:
+{{clarityIssue}}
+{{relevanceIssue}}
+{{depthIssue}}
+{{missingConceptsIssue}}
+
+Generate a follow-up question that:
+1. Probes the specific weakness identified
+2. Gives the candidate a chance to demonstrate understanding
+3. Is respectful but direct
+
+Return JSON:
+{
+  "question": "the follow-up question",
+  "targetingWeakness": "which specific weakness this addresses",
+  "requiredConcepts": ["what should be in a good answer"]
+}`
+  },
+  {
+    name: 'interview.dynamicQuestion',
+    version: '1',
+    description: 'Next question in a conversational interview, JSON reply',
+    system: 'You are an expert interviewer. Generate realistic, professional interview questions tailored to the candidate and role. Return ONLY a JSON object with: question, expectedKeyPoints (array), difficulty (easy/medium/hard), type (technical/behavioral/situational).',
+    // focusNote, background and responsibilities are optional blocks ('' to omit),
+    // each ending in a blank line
+    user: `Generate an interview question for:
+
+Role: {{role}}
+Question Focus: {{topic}}
+Type: {{type}}
+Difficulty: {{difficulty}}
+
+{{focusNote}}{{background}}{{responsibilities}}Generate a professional, specific question that probes understanding of "{{topic}}".`
+  },
+  {
+    name: 'interview.dynamicFollowUp',
+    version: '1',
+    description: 'One-sentence conversational follow-up on missed key points, plain text reply',
+    system: 'You are an interviewer asking follow-up questions. Be brief and conversational.',
+    user: `You asked: "{{question}}"
+
+The candidate answered but missed these key points: {{missingPoints}}
+
+Generate a brief follow-up question (one sentence) to probe deeper on these missing points. Be conversational.`
+  }
+];
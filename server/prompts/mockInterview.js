@@ -0,0 +1,28 @@
+/**
+ * Mock interview prompts (mockInterviewAIService.js)
+ */
+
+export default [
+  {
+    name: 'mockInterview.report',
+    version: '1',
+    description: 'Post-interview strengths, improvements and skill gaps, JSON reply',
+    system: 'You are an expert interview coach writing actionable feedback. Return valid JSON only.',
+    user: `You are a senior technical interviewer writing a post-interview report.
+
+Session summary:
+{{turnSummary}}
+
+Overall score: {{overallScore}}/100
+Section scores: {{sectionScores}}
+
+Write a structured report. Return valid JSON ONLY:
+{
+  "strengths": ["<strength1>","<strength2>","<strength3>"],
+  "improvements": ["<improvement1>","<improvement2>","<improvement3>"],
+  "skillGaps": [
+    {"skill":"<skill>","gapType":"knowledge|explanation|depth|practice","severity":"low|medium|high","suggestion":"<1-sentence>"}
+  ]
+}`
+  }
+];
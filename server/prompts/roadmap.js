@@ -0,0 +1,110 @@
+/**
+ * Roadmap prompts (groqService.generateRoadmap, aiRoadmapService.refineRoadmap)
+ */
+
+export default [
+  {
+    name: 'roadmap.generate',
+    version: '1',
+    description: 'Personalized milestone roadmap from goal, level and skills, JSON reply',
+    system: 'You are an expert career counselor and learning path designer. Generate structured, actionable roadmaps that help people achieve their career goals. Always return valid JSON.',
+    // jobDescriptionBlock: "\n\n**Target Job Description:**\n<jd>" or ''
+    user: `Generate a comprehensive, personalized learning roadmap:
+
+**User Profile:**
+- Learning Goal: {{goal}}
+- Current Level: {{currentLevel}}
+- Target Role: {{targetRole}}
+- Timeframe: {{timeframe}}
+- Current Skills: {{skills}}
+- Preferred Topics: {{preferredTopics}}{{jobDescriptionBlock}}\n\n**Generate a structured, comprehensive roadmap with:**
+
+1. **Title** - Clear, motivating title (e.g., "Full Stack Developer Journey")
+2. **Summary** - 2-3 sentence overview of the learning path
+3. **Skill Gap Analysis** - Current vs required skills with actionable gaps
+4. **Milestones** - 4-8 major learning milestones, each with:
+   - id: Unique identifier (milestone-1, milestone-2, etc.)
+   - title: Clear milestone name
+   - description: What you'll achieve (2-3 sentences)
+   - duration: Time estimate (e.g., "2-3 weeks")
+   - week: Starting week number
+   - skills: Array of specific skills to master
+   - resources: Array of learning resources with:
+     - type: "course", "book", "article", "video", "practice"
+     - title: Resource name
+     - url: Link (use realistic examples like Udemy, Coursera, MDN, etc.)
+     - description: Why this resource
+   - projects: Array of hands-on projects with:
+     - name: Project title
+     - description: What to build
+     - skills: Skills practiced
+     - estimatedHours: Time estimate
+   - assessment: How to evaluate mastery
+   - status: "pending" (default)
+5. **Weekly Commitment** - Realistic time allocation (hours/week)
+6. **Total Duration** - Total weeks or months
+7. **Interview Prep** - Interview preparation tips
+8. **Career Advice** - Industry insights and next steps
+
+**IMPORTANT**: Return ONLY valid JSON with this EXACT structure:
+{
+  "title": "Full Stack Developer Roadmap",
+  "summary": "Transform from a beginner to a job-ready full stack developer...",
+  "skillGapAnalysis": {
+    "current": ["JavaScript basics", "HTML/CSS"],
+    "required": ["React", "Node.js", "MongoDB", "REST APIs", "Git"],
+    "gaps": ["Backend development", "Database design", "API design", "Deployment"]
+  },
+  "milestones": [
+    {
+      "id": "milestone-1",
+      "title": "Frontend Fundamentals",
+      "description": "Master HTML, CSS, and JavaScript...",
+      "duration": "2-3 weeks",
+      "week": 1,
+      "skills": ["HTML5", "CSS3", "JavaScript ES6+", "Responsive Design"],
+      "resources": [
+        {
+          "type": "course",
+          "title": "Modern JavaScript From The Beginning",
+          "url": "https://www.udemy.com/course/modern-javascript-from-the-beginning/",
+          "description": "Comprehensive JavaScript course covering ES6+"
+        }
+      ],
+      "projects": [
+        {
+          "name": "Portfolio Website",
+          "description": "Build a responsive personal portfolio",
+          "skills": ["HTML", "CSS", "JavaScript"],
+          "estimatedHours": 15
+        }
+      ],
+      "assessment": "Complete 3 projects demonstrating responsive design",
+      "status": "pending"
+    }
+  ],
+  "weeklyCommitment": "10-15 hours",
+  "totalDuration": "12 weeks",
+  "interviewPrep": "Tips for technical interviews...",
+  "careerAdvice": "Industry insights and growth path..."
+}`
+  },
+  {
+    name: 'roadmap.refine',
+    version: '1',
+    description: 'Adjust an existing roadmap to user feedback, JSON reply',
+    system: 'You are an expert at refining learning paths based on feedback. Return valid JSON.',
+    // existingRoadmap / preferences are objects, rendered as indented JSON
+    user: `Refine this learning roadmap based on user feedback:
+
+**Current Roadmap:**
+{{existingRoadmap}}
+
+**User Feedback:** {{feedback}}
+
+**Updated Preferences:**
+{{preferences}}
+
+Adjust the roadmap while maintaining JSON structure. Make it more aligned with user needs.`
+  }
+];
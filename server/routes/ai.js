@@ -1,5 +1,7 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import auth from '../middleware/auth.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 import SmartRoadmap from '../models/SmartRoadmap.js';
 import { generateRoadmap, regenerateRoadmap } from '../services/roadmapGenerator.js';
 import { generateRecommendations, recordInteraction, getNextQuestion } from '../services/questionRecommendation.js';
@@ -10,6 +12,18 @@ import {
   predictReadiness,
   getStudyCompanionResponse 
 } from '../services/aiServices.js';
+import { wantsEventStream, openEventStream, sendResult } from '../utils/sse.js';
+import { BUDGET_ERROR_CODE, getUsageBreakdown, getBudgets } from '../services/aiUsageService.js';
+import { getValidationStats } from '../services/structuredOutput.js';
+import { listPrompts } from '../services/promptRegistry.js';
+import {
+  listConversations,
+  getConversation,
+  deleteConversation,
+  CONVERSATION_NOT_FOUND_CODE
+} from '../services/studyCompanionService.js';
+import { getProviderHealth } from '../services/llmGateway.js';
+import { probeProvider, getProbeStatus } from '../services/providerHealth.js';
 
 const router = express.Router();
 
@@ -487,7 +501,8 @@ router.post('/questions/generate', auth, async (req, res) => {
       difficulty,
       format,
       topic,
-      count: parseInt(count) || 1
+      count: parseInt(count) || 1,
+      userId: req.user.id
     });
     
     res.json({
@@ -565,26 +580,191 @@ router.get('/readiness/:targetRole', auth, async (req, res) => {
 
 /**
  * @route   POST /api/ai/companion/ask
- * @desc    Ask AI study companion for help
+ * @desc    Ask AI study companion for help. Pass conversationId to continue a
+ *          conversation; the answer cites the tool results it used as [n].
+ *          With Accept: text/event-stream: `token`, `reset` and `tool` events
  * @access  Private
  */
 router.post('/companion/ask', auth, async (req, res) => {
+  let stream = null;
   try {
-    const { query, context } = req.body;
+    const { query, context, conversationId } = req.body;
     
     if (!query) {
       return res.status(400).json({ message: 'Query is required' });
     }
     
-    const response = await getStudyCompanionResponse(req.user.id, query, context);
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+    }
     
-    res.json({
+    const response = await getStudyCompanionResponse(req.user.id, query, context, {
+      conversationId,
+      onEvent: stream?.send,
+      signal: stream?.signal
+    });
+    
+    sendResult(res, stream, 200, {
       response
     });
     
   } catch (error) {
+    if (error.code === CONVERSATION_NOT_FOUND_CODE) {
+      return sendResult(res, stream, 404, { success: false, message: error.message });
+    }
+    if (error.code === BUDGET_ERROR_CODE) {
+      return sendResult(res, stream, 429, {
+        success: false,
+        code: error.code,
+        message: error.message,
+        budget: error.budget
+      });
+    }
     console.error('Error getting companion response:', error);
-    res.status(500).json({ message: 'Server error getting companion response' });
+    sendResult(res, stream, 500, { success: false, message: 'Server error getting companion response' });
+  }
+});
+
+/**
+ * @route   GET /api/ai/companion/conversations
+ * @desc    The user's companion conversations, most recent first (no messages)
+ * @access  Private
+ */
+router.get('/companion/conversations', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = parseInt(req.query.skip, 10) || 0;
+    const conversations = await listConversations(req.user.id, { limit, skip });
+    res.json({ conversations });
+  } catch (error) {
+    console.error('Error listing companion conversations:', error);
+    res.status(500).json({ message: 'Server error listing conversations' });
+  }
+});
+
+/**
+ * @route   GET /api/ai/companion/conversations/:id
+ * @desc    One conversation with its full message history and citations
+ * @access  Private
+ */
+router.get('/companion/conversations/:id', auth, async (req, res) => {
+  try {
+    const conversation = await getConversation(req.user.id, req.params.id);
+    res.json({ conversation });
+  } catch (error) {
+    if (error.code === CONVERSATION_NOT_FOUND_CODE) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Error getting companion conversation:', error);
+    res.status(500).json({ message: 'Server error getting conversation' });
+  }
+});
+
+/**
+ * @route   DELETE /api/ai/companion/conversations/:id
+ * @desc    Delete a conversation
+ * @access  Private
+ */
+router.delete('/companion/conversations/:id', auth, async (req, res) => {
+  try {
+    await deleteConversation(req.user.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === CONVERSATION_NOT_FOUND_CODE) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Error deleting companion conversation:', error);
+    res.status(500).json({ message: 'Server error deleting conversation' });
+  }
+});
+
+// ==========================================
+// AI USAGE ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/ai/usage
+ * @desc    Token usage from the AI ledger. Query: from, to (ISO dates, default
+ *          last 30 days), userId, feature, provider, and groupBy as a comma
+ *          list of user, feature, provider, model, day (default user,feature)
+ * @access  Private (admin)
+ */
+router.get('/usage', auth, requireRole(['admin']), async (req, res) => {
+  try {
+    const { userId, feature, provider } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+
+    const groupBy = req.query.groupBy
+      ? String(req.query.groupBy).split(',').map((d) => d.trim()).filter(Boolean)
+      : undefined;
+
+    const usage = await getUsageBreakdown({ from, to, userId, feature, provider, groupBy });
+
+    res.json({
+      ...usage,
+      budgets: getBudgets()
+    });
+
+  } catch (error) {
+    console.error('Error getting AI usage:', error);
+    res.status(500).json({ message: 'Server error getting AI usage' });
+  }
+});
+
+/**
+ * @route   GET /api/ai/validation-stats
+ * @desc    How often each feature's JSON output failed schema validation,
+ *          was repaired by a re-ask, or failed outright (since startup)
+ * @access  Private (admin)
+ */
+router.get('/validation-stats', auth, requireRole(['admin']), (req, res) => {
+  res.json({ features: getValidationStats() });
+});
+
+/**
+ * @route   GET /api/ai/prompts
+ * @desc    Registered prompt templates: versions, the version served by
+ *          default, any A/B split, and renders per version since startup
+ * @access  Private (admin)
+ */
+router.get('/prompts', auth, requireRole(['admin']), (req, res) => {
+  res.json({ prompts: listPrompts() });
+});
+
+/**
+ * @route   GET /api/ai/providers/health
+ * @desc    Circuit breaker state per LLM provider (closed / open / half-open),
+ *          recent state transitions and the health probe loop status
+ * @access  Private (admin)
+ */
+router.get('/providers/health', auth, requireRole(['admin']), (req, res) => {
+  res.json({ ...getProviderHealth(), probes: getProbeStatus() });
+});
+
+/**
+ * @route   POST /api/ai/providers/:provider/probe
+ * @desc    Run a provider's health check now; closes its circuit when it passes
+ * @access  Private (admin)
+ */
+router.post('/providers/:provider/probe', auth, requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await probeProvider(req.params.provider);
+    res.json({ result, circuit: getProviderHealth().providers[req.params.provider] });
+  } catch (error) {
+    if (error.code === 'PROVIDER_NOT_FOUND') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Error probing AI provider:', error);
+    res.status(500).json({ message: 'Server error probing AI provider' });
   }
 });
 
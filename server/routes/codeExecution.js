@@ -1,9 +1,16 @@
 import express from 'express';
 import auth from '../middleware/auth.js';
-import { executeCode } from '../services/codeExecutor.js';
+import { executeCode, SUPPORTED_LANGUAGES } from '../services/codeExecutor.js';
 import { generateTrace } from '../services/traceEngine.js';
 import { analyzeComplexity } from '../services/complexityAnalyzer.js';
+import { measureComplexity, GENERATOR_LANGUAGES } from '../services/empiricalComplexity.js';
 import { explainCode } from '../services/aiCodeExplainer.js';
+import { judgeSubmission, toCandidateResult, VERDICTS } from '../services/codeJudge.js';
+import Question from '../models/Question.js';
+import Progress from '../models/Progress.js';
+import User from '../models/User.js';
+import executionQueue, { BUSY_ERROR_CODE } from '../services/executionQueue.js';
+import { getExecutionCacheStats } from '../services/executionCache.js';
 
 const router = express.Router();
 
@@ -20,16 +27,11 @@ router.post('/execute', auth, async (req, res) => {
       return res.status(400).json({ message: 'Code and language are required' });
     }
 
-    if (!['python', 'java', 'javascript'].includes(language)) {
-      return res.status(400).json({ message: 'Unsupported language. Supported: python, java, javascript' });
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `Unsupported language. Supported: ${SUPPORTED_LANGUAGES.join(', ')}` });
     }
 
-    const result = await executeCode(code, language, input);
-
-    res.json({
-      success: true,
-      ...result,
-    });
+    await respondQueued(req, res, 'execute', () => executeCode(code, language, input));
   } catch (error) {
     console.error('Code execution error:', error);
     res.status(500).json({
@@ -40,6 +42,63 @@ router.post('/execute', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/code-execution/submit
+ * @desc    Judge a submission against the question's sample and hidden test cases
+ * @access  Private
+ */
+router.post('/submit', auth, async (req, res) => {
+  try {
+    const { questionId, code, language, timeSpent = 0 } = req.body;
+
+    if (!questionId || !code || !language) {
+      return res.status(400).json({ message: 'Question, code and language are required' });
+    }
+
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `Unsupported language. Supported: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+
+    const question = await Question.findById(questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (!question.testCases || question.testCases.length === 0) {
+      return res.status(400).json({ message: 'Question has no test cases to judge against' });
+    }
+
+    await respondQueued(req, res, 'submit', async () => {
+      const judgement = await judgeSubmission(
+        code,
+        language,
+        question.testCases,
+        {
+          whitespace: question.compareOptions?.whitespace,
+          floatTolerance: question.compareOptions?.floatTolerance,
+        },
+        question.checker
+      );
+      const isCorrect = judgement.verdict === VERDICTS.ACCEPTED;
+      const { progress, stats } = await recordSubmission(req.userId, questionId, isCorrect, Number(timeSpent) || 0);
+
+      return {
+        ...toCandidateResult(judgement),
+        isCorrect,
+        progress,
+        stats,
+      };
+    });
+  } catch (error) {
+    console.error('Submission judging error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Submission failed',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @route   POST /api/code-execution/trace
  * @desc    Generate step-by-step execution trace
@@ -53,11 +112,9 @@ router.post('/trace', auth, async (req, res) => {
       return res.status(400).json({ message: 'Code and language are required' });
     }
 
-    const trace = await generateTrace(code, language, input);
-
-    res.json({
-      success: true,
-      trace,
+    await respondQueued(req, res, 'trace', async () => {
+      const { steps, truncated, detail } = await generateTrace(code, language, input);
+      return { trace: steps, truncated, traceDetail: detail };
     });
   } catch (error) {
     console.error('Trace generation error:', error);
@@ -69,24 +126,92 @@ router.post('/trace', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/code-execution/jobs/:jobId
+ * @desc    Poll a queued run (position, status, result)
+ * @access  Private
+ */
+router.get('/jobs/:jobId', auth, (req, res) => {
+  const status = executionQueue.getStatus(req.params.jobId);
+
+  if (!status || status.userId !== req.userId) {
+    return res.status(404).json({ message: 'Job not found or expired' });
+  }
+
+  res.json({
+    success: true,
+    ...status,
+  });
+});
+
+/**
+ * @route   GET /api/code-execution/queue
+ * @desc    Current load of the execution queue and cache hit rates
+ * @access  Private
+ */
+router.get('/queue', auth, (req, res) => {
+  res.json({
+    success: true,
+    ...executionQueue.getStats(),
+    cache: getExecutionCacheStats(),
+  });
+});
+
 /**
  * @route   POST /api/code-execution/analyze
- * @desc    Analyze code complexity and patterns
+ * @desc    Analyze code complexity and patterns. With `empirical: true` the
+ *          code is also timed on generated inputs, using the question's input
+ *          generator (`questionId`) or an inline `generator` { language, code, sizes }.
  * @access  Private
  */
 router.post('/analyze', auth, async (req, res) => {
   try {
-    const { code, language } = req.body;
+    const { code, language, empirical, questionId } = req.body;
 
     if (!code || !language) {
       return res.status(400).json({ message: 'Code and language are required' });
     }
 
-    const analysis = await analyzeComplexity(code, language);
+    if (!empirical) {
+      const analysis = await analyzeComplexity(code, language);
+      return res.json({
+        success: true,
+        analysis,
+      });
+    }
 
-    res.json({
-      success: true,
-      analysis,
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `Unsupported language. Supported: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+
+    let generator = req.body.generator;
+    if (questionId) {
+      const question = await Question.findById(questionId).select('inputGenerator');
+      if (!question) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+      generator = question.inputGenerator?.code ? question.inputGenerator : generator;
+    }
+
+    if (!generator?.code || !GENERATOR_LANGUAGES.includes(generator.language)) {
+      return res.status(400).json({
+        message: `Empirical analysis needs an input generator (${GENERATOR_LANGUAGES.join(' or ')})`,
+      });
+    }
+
+    // Dozens of sandbox runs, so it waits its turn like any other execution
+    await respondQueued(req, res, 'analyze', async () => {
+      const analysis = await analyzeComplexity(code, language);
+      const measured = await measureComplexity(code, language, generator);
+
+      const staticNotation = analysis.timeComplexity?.notation ?? null;
+      analysis.empirical = {
+        ...measured,
+        static: staticNotation,
+        agrees: measured.notation === staticNotation,
+      };
+
+      return { analysis };
     });
   } catch (error) {
     console.error('Complexity analysis error:', error);
@@ -114,7 +239,7 @@ router.post('/explain', auth, async (req, res) => {
     const validModes = ['beginner', 'interview', 'competitive'];
     const explanationMode = validModes.includes(mode) ? mode : 'beginner';
 
-    const explanation = await explainCode(code, language, explanationMode);
+    const explanation = await explainCode(code, language, explanationMode, { userId: req.user.id });
 
     res.json({
       success: true,
@@ -130,4 +255,86 @@ router.post('/explain', auth, async (req, res) => {
   }
 });
 
+/**
+ * Run a task through the execution queue. With `async: true` in the body the
+ * client gets a job id back immediately and polls /jobs/:jobId or listens for
+ * `code-execution:status` on its socket; otherwise the request waits for the result.
+ */
+async function respondQueued(req, res, kind, task) {
+  try {
+    const { jobId, promise } = executionQueue.enqueue(req.userId, kind, task);
+
+    if (req.body.async) {
+      const { status, position } = executionQueue.getStatus(jobId);
+      return res.status(202).json({ success: true, jobId, status, position });
+    }
+
+    const body = await promise;
+    res.json({
+      success: true,
+      jobId,
+      ...body,
+    });
+  } catch (error) {
+    if (error.code !== BUSY_ERROR_CODE) {
+      throw error;
+    }
+    res.status(503).json({
+      success: false,
+      code: BUSY_ERROR_CODE,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Store a judged submission in Progress and refresh the user's practice stats
+ */
+async function recordSubmission(userId, questionId, isCorrect, timeSpent) {
+  let progress = await Progress.findOne({ userId, questionId });
+  // Records from before solvedAt existed only have isCorrect to go on
+  const wasSolved = Boolean(progress?.solvedAt || progress?.isCorrect);
+  const firstSolve = isCorrect && !wasSolved;
+
+  if (progress) {
+    progress.attempts += 1;
+    progress.timeSpent += timeSpent;
+    progress.isCorrect = isCorrect;
+    progress.status = isCorrect ? 'solved' : 'attempted';
+    progress.lastAttemptAt = Date.now();
+  } else {
+    progress = new Progress({
+      userId,
+      questionId,
+      status: isCorrect ? 'solved' : 'attempted',
+      isCorrect,
+      timeSpent,
+    });
+  }
+
+  if (firstSolve) {
+    progress.solvedAt = new Date();
+  }
+
+  await progress.save();
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return { progress, stats: null };
+  }
+
+  // Only count a question as solved the first time it is ever accepted
+  if (firstSolve) {
+    user.stats.questionsSolved += 1;
+  }
+
+  const allProgress = await Progress.find({ userId });
+  const correctCount = allProgress.filter((p) => p.isCorrect).length;
+  user.stats.accuracy = Math.round((correctCount / allProgress.length) * 100);
+
+  await user.save();
+
+  return { progress, stats: user.stats };
+}
+
 export default router;
@@ -1,30 +1,36 @@
 import express from 'express';
-import interviewEngineService from '../services/interviewEngineService.js';
+import { startInterview, submitAnswer, endInterview, INTERVIEW_ERROR_STATUS } from '../services/interviewRuntime.js';
 import ConversationalInterview from '../models/ConversationalInterview.js';
+import { authMiddleware } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Sessions started here run the runtime's `conversational` profile
+const PROFILE = 'conversational';
+
+const errorStatus = (error) => INTERVIEW_ERROR_STATUS[error.code] || 500;
+
 /**
  * POST /api/interview/conversational/start
  * Start new conversational interview
  */
-router.post('/start', async (req, res) => {
+router.post('/start', authMiddleware, async (req, res) => {
   try {
-    const { userId, interviewType, targetRole, resumeId, jobDescription } = req.body;
+    const { interviewType, targetRole, resumeId, jobDescription } = req.body;
     
-    if (!userId || !interviewType || !targetRole) {
+    if (!interviewType || !targetRole) {
       return res.status(400).json({ 
-        error: 'Missing required fields: userId, interviewType, targetRole' 
+        error: 'Missing required fields: interviewType, targetRole' 
       });
     }
     
-    const { interview, firstQuestion } = await interviewEngineService.startInterview(
-      userId,
+    const { session: interview, question: firstQuestion } = await startInterview(PROFILE, {
+      userId: req.user.id,
       interviewType,
       targetRole,
       resumeId,
-      jobDescription
-    );
+      jobDescription,
+    });
     
     res.json({
       success: true,
@@ -35,12 +41,13 @@ router.post('/start', async (req, res) => {
         type: interview.interviewType,
         targetRole: interview.targetRole,
         status: interview.status,
+        phase: interview.phase,
       },
     });
     
   } catch (error) {
     console.error('Interview start error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -48,7 +55,7 @@ router.post('/start', async (req, res) => {
  * POST /api/interview/conversational/:id/answer
  * Submit answer and get evaluation + next question
  */
-router.post('/:id/answer', async (req, res) => {
+router.post('/:id/answer', authMiddleware, async (req, res) => {
   try {
     const { answer } = req.body;
     
@@ -56,50 +63,27 @@ router.post('/:id/answer', async (req, res) => {
       return res.status(400).json({ error: 'Answer text required' });
     }
     
-    const interview = await ConversationalInterview.findById(req.params.id);
-    
-    if (!interview) {
-      return res.status(404).json({ error: 'Interview not found' });
-    }
-    
-    if (interview.status !== 'in-progress') {
-      return res.status(400).json({ error: 'Interview not in progress' });
-    }
-    
-    // Get current turn number
-    const currentTurnNumber = interview.turns.length;
+    const result = await submitAnswer(req.params.id, {
+      text: answer.text,
+      timeSpent: answer.timeSpent || 0,
+    }, { userId: req.user.id });
     
-    // Evaluate answer
-    const evaluationResult = await interview.evaluateTurn(currentTurnNumber, answer);
-    
-    // Check if follow-up needed
-    if (evaluationResult.needsFollowUp) {
-      const followUpQuestion = await interviewEngineService.generateFollowUpQuestion(
-        interview.turns[currentTurnNumber],
-        interview
-      );
-      
-      res.json({
-        success: true,
-        evaluation: evaluationResult,
-        nextQuestion: followUpQuestion,
-        isFollowUp: true,
-      });
-    } else {
-      // Generate next question
-      const nextQuestion = await interviewEngineService.generateNextQuestion(interview);
-      
-      res.json({
-        success: true,
-        evaluation: evaluationResult,
-        nextQuestion,
-        isFollowUp: false,
-      });
-    }
+    res.json({
+      success: true,
+      evaluation: result.evaluation,
+      nextQuestion: result.question || null,
+      context: result.context || null,
+      isFollowUp: result.type === 'follow_up',
+      completed: result.type === 'interview_complete',
+      ...(result.type === 'interview_complete' && {
+        finalEvaluation: result.session.finalEvaluation,
+        summary: result.summary,
+      }),
+    });
     
   } catch (error) {
     console.error('Answer submission error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -107,31 +91,20 @@ router.post('/:id/answer', async (req, res) => {
  * POST /api/interview/conversational/:id/complete
  * Complete interview and get final evaluation
  */
-router.post('/:id/complete', async (req, res) => {
+router.post('/:id/complete', authMiddleware, async (req, res) => {
   try {
-    const interview = await ConversationalInterview.findById(req.params.id);
-    
-    if (!interview) {
-      return res.status(404).json({ error: 'Interview not found' });
-    }
-    
-    // Calculate final evaluation
-    const finalEvaluation = interview.calculateFinalEvaluation();
-    
-    // Update status
-    interview.status = 'completed';
-    interview.completedAt = new Date();
-    await interview.save();
+    const { session: interview, summary } = await endInterview(req.params.id, { status: 'completed', userId: req.user.id });
     
     res.json({
       success: true,
-      finalEvaluation,
+      finalEvaluation: interview.finalEvaluation,
+      summary,
       analytics: interview.analytics,
     });
     
   } catch (error) {
     console.error('Interview completion error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -139,9 +112,9 @@ router.post('/:id/complete', async (req, res) => {
  * GET /api/interview/conversational/:id
  * Get interview details
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authMiddleware, async (req, res) => {
   try {
-    const interview = await ConversationalInterview.findById(req.params.id);
+    const interview = await ConversationalInterview.findOne({ _id: req.params.id, userId: req.user.id });
     
     if (!interview) {
       return res.status(404).json({ error: 'Interview not found' });
@@ -162,8 +135,12 @@ router.get('/:id', async (req, res) => {
  * GET /api/interview/conversational/user/:userId
  * Get all interviews for user
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authMiddleware, async (req, res) => {
   try {
+    if (req.params.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     const interviews = await ConversationalInterview.find({ userId: req.params.userId })
       .sort({ createdAt: -1 })
       .select('interviewType targetRole status finalEvaluation.scores.overall createdAt completedAt analytics');
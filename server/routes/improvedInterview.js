@@ -10,11 +10,23 @@
  */
 
 import express from 'express';
-import ImprovedInterviewOrchestrator from '../services/improvedInterviewOrchestrator.js';
+import {
+  startInterview,
+  submitAnswer,
+  endInterview,
+  getInterviewState,
+  getInterviewAnalytics,
+  INTERVIEW_ERROR_STATUS
+} from '../services/interviewRuntime.js';
 import { authMiddleware } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Sessions started here run the runtime's `dynamic` profile
+const PROFILE = 'dynamic';
+
+const errorStatus = (error, fallback = 500) => INTERVIEW_ERROR_STATUS[error.code] || fallback;
+
 /**
  * @route   POST /api/interviews/start
  * @desc    Start new interview session
@@ -22,7 +34,7 @@ const router = express.Router();
  */
 router.post('/start', authMiddleware, async (req, res) => {
   try {
-    const { resumeId, jobDescriptionId, interviewType } = req.body;
+    const { resumeId, jobDescriptionId, interviewType, rubricId } = req.body;
     
     const userId = req.userId || req.user?.id;
     
@@ -40,28 +52,27 @@ router.post('/start', authMiddleware, async (req, res) => {
       });
     }
     
-    const result = await ImprovedInterviewOrchestrator.startSession({
+    const result = await startInterview(PROFILE, {
       userId,
       resumeId,
       jobDescriptionId,
       interviewType: interviewType || 'technical',
-      socketId: null  // HTTP mode
+      rubricId
     });
     
     res.status(201).json({
       success: true,
       data: {
-        sessionId: result.sessionId,
+        sessionId: result.session._id,
         firstQuestion: result.question,
-        context: result.context,
-        metadata: result.metadata
+        context: result.context
       },
       message: 'Interview started successfully'
     });
     
   } catch (error) {
     console.error('Interview start error:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: error.message
     });
@@ -85,11 +96,10 @@ router.post('/:id/answer', authMiddleware, async (req, res) => {
       });
     }
     
-    const result = await ImprovedInterviewOrchestrator.processAnswer({
-      sessionId,
-      answer,
+    const result = await submitAnswer(sessionId, {
+      text: answer,
       timeSpent: timeSpent || 0
-    });
+    }, { userId: req.user.id });
     
     // Format response based on result type
     const response = {
@@ -103,21 +113,19 @@ router.post('/:id/answer', authMiddleware, async (req, res) => {
     if (result.type === 'interview_complete') {
       response.data.summary = result.summary;
       response.message = 'Interview completed';
-    } else if (result.type === 'follow_up') {
-      response.data.nextQuestion = result.nextQuestion;
-      response.data.context = result.context;
-      response.message = 'Follow-up question generated';
     } else {
-      response.data.nextQuestion = result.nextQuestion;
+      response.data.nextQuestion = result.question;
       response.data.context = result.context;
-      response.message = 'Answer evaluated, next question ready';
+      response.message = result.type === 'follow_up'
+        ? 'Follow-up question generated'
+        : 'Answer evaluated, next question ready';
     }
     
     res.json(response);
     
   } catch (error) {
     console.error('Answer submission error:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: error.message
     });
@@ -133,7 +141,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
   try {
     const sessionId = req.params.id;
     
-    const session = await ImprovedInterviewOrchestrator.getSession(sessionId);
+    const session = await getInterviewState(sessionId, { userId: req.user.id });
     
     res.json({
       success: true,
@@ -142,7 +150,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
     
   } catch (error) {
     console.error('Session retrieval error:', error);
-    res.status(404).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: error.message
     });
@@ -158,17 +166,21 @@ router.post('/:id/end', authMiddleware, async (req, res) => {
   try {
     const sessionId = req.params.id;
     
-    const result = await ImprovedInterviewOrchestrator.endSession(sessionId);
+    const { session, summary } = await endInterview(sessionId, { userId: req.user.id });
     
     res.json({
       success: true,
-      data: result,
+      data: {
+        sessionId: session._id,
+        status: session.status,
+        summary
+      },
       message: 'Interview ended'
     });
     
   } catch (error) {
     console.error('Interview end error:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: error.message
     });
@@ -199,7 +211,7 @@ router.get('/analytics/:userId', authMiddleware, async (req, res) => {
       });
     }
     
-    const analytics = await ImprovedInterviewOrchestrator.getAnalytics(userId, filters);
+    const analytics = await getInterviewAnalytics(userId, filters);
     
     res.json({
       success: true,
@@ -0,0 +1,167 @@
+/**
+ * INTERVIEW SESSION ROUTES
+ *
+ * Suspend and resume any runtime interview (see interviewRuntime.js), from
+ * the same browser or another one:
+ * - GET  /api/interview-sessions            - The user's in-progress and paused sessions
+ * - GET  /api/interview-sessions/:id        - State, current question, draft and clock
+ * - POST /api/interview-sessions/:id/pause  - Pause; the clock stops
+ * - POST /api/interview-sessions/:id/resume - Resume (optional deviceId)
+ * - PUT  /api/interview-sessions/:id/draft  - Save the unsubmitted answer ({ text, deviceId })
+ *
+ * Answers still go to the route the session was started from.
+ */
+
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import {
+  listResumableInterviews,
+  getInterviewState,
+  pauseInterview,
+  resumeInterview,
+  saveDraft,
+  adaptiveState,
+  interviewClock,
+  INTERVIEW_ERROR_STATUS
+} from '../services/interviewRuntime.js';
+
+const router = express.Router();
+
+const errorStatus = (error) => INTERVIEW_ERROR_STATUS[error.code] || 500;
+
+/**
+ * @route   GET /api/interview-sessions
+ * @desc    Sessions the user can resume, most recently active first
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listResumableInterviews(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Resumable interview list error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/interview-sessions/:id
+ * @desc    Session state with the current question, its draft and the clock
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const state = await getInterviewState(req.params.id, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    console.error('Interview session fetch error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/interview-sessions/:id/pause
+ * @desc    Pause the interview; paused time does not count against time limits
+ * @access  Private
+ */
+router.post('/:id/pause', authMiddleware, async (req, res) => {
+  try {
+    const session = await pauseInterview(req.params.id, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        status: session.status,
+        clock: interviewClock(session)
+      },
+      message: 'Interview paused'
+    });
+  } catch (error) {
+    console.error('Interview pause error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/interview-sessions/:id/resume
+ * @desc    Resume a paused interview, or take over a running one on this device
+ * @access  Private
+ */
+router.post('/:id/resume', authMiddleware, async (req, res) => {
+  try {
+    const { session, question, draft, clock } = await resumeInterview(req.params.id, {
+      userId: req.user.id,
+      deviceId: req.body?.deviceId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        status: session.status,
+        phase: session.phase,
+        question,
+        draft,
+        clock,
+        state: adaptiveState(session)
+      },
+      message: 'Interview resumed'
+    });
+  } catch (error) {
+    console.error('Interview resume error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/interview-sessions/:id/draft
+ * @desc    Save the answer being written to the current question
+ * @access  Private
+ */
+router.put('/:id/draft', authMiddleware, async (req, res) => {
+  try {
+    const { text, deviceId } = req.body;
+    if (typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'text is required'
+      });
+    }
+
+    const saved = await saveDraft(req.params.id, { text, deviceId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: saved
+    });
+  } catch (error) {
+    console.error('Interview draft save error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
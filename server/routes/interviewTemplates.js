@@ -0,0 +1,247 @@
+/**
+ * INTERVIEW TEMPLATE ROUTES
+ *
+ * Interview loops authored as data (see interviewTemplateService.js):
+ * - GET    /api/interview-templates            - Built-in, own and public templates
+ * - GET    /api/interview-templates/:id        - One template (id, built-in slug or own slug)
+ * - POST   /api/interview-templates            - Create
+ * - PUT    /api/interview-templates/:id        - Update (author only)
+ * - DELETE /api/interview-templates/:id        - Delete (author only)
+ * - POST   /api/interview-templates/import     - Create from JSON or YAML
+ * - GET    /api/interview-templates/:id/export - Download as JSON or YAML
+ * - POST   /api/interview-templates/:id/start  - Start an interview from the template
+ *
+ * Sessions started here are answered through /api/interview/conversational/:id/answer.
+ */
+
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  importTemplate,
+  exportTemplate,
+  describeTemplate,
+  TEMPLATE_ERROR_STATUS
+} from '../services/interviewTemplateService.js';
+import { startFromTemplate, INTERVIEW_ERROR_STATUS } from '../services/interviewRuntime.js';
+
+const router = express.Router();
+
+const errorStatus = (error) => TEMPLATE_ERROR_STATUS[error.code] || INTERVIEW_ERROR_STATUS[error.code] || 500;
+
+// YAML (or JSON) posted as the raw request body
+const rawTemplateBody = express.text({
+  type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'],
+  limit: '1mb'
+});
+
+/**
+ * @route   GET /api/interview-templates
+ * @desc    List templates the user can run (filters: company, tag)
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const templates = await listTemplates(req.user.id, {
+      company: req.query.company,
+      tag: req.query.tag
+    });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Template list error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/interview-templates/import
+ * @desc    Create a template from JSON or YAML: a raw YAML / JSON body, or
+ *          { content, format } where format is 'json' or 'yaml'
+ * @access  Private
+ */
+router.post('/import', authMiddleware, rawTemplateBody, async (req, res) => {
+  try {
+    const raw = typeof req.body === 'string';
+    const content = raw ? req.body : req.body?.content;
+    const format = raw ? req.query.format : req.body?.format;
+
+    const template = await importTemplate(req.user.id, content, format);
+
+    res.status(201).json({
+      success: true,
+      data: describeTemplate(template),
+      message: 'Template imported'
+    });
+  } catch (error) {
+    console.error('Template import error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/interview-templates/:id
+ * @desc    Get one template
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: describeTemplate(template)
+    });
+  } catch (error) {
+    console.error('Template fetch error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/interview-templates/:id/export
+ * @desc    Download a template (?format=json|yaml, default json)
+ * @access  Private
+ */
+router.get('/:id/export', authMiddleware, async (req, res) => {
+  try {
+    const format = req.query.format === 'yaml' || req.query.format === 'yml' ? 'yaml' : 'json';
+    const { filename, contentType, body } = await exportTemplate(req.params.id, req.user.id, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Template export error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/interview-templates
+ * @desc    Create a template
+ * @access  Private
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const template = await createTemplate(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: describeTemplate(template),
+      message: 'Template created'
+    });
+  } catch (error) {
+    console.error('Template create error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/interview-templates/:id
+ * @desc    Update a template; running sessions keep the version they started with
+ * @access  Private (author)
+ */
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    const template = await updateTemplate(req.params.id, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      data: describeTemplate(template),
+      message: 'Template updated'
+    });
+  } catch (error) {
+    console.error('Template update error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/interview-templates/:id
+ * @desc    Delete a template
+ * @access  Private (author)
+ */
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    await deleteTemplate(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    console.error('Template delete error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/interview-templates/:id/start
+ * @desc    Start an interview that runs the template's rounds
+ *          (optional: targetRole, resumeId, jobDescriptionId, jobDescription, rubricId)
+ * @access  Private
+ */
+router.post('/:id/start', authMiddleware, async (req, res) => {
+  try {
+    const { targetRole, resumeId, jobDescriptionId, jobDescription, rubricId } = req.body;
+
+    const { session, question, context } = await startFromTemplate(req.params.id, {
+      userId: req.user.id,
+      targetRole,
+      resumeId,
+      jobDescriptionId,
+      jobDescription,
+      rubricId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        interviewId: session._id,
+        templateId: session.templateId,
+        firstQuestion: question,
+        context,
+        rounds: session.config.template.rounds.map(({ name, type, questionCount, timeLimitMinutes }) =>
+          ({ name, type, questionCount, timeLimitMinutes }))
+      },
+      message: 'Interview started'
+    });
+  } catch (error) {
+    console.error('Template interview start error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,10 +1,54 @@
 import express from 'express';
 import Interview from '../models/Interview.js';
 import auth from '../middleware/auth.js';
-import { createChatCompletion } from '../services/groqService.js';
+import { createStructuredCompletion } from '../services/structuredOutput.js';
+import { BUDGET_ERROR_CODE } from '../services/aiUsageService.js';
+import { getRubric, rubricSnapshot, scoreByHand, RUBRIC_ERROR_STATUS } from '../services/rubricService.js';
 
 const router = express.Router();
 
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const QUESTIONS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['questionText'],
+    properties: {
+      questionText: { type: 'string', minLength: 10 },
+      questionType: { type: 'string', enum: ['behavioral', 'technical', 'system-design', 'coding'] },
+      timeLimit: { type: 'number', minimum: 30, maximum: 600 },
+    },
+  },
+};
+
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  required: ['overallScore', 'overallFeedback', 'perQuestion'],
+  properties: {
+    overallScore: { type: 'number', minimum: 0, maximum: 100 },
+    overallFeedback: { type: 'string' },
+    perQuestion: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['score', 'feedback'],
+        properties: {
+          score: { type: 'number', minimum: 0, maximum: 10 },
+          feedback: { type: 'string' },
+          strengths: stringList,
+          improvements: stringList,
+        },
+      },
+    },
+    strengths: stringList,
+    improvements: stringList,
+    readinessScore: { type: 'number', minimum: 0, maximum: 100 },
+    explanation: { type: 'string' },
+  },
+};
+
 // @route   GET /api/interviews
 // @desc    Get all interviews for user
 // @access  Private
@@ -168,11 +212,14 @@ router.post('/:id/recording', auth, async (req, res) => {
 });
 
 // @route   PUT /api/interviews/:id/rubric
-// @desc    Update rubric scores (interviewer evaluation)
+// @desc    Update rubric scores (interviewer evaluation). Body: rubricId (default:
+//          the built-in `interviewer` scorecard), scores ({ key: 0-10 } or
+//          [{ key, score, notes }]; `rubricScores` is accepted too), overallFeedback,
+//          readinessScore (defaults to the rubric's weighted score)
 // @access  Private
 router.put('/:id/rubric', auth, async (req, res) => {
   try {
-    const { rubricScores, overallFeedback, readinessScore } = req.body;
+    const { rubricId = 'interviewer', scores, rubricScores, overallFeedback, readinessScore } = req.body;
 
     const interview = await Interview.findById(req.params.id);
 
@@ -180,14 +227,22 @@ router.put('/:id/rubric', auth, async (req, res) => {
       return res.status(404).json({ message: 'Interview not found' });
     }
 
-    interview.rubricScores = rubricScores;
+    const rubric = rubricSnapshot(await getRubric(rubricId, req.user.id));
+    const scored = scoreByHand(scores || rubricScores, rubric);
+
+    interview.rubric = { id: rubric.id, name: rubric.name, version: rubric.version };
+    interview.rubricScores = scored.dimensions.map(({ key, name, score, level, notes }) => ({ key, name, score, level, notes }));
     interview.overallFeedback = overallFeedback;
-    interview.readinessScore = readinessScore;
+    interview.readinessScore = readinessScore ?? scored.overall;
 
     await interview.save();
 
     res.json(interview);
   } catch (error) {
+    const status = RUBRIC_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -238,7 +293,7 @@ router.get('/:id/questions', auth, async (req, res) => {
     };
     const focus = focusMap[interview.type] || 'general software engineering';
 
-    const response = await createChatCompletion([
+    const { data: generated } = await createStructuredCompletion('interview', [
       {
         role: 'system',
         content: 'You are a senior technical interviewer. Respond only with valid JSON, no explanation.',
@@ -251,13 +306,9 @@ Return ONLY a JSON array of 8 objects:
 questionType must be one of: behavioral, technical, system-design, coding
 timeLimit in seconds (90-180). Mix of easy/medium/hard.`,
       },
-    ], { temperature: 0.7, max_tokens: 2000 });
+    ], { schema: QUESTIONS_SCHEMA, temperature: 0.7, max_tokens: 2000, userId: req.user.id });
 
-    const jsonMatch = response.content.match(/\[[\s\S]*?\]/);
-    if (!jsonMatch) throw new Error('AI returned invalid format');
-
-    const parsed = JSON.parse(jsonMatch[0]);
-    interview.questions = parsed.map((q) => ({
+    interview.questions = generated.map((q) => ({
       questionText: q.questionText,
       questionType: q.questionType || 'technical',
       timeLimit: q.timeLimit || 120,
@@ -267,6 +318,9 @@ timeLimit in seconds (90-180). Mix of easy/medium/hard.`,
 
     res.json({ questions: interview.questions });
   } catch (error) {
+    if (error.code === BUDGET_ERROR_CODE) {
+      return res.status(429).json({ message: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Questions generation error:', error);
     res.status(500).json({ message: 'Failed to generate questions', error: error.message });
   }
@@ -307,7 +361,7 @@ router.post('/:id/evaluate', auth, async (req, res) => {
         .map((a, i) => `Q${i + 1}: ${a.question}\nAnswer: ${a.skipped ? '[SKIPPED]' : (a.answer?.trim() || '[empty]')}`)
         .join('\n\n');
 
-      const response = await createChatCompletion([
+      const { data } = await createStructuredCompletion('interviewEvaluation', [
         {
           role: 'system',
           content: `You are an expert ${interview.type} interviewer. Evaluate answers and respond ONLY with valid JSON.`,
@@ -318,14 +372,11 @@ router.post('/:id/evaluate', auth, async (req, res) => {
 {"overallScore":<0-100>,"overallFeedback":"<2-3 sentences>","perQuestion":[{"score":<0-10>,"feedback":"<specific>","strengths":["..."],"improvements":["..."]}],"strengths":["..."],"improvements":["..."],"readinessScore":<0-100>,"explanation":"<why this score>"}
 perQuestion array must have exactly ${answers.length} items matching each question in order.`,
         },
-      ], { temperature: 0.4, max_tokens: 3000 });
-
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) throw new Error('AI returned invalid evaluation format');
-      evaluation = JSON.parse(jsonMatch[0]);
+      ], { schema: EVALUATION_SCHEMA, temperature: 0.4, max_tokens: 3000, userId: req.user.id });
+      evaluation = data;
 
       // Ensure perQuestion array matches answers length
-      if (!Array.isArray(evaluation.perQuestion) || evaluation.perQuestion.length !== answers.length) {
+      if (evaluation.perQuestion.length !== answers.length) {
         evaluation.perQuestion = answers.map((a) =>
           a.skipped
             ? { score: 0, feedback: 'Skipped', strengths: [], improvements: ['Attempt this question next time'] }
@@ -344,6 +395,9 @@ perQuestion array must have exactly ${answers.length} items matching each questi
 
     res.json(evaluation);
   } catch (error) {
+    if (error.code === BUDGET_ERROR_CODE) {
+      return res.status(429).json({ message: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Evaluation error:', error);
     res.status(500).json({ message: 'Failed to evaluate answers', error: error.message });
   }
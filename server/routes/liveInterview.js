@@ -1,36 +1,110 @@
 import express from 'express';
-import InterviewOrchestrator from '../services/interviewOrchestrator.js';
+import {
+  startInterview,
+  submitAnswer,
+  adaptiveState,
+  INTERVIEW_ERROR_STATUS
+} from '../services/interviewRuntime.js';
 import InterviewProgress from '../models/InterviewProgress.js';
 import SkillGap from '../models/SkillGap.js';
 import ConversationalInterview from '../models/ConversationalInterview.js';
 import InterviewReport from '../models/InterviewReport.js';
 import User from '../models/User.js';
 import ReportService from '../services/reportService.js';
+import { authMiddleware } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * Real-Time Interview Routes
  * Dynamic, adaptive interviews with NO hard-coded logic
+ * Sessions run the runtime's `adaptive` profile (interviewRuntime.js)
  */
 
+const PROFILE = 'adaptive';
+
+const errorStatus = (error) => INTERVIEW_ERROR_STATUS[error.code] || 500;
+
+/**
+ * Start an adaptive session; the response shape /live/start has always had
+ */
+async function startAdaptiveSession(params) {
+  const { session, question, context } = await startInterview(PROFILE, params);
+  return {
+    sessionId: session._id,
+    question: question.text,
+    questionId: question.questionId,
+    phase: session.phase,
+    context: {
+      ...context,
+      candidateSkills: session.interviewContext.candidateSkills,
+      requiredSkills: session.interviewContext.requiredSkills,
+      preferredSkills: session.interviewContext.preferredSkills,
+      identifiedGaps: session.interviewContext.identifiedGaps.map((gap) => gap.skill),
+    },
+    state: adaptiveState(session),
+  };
+}
+
+/**
+ * Submit an answer; the response shape /live/:sessionId/answer has always had
+ */
+async function submitAdaptiveAnswer(sessionId, answer, timeSpent, userId) {
+  const result = await submitAnswer(sessionId, { text: answer, timeSpent }, { userId });
+  const evaluation = {
+    score: result.evaluation.turnScore,
+    feedback: result.evaluation.feedback,
+    metrics: {
+      clarity: result.evaluation.clarity,
+      relevance: result.evaluation.relevance,
+      depth: result.evaluation.depth,
+      structure: result.evaluation.structure,
+      technicalAccuracy: result.evaluation.technicalAccuracy,
+    },
+  };
+
+  if (result.type === 'interview_complete') {
+    const { session } = result;
+    return {
+      sessionComplete: true,
+      shouldContinue: false,
+      evaluation,
+      finalEvaluation: session.finalEvaluation,
+      summary: result.summary,
+      totalTurns: session.turns.length,
+      duration: Math.round((session.completedAt - session.startedAt) / 1000 / 60), // minutes
+    };
+  }
+
+  return {
+    evaluation,
+    nextQuestion: {
+      question: result.question.text,
+      questionId: result.question.questionId,
+      isFollowUp: result.question.isFollowUp,
+    },
+    sessionState: adaptiveState(result.session),
+    shouldContinue: true,
+  };
+}
+
 /**
  * POST /api/interview/live/start
  * Start a new adaptive interview session
  */
-router.post('/live/start', async (req, res) => {
+router.post('/live/start', authMiddleware, async (req, res) => {
   try {
-    const { userId, resumeId, jobDescriptionId, interviewType } = req.body;
+    const { resumeId, jobDescriptionId, interviewType } = req.body;
     
-    if (!userId || !resumeId) {
+    if (!resumeId) {
       return res.status(400).json({
         success: false,
-        error: 'userId and resumeId are required',
+        error: 'resumeId is required',
       });
     }
     
-    const sessionData = await InterviewOrchestrator.startSession({
-      userId,
+    const sessionData = await startAdaptiveSession({
+      userId: req.user.id,
       resumeId,
       jobDescriptionId,
       interviewType: interviewType || 'technical',
@@ -42,7 +116,7 @@ router.post('/live/start', async (req, res) => {
     });
   } catch (error) {
     console.error('Error starting interview:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: error.message,
     });
@@ -53,7 +127,7 @@ router.post('/live/start', async (req, res) => {
  * POST /api/interview/live/:sessionId/answer
  * Submit answer and get adaptive next question
  */
-router.post('/live/:sessionId/answer', async (req, res) => {
+router.post('/live/:sessionId/answer', authMiddleware, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { answer, timeSpent } = req.body;
@@ -65,11 +139,7 @@ router.post('/live/:sessionId/answer', async (req, res) => {
       });
     }
     
-    const result = await InterviewOrchestrator.processAnswer(
-      sessionId,
-      answer,
-      timeSpent || 0
-    );
+    const result = await submitAdaptiveAnswer(sessionId, answer, timeSpent || 0, req.user.id);
     
     res.json({
       success: true,
@@ -77,7 +147,7 @@ router.post('/live/:sessionId/answer', async (req, res) => {
     });
   } catch (error) {
     console.error('Error processing answer:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: error.message,
     });
@@ -88,11 +158,11 @@ router.post('/live/:sessionId/answer', async (req, res) => {
  * GET /api/interview/live/:sessionId/status
  * Get current interview state
  */
-router.get('/live/:sessionId/status', async (req, res) => {
+router.get('/live/:sessionId/status', authMiddleware, async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const session = await ConversationalInterview.findById(sessionId);
+    const session = await ConversationalInterview.findOne({ _id: sessionId, userId: req.user.id });
     
     if (!session) {
       return res.status(404).json({
@@ -106,13 +176,7 @@ router.get('/live/:sessionId/status', async (req, res) => {
       data: {
         sessionId: session._id,
         status: session.status,
-        currentTurn: session.state.currentTurn,
-        topicsCovered: session.state.topicsCovered,
-        skillsProbed: session.state.skillsProbed,
-        difficultyLevel: session.state.difficultyLevel,
-        confidenceEstimate: session.state.confidenceEstimate,
-        strugglingAreas: session.state.strugglingAreas,
-        strongAreas: session.state.strongAreas,
+        ...adaptiveState(session),
       },
     });
   } catch (error) {
@@ -128,11 +192,11 @@ router.get('/live/:sessionId/status', async (req, res) => {
  * GET /api/interview/live/:sessionId/transcript
  * Get full interview transcript
  */
-router.get('/live/:sessionId/transcript', async (req, res) => {
+router.get('/live/:sessionId/transcript', authMiddleware, async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const session = await ConversationalInterview.findById(sessionId);
+    const session = await ConversationalInterview.findOne({ _id: sessionId, userId: req.user.id });
     
     if (!session) {
       return res.status(404).json({
@@ -144,9 +208,9 @@ router.get('/live/:sessionId/transcript', async (req, res) => {
     const transcript = session.turns.map((turn, index) => ({
       turnNumber: index + 1,
       question: turn.question,
-      answer: turn.answer || null,
-      evaluation: turn.evaluation ? {
-        score: turn.evaluation.overallScore,
+      answer: turn.answer?.text ? turn.answer : null,
+      evaluation: turn.evaluation?.turnScore != null ? {
+        score: turn.evaluation.turnScore,
         feedback: turn.evaluation.feedback,
       } : null,
       askedAt: turn.askedAt,
@@ -339,7 +403,7 @@ router.get('/sessions/:userId', async (req, res) => {
     const sessions = await ConversationalInterview.find(query)
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
-      .select('_id interviewType status createdAt completedAt finalEvaluation state.currentTurn');
+      .select('_id interviewType profile status phase createdAt completedAt finalEvaluation analytics.totalTurns');
     
     res.json({
       success: true,
@@ -357,25 +421,25 @@ router.get('/sessions/:userId', async (req, res) => {
 /**
  * POST /api/interview/start
  * Unified session-start endpoint (alias for /live/start).
- * Accepts: userId, resumeId, jobDescription (object or raw text), interviewType, targetRole
+ * Accepts: resumeId, jobDescription (object or raw text), interviewType, targetRole
  * Returns: sessionId, firstQuestion, context, metadata
  */
-router.post('/start', async (req, res) => {
+router.post('/start', authMiddleware, async (req, res) => {
   try {
-    const { userId, resumeId, jobDescriptionId, jobDescription, interviewType, targetRole } = req.body;
+    const { resumeId, jobDescriptionId, jobDescription, interviewType, targetRole } = req.body;
 
-    if (!userId || !resumeId) {
+    if (!resumeId) {
       return res.status(400).json({
         success: false,
-        error: 'userId and resumeId are required',
+        error: 'resumeId is required',
       });
     }
 
-    const sessionData = await InterviewOrchestrator.startSession({
-      userId,
+    const sessionData = await startAdaptiveSession({
+      userId: req.user.id,
       resumeId,
       jobDescriptionId: jobDescriptionId || null,
-      jobDescription: jobDescription || null,
+      jobDescription: typeof jobDescription === 'object' ? jobDescription : undefined,
       interviewType: interviewType || 'technical',
       targetRole: targetRole || 'Software Engineer',
     });
@@ -386,7 +450,7 @@ router.post('/start', async (req, res) => {
     });
   } catch (error) {
     console.error('[POST /interview/start] Error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
   }
 });
 
@@ -394,23 +458,18 @@ router.post('/start', async (req, res) => {
  * GET /api/interview/:sessionId/report
  * Fetch (or generate then fetch) the full report for a completed session.
  * If a report already exists it is returned immediately; otherwise it is generated.
+ * Only the session's owner can read or generate it.
  */
-router.get('/:sessionId/report', async (req, res) => {
+router.get('/:sessionId/report', authMiddleware, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const userId = req.query.userId;        // optional; used for ownership check
+    const userId = req.user.id;
 
     // Check for an existing report first
-    let report = await InterviewReport.findOne({ sessionId });
+    let report = await InterviewReport.findOne({ sessionId, userId });
 
     if (!report) {
-      // Attempt to generate one on-the-fly
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'Report not found; provide userId query param to generate it',
-        });
-      }
+      // Attempt to generate one on-the-fly (generateReport checks ownership)
       report = await ReportService.generateReport(sessionId, userId);
     }
 
@@ -418,8 +477,8 @@ router.get('/:sessionId/report', async (req, res) => {
   } catch (error) {
     console.error('[GET /interview/:id/report] Error:', error);
 
-    if (error.message?.includes('not found')) {
-      return res.status(404).json({ success: false, error: error.message });
+    if (error.message?.includes('not found') || error.message?.startsWith('Access denied')) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
     }
     res.status(500).json({ success: false, error: error.message });
   }
@@ -429,9 +488,12 @@ router.get('/:sessionId/report', async (req, res) => {
  * GET /api/interview/history/:userId
  * Return the interview history array from the User document.
  */
-router.get('/history/:userId', async (req, res) => {
+router.get('/history/:userId', authMiddleware, async (req, res) => {
   try {
     const { userId } = req.params;
+    if (userId !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
     const user = await User.findById(userId).select('interviewHistory').lean();
 
     if (!user) {
@@ -14,6 +14,7 @@ import {
   evaluateAnswer,
   generateFollowUp,
   adaptDifficulty,
+  estimateAbility,
   generateSessionReport,
 } from '../services/mockInterviewAIService.js';
 
@@ -44,6 +45,7 @@ router.post('/:id/ai/question', authenticate, async (req, res) => {
       resumeText,
       jobDescription,
       skillGaps,
+      userId: req.user._id || req.user.id,
     });
 
     res.json({ success: true, data: question });
@@ -68,6 +70,7 @@ router.post('/:id/ai/coding-problem', authenticate, async (req, res) => {
       targetRole: session.topics?.[0] || 'Software Engineer',
       difficulty,
       topics,
+      userId: req.user._id || req.user.id,
     });
 
     res.json({ success: true, data: problem });
@@ -85,11 +88,13 @@ router.post('/:id/ai/evaluate', authenticate, async (req, res) => {
   try {
     const { questionText, questionType, answerText, expectedTopics = [], generateFollowUpQ = true } = req.body;
 
-    const evaluation = await evaluateAnswer({ questionText, questionType, answerText, expectedTopics });
+    const userId = req.user._id || req.user.id;
+
+    const evaluation = await evaluateAnswer({ questionText, questionType, answerText, expectedTopics, userId });
 
     let followUpQuestion = null;
     if (generateFollowUpQ) {
-      followUpQuestion = await generateFollowUp(questionText, answerText, evaluation);
+      followUpQuestion = await generateFollowUp(questionText, answerText, evaluation, { userId });
     }
 
     res.json({ success: true, data: { evaluation, followUpQuestion } });
@@ -100,14 +105,16 @@ router.post('/:id/ai/evaluate', authenticate, async (req, res) => {
 });
 
 /* ─────────────────────────────────────────────────────────────
-   AI: Get next difficulty
+   AI: Get next difficulty and the ability estimate
    POST /api/mock-interviews/ai/difficulty
+   recentScores: scores (0-100) or { score, difficulty }
 ───────────────────────────────────────────────────────────── */
 router.post('/ai/difficulty', authenticate, async (req, res) => {
   try {
     const { recentScores = [], currentDifficulty = 'medium' } = req.body;
     const nextDifficulty = adaptDifficulty(recentScores, currentDifficulty);
-    res.json({ success: true, data: { nextDifficulty } });
+    const ability = estimateAbility(recentScores, currentDifficulty);
+    res.json({ success: true, data: { nextDifficulty, ability } });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -124,7 +131,9 @@ router.post('/:id/report/generate', authenticate, async (req, res) => {
 
     const { turns = [], codingProblems = [], durationSeconds = 0 } = req.body;
 
-    const reportData = await generateSessionReport(session.toObject(), turns, codingProblems, durationSeconds);
+    const reportData = await generateSessionReport(session.toObject(), turns, codingProblems, durationSeconds, {
+      userId: req.user._id || req.user.id,
+    });
 
     // Upsert (generate once, retrieve after)
     let report = await MockInterviewReport.findOne({ mockInterviewId: req.params.id });
@@ -15,7 +15,7 @@ router.get('/', authMiddleware, async (req, res) => {
     if (type) filter.type = type;
 
     const questions = await Question.find(filter);
-    res.json(questions);
+    res.json(questions.map((question) => question.toCandidateView()));
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch questions', error: error.message });
   }
@@ -28,7 +28,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
     if (!question) {
       return res.status(404).json({ message: 'Question not found' });
     }
-    res.json(question);
+    res.json(question.toCandidateView());
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch question', error: error.message });
   }
@@ -42,7 +42,7 @@ router.get('/random/:difficulty', authMiddleware, async (req, res) => {
     const random = Math.floor(Math.random() * count);
     const question = await Question.findOne({ difficulty }).skip(random);
 
-    res.json(question);
+    res.json(question ? question.toCandidateView() : null);
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch random question', error: error.message });
   }
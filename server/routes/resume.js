@@ -170,7 +170,7 @@ router.post('/ai/enhance-bullet', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Bullet point is required' });
     }
     
-    const result = await enhanceBulletPoint(bulletPoint, context);
+    const result = await enhanceBulletPoint(bulletPoint, context, { userId: req.user.id });
     
     res.json(result);
   } catch (error) {
@@ -184,7 +184,7 @@ router.post('/ai/generate-summary', authMiddleware, async (req, res) => {
   try {
     const { profile } = req.body;
     
-    const result = await generateSummary(profile);
+    const result = await generateSummary(profile, { userId: req.user.id });
     
     res.json(result);
   } catch (error) {
@@ -218,7 +218,7 @@ router.post('/:id/optimize', authMiddleware, async (req, res) => {
     resume.extractKeywords(jobDescription);
     
     // Get AI suggestions
-    const optimization = await optimizeForJob(resume.toObject(), jobDescription);
+    const optimization = await optimizeForJob(resume.toObject(), jobDescription, { userId });
     
     await resume.save();
     
@@ -244,7 +244,7 @@ router.post('/ai/generate-project', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Project name is required' });
     }
     
-    const result = await generateProjectDescription(projectName, technologies);
+    const result = await generateProjectDescription(projectName, technologies, { userId: req.user.id });
     
     res.json(result);
   } catch (error) {
@@ -262,7 +262,7 @@ router.post('/ai/extract-skills', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Job description is required' });
     }
     
-    const result = await extractSkillsFromJob(jobDescription);
+    const result = await extractSkillsFromJob(jobDescription, { userId: req.user.id });
     
     res.json(result);
   } catch (error) {
@@ -280,7 +280,7 @@ router.post('/ai/enhance-bullets', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Bullet points array is required' });
     }
     
-    const results = await enhanceBulletPoints(bulletPoints, context);
+    const results = await enhanceBulletPoints(bulletPoints, context, { userId: req.user.id });
     
     res.json({ results });
   } catch (error) {
@@ -19,6 +19,10 @@ import {
 } from '../utils/validation.js';
 import ResumeAnalysis from '../models/ResumeAnalysis.js';
 import * as groqService from '../services/groqService.js';
+import resumeParserService from '../services/resumeParserService.js';
+import { createChatCompletion } from '../services/llmGateway.js';
+import { createStructuredCompletion } from '../services/structuredOutput.js';
+import { wantsEventStream, openEventStream, sendResult } from '../utils/sse.js';
 
 const router = express.Router();
 
@@ -83,12 +87,31 @@ function getEmptyResumeStructure() {
   };
 }
 
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const SKILL_GAP_SCHEMA = {
+  type: 'object',
+  required: ['matchScore', 'summary', 'matchingSkills', 'missingSkills'],
+  properties: {
+    matchScore: { type: 'number', minimum: 0, maximum: 100 },
+    summary: { type: 'string' },
+    matchingSkills: stringList,
+    missingSkills: stringList,
+    experienceMatch: { type: 'string' },
+    strengthAreas: stringList,
+    improvementAreas: stringList,
+    recommendations: stringList,
+  },
+};
+
 /**
  * Analyze skill gap between resume and job description using AI
+ * A reply that never matches SKILL_GAP_SCHEMA gets the degraded result; the
+ * resume's contact details are passed as `pii` so its name is redacted too
  */
-async function analyzeSkillGap(resumeText, jobDescription) {
+async function analyzeSkillGap(resumeText, jobDescription, userId) {
   try {
-    const response = await groqService.createChatCompletion([
+    const response = await createStructuredCompletion('skillGap', [
       {
         role: 'system',
         content: 'You are an expert resume and job matching analyst. Respond ONLY with valid JSON.',
@@ -115,23 +138,17 @@ Return ONLY a JSON object:
   "recommendations": ["rec1", "rec2", "rec3"]
 }`,
       },
-    ], { temperature: 0.4, max_tokens: 1500 });
-
-    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-    const data = jsonMatch ? JSON.parse(jsonMatch[0]) : {
-      matchScore: 50,
-      summary: 'Analysis completed.',
-      matchingSkills: [],
-      missingSkills: [],
-      experienceMatch: 'Unable to assess',
-      strengthAreas: [],
-      improvementAreas: [],
-      recommendations: [],
-    };
+    ], {
+      schema: SKILL_GAP_SCHEMA,
+      temperature: 0.4,
+      max_tokens: 1500,
+      userId,
+      pii: resumeParserService.extractContact(resumeText),
+    });
 
     return {
-      data,
-      metadata: { provider: 'groq', model: 'llama-3.3-70b-versatile' },
+      data: response.data,
+      metadata: response.metadata,
     };
   } catch (error) {
     console.error('Skill gap analysis error:', error.message);
@@ -227,7 +244,7 @@ router.post('/process-resume', uploadLimiter, upload.single('file'), async (req,
  * POST /analyze
  * Analyze resume with optional job description
  */
-router.post('/analyze', aiLimiter, async (req, res) => {
+router.post('/analyze', authMiddleware, aiLimiter, async (req, res) => {
   try {
     let { resumeText, jobDescription, withJobDescription, temperature, maxTokens } = req.body;
 
@@ -279,7 +296,7 @@ router.post('/analyze', aiLimiter, async (req, res) => {
     if (withJobDescription && jobDescription) {
       console.log('🎯 Using comprehensive skill gap analysis...');
       
-      const skillGapResult = await analyzeSkillGap(resumeText, jobDescription);
+      const skillGapResult = await analyzeSkillGap(resumeText, jobDescription, req.user.id);
       
       console.log('✅ Skill gap analysis complete');
       
@@ -296,7 +313,7 @@ router.post('/analyze', aiLimiter, async (req, res) => {
       const result = await groqService.analyzeResume(
         resumeText,
         '',
-        { temperature, maxTokens }
+        { temperature, maxTokens, userId: req.user.id }
       );
 
       console.log('✅ Analysis complete');
@@ -349,7 +366,7 @@ The resume contains ${resumeText.length} characters of content.
  * POST /rephrase
  * Rephrase text with professional improvements
  */
-router.post('/rephrase', aiLimiter, async (req, res) => {
+router.post('/rephrase', authMiddleware, aiLimiter, async (req, res) => {
   try {
     const { text, temperature, maxTokens } = req.body;
 
@@ -377,7 +394,7 @@ router.post('/rephrase', aiLimiter, async (req, res) => {
     console.log('✍️ Rephrasing text...', { length: text.length });
 
     // Call AI service
-    const result = await groqService.rephraseText(text, { temperature, maxTokens });
+    const result = await groqService.rephraseText(text, { temperature, maxTokens, userId: req.user.id });
 
     // Split into bullet points
     const bullets = result.rephrased
@@ -411,8 +428,11 @@ router.post('/rephrase', aiLimiter, async (req, res) => {
 /**
  * POST /cover-letter
  * Generate cover letter from resume and job description
+ * With Accept: text/event-stream the letter streams as `token` / `reset`
+ * events, followed by `done` or `error` carrying the usual JSON body
  */
-router.post('/cover-letter', aiLimiter, async (req, res) => {
+router.post('/cover-letter', authMiddleware, aiLimiter, async (req, res) => {
+  let stream = null;
   try {
     const { resumeText, jobDescription, temperature, maxTokens } = req.body;
 
@@ -428,15 +448,22 @@ router.post('/cover-letter', aiLimiter, async (req, res) => {
       jdLength: jobDescription.length
     });
 
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+    }
+
     // Call AI service
     const result = await groqService.generateCoverLetter(resumeText, jobDescription, {
       temperature,
-      maxTokens
+      maxTokens,
+      onEvent: stream?.send,
+      signal: stream?.signal,
+      userId: req.user.id
     });
 
     console.log('✅ Cover letter generated');
 
-    res.json({
+    sendResult(res, stream, 200, {
       success: true,
       data: result.coverLetter,
       metadata: result.metadata
@@ -446,7 +473,7 @@ router.post('/cover-letter', aiLimiter, async (req, res) => {
     console.error('❌ Cover letter error:', error.message);
     
     // Return safe fallback
-    res.status(200).json({
+    sendResult(res, stream, 200, {
       success: false,
       message: 'Cover letter generation temporarily unavailable',
       error: error.message,
@@ -460,7 +487,7 @@ router.post('/cover-letter', aiLimiter, async (req, res) => {
  * POST /interview-questions
  * Generate interview questions and answers
  */
-router.post('/interview-questions', aiLimiter, async (req, res) => {
+router.post('/interview-questions', authMiddleware, aiLimiter, async (req, res) => {
   try {
     const { resumeText, jobDescription, temperature, maxTokens } = req.body;
 
@@ -479,7 +506,8 @@ router.post('/interview-questions', aiLimiter, async (req, res) => {
     // Call AI service
     const result = await groqService.generateInterviewQA(resumeText, jobDescription, {
       temperature,
-      maxTokens
+      maxTokens,
+      userId: req.user.id
     });
 
     console.log('✅ Interview Q&A generated');
@@ -507,7 +535,7 @@ router.post('/interview-questions', aiLimiter, async (req, res) => {
  * POST /auto-fill-jd
  * Auto-fill job description from URL
  */
-router.post('/auto-fill-jd', aiLimiter, async (req, res) => {
+router.post('/auto-fill-jd', authMiddleware, aiLimiter, async (req, res) => {
   try {
     const { url } = req.body;
 
@@ -588,7 +616,7 @@ router.post('/auto-fill-jd', aiLimiter, async (req, res) => {
     }
 
     // Use AI to clean and format
-    const result = await groqService.createChatCompletion([
+    const result = await createChatCompletion('resumeGenome', [
       {
         role: 'system',
         content: 'You are an expert at extracting job descriptions. Extract and format the job posting including title, responsibilities, requirements, and qualifications.'
@@ -599,7 +627,8 @@ router.post('/auto-fill-jd', aiLimiter, async (req, res) => {
       }
     ], {
       temperature: 0.3,
-      max_tokens: 2000
+      max_tokens: 2000,
+      userId: req.user.id
     });
 
     console.log('✅ Job description extracted');
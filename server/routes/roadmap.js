@@ -7,14 +7,20 @@ import {
   refineRoadmap,
   generateNextSteps,
 } from '../services/aiRoadmapService.js';
+import { wantsEventStream, openEventStream, sendResult } from '../utils/sse.js';
+import { BUDGET_ERROR_CODE } from '../services/aiUsageService.js';
+import { INVALID_OUTPUT_CODE } from '../services/structuredOutput.js';
 
 const router = express.Router();
 
 /**
  * POST /api/roadmap/generate
  * Generate a new AI-powered roadmap
+ * With Accept: text/event-stream the model output streams as `token` / `reset`
+ * events, followed by `done` with the saved roadmap or `error`
  */
 router.post('/generate', authMiddleware, async (req, res) => {
+  let stream = null;
   try {
     const { goal, currentLevel, targetRole, timeframe, skills, preferredTopics, jobDescription } = req.body;
     const userId = req.user?.uid;
@@ -34,6 +40,10 @@ router.post('/generate', authMiddleware, async (req, res) => {
     console.log('   Level:', currentLevel);
     console.log('   Timeframe:', timeframe);
 
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+    }
+
     // Generate roadmap using AI with multi-provider support
     const result = await generateAIRoadmap({
       goal,
@@ -43,11 +53,15 @@ router.post('/generate', authMiddleware, async (req, res) => {
       skills: skills || [],
       preferredTopics: preferredTopics || [],
       jobDescription: jobDescription || '',
+    }, {
+      onEvent: stream?.send,
+      signal: stream?.signal,
+      userId,
     });
 
     if (!result.success) {
       console.error('❌ Roadmap generation failed:', result.error);
-      return res.status(500).json({ 
+      return sendResult(res, stream, 500, {
         success: false,
         error: result.error || 'Failed to generate roadmap'
       });
@@ -92,15 +106,23 @@ router.post('/generate', authMiddleware, async (req, res) => {
 
     console.log('✅ Roadmap saved successfully:', roadmap._id);
 
-    res.status(201).json({
+    sendResult(res, stream, 201, {
       success: true,
       roadmap,
       metadata: result.metadata,
     });
   } catch (error) {
+    if (error.code === BUDGET_ERROR_CODE) {
+      return sendResult(res, stream, 429, {
+        success: false,
+        code: error.code,
+        error: error.message,
+        budget: error.budget
+      });
+    }
     console.error('❌ Error generating roadmap:', error);
     console.error('   Stack:', error.stack);
-    res.status(500).json({ 
+    sendResult(res, stream, 500, {
       success: false,
       error: 'Failed to generate roadmap',
       details: error.message 
@@ -251,17 +273,24 @@ router.post('/:id/refine', authMiddleware, async (req, res) => {
         milestones: roadmap.milestones,
       },
       feedback,
-      preferences
+      preferences,
+      { userId: req.user.id }
     );
 
     if (!result.success) {
-      return res.status(500).json({ error: result.error });
+      return res.status(result.code === INVALID_OUTPUT_CODE ? 502 : 500).json({
+        success: false,
+        code: result.code,
+        error: result.error
+      });
     }
 
     // Update roadmap with refined version
     roadmap.milestones = result.roadmap.milestones;
     roadmap.progress.totalMilestones = result.roadmap.milestones.length;
     roadmap.updateProgress();
+    // Provider and prompt version of the latest AI pass, like on generate
+    roadmap.metadata = { ...roadmap.metadata, ...result.metadata };
 
     await roadmap.save();
 
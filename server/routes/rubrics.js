@@ -0,0 +1,144 @@
+/**
+ * RUBRIC ROUTES
+ *
+ * Scoring rubrics: weighted dimensions with level descriptors and the
+ * evidence expected at each level (see rubricService.js):
+ * - GET    /api/rubrics     - Built-in, own, organization and public rubrics
+ * - GET    /api/rubrics/:id - One rubric (id, built-in slug or own slug)
+ * - POST   /api/rubrics     - Create
+ * - PUT    /api/rubrics/:id - Update (author only; bumps the version)
+ * - DELETE /api/rubrics/:id - Delete (author only)
+ *
+ * Interviews take a rubricId when they start; reports record the rubric
+ * version that scored them.
+ */
+
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import {
+  listRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  describeRubric,
+  RUBRIC_ERROR_STATUS
+} from '../services/rubricService.js';
+
+const router = express.Router();
+
+const errorStatus = (error) => RUBRIC_ERROR_STATUS[error.code] || 500;
+
+/**
+ * @route   GET /api/rubrics
+ * @desc    List rubrics the user can score with
+ * @access  Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const rubrics = await listRubrics(req.user.id);
+
+    res.json({
+      success: true,
+      data: rubrics
+    });
+  } catch (error) {
+    console.error('Rubric list error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/rubrics/:id
+ * @desc    Get one rubric
+ * @access  Private
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const rubric = await getRubric(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: describeRubric(rubric)
+    });
+  } catch (error) {
+    console.error('Rubric fetch error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/rubrics
+ * @desc    Create a rubric ({ name, slug?, description?, dimensions, visibility? })
+ * @access  Private
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const rubric = await createRubric(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: describeRubric(rubric),
+      message: 'Rubric created'
+    });
+  } catch (error) {
+    console.error('Rubric create error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/rubrics/:id
+ * @desc    Update a rubric; existing reports keep the version that scored them
+ * @access  Private (author)
+ */
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    const rubric = await updateRubric(req.params.id, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      data: describeRubric(rubric),
+      message: 'Rubric updated'
+    });
+  } catch (error) {
+    console.error('Rubric update error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/rubrics/:id
+ * @desc    Delete a rubric
+ * @access  Private (author)
+ */
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    await deleteRubric(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Rubric deleted'
+    });
+  } catch (error) {
+    console.error('Rubric delete error:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { authMiddleware } from '../middleware/auth.js';
+import { requireRole } from '../middleware/authMiddleware.js';
 import User from '../models/User.js';
 
 const router = express.Router();
@@ -40,4 +42,40 @@ router.get('/stats', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/users/:id/organization
+ * @desc    Put a user in an organization ({ organization: slug }) or take them
+ *          out of it ({ organization: null }); members share rubrics with
+ *          visibility 'organization'
+ * @access  Private (admin)
+ */
+router.put('/:id/organization', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const { organization } = req.body;
+    const slug = typeof organization === 'string' ? organization.trim().toLowerCase() : null;
+    if (organization !== null && !(slug && /^[a-z0-9][a-z0-9-]{0,63}$/.test(slug))) {
+      return res.status(400).json({ message: 'organization must be a slug (letters, digits and dashes) or null' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.organization = slug || undefined;
+    await user.save();
+
+    res.json({
+      message: slug ? 'Organization assigned' : 'Organization removed',
+      user: { id: user._id, name: user.name, email: user.email, organization: user.organization || null }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update organization', error: error.message });
+  }
+});
+
 export default router;
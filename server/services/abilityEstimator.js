@@ -0,0 +1,309 @@
+/**
+ * Ability Estimator - item response theory for interview turns
+ *
+ * Every question is an item with a difficulty b on the logit scale (0 is a
+ * question the average candidate half-answers) and a discrimination a. Under
+ * the two-parameter logistic model a candidate of ability θ is expected to
+ * score
+ *
+ *   P(θ) = 1 / (1 + e^(-a(θ - b)))
+ *
+ * and a turn score s (0-100) counts as a fractional response x = s / 100 with
+ * likelihood P^x (1 - P)^(1 - x). Ability is the posterior mean (EAP) on a
+ * grid, starting from a normal prior - the candidate's last estimate for the
+ * topic when there is one - so the posterior SD is the standard error and
+ * gives the confidence interval in reports.
+ *
+ * Item difficulties come from, in order of preference:
+ *  - QuestionBank usageStats.irtDifficulty, re-estimated from ability-adjusted
+ *    answers every time the question is answered in an interview
+ *  - QuestionCalibration success rates (practice questions)
+ *  - the easy / medium / hard label
+ */
+
+import CandidateAbility from '../models/CandidateAbility.js';
+import QuestionBank from '../models/QuestionBank.js';
+import QuestionCalibration from '../models/QuestionCalibration.js';
+
+// Logit location of each difficulty label
+export const DIFFICULTY_LOCATIONS = {
+  easy: -1,
+  medium: 0,
+  hard: 1,
+  system_design: 1.5
+};
+
+export const DEFAULT_PRIOR = { theta: 0, standardError: 1, responses: 0 };
+
+// Carried-over estimates are widened to at least this, since candidates
+// improve between sessions
+const MIN_CARRIED_SE = 0.35;
+
+const GRID = Array.from({ length: 161 }, (_, i) => -4 + i * 0.05);
+const Z_SCORES = { 0.8: 1.282, 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const logit = (p) => Math.log(p / (1 - p));
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Item parameters from a difficulty label; unknown labels sit at 0
+ */
+export function itemFromLabel(difficulty) {
+  return { b: DIFFICULTY_LOCATIONS[difficulty] ?? 0, a: 1, source: 'label' };
+}
+
+export function probability(theta, { b = 0, a = 1 } = {}) {
+  return 1 / (1 + Math.exp(-a * (theta - b)));
+}
+
+/**
+ * Fisher information of an item at θ: how well it tells candidates around θ apart
+ */
+export function information(theta, item) {
+  const p = probability(theta, item);
+  return (item.a ?? 1) ** 2 * p * (1 - p);
+}
+
+/**
+ * Posterior ability after some responses
+ * @param {Object} prior - { theta, standardError, responses }
+ * @param {Array} responses - { b, a, score (0-100) }
+ * @returns {{theta, standardError, responses}}
+ */
+export function updateAbility(prior = DEFAULT_PRIOR, responses = []) {
+  const mean = prior?.theta ?? DEFAULT_PRIOR.theta;
+  const sd = prior?.standardError ?? DEFAULT_PRIOR.standardError;
+
+  const logPosterior = GRID.map((theta) => {
+    let value = -((theta - mean) ** 2) / (2 * sd * sd);
+    for (const response of responses) {
+      const x = clamp(response.score / 100, 0, 1);
+      const p = clamp(probability(theta, response), 1e-9, 1 - 1e-9);
+      value += x * Math.log(p) + (1 - x) * Math.log(1 - p);
+    }
+    return value;
+  });
+
+  const peak = Math.max(...logPosterior);
+  const weights = logPosterior.map((value) => Math.exp(value - peak));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const theta = GRID.reduce((sum, t, i) => sum + t * weights[i], 0) / total;
+  const variance = GRID.reduce((sum, t, i) => sum + (t - theta) ** 2 * weights[i], 0) / total;
+
+  return {
+    theta: round(theta, 3),
+    standardError: round(Math.sqrt(variance), 3),
+    responses: (prior?.responses || 0) + responses.length
+  };
+}
+
+/**
+ * @returns {{lower, upper, level}} on the θ scale
+ */
+export function confidenceInterval(estimate, level = 0.95) {
+  const z = Z_SCORES[level] || Z_SCORES[0.95];
+  return {
+    lower: round(estimate.theta - z * estimate.standardError),
+    upper: round(estimate.theta + z * estimate.standardError),
+    level
+  };
+}
+
+/**
+ * Expected score (0-100) on a medium question - θ in the units the rest of the app uses
+ */
+export function expectedScore(theta) {
+  return Math.round(100 * probability(theta, itemFromLabel('medium')));
+}
+
+/**
+ * Estimate, interval and the same on the 0-100 scale, for reports and clients
+ */
+export function describeAbility(estimate, level = 0.95) {
+  const source = estimate?.theta != null ? estimate : DEFAULT_PRIOR;
+  const interval = confidenceInterval(source, level);
+  return {
+    theta: source.theta,
+    standardError: source.standardError,
+    responses: source.responses || 0,
+    interval,
+    score: expectedScore(source.theta),
+    scoreInterval: { lower: expectedScore(interval.lower), upper: expectedScore(interval.upper), level }
+  };
+}
+
+/**
+ * The difficulty label that tells candidates around θ apart best
+ */
+export function difficultyFor(theta, labels = ['easy', 'medium', 'hard']) {
+  return labels.reduce((best, label) =>
+    information(theta, itemFromLabel(label)) > information(theta, itemFromLabel(best)) ? label : best);
+}
+
+/**
+ * The most informative item at θ. Items carry { b, a } or a difficulty label;
+ * ties are broken at random so equal questions rotate.
+ */
+export function mostInformative(items, theta) {
+  if (!items?.length) return null;
+  const scored = items.map((item) => ({
+    item,
+    info: information(theta, item.b != null ? item : itemFromLabel(item.difficulty))
+  }));
+  const best = Math.max(...scored.map((s) => s.info));
+  const top = scored.filter((s) => best - s.info < 1e-6);
+  return top[Math.floor(Math.random() * top.length)].item;
+}
+
+// ============= ITEM CALIBRATION =============
+
+/**
+ * Item parameters for a QuestionBank document: its own IRT estimate once it
+ * has one, otherwise its label
+ */
+export function itemFromQuestionBank(question) {
+  const stats = question.usageStats || {};
+  if (stats.irtDifficulty != null && stats.irtResponses > 0) {
+    // Shrink towards the label until the question has been answered a few times
+    const weight = stats.irtResponses / (stats.irtResponses + 5);
+    const label = itemFromLabel(question.difficulty).b;
+    return { b: round(weight * stats.irtDifficulty + (1 - weight) * label, 3), a: 1, source: 'questionBank' };
+  }
+  return itemFromLabel(question.difficulty);
+}
+
+/**
+ * Item parameters for a practice question from its QuestionCalibration record
+ */
+export function itemFromCalibration(calibration) {
+  const label = itemFromLabel(calibration.calibration?.calibratedDifficulty || calibration.calibration?.originalDifficulty);
+  const attempts = calibration.statistics?.totalAttempts || 0;
+  if (attempts === 0) return label;
+
+  const rate = clamp((calibration.statistics.successRate || 0) / 100, 0.02, 0.98);
+  const weight = clamp(calibration.calibration?.confidence ?? attempts / 50, 0, 1);
+  return { b: round(weight * -logit(rate) + (1 - weight) * label.b, 3), a: 1, source: 'calibration' };
+}
+
+/**
+ * Calibrated parameters for a turn's question
+ * @param {Object} question - { questionId, difficulty }
+ */
+export async function calibrateItem({ questionId, difficulty }) {
+  if (!questionId) return itemFromLabel(difficulty);
+  try {
+    const bankQuestion = await QuestionBank.findById(questionId);
+    if (bankQuestion) return itemFromQuestionBank(bankQuestion);
+
+    const calibration = await QuestionCalibration.findOne({ questionId });
+    if (calibration) return itemFromCalibration(calibration);
+  } catch (error) {
+    console.warn('⚠️ Item calibration unavailable, using the difficulty label:', error.message);
+  }
+  return itemFromLabel(difficulty);
+}
+
+/**
+ * Re-estimate a QuestionBank question's difficulty from one answer by a
+ * candidate of known ability (running mean of θ - logit(x))
+ */
+export async function recordItemResponse(questionId, score, theta) {
+  const question = await QuestionBank.findById(questionId);
+  if (!question) return;
+
+  const observed = theta - logit(clamp(score / 100, 0.02, 0.98));
+  const stats = question.usageStats;
+  const count = stats.irtResponses || 0;
+  const current = stats.irtDifficulty ?? itemFromLabel(question.difficulty).b;
+
+  stats.irtDifficulty = round(current + (observed - current) / (count + 1), 3);
+  stats.irtResponses = count + 1;
+  await question.save();
+}
+
+// ============= CANDIDATE ESTIMATES =============
+
+const OVERALL = 'overall';
+
+/**
+ * The candidate's saved estimates, as priors for a new session
+ * @returns {Promise<{ability, topicAbilities}>}
+ */
+export async function loadAbilities(userId) {
+  const saved = userId ? await CandidateAbility.find({ userId }) : [];
+  const carry = (record) => ({
+    theta: record.theta,
+    standardError: Math.max(record.standardError, MIN_CARRIED_SE),
+    responses: record.responses
+  });
+
+  const overall = saved.find((record) => record.topic === OVERALL);
+  return {
+    ability: overall ? carry(overall) : { ...DEFAULT_PRIOR },
+    topicAbilities: saved
+      .filter((record) => record.topic !== OVERALL)
+      .map((record) => ({ topic: record.topic, ...carry(record) }))
+  };
+}
+
+/**
+ * Store the candidate's current overall and topic estimates
+ */
+export async function saveAbilities(userId, sessionId, { ability, topicAbilities = [] }) {
+  const records = [
+    { topic: OVERALL, theta: ability.theta, standardError: ability.standardError, responses: ability.responses },
+    ...topicAbilities
+  ];
+  await CandidateAbility.bulkWrite(records.map(({ topic, theta, standardError, responses }) => ({
+    updateOne: {
+      filter: { userId, topic },
+      update: { $set: { theta, standardError, responses, lastSessionId: sessionId } },
+      upsert: true
+    }
+  })));
+}
+
+/**
+ * The estimate to pick a question on a topic with: the topic's own once it
+ * has responses, the overall one otherwise
+ */
+export function abilityFor(context, topic) {
+  const topical = topic && (context.topicAbilities || []).find((t) => t.topic === topic && t.responses > 0);
+  return topical || context.ability || DEFAULT_PRIOR;
+}
+
+/**
+ * Overall and per-topic estimates of an interview context with confidence
+ * intervals, for summaries and reports
+ */
+export function summarizeAbilities(context) {
+  return {
+    ...describeAbility(context?.ability),
+    byTopic: (context?.topicAbilities || [])
+      .filter((t) => t.responses > 0)
+      .map((t) => ({ topic: t.topic, ...describeAbility(t) }))
+  };
+}
+
+export default {
+  DIFFICULTY_LOCATIONS,
+  DEFAULT_PRIOR,
+  itemFromLabel,
+  probability,
+  information,
+  updateAbility,
+  confidenceInterval,
+  expectedScore,
+  describeAbility,
+  difficultyFor,
+  mostInformative,
+  itemFromQuestionBank,
+  itemFromCalibration,
+  calibrateItem,
+  recordItemResponse,
+  loadAbilities,
+  saveAbilities,
+  abilityFor,
+  summarizeAbilities
+};
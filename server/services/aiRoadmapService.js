@@ -1,12 +1,27 @@
 /**
- * AI Roadmap Service - Uses Groq for Roadmap Generation
+ * AI Roadmap Service - `roadmap` feature of the LLM gateway
  * Clean, focused service for generating and managing learning roadmaps
  */
 
 import * as groqService from './groqService.js';
+import { createStructuredCompletion, INVALID_OUTPUT_CODE } from './structuredOutput.js';
+import { BUDGET_ERROR_CODE } from './aiUsageService.js';
+import { renderPrompt } from './promptRegistry.js';
+
+// The refine prompt sends { title, milestones } and asks for the same shape back
+const REFINED_ROADMAP_SCHEMA = {
+  type: 'object',
+  required: ['milestones'],
+  properties: {
+    title: { type: 'string' },
+    milestones: groqService.MILESTONES_SCHEMA
+  }
+};
 
 /**
- * Generate AI-powered learning roadmap using Groq
+ * Generate AI-powered learning roadmap
+ * Pass { onEvent, signal } as options to stream the model output and
+ * { userId } to meter it; a spent budget is rethrown for the route to report
  */
 export async function generateAIRoadmap({
   goal,
@@ -16,9 +31,9 @@ export async function generateAIRoadmap({
   skills = [],
   preferredTopics = [],
   jobDescription = '',
-}) {
+}, options = {}) {
   try {
-    console.log('🗺️ Generating roadmap with Groq AI...');
+    console.log('🗺️ Generating roadmap with AI...');
 
     const result = await groqService.generateRoadmap({
       goal,
@@ -28,10 +43,13 @@ export async function generateAIRoadmap({
       skills,
       preferredTopics,
       jobDescription
-    });
+    }, options);
 
     return result;
   } catch (error) {
+    if (error.code === BUDGET_ERROR_CODE) {
+      throw error;
+    }
     console.error('Error generating roadmap:', error);
     return {
       success: false,
@@ -41,59 +59,45 @@ export async function generateAIRoadmap({
 }
 
 /**
- * Refine existing roadmap based on user feedback (using Groq)
+ * Refine existing roadmap based on user feedback
+ * Pass { userId } as options to meter the call. A reply that never matches
+ * the roadmap schema fails with code LLM_INVALID_OUTPUT, nothing is refined.
  */
-export async function refineRoadmap(existingRoadmap, feedback, preferences) {
+export async function refineRoadmap(existingRoadmap, feedback, preferences, options = {}) {
   try {
     console.log('🔧 Refining roadmap...');
 
-    const prompt = `Refine this learning roadmap based on user feedback:
-
-**Current Roadmap:**
-${JSON.stringify(existingRoadmap, null, 2)}
-
-**User Feedback:** ${feedback}
-
-**Updated Preferences:**
-${JSON.stringify(preferences, null, 2)}
+    const prompt = renderPrompt('roadmap.refine', {
+      existingRoadmap,
+      feedback,
+      preferences: preferences || {}
+    }, { unitId: options.userId });
 
-Adjust the roadmap while maintaining JSON structure. Make it more aligned with user needs.`;
-
-    const response = await groqService.createChatCompletion([
-      {
-        role: 'system',
-        content: 'You are an expert at refining learning paths based on feedback. Return valid JSON.'
-      },
-      {
-        role: 'user',
-        content: prompt
-      }
-    ], {
+    const response = await createStructuredCompletion('roadmap', prompt.messages, {
+      schema: REFINED_ROADMAP_SCHEMA,
       temperature: 0.7,
-      max_tokens: 4096
+      max_tokens: 4096,
+      userId: options.userId
     });
 
-    // Parse refined roadmap
-    let refinedRoadmap;
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      refinedRoadmap = jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(response.content);
-    } catch (parseError) {
-      console.warn('⚠️ Using original roadmap due to parse error');
-      refinedRoadmap = existingRoadmap;
-    }
-
     console.log('✅ Roadmap refined');
 
     return {
       success: true,
-      roadmap: refinedRoadmap,
-      metadata: {
-        provider: 'groq'
-      }
+      roadmap: response.data,
+      metadata: { ...response.metadata, promptVersion: prompt.id }
     };
   } catch (error) {
     console.error('Error refining roadmap:', error);
+    if (error.code === INVALID_OUTPUT_CODE) {
+      return {
+        success: false,
+        code: error.code,
+        error: 'The AI did not return a valid roadmap, nothing was changed',
+        validationErrors: error.validationErrors,
+        roadmap: existingRoadmap
+      };
+    }
     return {
       success: false,
       error: 'Failed to refine roadmap',
@@ -1,167 +1,10 @@
 /**
- * AI Service - Single Provider Architecture
- * Clean, production-ready AI service using ONLY OpenAI
- * 
- * Features:
- * - Single provider (OpenAI GPT-4o-mini)
- * - One retry on failure
- * - 20 second timeout
- * - Strict error handling
- * - No fallback provider switching
- * - Graceful degradation with safe responses
+ * AI Service - Resume builder features
+ * Requests go through the LLM gateway under the `resumeWriter` and
+ * `coverLetter` features, which prefer OpenAI and fall back to the others.
  */
 
-import OpenAI from 'openai';
-
-// ============= CONFIGURATION =============
-
-const CONFIG = {
-  timeout: 20000,        // 20 seconds
-  maxRetries: 1,         // Single retry only
-  retryDelay: 1000,      // 1 second delay between retries
-  model: 'gpt-4o-mini',  // Default model
-  temperature: 0.7,      // Default creativity
-  maxTokens: 2000        // Default max response length
-};
-
-// ============= OPENAI CLIENT =============
-
-let openaiClient = null;
-
-// Initialize OpenAI client
-function initializeOpenAI() {
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not configured');
-    return null;
-  }
-
-  if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
-    console.error('❌ Invalid OPENAI_API_KEY format');
-    return null;
-  }
-
-  try {
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY.trim(),
-      timeout: CONFIG.timeout,
-      maxRetries: 0 // We handle retries manually
-    });
-    console.log('✅ OpenAI service initialized');
-    return openaiClient;
-  } catch (error) {
-    console.error('❌ Failed to initialize OpenAI:', error.message);
-    return null;
-  }
-}
-
-// Get or initialize client
-function getClient() {
-  if (!openaiClient) {
-    openaiClient = initializeOpenAI();
-  }
-  return openaiClient;
-}
-
-// Initialize on module load
-initializeOpenAI();
-
-// ============= CORE AI FUNCTION =============
-
-/**
- * Create chat completion with OpenAI
- * @param {Array} messages - Chat messages array
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} AI response
- */
-export async function createChatCompletion(messages, options = {}) {
-  const client = getClient();
-  
-  if (!client) {
-    console.error('❌ OpenAI client not available');
-    throw new Error('AI service unavailable - API key not configured');
-  }
-
-  // Validate messages
-  if (!Array.isArray(messages) || messages.length === 0) {
-    throw new Error('Messages must be a non-empty array');
-  }
-
-  // Merge options with defaults
-  const config = {
-    model: options.model || CONFIG.model,
-    temperature: options.temperature !== undefined ? options.temperature : CONFIG.temperature,
-    max_tokens: options.max_tokens || options.maxTokens || CONFIG.maxTokens,
-    messages
-  };
-
-  console.log(`🤖 AI Request: ${config.model} (temp: ${config.temperature}, max_tokens: ${config.max_tokens})`);
-
-  let lastError = null;
-  const maxAttempts = CONFIG.maxRetries + 1; // 1 initial + 1 retry = 2 total
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      console.log(`📡 Attempt ${attempt}/${maxAttempts}...`);
-
-      // Create completion with timeout
-      const startTime = Date.now();
-      const response = await Promise.race([
-        client.chat.completions.create(config),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Request timeout')), CONFIG.timeout)
-        )
-      ]);
-
-      const duration = Date.now() - startTime;
-      console.log(`✅ AI response received in ${duration}ms`);
-
-      // Extract content
-      const content = response.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('Empty response from AI');
-      }
-
-      return {
-        success: true,
-        content: content.trim(),
-        model: response.model,
-        usage: response.usage,
-        provider: 'openai',
-        cached: false,
-        attempt
-      };
-
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Attempt ${attempt} failed:`, error.message);
-
-      // Check if it's a quota/rate limit error
-      if (error.status === 429 || error.message?.includes('quota')) {
-        console.error('⚠️ OpenAI quota exceeded');
-        throw new Error('AI service quota exceeded - please try again later');
-      }
-
-      // Check if it's an authentication error
-      if (error.status === 401 || error.message?.includes('authentication')) {
-        console.error('⚠️ OpenAI authentication failed');
-        throw new Error('AI service authentication failed - invalid API key');
-      }
-
-      // If this was the last attempt, throw error
-      if (attempt === maxAttempts) {
-        break;
-      }
-
-      // Wait before retry
-      console.log(`⏳ Waiting ${CONFIG.retryDelay}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelay));
-    }
-  }
-
-  // All attempts failed
-  console.error('❌ All attempts failed:', lastError?.message);
-  throw new Error(`AI request failed after ${maxAttempts} attempts: ${lastError?.message || 'Unknown error'}`);
-}
+import { createChatCompletion, checkProvider, PROVIDERS } from './llmGateway.js';
 
 // ============= SPECIALIZED AI FUNCTIONS =============
 
@@ -248,7 +91,7 @@ Provide a comprehensive professional resume analysis:
 Provide specific, actionable recommendations with clear examples.`;
     }
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are an expert resume analyst and ATS specialist. Provide detailed, actionable feedback with clear structure and specific examples.'
@@ -259,7 +102,8 @@ Provide specific, actionable recommendations with clear examples.`;
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 2000
+      max_tokens: options.maxTokens || 2000,
+      userId: options.userId
     });
 
     return {
@@ -267,7 +111,7 @@ Provide specific, actionable recommendations with clear examples.`;
       analysis: response.content,
       metadata: {
         model: response.model,
-        provider: 'openai',
+        provider: response.provider,
         hasJobDescription: !!jobDescription
       }
     };
@@ -296,7 +140,7 @@ ${text}
 
 IMPROVED VERSION:`;
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are an expert resume writer. Rephrase text to be more professional and impactful while maintaining accuracy.'
@@ -307,7 +151,8 @@ IMPROVED VERSION:`;
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 1000
+      max_tokens: options.maxTokens || 1000,
+      userId: options.userId
     });
 
     return {
@@ -315,7 +160,7 @@ IMPROVED VERSION:`;
       rephrased: response.content,
       metadata: {
         model: response.model,
-        provider: 'openai'
+        provider: response.provider
       }
     };
 
@@ -354,7 +199,7 @@ Write a cover letter that:
 
 COVER LETTER:`;
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('coverLetter', [
       {
         role: 'system',
         content: 'You are an expert cover letter writer. Create compelling, professional cover letters that highlight candidate strengths.'
@@ -365,7 +210,8 @@ COVER LETTER:`;
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 1500
+      max_tokens: options.maxTokens || 1500,
+      userId: options.userId
     });
 
     return {
@@ -373,7 +219,7 @@ COVER LETTER:`;
       coverLetter: response.content,
       metadata: {
         model: response.model,
-        provider: 'openai'
+        provider: response.provider
       }
     };
 
@@ -415,7 +261,7 @@ A: [Detailed Answer]
 
 INTERVIEW PREPARATION:`;
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are an expert interview coach. Generate relevant questions and strong answers based on candidate background.'
@@ -426,7 +272,8 @@ INTERVIEW PREPARATION:`;
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 2500
+      max_tokens: options.maxTokens || 2500,
+      userId: options.userId
     });
 
     return {
@@ -434,7 +281,7 @@ INTERVIEW PREPARATION:`;
       interviewQA: response.content,
       metadata: {
         model: response.model,
-        provider: 'openai'
+        provider: response.provider
       }
     };
 
@@ -447,44 +294,14 @@ INTERVIEW PREPARATION:`;
 // ============= HEALTH CHECK =============
 
 /**
- * Check if AI service is available
+ * Check if OpenAI is reachable
  * @returns {Promise<Object>} Health status
  */
 export async function healthCheck() {
-  try {
-    const client = getClient();
-    if (!client) {
-      return {
-        available: false,
-        provider: 'openai',
-        error: 'API key not configured'
-      };
-    }
-
-    // Try a simple completion
-    await createChatCompletion([
-      { role: 'user', content: 'Hello' }
-    ], {
-      max_tokens: 5
-    });
-
-    return {
-      available: true,
-      provider: 'openai',
-      model: CONFIG.model
-    };
-
-  } catch (error) {
-    return {
-      available: false,
-      provider: 'openai',
-      error: error.message
-    };
-  }
+  return checkProvider(PROVIDERS.OPENAI);
 }
 
 export default {
-  createChatCompletion,
   analyzeResume,
   rephraseText,
   generateCoverLetter,
@@ -8,7 +8,7 @@
  * 3. AI Interview Feedback Engine (Code + Transcript Analysis with OpenAI)
  * 4. Explainable AI Layer (XAI)
  * 5. Interview Readiness Predictor
- * 6. AI Study Companion (RAG-based + OpenAI)
+ * 6. AI Study Companion (multi-turn, tool-using; see studyCompanionService.js)
  */
 
 import MistakePattern from '../models/MistakePattern.js';
@@ -16,6 +16,7 @@ import Progress from '../models/Progress.js';
 import LearningBehavior from '../models/LearningBehavior.js';
 import Question from '../models/Question.js';
 import * as openrouterService from './openrouterService.js';
+import { askCompanion } from './studyCompanionService.js';
 
 // ========================================
 // 1. MISTAKE PATTERN ANALYSIS
@@ -367,12 +368,12 @@ async function generateActionPlan(mistakeProfile) {
  * Uses role, difficulty, and topic parameters
  */
 async function generateInterviewQuestion(params) {
-  const { role, difficulty, format, topic, count = 1 } = params;
+  const { role, difficulty, format, topic, count = 1, userId } = params;
   
   // Use OpenRouter for interview question generation
   try {
     console.log('🤖 Generating question using OpenRouter...');
-    const result = await openrouterService.generateInterviewQuestion({ role, difficulty, format, topic });
+    const result = await openrouterService.generateInterviewQuestion({ role, difficulty, format, topic, userId });
     
     if (result.success) {
       return [{
@@ -520,7 +521,8 @@ async function generateInterviewFeedback(interviewData) {
         questionDescription: question?.description || 'Interview question',
         userSolution: codeSolution,
         transcript: transcript,
-        format: format || 'coding'
+        format: format || 'coding',
+        userId
       });
       
       if (result.success) {
@@ -888,99 +890,11 @@ function generateReadinessRecommendations(level, totalSolved, accuracy) {
 
 /**
  * Context-aware AI tutor
- * Provides hints, explanations, and resources based on user history
+ * Multi-turn, tool-using conversations live in studyCompanionService.js;
+ * pass options.conversationId to continue one
  */
-async function getStudyCompanionResponse(userId, query, context) {
-  const progress = await Progress.find({ userId }).limit(50).sort({ createdAt: -1 });
-  const mistakeProfile = await MistakePattern.findOne({ userId });
-  
-  // Analyze user's current state
-  const weakTopics = mistakeProfile?.getTopWeaknesses(3) || [];
-  const recentQuestions = progress.slice(0, 5);
-  
-  // Calculate user level
-  const totalQuestions = progress.length;
-  const avgAccuracy = progress.reduce((sum, p) => sum + (p.isCorrect ? 1 : 0), 0) / totalQuestions || 0;
-  const userLevel = avgAccuracy > 0.7 ? 'advanced' : avgAccuracy > 0.4 ? 'intermediate' : 'beginner';
-  
-  // Try OpenAI first if available
-  if (isOpenAIEnabled()) {
-    try {
-      console.log('🤖 Generating study companion response using OpenAI...');
-      
-      const contextInfo = `
-User Level: ${userLevel}
-Weak Topics: ${weakTopics.map(w => w.topic).join(', ') || 'None identified'}
-Recent Performance: ${Math.round(avgAccuracy * 100)}% accuracy
-Context: ${context || 'General question'}
-      `.trim();
-      
-      const aiResponse = await generateStudyCompanionResponse({
-        query,
-        context: contextInfo,
-        userLevel
-      });
-      
-      return {
-        message: aiResponse,
-        hints: [],
-        resources: weakTopics.length > 0 ? [
-          `Practice more ${weakTopics[0].topic} problems`,
-          `Review ${weakTopics[0].topic} fundamentals`
-        ] : [],
-        relatedConcepts: [],
-        personalizedTip: weakTopics.length > 0 
-          ? `I notice you're working on ${weakTopics[0].topic}. Keep practicing!` 
-          : 'Great progress! Keep up the momentum.',
-        aiProvider: 'openai-gpt4'
-      };
-    } catch (error) {
-      console.warn('OpenAI study companion failed, using fallback:', error.message);
-      // Fall through to template-based response
-    }
-  }
-  
-  // Fallback: Template-based response
-  console.log('📝 Using template-based study companion...');
-  const response = {
-    message: '',
-    hints: [],
-    resources: [],
-    relatedConcepts: [],
-    personalizedTip: '',
-    aiProvider: 'template'
-  };
-  
-  // Detect query intent
-  if (query.toLowerCase().includes('stuck') || query.toLowerCase().includes('help')) {
-    response.message = "I see you're stuck. Let me help you break down the problem.";
-    response.hints = [
-      "Start by understanding the input/output",
-      "What data structure fits best?",
-      "Can you solve a simpler version first?"
-    ];
-  } else if (query.toLowerCase().includes('explain') || query.toLowerCase().includes('understand')) {
-    response.message = "Let me explain this concept clearly.";
-    response.hints = [
-      "Think of it like this analogy...",
-      "The key insight is...",
-      "Common pitfall to avoid..."
-    ];
-  } else {
-    response.message = "I'm here to help you learn better!";
-  }
-  
-  // Add personalized recommendations based on weak topics
-  if (weakTopics.length > 0) {
-    response.personalizedTip = `I notice you're struggling with ${weakTopics[0].topic}. Let's focus on that next.`;
-    response.resources = [
-      `${weakTopics[0].topic} tutorial videos`,
-      `Practice ${weakTopics[0].topic} problems`,
-      `${weakTopics[0].topic} cheat sheet`
-    ];
-  }
-  
-  return response;
+async function getStudyCompanionResponse(userId, query, context, options = {}) {
+  return askCompanion(userId, { query, context, conversationId: options.conversationId }, options);
 }
 
 // ========================================
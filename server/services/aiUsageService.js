@@ -0,0 +1,241 @@
+/**
+ * AI Usage Service - per-user token ledger and budgets for the LLM gateway
+ *
+ * Every gateway completion is written to the AIUsage collection (user,
+ * feature, provider, model, tokens, latency, cached). Budgets are token
+ * limits read from AI_BUDGETS (JSON):
+ *
+ *   {
+ *     "user":     { "daily": 50000, "monthly": 1000000 },  each user, all features
+ *     "users":    { "<userId>": { "monthly": 5000000 } },  replaces "user" for one user
+ *     "features": { "roadmap": { "daily": 20000 } }        each user, one feature
+ *   }
+ *
+ * Days and months start at 00:00 UTC. Only calls that carry a userId are
+ * metered against budgets, and cache hits never count.
+ */
+
+import mongoose from 'mongoose';
+import NodeCache from 'node-cache';
+import AIUsage from '../models/AIUsage.js';
+
+export const BUDGET_ERROR_CODE = 'AI_BUDGET_EXCEEDED';
+
+const PERIODS = {
+  daily: (now) => ({
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+  }),
+  monthly: (now) => ({
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  })
+};
+
+// Dimensions the usage report can be broken down by
+const GROUP_FIELDS = {
+  user: '$userId',
+  feature: '$feature',
+  provider: '$provider',
+  model: '$model',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+};
+
+const USAGE_SUMS = {
+  requests: { $sum: 1 },
+  cacheHits: { $sum: { $cond: ['$cached', 1, 0] } },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  totalTokens: { $sum: '$totalTokens' },
+  avgLatencyMs: { $avg: '$latencyMs' }
+};
+
+// Tokens used per user (and feature) in the current period, reloaded from
+// the ledger every minute and bumped in between as completions are recorded
+const usedTokens = new NodeCache({ stdTTL: 60, checkperiod: 120 });
+
+let budgets = null;
+
+/**
+ * Parse AI_BUDGETS once. Read lazily so dotenv has run by the first call.
+ */
+export function getBudgets() {
+  if (budgets) {
+    return budgets;
+  }
+
+  budgets = {};
+  if (process.env.AI_BUDGETS) {
+    try {
+      const parsed = JSON.parse(process.env.AI_BUDGETS);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        budgets = parsed;
+      } else {
+        console.error('❌ Ignoring AI_BUDGETS: expected a JSON object');
+      }
+    } catch (error) {
+      console.error('❌ Ignoring AI_BUDGETS: invalid JSON -', error.message);
+    }
+  }
+  return budgets;
+}
+
+function isConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+function toObjectId(userId) {
+  return userId && mongoose.isValidObjectId(userId)
+    ? new mongoose.Types.ObjectId(String(userId))
+    : null;
+}
+
+function getCounterKey(userId, feature, start) {
+  return `${userId}:${feature || '*'}:${start.getTime()}`;
+}
+
+async function getUsedTokens(userId, feature, start) {
+  const key = getCounterKey(userId, feature, start);
+  let used = usedTokens.get(key);
+
+  if (used === undefined) {
+    const match = { userId, cached: false, createdAt: { $gte: start } };
+    if (feature) match.feature = feature;
+
+    const [row] = await AIUsage.aggregate([
+      { $match: match },
+      { $group: { _id: null, tokens: { $sum: '$totalTokens' } } }
+    ]);
+    used = row?.tokens || 0;
+    usedTokens.set(key, used);
+  }
+  return used;
+}
+
+/**
+ * Reject a call up front when the user has spent a budget that applies to it
+ * @param {string} userId - Mongo user id; anything else is not metered
+ * @param {string} feature - Gateway feature name
+ * @throws {Error} code AI_BUDGET_EXCEEDED, with `budget` { scope, feature, period, limit, used, resetsAt }
+ */
+export async function checkBudget(userId, feature) {
+  const objectId = toObjectId(userId);
+  if (!objectId || !isConnected()) {
+    return;
+  }
+
+  const { user = {}, users = {}, features = {} } = getBudgets();
+  const scopes = [
+    { scope: 'user', feature: null, limits: users[String(userId)] || user },
+    { scope: 'feature', feature, limits: features[feature] || {} }
+  ];
+  const now = new Date();
+
+  for (const { scope, feature: scopeFeature, limits } of scopes) {
+    for (const [period, getWindow] of Object.entries(PERIODS)) {
+      const limit = limits[period];
+      if (!limit) continue;
+
+      const { start, end } = getWindow(now);
+      const used = await getUsedTokens(objectId, scopeFeature, start);
+      if (used < limit) continue;
+
+      const what = scopeFeature ? `${period} ${scopeFeature} budget` : `${period} AI budget`;
+      const error = new Error(`You have used your ${what} (${used}/${limit} tokens). It resets at ${end.toISOString()}.`);
+      error.code = BUDGET_ERROR_CODE;
+      error.budget = { scope, feature: scopeFeature, period, limit, used, resetsAt: end };
+      throw error;
+    }
+  }
+}
+
+/**
+ * Add one completion to the ledger (fire-and-forget)
+ * @param {Object} entry - userId, feature, provider, model, usage (OpenAI shape), latencyMs, cached
+ */
+export function recordUsage({ userId, feature, provider, model, usage, latencyMs = 0, cached = false }) {
+  const objectId = toObjectId(userId);
+  const promptTokens = cached ? 0 : usage?.prompt_tokens || 0;
+  const completionTokens = cached ? 0 : usage?.completion_tokens || 0;
+  const totalTokens = cached ? 0 : usage?.total_tokens || promptTokens + completionTokens;
+
+  if (objectId && totalTokens) {
+    const now = new Date();
+    Object.values(PERIODS).forEach((getWindow) => {
+      const { start } = getWindow(now);
+      [feature, null].forEach((scopeFeature) => {
+        const key = getCounterKey(objectId, scopeFeature, start);
+        const used = usedTokens.get(key);
+        if (used !== undefined) {
+          usedTokens.set(key, used + totalTokens);
+        }
+      });
+    });
+  }
+
+  if (!isConnected()) {
+    return;
+  }
+
+  AIUsage.create({
+    userId: objectId,
+    feature,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    latencyMs,
+    cached
+  }).catch((error) => console.error('❌ Failed to record AI usage:', error.message));
+}
+
+/**
+ * Usage totals for a time range, broken down by the requested dimensions
+ * @param {Object} query - from, to (Dates), optional userId / feature / provider
+ *   filters, and groupBy: any of user, feature, provider, model, day
+ * @returns {Promise<{from, to, groupBy, totals, breakdown}>}
+ */
+export async function getUsageBreakdown({ from, to, userId, feature, provider, groupBy = ['user', 'feature'] }) {
+  const dimensions = groupBy.filter((dimension) => GROUP_FIELDS[dimension]);
+  const match = { createdAt: { $gte: from, $lt: to } };
+  if (userId) match.userId = toObjectId(userId);
+  if (feature) match.feature = feature;
+  if (provider) match.provider = provider;
+
+  const [result] = await AIUsage.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...USAGE_SUMS } }],
+        breakdown: [
+          { $group: { _id: Object.fromEntries(dimensions.map((d) => [d, GROUP_FIELDS[d]])), ...USAGE_SUMS } },
+          { $sort: { totalTokens: -1 } },
+          { $limit: 1000 }
+        ]
+      }
+    }
+  ]);
+
+  const format = ({ _id, avgLatencyMs, ...sums }) => ({
+    ...(_id || {}),
+    ...sums,
+    avgLatencyMs: Math.round(avgLatencyMs || 0)
+  });
+
+  return {
+    from,
+    to,
+    groupBy: dimensions,
+    totals: format(result.totals[0] || { requests: 0, cacheHits: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }),
+    breakdown: result.breakdown.map(format)
+  };
+}
+
+export default {
+  checkBudget,
+  recordUsage,
+  getUsageBreakdown,
+  getBudgets,
+  BUDGET_ERROR_CODE
+};
@@ -0,0 +1,178 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Circuit Breaker
+ *
+ * One per LLM provider (see llmGateway.js):
+ *   closed    - requests flow; consecutive failures are counted
+ *   open      - `failureThreshold` failures in a row; requests skip the provider
+ *               until `nextProbeAt`
+ *   half-open - the cool-down is over; exactly one trial (a health probe or
+ *               the first live request) is let through and every other request
+ *               skips the provider until it resolves: success closes the
+ *               circuit, failure opens it again with the cool-down doubled
+ *               (up to `maxOpenMs`)
+ *
+ * Emits 'transition' with { name, from, to, reason, at } on every state change.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULTS = {
+  failureThreshold: 3,
+  openMs: 60 * 1000,
+  maxOpenMs: 10 * 60 * 1000,
+  historySize: 20
+};
+
+class CircuitBreaker extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = { ...DEFAULTS, ...options };
+    this.history = []; // most recent transitions, newest last
+    this.reset();
+  }
+
+  /**
+   * Back to closed with no failures, e.g. after resetQuotaStats()
+   */
+  reset() {
+    const from = this.state;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.openMs = this.options.openMs;
+    this.trialInFlight = false;
+    if (from && from !== CIRCUIT_STATES.CLOSED) {
+      this._record(from, CIRCUIT_STATES.CLOSED, 'reset');
+    }
+  }
+
+  /**
+   * Whether a live request could use this provider now; changes nothing
+   */
+  allowsRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      return this.isProbeDue();
+    }
+    return this.state === CIRCUIT_STATES.CLOSED || !this.trialInFlight;
+  }
+
+  /**
+   * Claim this provider for one live request, right before sending it. An open
+   * circuit whose cool-down has passed moves to half-open and the request
+   * becomes its trial; while the trial is in flight every other claim fails.
+   * The claim ends with recordSuccess / recordFailure, or release().
+   */
+  acquire() {
+    if (this.isProbeDue()) {
+      return this.halfOpen('cool-down elapsed');
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state === CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * The claimed request ended without telling anything about the provider
+   * (cancelled, no recording to replay); the next request may be the trial
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  isProbeDue(now = Date.now()) {
+    return this.state === CIRCUIT_STATES.OPEN && now >= this.nextProbeAt;
+  }
+
+  /**
+   * Open -> half-open, with the caller holding the trial
+   * @returns {boolean} whether the caller got the trial
+   */
+  halfOpen(reason) {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      return false;
+    }
+    this.trialInFlight = true;
+    this._transition(CIRCUIT_STATES.HALF_OPEN, reason);
+    return true;
+  }
+
+  recordSuccess(reason = 'request succeeded') {
+    this.trialInFlight = false;
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date();
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.openedAt = null;
+      this.nextProbeAt = null;
+      this.openMs = this.options.openMs;
+      this._transition(CIRCUIT_STATES.CLOSED, reason);
+    }
+  }
+
+  recordFailure(error = '') {
+    this.trialInFlight = false;
+    this.consecutiveFailures++;
+    this.lastError = String(error);
+    this.lastFailureAt = new Date();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      // The trial failed; wait longer before the next one
+      this.openMs = Math.min(this.openMs * 2, this.options.maxOpenMs);
+      this._open(`trial failed: ${this.lastError}`);
+    } else if (this.state === CIRCUIT_STATES.CLOSED && this.consecutiveFailures >= this.options.failureThreshold) {
+      this._open(`${this.consecutiveFailures} consecutive failures: ${this.lastError}`);
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      trialInFlight: this.trialInFlight,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      openedAt: this.openedAt,
+      nextProbeAt: this.nextProbeAt ? new Date(this.nextProbeAt) : null
+    };
+  }
+
+  _open(reason) {
+    this.openedAt = new Date();
+    this.nextProbeAt = Date.now() + this.openMs;
+    this._transition(CIRCUIT_STATES.OPEN, reason);
+  }
+
+  _transition(to, reason) {
+    const from = this.state;
+    this.state = to;
+    this._record(from, to, reason);
+  }
+
+  _record(from, to, reason) {
+    const event = { name: this.name, from, to, reason, at: new Date() };
+    this.history.push(event);
+    if (this.history.length > this.options.historySize) {
+      this.history.shift();
+    }
+    this.emit('transition', event);
+  }
+}
+
+export { CircuitBreaker };
+export default CircuitBreaker;
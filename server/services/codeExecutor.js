@@ -1,20 +1,69 @@
-import { spawn } from 'child_process';
-import { writeFile, unlink, mkdir } from 'fs/promises';
+import { writeFile, unlink, mkdir, chmod } from 'fs/promises';
 import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { tmpdir } from 'os';
+import { runSandboxed, getSandboxInfo, DEFAULT_LIMITS } from './sandbox.js';
+import { getCachedResult, setCachedResult, compileWithCache } from './executionCache.js';
 
 const EXECUTION_TIMEOUT = 10000; // 10 seconds
 const MAX_OUTPUT_SIZE = 1024 * 1024; // 1MB
+const MEMORY_LIMIT_MB = DEFAULT_LIMITS.memoryMb;
+
+// Compilers need more headroom than the programs they build
+const COMPILE_LIMITS = { memoryMb: 1024, cpuTimeSec: 20, timeoutMs: 30000, maxProcesses: 256 };
+
+// Go recompiles the standard library into an empty cache (~15s), so builds share one.
+// Only the compile step sees it, and cgo is disabled so builds cannot run external tools.
+const GO_CACHE_DIR = process.env.SANDBOX_GO_CACHE || join(tmpdir(), 'prepwiser-go-cache');
+
+// tsc reports missing @types/node as errors; those are not the candidate's fault
+const IGNORED_TS_DIAGNOSTICS = ['TS2580', 'TS2591', 'TS2307'];
+
+// Loaded with `node --require` before JavaScript submissions. Defines the legacy
+// `input` / `inputLines` globals from a file so stdin stays untouched for the program.
+const JS_INPUT_PRELUDE = `const { readFileSync } = require('fs');
+const { join } = require('path');
+globalThis.input = readFileSync(join(__dirname, 'input.txt'), 'utf8');
+globalThis.inputLines = globalThis.input.trim().split('\\n');
+`;
+
+export const SUPPORTED_LANGUAGES = ['python', 'java', 'javascript', 'cpp', 'c', 'go', 'rust', 'typescript'];
 
 /**
  * Execute code in a secure sandboxed environment
  * @param {string} code - The code to execute
- * @param {string} language - Programming language (python, java, javascript)
+ * @param {string} language - Programming language (one of SUPPORTED_LANGUAGES)
  * @param {string} input - Optional input for the program
- * @returns {Promise<{output, error, executionTime}>}
+ * @param {Object} options - { skipCache } to bypass the result cache
+ * @returns {Promise<{output, error, executionTime, peakMemoryKb, cpuTimeMs, cached, compileCached}>}
  */
-export async function executeCode(code, language, input = '') {
+export async function executeCode(code, language, input = '', options = {}) {
+  if (!options.skipCache) {
+    const cached = getCachedResult(code, language, input);
+    if (cached) {
+      return {
+        ...cached,
+        cached: true,
+      };
+    }
+  }
+
+  const result = await runCode(code, language, input);
+
+  if (!options.skipCache) {
+    setCachedResult(code, language, input, result);
+  }
+
+  return {
+    ...result,
+    cached: false,
+  };
+}
+
+/**
+ * Run code once in a fresh temp directory
+ */
+async function runCode(code, language, input) {
   const startTime = Date.now();
   const sessionId = uuidv4();
   const tempDir = join(tmpdir(), 'prepwiser-code', sessionId);
@@ -34,6 +83,21 @@ export async function executeCode(code, language, input = '') {
       case 'javascript':
         result = await executeJavaScript(code, input, tempDir);
         break;
+      case 'cpp':
+        result = await executeNative(code, input, tempDir, 'main.cpp', ['g++', '-O2', '-std=c++17', '-o', 'main', 'main.cpp']);
+        break;
+      case 'c':
+        result = await executeNative(code, input, tempDir, 'main.c', ['gcc', '-O2', '-std=c11', '-o', 'main', 'main.c', '-lm']);
+        break;
+      case 'go':
+        result = await executeGo(code, input, tempDir);
+        break;
+      case 'rust':
+        result = await executeNative(code, input, tempDir, 'main.rs', ['rustc', '-O', '-o', 'main', 'main.rs']);
+        break;
+      case 'typescript':
+        result = await executeTypeScript(code, input, tempDir);
+        break;
       default:
         throw new Error(`Unsupported language: ${language}`);
     }
@@ -43,12 +107,18 @@ export async function executeCode(code, language, input = '') {
     return {
       ...result,
       executionTime,
+      isolation: getSandboxInfo().isolation,
     };
   } catch (error) {
     return {
-      output: '',
-      error: error.message,
+      output: error.output || '',
+      error: error.message || error.error,
+      timedOut: Boolean(error.timedOut),
+      memoryExceeded: Boolean(error.memoryExceeded),
+      peakMemoryKb: error.peakMemoryKb ?? null,
+      cpuTimeMs: error.cpuTimeMs ?? null,
       executionTime: Date.now() - startTime,
+      isolation: getSandboxInfo().isolation,
     };
   } finally {
     // Cleanup temp directory
@@ -67,7 +137,7 @@ async function executePython(code, input, tempDir) {
   const filePath = join(tempDir, 'script.py');
   await writeFile(filePath, code);
 
-  return executeProcess('python', ['-u', filePath], input);
+  return executeProcess('python', ['-u', filePath], input, tempDir);
 }
 
 /**
@@ -81,119 +151,178 @@ async function executeJava(code, input, tempDir) {
   const filePath = join(tempDir, `${className}.java`);
   await writeFile(filePath, code);
 
-  // Compile
-  try {
-    await executeProcess('javac', [filePath], '');
-  } catch (compileError) {
-    return {
-      output: '',
-      error: `Compilation Error: ${compileError.error}`,
-    };
+  const { compileError, cached } = await compileWithCache('java', code, tempDir, () =>
+    compileSource(['javac', filePath], tempDir)
+  );
+  if (compileError) {
+    return compileError;
   }
 
   // Execute
-  return executeProcess('java', ['-cp', tempDir, className], input);
+  // The JVM reserves far more address space than it uses, so cap the heap instead
+  const result = await executeProcess('java', [`-Xmx${MEMORY_LIMIT_MB}m`, '-cp', tempDir, className], input, tempDir, {
+    limitAddressSpace: false,
+  });
+  return { ...result, compileCached: cached };
 }
 
 /**
  * Execute JavaScript code using Node.js
+ *
+ * The program gets the input on real stdin, so process.stdin, readline and
+ * fs.readFileSync(0 | '/dev/stdin') all work. For older snippets a preloaded
+ * file also exposes it as the `input` / `inputLines` globals; user input is
+ * never interpolated into source code.
  */
 async function executeJavaScript(code, input, tempDir) {
-  const filePath = join(tempDir, 'script.js');
-  
-  // Wrap code to handle input
-  const wrappedCode = `
-const input = \`${input.replace(/`/g, '\\`')}\`;
-const inputLines = input.trim().split('\\n');
-let inputIndex = 0;
-
-// Mock readline for stdin
-const readline = {
-  createInterface: () => ({
-    on: (event, callback) => {
-      if (event === 'line') {
-        inputLines.forEach(line => callback(line));
-      }
-    },
-    close: () => {},
-  }),
-};
+  // ES module syntax needs an .mjs entry point; everything else runs as CommonJS
+  const isModule = /^\s*(import\s[^(]|export\s)/m.test(code);
+  const filePath = join(tempDir, isModule ? 'script.mjs' : 'script.js');
 
-${code}
-`;
-  
-  await writeFile(filePath, wrappedCode);
-  return executeProcess('node', [filePath], '');
+  await writeFile(filePath, code);
+  await writeFile(join(tempDir, 'input.txt'), input);
+  await writeFile(join(tempDir, 'prelude.cjs'), JS_INPUT_PRELUDE);
+
+  // V8 reserves ~1GB of address space up front, so cap the heap instead
+  return executeProcess(
+    'node',
+    [`--max-old-space-size=${MEMORY_LIMIT_MB}`, '--require', join(tempDir, 'prelude.cjs'), filePath],
+    input,
+    tempDir,
+    { limitAddressSpace: false }
+  );
 }
 
 /**
- * Execute a process with timeout and output limits
+ * Execute C, C++ or Rust code: compile to ./main, then run the binary
  */
-function executeProcess(command, args, input) {
-  return new Promise((resolve, reject) => {
-    const process = spawn(command, args, {
-      timeout: EXECUTION_TIMEOUT,
-      killSignal: 'SIGKILL',
-    });
+async function executeNative(code, input, tempDir, fileName, compileCommand) {
+  await writeFile(join(tempDir, fileName), code);
 
-    let output = '';
-    let errorOutput = '';
-    let timedOut = false;
-
-    const timeout = setTimeout(() => {
-      timedOut = true;
-      process.kill();
-      reject({
-        output: output.substring(0, MAX_OUTPUT_SIZE),
-        error: 'Execution timed out (10s limit)',
-      });
-    }, EXECUTION_TIMEOUT);
-
-    process.stdout.on('data', (data) => {
-      output += data.toString();
-      if (output.length > MAX_OUTPUT_SIZE) {
-        process.kill();
-        clearTimeout(timeout);
-        reject({
-          output: output.substring(0, MAX_OUTPUT_SIZE),
-          error: 'Output size limit exceeded (1MB)',
-        });
-      }
-    });
+  const { compileError, cached } = await compileWithCache(compileCommand.join(' '), code, tempDir, () =>
+    compileSource(compileCommand, tempDir)
+  );
+  if (compileError) {
+    return compileError;
+  }
 
-    process.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-    });
+  const result = await executeProcess(join(tempDir, 'main'), [], input, tempDir);
+  return { ...result, compileCached: cached };
+}
 
-    if (input) {
-      process.stdin.write(input);
-      process.stdin.end();
-    }
+/**
+ * Execute Go code
+ */
+async function executeGo(code, input, tempDir) {
+  await writeFile(join(tempDir, 'main.go'), code);
+  await mkdir(GO_CACHE_DIR, { recursive: true });
+  await chmod(GO_CACHE_DIR, 0o777); // writable for the per-run sandbox uids
 
-    process.on('close', (code) => {
-      clearTimeout(timeout);
-      if (!timedOut) {
-        if (code === 0) {
-          resolve({
-            output: output.trim(),
-            error: '',
-          });
-        } else {
-          resolve({
-            output: output.trim(),
-            error: errorOutput.trim() || `Process exited with code ${code}`,
-          });
-        }
-      }
-    });
+  const { compileError, cached } = await compileWithCache('go', code, tempDir, () =>
+    compileSource(['go', 'build', '-o', 'main', 'main.go'], tempDir, {
+      env: { GOCACHE: GO_CACHE_DIR, CGO_ENABLED: '0', GOTOOLCHAIN: 'local' },
+      writablePaths: [GO_CACHE_DIR],
+    })
+  );
+  if (compileError) {
+    return compileError;
+  }
+
+  // The Go runtime reserves large virtual arenas up front
+  const result = await executeProcess(join(tempDir, 'main'), [], input, tempDir, { limitAddressSpace: false });
+  return { ...result, compileCached: cached };
+}
+
+/**
+ * Execute TypeScript code: type-check and emit with tsc, then run the output with Node.js
+ */
+async function executeTypeScript(code, input, tempDir) {
+  await writeFile(join(tempDir, 'main.ts'), code);
+
+  const { compileError, cached } = await compileWithCache('typescript', code, tempDir, () =>
+    compileTypeScript(tempDir)
+  );
+  if (compileError) {
+    return compileError;
+  }
+
+  const result = await executeProcess('node', [`--max-old-space-size=${MEMORY_LIMIT_MB}`, join(tempDir, 'main.js')], input, tempDir, {
+    limitAddressSpace: false,
+  });
+  return { ...result, compileCached: cached };
+}
+
+/**
+ * Type-check and emit main.ts with tsc
+ * @returns {Promise<Object|null>} A `Compilation Error:` result, or null when it compiled
+ */
+async function compileTypeScript(tempDir) {
+  let compileResult;
+  try {
+    compileResult = await executeProcess(
+      'tsc',
+      ['--target', 'ES2020', '--module', 'commonjs', '--skipLibCheck', '--pretty', 'false', 'main.ts'],
+      '',
+      tempDir,
+      { limits: COMPILE_LIMITS, limitAddressSpace: false }
+    );
+  } catch (compileError) {
+    return { output: '', error: `Compilation Error: ${compileError.error}` };
+  }
+
+  // tsc writes diagnostics to stdout and still emits JavaScript when they are type errors
+  const diagnostics = compileResult.output
+    .split('\n')
+    .filter((line) => /error TS\d+/.test(line))
+    .filter((line) => !IGNORED_TS_DIAGNOSTICS.some((code) => line.includes(code)));
+
+  if (diagnostics.length > 0) {
+    return { output: '', error: `Compilation Error: ${diagnostics.join('\n')}` };
+  }
+
+  if (compileResult.error && !compileResult.output) {
+    return { output: '', error: `Compilation Error: ${compileResult.error}` };
+  }
+
+  return null;
+}
 
-    process.on('error', (err) => {
-      clearTimeout(timeout);
-      reject({
-        output: '',
-        error: `Failed to start process: ${err.message}`,
-      });
+/**
+ * Run a compiler in the sandbox
+ * @returns {Promise<Object|null>} A `Compilation Error:` result, or null when it compiled
+ */
+async function compileSource([command, ...args], tempDir, options = {}) {
+  try {
+    // Compilers exit non-zero on errors, which executeProcess resolves with
+    const result = await executeProcess(command, args, '', tempDir, {
+      limits: COMPILE_LIMITS,
+      limitAddressSpace: false,
+      ...options,
     });
+    if (result.error) {
+      return { output: '', error: `Compilation Error: ${result.error}` };
+    }
+    return null;
+  } catch (compileError) {
+    return { output: '', error: `Compilation Error: ${compileError.error}` };
+  }
+}
+
+/**
+ * Execute a process in the sandbox with time, memory and output limits
+ */
+function executeProcess(command, args, input, tempDir, options = {}) {
+  return runSandboxed(command, args, {
+    input,
+    workDir: tempDir,
+    limitAddressSpace: options.limitAddressSpace,
+    env: options.env,
+    writablePaths: options.writablePaths,
+    limits: {
+      timeoutMs: EXECUTION_TIMEOUT,
+      maxOutputBytes: MAX_OUTPUT_SIZE,
+      ...options.limits,
+    },
   });
 }
 
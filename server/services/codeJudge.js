@@ -0,0 +1,276 @@
+import { executeCode } from './codeExecutor.js';
+
+/**
+ * Verdict codes returned for each judged test case
+ */
+export const VERDICTS = {
+  ACCEPTED: 'AC',
+  WRONG_ANSWER: 'WA',
+  TIME_LIMIT_EXCEEDED: 'TLE',
+  MEMORY_LIMIT_EXCEEDED: 'MLE',
+  RUNTIME_ERROR: 'RE',
+  COMPILATION_ERROR: 'CE',
+  JUDGE_ERROR: 'JE', // The question's custom checker itself failed
+};
+
+const DEFAULT_COMPARE_OPTIONS = {
+  whitespace: 'trailing', // 'exact' | 'trailing' | 'all'
+  floatTolerance: 0, // absolute/relative tolerance for numeric tokens, 0 = exact
+};
+
+/**
+ * Judge a submission against a list of test cases
+ * @param {string} code - The submitted source code
+ * @param {string} language - Programming language
+ * @param {Array<{input, output, hidden}>} testCases - Cases to run, usually Question.testCases
+ * @param {Object} compareOptions - { whitespace, floatTolerance }, usually Question.compareOptions
+ * @param {Object} checker - Optional { language, code } custom checker, usually Question.checker
+ * @returns {Promise<{verdict, passed, total, executionTime, results}>}
+ */
+export async function judgeSubmission(code, language, testCases = [], compareOptions = {}, checker = null) {
+  const options = {
+    whitespace: compareOptions.whitespace ?? DEFAULT_COMPARE_OPTIONS.whitespace,
+    floatTolerance: compareOptions.floatTolerance ?? DEFAULT_COMPARE_OPTIONS.floatTolerance,
+  };
+  const useChecker = Boolean(checker?.code && checker?.language);
+  const results = [];
+  let totalTime = 0;
+
+  for (let index = 0; index < testCases.length; index++) {
+    const testCase = testCases[index];
+    const run = await executeCode(code, language, testCase.input || '');
+    totalTime += run.executionTime || 0;
+
+    let verdict = getRunVerdict(run);
+    let checkerMessage = '';
+
+    if (!verdict) {
+      if (useChecker) {
+        ({ verdict, message: checkerMessage } = await runChecker(checker, testCase, run.output));
+      } else {
+        verdict = compareOutputs(run.output, testCase.output, options)
+          ? VERDICTS.ACCEPTED
+          : VERDICTS.WRONG_ANSWER;
+      }
+    }
+
+    results.push({
+      index,
+      verdict,
+      hidden: Boolean(testCase.hidden),
+      input: testCase.input || '',
+      expectedOutput: testCase.output || '',
+      actualOutput: run.output || '',
+      error: run.error || '',
+      checkerMessage,
+      executionTime: run.executionTime || 0,
+      peakMemoryKb: run.peakMemoryKb ?? null,
+      cpuTimeMs: run.cpuTimeMs ?? null,
+    });
+
+    // A compile error is identical for every case, no point re-running it
+    if (verdict === VERDICTS.COMPILATION_ERROR) {
+      break;
+    }
+  }
+
+  const passed = results.filter((r) => r.verdict === VERDICTS.ACCEPTED).length;
+  const firstFailure = results.find((r) => r.verdict !== VERDICTS.ACCEPTED);
+
+  return {
+    verdict: firstFailure ? firstFailure.verdict : VERDICTS.ACCEPTED,
+    passed,
+    total: testCases.length,
+    executionTime: totalTime,
+    results,
+  };
+}
+
+/**
+ * Strip hidden-case details from a judgement before sending it to the candidate.
+ * Sample cases keep their input/output plus a line diff when the answer was wrong.
+ * @param {Object} judgement - Result of judgeSubmission
+ * @returns {Object} Candidate-safe judgement
+ */
+export function toCandidateResult(judgement) {
+  const samples = judgement.results.filter((r) => !r.hidden);
+  const hidden = judgement.results.filter((r) => r.hidden);
+
+  const results = judgement.results.map((result) => {
+    if (result.hidden) {
+      return {
+        index: result.index,
+        verdict: result.verdict,
+        hidden: true,
+        executionTime: result.executionTime,
+        peakMemoryKb: result.peakMemoryKb,
+        cpuTimeMs: result.cpuTimeMs,
+      };
+    }
+
+    return {
+      ...result,
+      diff: result.verdict === VERDICTS.WRONG_ANSWER
+        ? diffOutputs(result.actualOutput, result.expectedOutput)
+        : null,
+    };
+  });
+
+  // Compile errors are about the submission, not the case, so always show them
+  const compileError = judgement.results.find((r) => r.verdict === VERDICTS.COMPILATION_ERROR);
+
+  return {
+    verdict: judgement.verdict,
+    passed: judgement.passed,
+    total: judgement.total,
+    executionTime: judgement.executionTime,
+    samples: {
+      passed: samples.filter((r) => r.verdict === VERDICTS.ACCEPTED).length,
+      total: samples.length,
+    },
+    hidden: {
+      passed: hidden.filter((r) => r.verdict === VERDICTS.ACCEPTED).length,
+      total: hidden.length,
+    },
+    compileError: compileError ? compileError.error : '',
+    results,
+  };
+}
+
+/**
+ * Run a question's custom checker against one test case
+ * @returns {Promise<{verdict, message}>}
+ */
+async function runChecker(checker, testCase, actualOutput) {
+  const payload = JSON.stringify({
+    input: testCase.input || '',
+    expectedOutput: testCase.output || '',
+    actualOutput: actualOutput || '',
+  });
+
+  const run = await executeCode(checker.code, checker.language, payload);
+
+  if (run.error) {
+    console.error('Custom checker failed:', run.error);
+    return { verdict: VERDICTS.JUDGE_ERROR, message: 'Checker failed to run' };
+  }
+
+  const [status = '', ...messageLines] = (run.output || '').split('\n');
+  return {
+    verdict: status.trim().toUpperCase() === 'AC' ? VERDICTS.ACCEPTED : VERDICTS.WRONG_ANSWER,
+    message: messageLines.join('\n').trim(),
+  };
+}
+
+/**
+ * Find the first differing line between actual and expected output
+ */
+function diffOutputs(actual = '', expected = '') {
+  const actualLines = normalizeOutput(actual, 'trailing').split('\n');
+  const expectedLines = normalizeOutput(expected, 'trailing').split('\n');
+  const length = Math.max(actualLines.length, expectedLines.length);
+
+  for (let i = 0; i < length; i++) {
+    if (actualLines[i] !== expectedLines[i]) {
+      return {
+        line: i + 1,
+        expected: expectedLines[i] ?? '',
+        actual: actualLines[i] ?? '',
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map execution failures to a verdict, or null when the output still needs checking
+ */
+function getRunVerdict(run) {
+  if (run.timedOut) {
+    return VERDICTS.TIME_LIMIT_EXCEEDED;
+  }
+
+  if (run.memoryExceeded) {
+    return VERDICTS.MEMORY_LIMIT_EXCEEDED;
+  }
+
+  if (run.error) {
+    return run.error.startsWith('Compilation Error')
+      ? VERDICTS.COMPILATION_ERROR
+      : VERDICTS.RUNTIME_ERROR;
+  }
+
+  return null;
+}
+
+/**
+ * Compare program output with the expected output
+ * @param {string} actual - Program stdout
+ * @param {string} expected - Expected stdout
+ * @param {Object} options - { whitespace, floatTolerance }
+ * @returns {boolean} Whether the outputs match
+ */
+export function compareOutputs(actual = '', expected = '', options = {}) {
+  const { whitespace, floatTolerance } = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+
+  const actualText = normalizeOutput(actual, whitespace);
+  const expectedText = normalizeOutput(expected, whitespace);
+
+  if (actualText === expectedText) {
+    return true;
+  }
+
+  if (!floatTolerance) {
+    return false;
+  }
+
+  // Token-wise comparison so numeric answers can differ within tolerance
+  const actualTokens = actualText.split(/\s+/).filter(Boolean);
+  const expectedTokens = expectedText.split(/\s+/).filter(Boolean);
+
+  if (actualTokens.length !== expectedTokens.length) {
+    return false;
+  }
+
+  return expectedTokens.every((token, i) => tokensMatch(actualTokens[i], token, floatTolerance));
+}
+
+/**
+ * Normalize whitespace according to the comparison mode
+ */
+function normalizeOutput(text, mode) {
+  const normalized = String(text).replace(/\r\n/g, '\n');
+
+  switch (mode) {
+    case 'exact':
+      return normalized;
+    case 'all':
+      return normalized.split(/\s+/).filter(Boolean).join(' ');
+    case 'trailing':
+    default:
+      return normalized
+        .split('\n')
+        .map((line) => line.replace(/\s+$/, ''))
+        .join('\n')
+        .trim();
+  }
+}
+
+/**
+ * Compare two tokens, numerically when both parse as numbers
+ */
+function tokensMatch(actual, expected, tolerance) {
+  if (actual === expected) {
+    return true;
+  }
+
+  const a = Number(actual);
+  const e = Number(expected);
+  if (Number.isNaN(a) || Number.isNaN(e)) {
+    return false;
+  }
+
+  const diff = Math.abs(a - e);
+  return diff <= tolerance || diff <= tolerance * Math.abs(e);
+}
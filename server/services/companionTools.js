@@ -0,0 +1,204 @@
+/**
+ * Study Companion Tools
+ *
+ * Internal lookups the companion may call while answering. Each tool has a
+ * name, a one-line description and an argument schema (shown to the model),
+ * and `run(userId, args)`, which returns { summary, data }: a one-line summary
+ * used when citing the result, and the data handed back to the model.
+ */
+
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import MistakePattern from '../models/MistakePattern.js';
+import Roadmap from '../models/Roadmap.js';
+import { executeCode, SUPPORTED_LANGUAGES } from './codeExecutor.js';
+import executionQueue from './executionQueue.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+
+const MAX_CODE_OUTPUT_CHARS = 2000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameDay = (a, b) => a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+
+const TOOLS = {
+  lookupQuestion: {
+    description: 'Find a practice question by id or title; returns its statement, topic, difficulty, hints and visible test cases',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string', minLength: 2 }
+      },
+      additionalProperties: false
+    },
+    async run(userId, { id, title }) {
+      let question = null;
+      if (id && mongoose.isValidObjectId(id)) {
+        question = await Question.findById(id).lean();
+      }
+      if (!question && title) {
+        question = await Question.findOne({ title: new RegExp(escapeRegex(title), 'i') }).lean();
+      }
+      if (!question) {
+        return { summary: `No question found for ${id || `"${title}"`}`, data: null };
+      }
+
+      return {
+        summary: `Question "${question.title}" (${question.topic}, ${question.difficulty})`,
+        data: {
+          id: String(question._id),
+          title: question.title,
+          description: question.description,
+          topic: question.topic,
+          difficulty: question.difficulty,
+          type: question.type,
+          hints: question.hints || [],
+          examples: (question.testCases || []).filter((testCase) => !testCase.hidden).slice(0, 3)
+            .map(({ input, output }) => ({ input, output }))
+        }
+      };
+    }
+  },
+
+  getWeaknesses: {
+    description: "The learner's weakest topics and most common mistake types, from their submission history",
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    async run(userId) {
+      const profile = await MistakePattern.findOne({ userId });
+      if (!profile) {
+        return { summary: 'No mistake history yet', data: { weaknesses: [], mistakeTypes: {}, topMistakes: [] } };
+      }
+
+      const weaknesses = profile.getTopWeaknesses(5);
+      return {
+        summary: weaknesses.length > 0
+          ? `Weakest topics: ${weaknesses.map((w) => `${w.topic} (${w.mistakeCount} mistakes)`).join(', ')}`
+          : 'No topic weaknesses recorded',
+        data: {
+          weaknesses,
+          mistakeTypes: profile.patterns?.typeDistribution || {},
+          topMistakes: (profile.patterns?.topMistakes || []).slice(0, 3)
+            .map(({ pattern, count, affectedTopics }) => ({ pattern, count, affectedTopics }))
+        }
+      };
+    }
+  },
+
+  getRoadmapDay: {
+    description: "Today's tasks on the learner's active roadmap and the milestone they are working on",
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+    async run(userId) {
+      const roadmap = await Roadmap.findOne({ userId: String(userId), status: 'active' })
+        .sort({ updatedAt: -1 })
+        .lean();
+      if (!roadmap) {
+        return { summary: 'No active roadmap', data: null };
+      }
+
+      const milestones = roadmap.milestones || [];
+      const current = milestones.find((m) => m.status === 'in-progress') ||
+        milestones.find((m) => !m.completed) ||
+        null;
+
+      const today = new Date();
+      const plans = roadmap.schedule?.dailyPlans || [];
+      const plan = plans.find((p) => sameDay(new Date(p.date), today)) ||
+        plans.find((p) => new Date(p.date) > today) ||
+        null;
+      const tasks = (plan?.tasks || []).map((task) => ({
+        title: milestones.find((m) => m.id === task.taskId)?.title || task.taskId,
+        hours: task.hours,
+        status: task.status
+      }));
+
+      return {
+        summary: `Roadmap "${roadmap.title}": ${current ? `working on ${current.title}` : 'all milestones complete'}` +
+          (tasks.length > 0 ? `, ${tasks.length} task(s) planned` : ''),
+        data: {
+          roadmap: roadmap.title,
+          progress: roadmap.progress?.percentage ?? 0,
+          date: plan?.date || null,
+          tasks,
+          currentMilestone: current && {
+            title: current.title,
+            description: current.description,
+            topics: current.topics || [],
+            resources: (current.resources || []).slice(0, 3).map(({ title, url }) => ({ title, url }))
+          }
+        }
+      };
+    }
+  },
+
+  runCode: {
+    description: `Run a short program in the sandbox and return its output; languages: ${SUPPORTED_LANGUAGES.join(', ')}`,
+    parameters: {
+      type: 'object',
+      required: ['language', 'code'],
+      properties: {
+        language: { type: 'string', enum: SUPPORTED_LANGUAGES },
+        code: { type: 'string', minLength: 1, maxLength: 20000 },
+        input: { type: 'string', maxLength: 10000 }
+      },
+      additionalProperties: false
+    },
+    async run(userId, { language, code, input = '' }) {
+      // Through the queue, so companion runs share the per-user limits with "Run"
+      const { promise } = executionQueue.enqueue(String(userId), 'execute', () => executeCode(code, language, input));
+      const result = await promise;
+
+      const clip = (text) => (text || '').slice(0, MAX_CODE_OUTPUT_CHARS);
+      return {
+        summary: result.error
+          ? `Ran ${language} code: error`
+          : `Ran ${language} code: exited normally in ${result.executionTime}ms`,
+        data: {
+          output: clip(result.output),
+          error: clip(result.error),
+          executionTime: result.executionTime
+        }
+      };
+    }
+  }
+};
+
+export const TOOL_NAMES = Object.keys(TOOLS);
+
+/**
+ * Tool list as shown to the model
+ */
+export function describeTools() {
+  return Object.entries(TOOLS)
+    .map(([name, tool]) => `- ${name}: ${tool.description}. Arguments: ${JSON.stringify(tool.parameters.properties)}`)
+    .join('\n');
+}
+
+/**
+ * Validate the arguments and run one tool
+ * @returns {Promise<{summary, data}>} failures come back as a summary, never thrown
+ */
+export async function runTool(userId, name, args = {}) {
+  const tool = TOOLS[name];
+  if (!tool) {
+    return { summary: `Unknown tool "${name}"`, data: null };
+  }
+
+  const errors = validateSchema(tool.parameters, args, 'arguments');
+  if (errors.length > 0) {
+    return { summary: `Invalid arguments for ${name}: ${errors.join('; ')}`, data: null };
+  }
+
+  try {
+    return await tool.run(userId, args);
+  } catch (error) {
+    console.error(`❌ Companion tool ${name} failed:`, error.message);
+    return { summary: `${name} failed: ${error.message}`, data: null };
+  }
+}
+
+export default {
+  TOOL_NAMES,
+  describeTools,
+  runTool
+};
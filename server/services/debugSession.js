@@ -0,0 +1,600 @@
+import { writeFile, mkdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { runSandboxed, DEFAULT_LIMITS } from './sandbox.js';
+
+/**
+ * Interactive debug sessions
+ *
+ * Where traceEngine records a one-shot trace, a debug session keeps the
+ * program alive inside the sandbox and pauses it on breakpoints or steps.
+ * A small harness runs next to the user code and talks newline-delimited JSON
+ * with the server over fd 3:
+ *
+ *   server -> harness  { command: 'continue' | 'stepOver' | 'stepInto' | 'stepOut' | 'setBreakpoints', lines? }
+ *   harness -> server  { event: 'paused', reason, line, function, locals, stack }
+ *                      { event: 'breakpoints', lines }
+ *
+ * Program stdout/stderr stream out as they arrive. Sessions use the same
+ * CPU/memory/process limits as codeExecutor; the wall clock is replaced by an
+ * idle timeout (while paused) and an overall session cap.
+ */
+
+const CONFIG = {
+  idleTimeoutMs: parseInt(process.env.DEBUG_IDLE_TIMEOUT_MS, 10) || 2 * 60 * 1000,
+  maxSessionMs: parseInt(process.env.DEBUG_MAX_SESSION_MS, 10) || 10 * 60 * 1000,
+  maxSessionsPerUser: parseInt(process.env.DEBUG_MAX_SESSIONS_PER_USER, 10) || 2,
+  maxSessions: parseInt(process.env.DEBUG_MAX_SESSIONS, 10) || 20,
+};
+
+export const DEBUG_LANGUAGES = ['python', 'javascript'];
+export const DEBUG_COMMANDS = ['continue', 'stepOver', 'stepInto', 'stepOut', 'setBreakpoints'];
+
+const sessions = new Map(); // sessionId -> session
+
+// bdb-based debugger. Frames outside main.py are never traced, so stepping
+// into a library call lands on the next line of user code.
+const PYTHON_HARNESS = `
+import bdb
+import inspect
+import json
+import os
+import socket
+import sys
+import traceback
+
+USER_FILE = os.path.abspath('main.py')
+
+with open('debug_config.json') as config_file:
+    CONFIG = json.load(config_file)
+
+channel = socket.socket(fileno=3)
+reader = channel.makefile('r', encoding='utf-8')
+writer = channel.makefile('w', encoding='utf-8')
+
+
+def send(message):
+    writer.write(json.dumps(message) + '\\n')
+    writer.flush()
+
+
+def code_lines(code):
+    lines = {line for _, _, line in code.co_lines() if line}
+    for const in code.co_consts:
+        if inspect.iscode(const):
+            lines |= code_lines(const)
+    return lines
+
+
+def describe(value):
+    try:
+        text = repr(value)
+    except Exception:
+        text = '<unprintable>'
+    return text if len(text) <= 200 else text[:197] + '...'
+
+
+class Debugger(bdb.Bdb):
+    def __init__(self):
+        super().__init__()
+        self.at_entry = True
+
+    def stop_here(self, frame):
+        return frame.f_code.co_filename == USER_FILE and super().stop_here(frame)
+
+    def set_breakpoints(self, lines):
+        self.clear_all_file_breaks(USER_FILE)
+        verified = []
+        for line in lines:
+            # Blank lines and comments would never be hit
+            if int(line) in EXECUTABLE_LINES and self.set_break(USER_FILE, int(line)) is None:
+                verified.append(int(line))
+        send({'event': 'breakpoints', 'lines': verified})
+
+    def user_line(self, frame):
+        if self.at_entry:
+            self.at_entry = False
+            if not CONFIG.get('stopOnEntry'):
+                self.set_continue()
+                return
+            reason = 'entry'
+        elif self.get_breaks(USER_FILE, frame.f_lineno):
+            reason = 'breakpoint'
+        else:
+            reason = 'step'
+
+        stack = []
+        current = frame
+        while current is not None and current.f_code.co_filename == USER_FILE:
+            stack.append({'function': current.f_code.co_name, 'line': current.f_lineno})
+            current = current.f_back
+
+        local_vars = {}
+        for name, value in frame.f_locals.items():
+            if not name.startswith('__') and not inspect.ismodule(value):
+                local_vars[name] = describe(value)
+
+        send({
+            'event': 'paused',
+            'reason': reason,
+            'line': frame.f_lineno,
+            'function': frame.f_code.co_name,
+            'locals': local_vars,
+            'stack': stack,
+        })
+        self.wait_for_command(frame)
+
+    def wait_for_command(self, frame):
+        while True:
+            message = reader.readline()
+            if not message:
+                self.set_quit()
+                return
+
+            request = json.loads(message)
+            command = request.get('command')
+            if command == 'setBreakpoints':
+                self.set_breakpoints(request.get('lines', []))
+                continue
+            if command == 'stepOver':
+                self.set_next(frame)
+            elif command == 'stepInto':
+                self.set_step()
+            elif command == 'stepOut':
+                self.set_return(frame)
+            else:
+                self.set_continue()
+            return
+
+
+with open(USER_FILE) as source_file:
+    code = compile(source_file.read(), USER_FILE, 'exec')
+EXECUTABLE_LINES = code_lines(code)
+
+debugger = Debugger()
+debugger.set_breakpoints(CONFIG.get('breakpoints', []))
+
+try:
+    debugger.run(code, {'__name__': '__main__', '__file__': USER_FILE, '__builtins__': __builtins__})
+except Exception as error:
+    frames = [f for f in traceback.extract_tb(error.__traceback__) if f.filename == USER_FILE]
+    sys.stderr.write(''.join(traceback.format_list(frames)).replace(USER_FILE, 'main.py'))
+    sys.stderr.write(''.join(traceback.format_exception_only(type(error), error)))
+    sys.exit(1)
+`;
+
+// The main thread cannot pause itself through the inspector, so a worker
+// thread drives it via connectToMainThread() and owns the control channel.
+const JS_HARNESS = `const { Worker } = require('worker_threads');
+const { join } = require('path');
+const { pathToFileURL } = require('url');
+const config = require('./debug_config.json');
+
+const userFile = join(__dirname, config.file);
+const worker = new Worker(join(__dirname, 'debug_worker.cjs'));
+
+worker.once('message', () => {
+  worker.unref();
+  if (userFile.endsWith('.mjs')) {
+    import(pathToFileURL(userFile).href).catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+  } else {
+    require(userFile);
+  }
+});
+`;
+
+const JS_WORKER = `const { Session } = require('inspector');
+const { parentPort } = require('worker_threads');
+const { Socket } = require('net');
+const { join } = require('path');
+const config = require('./debug_config.json');
+
+const userFile = join(__dirname, config.file);
+const urlRegex = userFile.replace(/[.*+?^$()|[\\]\\\\{}]/g, '\\\\$&') + '$';
+const WRAPPER_NAMES = new Set(['exports', 'require', 'module', '__filename', '__dirname']);
+
+const session = new Session();
+session.connectToMainThread();
+
+const post = (method, params = {}) => new Promise((resolve, reject) => {
+  session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+});
+
+const channel = new Socket({ fd: 3, readable: true, writable: true });
+const send = (message) => channel.write(JSON.stringify(message) + '\\n');
+
+let breakpointIds = [];
+// 'debugger' -> 'stepped' -> done, see writeHarness
+let entryState = config.stopOnEntry ? 'debugger' : 'done';
+let pausedFrame = null;
+
+async function setBreakpoints(lines) {
+  await Promise.all(breakpointIds.map((breakpointId) => post('Debugger.removeBreakpoint', { breakpointId })));
+  breakpointIds = [];
+  const verified = [];
+  for (const line of lines) {
+    const { breakpointId } = await post('Debugger.setBreakpointByUrl', { urlRegex, lineNumber: Number(line) - 1 });
+    breakpointIds.push(breakpointId);
+    verified.push(Number(line));
+  }
+  send({ event: 'breakpoints', lines: verified });
+}
+
+function describe(remote) {
+  if (!remote) return 'undefined';
+  if (remote.type === 'function') {
+    return remote.description.split('\\n')[0].replace(/\\s*\\{$/, '');
+  }
+  if (remote.type === 'string') {
+    const text = JSON.stringify(remote.value);
+    return text.length <= 200 ? text : text.slice(0, 197) + '...';
+  }
+  if (remote.type !== 'object' || remote.subtype === 'null') {
+    return remote.unserializableValue || remote.description || String(remote.value);
+  }
+
+  const preview = remote.preview;
+  if (!preview) return remote.description;
+  const more = preview.overflow ? ', ...' : '';
+  if (preview.subtype === 'array') {
+    return '[' + preview.properties.map((p) => p.value).join(', ') + more + ']';
+  }
+  if (remote.className === 'Object') {
+    return '{' + preview.properties.map((p) => p.name + ': ' + p.value).join(', ') + more + '}';
+  }
+  return remote.description;
+}
+
+async function readLocals(frame) {
+  const locals = {};
+  for (const scope of frame.scopeChain) {
+    if (scope.type === 'global') continue;
+    const { result } = await post('Runtime.getProperties', {
+      objectId: scope.object.objectId,
+      ownProperties: true,
+      generatePreview: true,
+    });
+    for (const property of result) {
+      if (!(property.name in locals) && !WRAPPER_NAMES.has(property.name)) {
+        locals[property.name] = describe(property.value);
+      }
+    }
+  }
+  return locals;
+}
+
+// CallFrame.url is often empty, so recognise user frames by script id
+const userScripts = new Set();
+session.on('Debugger.scriptParsed', ({ params }) => {
+  if (params.url.endsWith(config.file)) userScripts.add(params.scriptId);
+});
+
+session.on('Debugger.paused', async ({ params }) => {
+  const userFrames = params.callFrames.filter((frame) => userScripts.has(frame.location.scriptId));
+  const top = params.callFrames[0];
+
+  // Stepped out of user code (e.g. into the module loader)
+  if (!userScripts.has(top.location.scriptId)) {
+    await post(userFrames.length ? 'Debugger.stepOut' : 'Debugger.resume');
+    return;
+  }
+
+  // Step off the injected entry statement onto the first real one
+  if (entryState === 'debugger') {
+    entryState = 'stepped';
+    await post('Debugger.stepOver');
+    return;
+  }
+
+  let reason = params.hitBreakpoints?.length ? 'breakpoint' : 'step';
+  if (entryState === 'stepped') {
+    entryState = 'done';
+    reason = 'entry';
+  }
+
+  pausedFrame = top;
+  send({
+    event: 'paused',
+    reason,
+    line: top.location.lineNumber + 1,
+    function: top.functionName || '<module>',
+    locals: await readLocals(top),
+    stack: userFrames.map((frame) => ({
+      function: frame.functionName || '<module>',
+      line: frame.location.lineNumber + 1,
+    })),
+  });
+});
+
+const STEP_METHODS = {
+  continue: 'Debugger.resume',
+  stepOver: 'Debugger.stepOver',
+  stepInto: 'Debugger.stepInto',
+  stepOut: 'Debugger.stepOut',
+};
+
+let buffered = '';
+channel.on('data', async (chunk) => {
+  buffered += chunk.toString();
+  let newline;
+  while ((newline = buffered.indexOf('\\n')) >= 0) {
+    const request = JSON.parse(buffered.slice(0, newline));
+    buffered = buffered.slice(newline + 1);
+
+    if (request.command === 'setBreakpoints') {
+      await setBreakpoints(request.lines || []);
+    } else if (pausedFrame) {
+      pausedFrame = null;
+      await post(STEP_METHODS[request.command] || 'Debugger.resume');
+    }
+  }
+});
+channel.on('error', () => process.exit(1));
+
+(async () => {
+  await post('Debugger.enable');
+  await post('Runtime.enable');
+  await setBreakpoints(config.breakpoints || []);
+  parentPort.postMessage('ready');
+})();
+`;
+
+/**
+ * Start a debug session
+ * @param {string} userId - Owner, only they can drive the session
+ * @param {Object} options - { code, language, input, breakpoints, stopOnEntry }
+ * @param {Function} onEvent - (type, payload) for 'paused' | 'breakpoints' | 'output' | 'terminated'
+ * @returns {Promise<{sessionId: string}>}
+ */
+export async function startDebugSession(userId, options, onEvent) {
+  const { code, language, input = '', breakpoints = [], stopOnEntry = false } = options;
+
+  if (!DEBUG_LANGUAGES.includes(language)) {
+    throw createDebugError(`Debugging not supported for language: ${language}`, 'DEBUG_UNSUPPORTED_LANGUAGE');
+  }
+
+  const owned = [...sessions.values()].filter((s) => s.userId === userId).length;
+  if (owned >= CONFIG.maxSessionsPerUser || sessions.size >= CONFIG.maxSessions) {
+    throw createDebugError('Too many debug sessions are running. Stop one and try again.', 'DEBUG_BUSY');
+  }
+
+  const session = {
+    id: uuidv4(),
+    userId,
+    language,
+    tempDir: join(tmpdir(), 'prepwiser-debug', uuidv4()),
+    state: 'starting', // starting | running | paused | terminated
+    control: null,
+    kill: null,
+    idleTimer: null,
+    onEvent,
+  };
+  sessions.set(session.id, session);
+
+  try {
+    await mkdir(session.tempDir, { recursive: true });
+    const command = await writeHarness(session.tempDir, code, language, {
+      breakpoints: normalizeLines(breakpoints),
+      stopOnEntry: Boolean(stopOnEntry),
+    });
+    launch(session, command, input);
+  } catch (error) {
+    sessions.delete(session.id);
+    await rm(session.tempDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return { sessionId: session.id };
+}
+
+/**
+ * Send a stepping or breakpoint command to a paused session
+ * @param {string} sessionId - Session to drive
+ * @param {string} userId - Caller, must own the session
+ * @param {Object} request - { command, lines? }
+ */
+export function sendDebugCommand(sessionId, userId, { command, lines } = {}) {
+  const session = getOwnedSession(sessionId, userId);
+
+  if (!DEBUG_COMMANDS.includes(command)) {
+    throw createDebugError(`Unknown debug command: ${command}`, 'DEBUG_INVALID_COMMAND');
+  }
+  // The harness only listens while the program is paused
+  if (session.state !== 'paused') {
+    throw createDebugError('Program is not paused', 'DEBUG_NOT_PAUSED');
+  }
+
+  if (command === 'setBreakpoints') {
+    session.control.write(`${JSON.stringify({ command, lines: normalizeLines(lines) })}\n`);
+    armIdleTimer(session);
+    return;
+  }
+
+  clearTimeout(session.idleTimer);
+  session.state = 'running';
+  session.control.write(`${JSON.stringify({ command })}\n`);
+}
+
+/**
+ * Stop a session and kill its program
+ */
+export function stopDebugSession(sessionId, userId) {
+  const session = getOwnedSession(sessionId, userId);
+  session.stopReason = 'stopped';
+  session.kill?.();
+}
+
+/**
+ * Stop every session of a user, e.g. when their socket disconnects
+ * @param {Array<string>} sessionIds - Limit to these sessions
+ */
+export function stopDebugSessions(userId, sessionIds = null) {
+  sessions.forEach((session) => {
+    if (session.userId === userId && (!sessionIds || sessionIds.includes(session.id))) {
+      session.stopReason = 'stopped';
+      session.kill?.();
+    }
+  });
+}
+
+/**
+ * Numbers for diagnostics
+ */
+export function getDebugSessionStats() {
+  const states = {};
+  sessions.forEach((session) => {
+    states[session.state] = (states[session.state] || 0) + 1;
+  });
+
+  return { active: sessions.size, maxSessions: CONFIG.maxSessions, states };
+}
+
+/**
+ * Write the user code, harness and config; returns the command to run
+ */
+async function writeHarness(tempDir, code, language, config) {
+  if (language === 'python') {
+    await writeFile(join(tempDir, 'main.py'), code);
+    await writeFile(join(tempDir, 'debug_harness.py'), PYTHON_HARNESS);
+    await writeFile(join(tempDir, 'debug_config.json'), JSON.stringify(config));
+    return { command: 'python', args: ['-u', 'debug_harness.py'], limitAddressSpace: true };
+  }
+
+  // Same module detection as the JavaScript runner in codeExecutor
+  const isModule = /^\s*(import\s[^(]|export\s)/m.test(code);
+  const file = isModule ? 'script.mjs' : 'script.js';
+  await writeFile(join(tempDir, file), config.stopOnEntry ? withEntryPause(code) : code);
+  await writeFile(join(tempDir, 'debug_harness.cjs'), JS_HARNESS);
+  await writeFile(join(tempDir, 'debug_worker.cjs'), JS_WORKER);
+  await writeFile(join(tempDir, 'debug_config.json'), JSON.stringify({ ...config, file }));
+  return {
+    command: 'node',
+    args: [`--max-old-space-size=${DEFAULT_LIMITS.memoryMb}`, 'debug_harness.cjs'],
+    limitAddressSpace: false,
+  };
+}
+
+/**
+ * Pause before anything runs: a statement prepended to line 1 does it without
+ * shifting line numbers. A `#!` line must stay first, so it goes on line 2.
+ */
+export function withEntryPause(code) {
+  const hashbang = code.match(/^#![^\n]*(\n|$)/);
+  if (!hashbang) {
+    return `debugger;${code}`;
+  }
+  const rest = code.slice(hashbang[0].length);
+  return `${hashbang[0]}${hashbang[1] ? '' : '\n'}debugger;${rest}`;
+}
+
+/**
+ * Run the harness in the sandbox and relay its events until it exits
+ */
+function launch(session, { command, args, limitAddressSpace }, input) {
+  const emit = (type, payload = {}) => session.onEvent(type, { sessionId: session.id, ...payload });
+
+  runSandboxed(command, args, {
+    input,
+    workDir: session.tempDir,
+    limitAddressSpace,
+    controlChannel: true,
+    limits: { timeoutMs: CONFIG.maxSessionMs },
+    onSpawn: ({ child, control, kill }) => {
+      session.control = control;
+      session.kill = kill;
+      session.state = 'running';
+
+      child.stdout.on('data', (data) => emit('output', { stream: 'stdout', text: data.toString() }));
+      child.stderr.on('data', (data) => emit('output', { stream: 'stderr', text: data.toString() }));
+
+      let buffered = '';
+      control.on('error', () => {});
+      control.on('data', (chunk) => {
+        buffered += chunk.toString();
+        let newline;
+        while ((newline = buffered.indexOf('\n')) >= 0) {
+          const line = buffered.slice(0, newline);
+          buffered = buffered.slice(newline + 1);
+          handleHarnessMessage(session, line, emit);
+        }
+      });
+    },
+  })
+    .then((result) => finishSession(session, result, emit))
+    .catch((failure) => finishSession(session, failure, emit));
+}
+
+function handleHarnessMessage(session, line, emit) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return;
+  }
+
+  if (message.event === 'paused') {
+    session.state = 'paused';
+    armIdleTimer(session);
+    emit('paused', {
+      reason: message.reason,
+      line: message.line,
+      function: message.function,
+      locals: message.locals || {},
+      stack: message.stack || [],
+    });
+  } else if (message.event === 'breakpoints') {
+    emit('breakpoints', { lines: message.lines || [] });
+  }
+}
+
+async function finishSession(session, result, emit) {
+  clearTimeout(session.idleTimer);
+  session.state = 'terminated';
+  sessions.delete(session.id);
+
+  const reason = session.stopReason
+    || (result.timedOut ? 'timeout' : result.memoryExceeded ? 'memory' : 'exited');
+
+  emit('terminated', {
+    reason,
+    exitCode: result.exitCode ?? null,
+    // Killing a paused program is expected, not an error worth showing
+    error: session.stopReason ? '' : result.error || '',
+    peakMemoryKb: result.peakMemoryKb ?? null,
+    cpuTimeMs: result.cpuTimeMs ?? null,
+  });
+
+  await rm(session.tempDir, { recursive: true, force: true }).catch(() => {});
+}
+
+function armIdleTimer(session) {
+  clearTimeout(session.idleTimer);
+  session.idleTimer = setTimeout(() => {
+    session.stopReason = 'idle';
+    session.kill?.();
+  }, CONFIG.idleTimeoutMs);
+}
+
+function getOwnedSession(sessionId, userId) {
+  const session = sessions.get(sessionId);
+  if (!session || session.userId !== userId) {
+    throw createDebugError('Debug session not found', 'DEBUG_SESSION_NOT_FOUND');
+  }
+  return session;
+}
+
+function normalizeLines(lines) {
+  return [...new Set((Array.isArray(lines) ? lines : []).map(Number))]
+    .filter((line) => Number.isInteger(line) && line > 0)
+    .slice(0, 100);
+}
+
+function createDebugError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -5,184 +5,31 @@
  * - No predefined question pools
  * - Dynamic question generation from resume + JD
  * - Logic-based evaluation (transparent formulas)
- * - Adaptive difficulty based on performance
  * - Works for: Tech, Business, Creative, Medical, Legal, ANY field
+ *
+ * Provides the `dynamic` selector, `keyPoints` evaluator and `dynamic`
+ * follow-ups of interviewStrategies.js; sessions run in interviewRuntime.js.
  */
 
-import ConversationalInterview from '../models/ConversationalInterview.js';
-import ParsedResume from '../models/ParsedResume.js';
-import JobDescription from '../models/JobDescription.js';
 import QuestionBank from '../models/QuestionBank.js';
-import * as openrouterService from './openrouterService.js';
+import { mostInformative, itemFromQuestionBank, abilityFor } from './abilityEstimator.js';
+import { createChatCompletion } from './llmGateway.js';
+import { createStructuredCompletion } from './structuredOutput.js';
+import { renderPrompt } from './promptRegistry.js';
 
-class DynamicInterviewEngine {
-  
-  /**
-   * Start interview - generates questions from resume + JD
-   */
-  async startInterview(userId, {
-    interviewType = 'technical',
-    targetRole,
-    resumeId,
-    jobDescriptionId
-  }) {
-    try {
-      // Load context
-      const resume = resumeId ? await ParsedResume.findById(resumeId) : null;
-      const jd = jobDescriptionId ? await JobDescription.findById(jobDescriptionId) : null;
-      
-      // Extract skills dynamically
-      const candidateSkills = resume ? this.extractAllSkills(resume.parsedData.skills) : [];
-      const requiredSkills = jd ? this.extractRequiredSkills(jd.parsedData) : [];
-      const preferredSkills = jd ? this.extractPreferredSkills(jd.parsedData) : [];
-      
-      // Identify gaps
-      const skillGaps = this.identifySkillGaps(candidateSkills, requiredSkills, preferredSkills);
-      
-      // Create session
-      const interview = new ConversationalInterview({
-        userId,
-        interviewType,
-        targetRole: targetRole || jd?.jobTitle || 'General Position',
-        resumeId,
-        jobDescriptionId,
-        status: 'in-progress',
-        interviewContext: {
-          candidateSkills,
-          requiredSkills,
-          preferredSkills,
-          identifiedGaps: skillGaps,
-          currentDifficulty: 'medium',
-          topicSequence: [],
-          performanceTrend: [],
-          strugglingTopics: [],
-          strongTopics: [],
-        },
-      });
-      
-      await interview.save();
-      
-      // Generate first question dynamically
-      const firstQuestion = await this.generateDynamicQuestion(interview, resume, jd);
-      
-      return {
-        interview,
-        firstQuestion,
-        context: {
-          skillGaps: skillGaps.length,
-          targetRole: interview.targetRole,
-          candidateSkillCount: candidateSkills.length,
-          requiredSkillCount: requiredSkills.length
-        }
-      };
-      
-    } catch (error) {
-      console.error('Interview start error:', error);
-      throw new Error('Failed to start interview: ' + error.message);
-    }
-  }
-  
-  /**
-   * Extract all skills from resume (any format)
-   */
-  extractAllSkills(skillsData) {
-    if (!skillsData) return [];
-    
-    const allSkills = [];
-    
-    if (typeof skillsData === 'object') {
-      // Flatten all skill categories
-      Object.values(skillsData).forEach(category => {
-        if (Array.isArray(category)) {
-          allSkills.push(...category);
-        } else if (typeof category === 'string') {
-          allSkills.push(category);
-        }
-      });
-    } else if (Array.isArray(skillsData)) {
-      allSkills.push(...skillsData);
-    }
-    
-    return [...new Set(allSkills.map(s => s.toLowerCase()))];
-  }
-  
-  /**
-   * Extract required skills from JD
-   */
-  extractRequiredSkills(jdData) {
-    const skills = [];
-    
-    if (jdData.requiredSkills && Array.isArray(jdData.requiredSkills)) {
-      skills.push(...jdData.requiredSkills);
-    }
-    
-    if (jdData.skills && Array.isArray(jdData.skills)) {
-      skills.push(...jdData.skills);
-    }
-    
-    return [...new Set(skills.map(s => typeof s === 'string' ? s.toLowerCase() : s.name?.toLowerCase()))].filter(Boolean);
-  }
-  
-  /**
-   * Extract preferred skills from JD
-   */
-  extractPreferredSkills(jdData) {
-    const skills = [];
-    
-    if (jdData.preferredSkills && Array.isArray(jdData.preferredSkills)) {
-      skills.push(...jdData.preferredSkills);
-    }
-    
-    if (jdData.niceToHaveSkills && Array.isArray(jdData.niceToHaveSkills)) {
-      skills.push(...jdData.niceToHaveSkills);
-    }
-    
-    return [...new Set(skills.map(s => typeof s === 'string' ? s.toLowerCase() : s.name?.toLowerCase()))].filter(Boolean);
-  }
-  
-  /**
-   * Identify skill gaps dynamically
-   */
-  identifySkillGaps(candidateSkills, requiredSkills, preferredSkills) {
-    const gaps = [];
-    
-    // Required skills gaps (high priority)
-    requiredSkills.forEach(skill => {
-      if (!this.hasSkill(candidateSkills, skill)) {
-        gaps.push({
-          skill,
-          type: 'missing',
-          severity: 'high',
-          priority: 100
-        });
-      }
-    });
-    
-    // Preferred skills gaps (medium priority)
-    preferredSkills.forEach(skill => {
-      if (!this.hasSkill(candidateSkills, skill)) {
-        gaps.push({
-          skill,
-          type: 'missing',
-          severity: 'medium',
-          priority: 50
-        });
-      }
-    });
-    
-    return gaps;
-  }
-  
-  /**
-   * Check if candidate has skill (fuzzy matching)
-   */
-  hasSkill(candidateSkills, targetSkill) {
-    const target = targetSkill.toLowerCase();
-    return candidateSkills.some(skill => {
-      const s = skill.toLowerCase();
-      return s.includes(target) || target.includes(s);
-    });
+// What interview.dynamicQuestion asks for; an unknown difficulty falls back to the session's
+const DYNAMIC_QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['question', 'expectedKeyPoints'],
+  properties: {
+    question: { type: 'string', minLength: 10 },
+    expectedKeyPoints: { type: 'array', items: { type: 'string' } },
+    difficulty: { type: 'string' },
+    type: { type: 'string' }
   }
+};
+
+class DynamicInterviewEngine {
   
   /**
    * Generate question dynamically from context
@@ -195,11 +42,11 @@ class DynamicInterviewEngine {
     const questionFocus = this.determineQuestionFocus(context, turns);
     
     // Check if we have pre-generated questions in bank
-    let question = await this.findExistingQuestion(questionFocus, context.currentDifficulty, turns);
+    let question = await this.findExistingQuestion(questionFocus, abilityFor(context, questionFocus.topic), turns);
     
     if (!question) {
       // Generate new question dynamically
-      question = await this.createNewQuestion(questionFocus, context, resume, jd);
+      question = await this.createNewQuestion(questionFocus, context, resume, jd, { userId: interview.userId });
     }
     
     return question;
@@ -262,71 +109,68 @@ class DynamicInterviewEngine {
   }
   
   /**
-   * Find existing question from database
+   * Find existing question from database: of the least-used ones on the
+   * topic, the one whose calibrated difficulty tells most about the candidate
    */
-  async findExistingQuestion(questionFocus, difficulty, askedTurns) {
-    const askedQuestions = askedTurns.map(t => t.question.questionId).filter(Boolean);
+  async findExistingQuestion(questionFocus, ability, askedTurns) {
+    const askedQuestions = askedTurns.map(t => t.questionId).filter(Boolean);
     
-    const question = await QuestionBank.findOne({
-      generationMetadata: {
-        $elemMatch: {
-          fromSkill: questionFocus.topic
-        }
-      },
-      difficulty,
+    const candidates = await QuestionBank.find({
+      'generationSource.sourceData.skill': questionFocus.topic,
+      isActive: true,
       _id: { $nin: askedQuestions }
-    }).sort({ 'metadata.usageCount': 1 });  // Prefer less-used questions
+    }).sort({ 'usageStats.timesAsked': 1 }).limit(20);  // Prefer less-used questions
     
-    return question;
+    const items = candidates.map(question => ({ question, ...itemFromQuestionBank(question) }));
+    return mostInformative(items, ability.theta)?.question || null;
   }
   
   /**
-   * Create new question dynamically using AI
+   * Create new question dynamically using AI; options.userId meters the call
    */
-  async createNewQuestion(questionFocus, context, resume, jd) {
+  async createNewQuestion(questionFocus, context, resume, jd, options = {}) {
     try {
-      const prompt = this.buildQuestionPrompt(questionFocus, context, resume, jd);
+      const prompt = this.buildQuestionPrompt(questionFocus, context, resume, jd, options.userId);
       
-      const response = await openrouterService.createChatCompletion([
-        {
-          role: 'system',
-          content: 'You are an expert interviewer. Generate realistic, professional interview questions tailored to the candidate and role. Return ONLY a JSON object with: question, expectedKeyPoints (array), difficulty (easy/medium/hard), type (technical/behavioral/situational).'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ], {
+      const { data: generated } = await createStructuredCompletion('interview', prompt.messages, {
+        schema: DYNAMIC_QUESTION_SCHEMA,
         temperature: 0.8,
-        max_tokens: 300
+        max_tokens: 300,
+        userId: options.userId
       });
       
-      const generated = JSON.parse(response.content);
+      const difficulty = ['easy', 'medium', 'hard'].includes(generated.difficulty)
+        ? generated.difficulty
+        : context.currentDifficulty;
       
       // Store in question bank for reuse
       const questionDoc = await QuestionBank.create({
         question: generated.question,
-        type: generated.type || questionFocus.type,
-        difficulty: generated.difficulty || context.currentDifficulty,
-        expectedComponents: generated.expectedKeyPoints || [],
-        generationMetadata: {
-          source: 'ai-generated',
-          fromSkill: questionFocus.topic,
-          fromType: questionFocus.source,
-          createdAt: new Date()
+        type: questionFocus.type === 'behavioral' ? 'behavioral' : 'technical',
+        difficulty,
+        expectedComponents: {
+          requiredConcepts: generated.expectedKeyPoints || []
+        },
+        generationSource: {
+          method: questionFocus.source === 'gap' ? 'gap-based' : questionFocus.source === 'jd' ? 'jd-aligned' : 'skill-based',
+          sourceData: { skill: questionFocus.topic },
+          promptVersion: prompt.id
         },
-        metadata: {
-          usageCount: 1
+        usageStats: {
+          timesAsked: 1,
+          lastUsed: new Date()
         }
       });
       
       return {
         text: generated.question,
         questionId: questionDoc._id,
-        type: generated.type,
-        difficulty: generated.difficulty,
+        type: questionDoc.type,
+        topic: questionFocus.topic,
+        difficulty,
         expectedKeyPoints: generated.expectedKeyPoints || [],
-        isFollowUp: false
+        isFollowUp: false,
+        promptVersion: prompt.id
       };
       
     } catch (error) {
@@ -337,44 +181,42 @@ class DynamicInterviewEngine {
   }
   
   /**
-   * Build prompt for question generation
+   * Render the question generation prompt; unitId keeps a user in one experiment arm
    */
-  buildQuestionPrompt(questionFocus, context, resume, jd) {
-    let prompt = `Generate an interview question for:\n\n`;
-    
-    prompt += `Role: ${context.targetRole || 'General Position'}\n`;
-    prompt += `Question Focus: ${questionFocus.topic}\n`;
-    prompt += `Type: ${questionFocus.type}\n`;
-    prompt += `Difficulty: ${context.currentDifficulty}\n\n`;
-    
+  buildQuestionPrompt(questionFocus, context, resume, jd, unitId) {
+    let focusNote = '';
     if (questionFocus.source === 'gap') {
-      prompt += `This is a skill gap - the candidate doesn't have "${questionFocus.topic}" but it's required for the role.\n`;
-      prompt += `Ask a question to assess their knowledge or potential to learn this skill.\n\n`;
+      focusNote = `This is a skill gap - the candidate doesn't have "${questionFocus.topic}" but it's required for the role.\n` +
+        `Ask a question to assess their knowledge or potential to learn this skill.\n\n`;
     }
     else if (questionFocus.source === 'resume') {
-      prompt += `The candidate claims to have "${questionFocus.topic}" on their resume.\n`;
-      prompt += `Ask a question to validate their actual experience with this skill.\n\n`;
+      focusNote = `The candidate claims to have "${questionFocus.topic}" on their resume.\n` +
+        `Ask a question to validate their actual experience with this skill.\n\n`;
     }
     
-    if (resume && resume.parsedData.experience.length > 0) {
-      prompt += `Candidate Background:\n`;
-      resume.parsedData.experience.slice(0, 2).forEach(exp => {
-        prompt += `- ${exp.title} at ${exp.company}\n`;
-      });
-      prompt += `\n`;
+    let background = '';
+    if (resume?.parsedData?.experience?.length > 0) {
+      background = `Candidate Background:\n` +
+        resume.parsedData.experience.slice(0, 2).map(exp => `- ${exp.title} at ${exp.company}\n`).join('') +
+        `\n`;
     }
     
-    if (jd && jd.parsedData.responsibilities) {
-      prompt += `Role Responsibilities:\n`;
-      jd.parsedData.responsibilities.slice(0, 3).forEach(resp => {
-        prompt += `- ${resp}\n`;
-      });
-      prompt += `\n`;
+    let responsibilities = '';
+    if (jd?.responsibilities?.length > 0) {
+      responsibilities = `Role Responsibilities:\n` +
+        jd.responsibilities.slice(0, 3).map(resp => `- ${resp}\n`).join('') +
+        `\n`;
     }
     
-    prompt += `Generate a professional, specific question that probes understanding of "${questionFocus.topic}".`;
-    
-    return prompt;
+    return renderPrompt('interview.dynamicQuestion', {
+      role: context.targetRole || 'General Position',
+      topic: questionFocus.topic,
+      type: questionFocus.type,
+      difficulty: context.currentDifficulty,
+      focusNote,
+      background,
+      responsibilities
+    }, { unitId });
   }
   
   /**
@@ -391,7 +233,8 @@ class DynamicInterviewEngine {
     
     return {
       text: templates[questionFocus.type] || `Tell me about ${questionFocus.topic}.`,
-      type: questionFocus.type,
+      type: questionFocus.type === 'behavioral' ? 'behavioral' : 'technical',
+      topic: questionFocus.topic,
       difficulty: 'medium',
       expectedKeyPoints: [questionFocus.topic, 'specific example', 'practical application'],
       isFollowUp: false
@@ -508,8 +351,9 @@ class DynamicInterviewEngine {
   
   /**
    * Generate follow-up question for weak answer
+   * options.onEvent receives the question text token by token; options.userId meters the call
    */
-  async generateFollowUp(question, answer, evaluation) {
+  async generateFollowUp(question, answer, evaluation, options = {}) {
     const missingPoints = evaluation.missingKeyPoints;
     
     if (missingPoints.length === 0) {
@@ -517,18 +361,16 @@ class DynamicInterviewEngine {
     }
     
     try {
-      const prompt = `You asked: "${question.text}"
-      
-The candidate answered but missed these key points: ${missingPoints.join(', ')}
-
-Generate a brief follow-up question (one sentence) to probe deeper on these missing points. Be conversational.`;
+      const prompt = renderPrompt('interview.dynamicFollowUp', {
+        question: question.text,
+        missingPoints: missingPoints.join(', ')
+      }, { unitId: options.userId });
 
-      const response = await openrouterService.createChatCompletion([
-        { role: 'system', content: 'You are an interviewer asking follow-up questions. Be brief and conversational.' },
-        { role: 'user', content: prompt }
-      ], {
+      const response = await createChatCompletion('interview', prompt.messages, {
         temperature: 0.7,
-        max_tokens: 100
+        max_tokens: 100,
+        onEvent: options.onEvent,
+        userId: options.userId
       });
       
       const followUpText = response.content.trim();
@@ -553,77 +395,6 @@ Generate a brief follow-up question (one sentence) to probe deeper on these miss
       };
     }
   }
-  
-  /**
-   * Update session state after each turn
-   */
-  async updateSessionState(interview, lastEvaluation) {
-    const context = interview.interviewContext;
-    
-    // Update performance trend
-    context.performanceTrend.push(lastEvaluation.overallScore);
-    if (context.performanceTrend.length > 10) {
-      context.performanceTrend.shift();  // Keep last 10
-    }
-    
-    // Update difficulty based on recent performance
-    const recentAvg = context.performanceTrend.slice(-3).reduce((a, b) => a + b, 0) / 3;
-    if (recentAvg >= 80) {
-      context.currentDifficulty = 'hard';
-    } else if (recentAvg >= 60) {
-      context.currentDifficulty = 'medium';
-    } else {
-      context.currentDifficulty = 'easy';
-    }
-    
-    // Update struggling/strong areas
-    const currentTopic = interview.turns[interview.turns.length - 1]?.question.topic;
-    if (currentTopic) {
-      if (lastEvaluation.overallScore < 60) {
-        if (!context.strugglingTopics.includes(currentTopic)) {
-          context.strugglingTopics.push(currentTopic);
-        }
-      } else if (lastEvaluation.overallScore >= 80) {
-        if (!context.strongTopics.includes(currentTopic)) {
-          context.strongTopics.push(currentTopic);
-        }
-        // Remove from struggling if now strong
-        context.strugglingTopics = context.strugglingTopics.filter(t => t !== currentTopic);
-      }
-    }
-    
-    interview.interviewContext = context;
-    await interview.save();
-  }
-  
-  /**
-   * Determine if interview should continue
-   */
-  shouldContinueInterview(interview) {
-    const maxTurns = 15;
-    const minTurns = 5;
-    
-    const turns = interview.turns.length;
-    
-    // Always continue if below minimum
-    if (turns < minTurns) return true;
-    
-    // Stop if max turns reached
-    if (turns >= maxTurns) return false;
-    
-    // Stop if all gaps covered and performance is strong
-    const context = interview.interviewContext;
-    const gapsCovered = context.identifiedGaps.every(gap => 
-      context.topicSequence.includes(gap.skill)
-    );
-    const recentAvg = context.performanceTrend.slice(-5).reduce((a, b) => a + b, 0) / 5;
-    
-    if (gapsCovered && recentAvg >= 75 && turns >= 10) {
-      return false;
-    }
-    
-    return true;
-  }
 }
 
 export default new DynamicInterviewEngine();
@@ -0,0 +1,266 @@
+import { writeFile, mkdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { executeCode } from './codeExecutor.js';
+import { runSandboxed, DEFAULT_LIMITS } from './sandbox.js';
+
+/**
+ * Empirical complexity measurement
+ *
+ * Runs a submission on generated inputs of growing size, fits the CPU time
+ * curve t(n) = a + b·f(n) for each candidate class and reports the best fit.
+ * The constant `a` absorbs interpreter start-up, which dominates small runs.
+ *
+ * Input generators come from the question author: a Python or JavaScript
+ * program that reads the size n from stdin and prints one input for the
+ * submission.
+ */
+
+const CONFIG = {
+  budgetMs: parseInt(process.env.EMPIRICAL_BUDGET_MS, 10) || 20000, // total wall time per measurement
+  targetRunMs: 1000, // stop growing n once a single run takes this long
+  minPoints: 4,
+  maxPoints: 12,
+  repeats: 2, // best of N per size to dampen scheduler noise
+  startSize: 16,
+  maxSize: 1 << 22,
+  noiseFloorMs: 30, // growth below this (or 25% of the baseline) is indistinguishable from O(1)
+  maxInputBytes: 32 * 1024 * 1024,
+};
+
+export const GENERATOR_LANGUAGES = ['python', 'javascript'];
+
+const MODELS = [
+  { notation: 'O(1)', fn: () => 1 },
+  { notation: 'O(log n)', fn: (n) => Math.log2(n) },
+  { notation: 'O(n)', fn: (n) => n },
+  { notation: 'O(n log n)', fn: (n) => n * Math.log2(n) },
+  { notation: 'O(n^2)', fn: (n) => n * n },
+  { notation: 'O(2^n)', fn: (n) => 2 ** n },
+];
+
+/**
+ * Measure how a submission's running time grows with input size
+ * @param {string} code - Submission source
+ * @param {string} language - Submission language
+ * @param {Object} generator - { language, code, sizes? } usually Question.inputGenerator
+ * @returns {Promise<{notation, confidence, fits, samples, stoppedReason}>}
+ */
+export async function measureComplexity(code, language, generator) {
+  if (!generator?.code || !GENERATOR_LANGUAGES.includes(generator.language)) {
+    throw new Error(`Input generator must be ${GENERATOR_LANGUAGES.join(' or ')} code`);
+  }
+
+  const tempDir = join(tmpdir(), 'prepwiser-empirical', uuidv4());
+  const startedAt = Date.now();
+  const samples = [];
+  let stoppedReason = 'max-size';
+
+  try {
+    await mkdir(tempDir, { recursive: true });
+
+    const sizes = createSizes(generator.sizes);
+    for (let n = sizes.next(); n !== null; n = sizes.next(samples)) {
+      if (Date.now() - startedAt > CONFIG.budgetMs) {
+        stoppedReason = 'budget';
+        break;
+      }
+
+      let input;
+      try {
+        input = await generateInput(generator, n, tempDir);
+      } catch (error) {
+        stoppedReason = 'generator-failed';
+        if (samples.length === 0) throw error;
+        break;
+      }
+
+      const sample = await timeSubmission(code, language, input, n);
+      if (sample.failure) {
+        stoppedReason = sample.failure;
+        break;
+      }
+
+      samples.push(sample);
+      if (sample.timeMs >= CONFIG.targetRunMs) {
+        stoppedReason = 'target-time';
+        break;
+      }
+      if (samples.length >= CONFIG.maxPoints) {
+        stoppedReason = 'max-points';
+        break;
+      }
+    }
+  } finally {
+    await rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+
+  return { ...classify(samples), samples, stoppedReason };
+}
+
+/**
+ * Sizes to try: the author's list, or growing from startSize. Without a list,
+ * n grows 4x while timings are still start-up noise and 2x once they rise,
+ * so the points land where the curve actually has a shape.
+ * @returns {{next: Function}} next(samples) -> size or null when done
+ */
+function createSizes(sizes) {
+  if (Array.isArray(sizes) && sizes.length > 0) {
+    const list = [...new Set(sizes.map(Number).filter((n) => Number.isInteger(n) && n > 0))].sort((a, b) => a - b);
+    let index = 0;
+    return { next: () => (index < list.length ? list[index++] : null) };
+  }
+
+  let n = null;
+  return {
+    next: (samples = []) => {
+      if (n === null) {
+        n = CONFIG.startSize;
+      } else {
+        const times = samples.map((s) => s.timeMs);
+        n *= isWithinNoise(times) ? 4 : 2;
+      }
+      return n <= CONFIG.maxSize ? n : null;
+    },
+  };
+}
+
+function isWithinNoise(times) {
+  const growth = Math.max(...times) - Math.min(...times);
+  return growth <= Math.max(CONFIG.noiseFloorMs, 0.25 * Math.min(...times));
+}
+
+/**
+ * Run the author's generator for size n. It runs sandboxed like any other
+ * code but with a larger output cap, since its output is an input file.
+ */
+async function generateInput(generator, n, tempDir) {
+  const isPython = generator.language === 'python';
+  const file = join(tempDir, isPython ? 'generator.py' : 'generator.js');
+  await writeFile(file, generator.code);
+
+  const command = isPython ? 'python' : 'node';
+  const args = isPython ? ['-u', file] : [`--max-old-space-size=${DEFAULT_LIMITS.memoryMb}`, file];
+
+  let result;
+  try {
+    result = await runSandboxed(command, args, {
+      input: `${n}\n`,
+      workDir: tempDir,
+      limitAddressSpace: isPython,
+      limits: { maxOutputBytes: CONFIG.maxInputBytes },
+    });
+  } catch (failure) {
+    throw new Error(`Input generator failed for n=${n}: ${failure.error}`);
+  }
+
+  if (result.error) {
+    throw new Error(`Input generator failed for n=${n}: ${result.error}`);
+  }
+  return result.output;
+}
+
+/**
+ * Best-of-N CPU time of the submission on one input
+ * @returns {{n, timeMs, peakMemoryKb}|{failure: string}}
+ */
+async function timeSubmission(code, language, input, n) {
+  let best = null;
+
+  for (let i = 0; i < CONFIG.repeats; i++) {
+    const run = await executeCode(code, language, input, { skipCache: true });
+
+    if (run.timedOut) return { failure: 'timeout' };
+    if (run.memoryExceeded) return { failure: 'memory' };
+    if (run.error) return { failure: 'error' };
+
+    // CPU time ignores time spent waiting on the scheduler; wall time is the fallback off Linux
+    const timeMs = run.cpuTimeMs ?? run.executionTime;
+    if (!best || timeMs < best.timeMs) {
+      best = { n, timeMs, peakMemoryKb: run.peakMemoryKb ?? null };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Fit every model and pick the best one
+ * @returns {{notation, confidence, fits}}
+ */
+function classify(samples) {
+  if (samples.length < CONFIG.minPoints) {
+    return {
+      notation: null,
+      confidence: 0,
+      fits: [],
+      message: `Need at least ${CONFIG.minPoints} successful runs to estimate complexity`,
+    };
+  }
+
+  const fits = MODELS
+    .map((model) => ({ notation: model.notation, ...fitModel(samples, model.fn) }))
+    .filter((fit) => fit.valid);
+
+  const times = samples.map((s) => s.timeMs);
+  const growth = Math.max(...times) - Math.min(...times);
+  const flat = isWithinNoise(times);
+
+  // Growth models always fit at least as well as a constant, so a flat curve
+  // has to be recognised before comparing residuals
+  const ranked = [...fits].sort((a, b) => a.sse - b.sse);
+  const growing = ranked.filter((fit) => fit.notation !== 'O(1)');
+  const best = flat ? fits.find((fit) => fit.notation === 'O(1)') : growing[0];
+  const runnerUp = flat ? growing[0] : growing[1];
+
+  // Confident when the best fit explains the data and clearly beats the next class
+  const separation = runnerUp && runnerUp.sse > 0 ? 1 - best.sse / runnerUp.sse : 1;
+  const explained = flat ? 1 - growth / Math.max(...times, 1) : best.r2;
+  const coverage = Math.min(1, samples.length / 6);
+  const confidence = Math.max(0, Math.min(1, explained * (flat ? 1 : separation) * coverage));
+
+  return {
+    notation: best.notation,
+    confidence: Math.round(confidence * 100) / 100,
+    fits: ranked.map(({ notation, r2 }) => ({ notation, r2: Math.round(r2 * 1000) / 1000 })),
+  };
+}
+
+/**
+ * Least-squares fit of t = a + b·f(n) with b >= 0
+ */
+function fitModel(samples, fn) {
+  const xs = samples.map((s) => fn(s.n));
+  const ys = samples.map((s) => s.timeMs);
+
+  if (xs.some((x) => !Number.isFinite(x))) {
+    return { valid: false };
+  }
+
+  // Scale x to [0, 1] so 2^n and n^2 stay numerically sane
+  const maxX = Math.max(...xs) || 1;
+  const scaled = xs.map((x) => x / maxX);
+  const count = samples.length;
+  const meanX = scaled.reduce((sum, x) => sum + x, 0) / count;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / count;
+
+  let covariance = 0;
+  let variance = 0;
+  scaled.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    variance += (x - meanX) ** 2;
+  });
+
+  const slope = variance > 0 ? Math.max(0, covariance / variance) : 0;
+  const intercept = meanY - slope * meanX;
+
+  let sse = 0;
+  let sst = 0;
+  scaled.forEach((x, i) => {
+    sse += (ys[i] - (intercept + slope * x)) ** 2;
+    sst += (ys[i] - meanY) ** 2;
+  });
+
+  return { valid: true, sse, r2: sst > 0 ? 1 - sse / sst : 1 };
+}
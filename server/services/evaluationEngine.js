@@ -1,5 +1,22 @@
-import * as openrouterService from './openrouterService.js';
+import { createStructuredCompletion } from './structuredOutput.js';
 import SkillGap from '../models/SkillGap.js';
+import { builtInRubric, scoreDimensions, weightedScore } from './rubricService.js';
+
+// Rubric answers are scored with when the caller gives none
+const TECHNICAL_RUBRIC = builtInRubric('technical');
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const CONCEPTS_SCHEMA = {
+  type: 'object',
+  required: ['concepts', 'technicalTerms', 'examples', 'comparisons'],
+  properties: {
+    concepts: stringList,
+    technicalTerms: stringList,
+    examples: stringList,
+    comparisons: stringList,
+  },
+};
 
 /**
  * EvaluationEngine
@@ -12,13 +29,15 @@ import SkillGap from '../models/SkillGap.js';
 class EvaluationEngine {
   /**
    * Main evaluation pipeline
+   * @param {Object} rubric - Rubric or snapshot the overall score is weighted by
+   * @param {Object} options - { userId } to meter the AI call
    */
-  static async evaluateAnswer(question, answer, expectedComponents) {
+  static async evaluateAnswer(question, answer, expectedComponents, rubric = TECHNICAL_RUBRIC, options = {}) {
     // Step 1: Preprocessing
     const preprocessed = this.preprocessAnswer(answer);
     
     // Step 2: Extract concepts from answer using GPT-4 (extraction only, NOT scoring)
-    const extractedConcepts = await this.extractConcepts(preprocessed.text);
+    const extractedConcepts = await this.extractConcepts(preprocessed.text, options);
     
     // Step 3: Multi-metric analysis (RULE-BASED)
     const metrics = {
@@ -30,7 +49,7 @@ class EvaluationEngine {
     };
     
     // Step 4: Weighted aggregation
-    const overallScore = this.aggregateScore(metrics);
+    const overallScore = this.aggregateScore(metrics, rubric);
     
     // Step 5: Gap detection
     const gaps = this.detectGaps(extractedConcepts, expectedComponents, metrics);
@@ -106,7 +125,7 @@ class EvaluationEngine {
   /**
    * Extract concepts using GPT-4 (EXTRACTION ONLY, not evaluation)
    */
-  static async extractConcepts(answerText) {
+  static async extractConcepts(answerText, options = {}) {
     const prompt = `Extract technical concepts, terms, and key ideas from this interview answer.
 
 Answer: "${answerText}"
@@ -122,18 +141,20 @@ Return a JSON object with:
 Only extract, do NOT evaluate quality.`;
 
     try {
-      const response = await openrouterService.createChatCompletion([
+      const { data } = await createStructuredCompletion('interviewEvaluation', [
         {
           role: 'system',
           content: 'You extract concepts from text. You do NOT evaluate or judge quality.',
         },
         { role: 'user', content: prompt },
       ], {
+        schema: CONCEPTS_SCHEMA,
         temperature: 0.3,
-        max_tokens: 500
+        max_tokens: 500,
+        userId: options.userId
       });
       
-      return JSON.parse(response.content);
+      return data;
     } catch (error) {
       console.error('Concept extraction failed:', error);
       return {
@@ -285,26 +306,14 @@ Only extract, do NOT evaluate quality.`;
   }
   
   /**
-   * Weighted aggregation
-   * Formula: clarity×0.20 + relevance×0.25 + depth×0.25 + structure×0.15 + accuracy×0.15
+   * Weighted aggregation over the rubric's dimensions
+   * Formula: Σ(metric × weight) / Σ(weight), over the dimensions whose metric was scored
+   * (technical rubric: clarity×0.20 + relevance×0.25 + depth×0.25 + structure×0.15 + accuracy×0.15)
+   * Falls back to metrics.turnScore (or 0) when the rubric scores none of the metrics.
    */
-  static aggregateScore(metrics) {
-    const weights = {
-      clarity: 0.20,
-      relevance: 0.25,
-      depth: 0.25,
-      structure: 0.15,
-      technicalAccuracy: 0.15,
-    };
-    
-    const score = 
-      (metrics.clarity * weights.clarity) +
-      (metrics.relevance * weights.relevance) +
-      (metrics.depth * weights.depth) +
-      (metrics.structure * weights.structure) +
-      (metrics.technicalAccuracy * weights.technicalAccuracy);
-    
-    return Math.round(score);
+  static aggregateScore(metrics, rubric = TECHNICAL_RUBRIC) {
+    const score = weightedScore(scoreDimensions(metrics, rubric));
+    return score ?? Math.round(metrics.turnScore ?? 0);
   }
   
   /**
@@ -0,0 +1,141 @@
+import NodeCache from 'node-cache';
+import crypto from 'crypto';
+import { mkdir, copyFile, readdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+/**
+ * Execution caches
+ *
+ *  - Artifact cache: compiled output (class files, binaries, emitted JS) keyed
+ *    by a hash of language + source, so "Run" with new input skips the compiler.
+ *  - Result cache: full results for identical (code, language, input) triples,
+ *    kept only briefly because programs may be time- or randomness-dependent.
+ *
+ * Artifacts are copied in and out of the per-run directory, never linked, so a
+ * run cannot tamper with what the next run gets.
+ */
+
+const CONFIG = {
+  resultTTL: parseInt(process.env.EXECUTION_RESULT_CACHE_TTL, 10) || 60, // seconds
+  artifactTTL: parseInt(process.env.EXECUTION_ARTIFACT_CACHE_TTL, 10) || 3600, // seconds
+  maxArtifacts: 500,
+  maxResults: 2000,
+  artifactDir: join(tmpdir(), 'prepwiser-artifacts'),
+};
+
+const resultCache = new NodeCache({
+  stdTTL: CONFIG.resultTTL,
+  checkperiod: 30,
+  maxKeys: CONFIG.maxResults,
+  useClones: true,
+});
+
+const artifactCache = new NodeCache({
+  stdTTL: CONFIG.artifactTTL,
+  checkperiod: 300,
+  maxKeys: CONFIG.maxArtifacts,
+  useClones: false,
+});
+
+// Remove artifact files once their index entry expires
+artifactCache.on('expired', (key, entry) => {
+  rm(entry.dir, { recursive: true, force: true }).catch(() => {});
+});
+
+function hashKey(data) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(data))
+    .digest('hex');
+}
+
+/**
+ * Look up a memoized execution result
+ * @returns {Object|undefined}
+ */
+export function getCachedResult(code, language, input = '') {
+  return resultCache.get(hashKey({ code, language, input }));
+}
+
+/**
+ * Memoize an execution result. Limit violations and start-up failures depend
+ * on server load rather than the program, so they are never cached.
+ */
+export function setCachedResult(code, language, input = '', result) {
+  if (result.timedOut || result.memoryExceeded || /Failed to start process/.test(result.error || '')) {
+    return;
+  }
+
+  try {
+    resultCache.set(hashKey({ code, language, input }), result);
+  } catch {
+    // Cache full, skip
+  }
+}
+
+/**
+ * Compile through the artifact cache
+ * @param {string} language - Programming language
+ * @param {string} code - Source code
+ * @param {string} tempDir - Run directory, already containing the source file
+ * @param {Function} compile - async () => compile error result or null
+ * @returns {Promise<{compileError: Object|null, cached: boolean}>}
+ */
+export async function compileWithCache(language, code, tempDir, compile) {
+  const key = hashKey({ language, code });
+  const entry = artifactCache.get(key);
+
+  if (entry) {
+    try {
+      await Promise.all(entry.files.map((file) => copyFile(join(entry.dir, file), join(tempDir, file))));
+      return { compileError: null, cached: true };
+    } catch {
+      // Artifact files vanished (e.g. tmp cleanup), rebuild below
+      artifactCache.del(key);
+    }
+  }
+
+  const before = new Set(await readdir(tempDir));
+  const compileError = await compile();
+  if (compileError) {
+    return { compileError, cached: false };
+  }
+
+  // Whatever the compiler added next to the source is the artifact
+  const files = (await readdir(tempDir)).filter((file) => !before.has(file) && !file.startsWith('.'));
+
+  if (artifactCache.getStats().keys >= CONFIG.maxArtifacts) {
+    return { compileError: null, cached: false };
+  }
+
+  try {
+    const dir = join(CONFIG.artifactDir, key);
+    await mkdir(dir, { recursive: true });
+    await Promise.all(files.map((file) => copyFile(join(tempDir, file), join(dir, file))));
+    artifactCache.set(key, { dir, files });
+  } catch (error) {
+    console.warn('Failed to cache compiled artifact:', error.message);
+  }
+
+  return { compileError: null, cached: false };
+}
+
+/**
+ * Cache statistics for diagnostics
+ */
+export function getExecutionCacheStats() {
+  return {
+    results: resultCache.getStats(),
+    artifacts: artifactCache.getStats(),
+  };
+}
+
+/**
+ * Clear both caches
+ */
+export async function clearExecutionCache() {
+  resultCache.flushAll();
+  artifactCache.flushAll();
+  await rm(CONFIG.artifactDir, { recursive: true, force: true });
+}
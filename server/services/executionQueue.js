@@ -0,0 +1,235 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Execution Queue
+ *
+ * Sits in front of executeCode / generateTrace / judging so a burst of
+ * submissions cannot spawn unbounded sandboxes. Jobs run with a fixed worker
+ * concurrency and are picked round-robin across users, so one candidate
+ * spamming "Run" cannot starve everyone else in the same mock-interview round.
+ *
+ * Emits 'job:update' with the public job status on every state change.
+ */
+
+const CONFIG = {
+  concurrency: parseInt(process.env.EXECUTION_CONCURRENCY, 10) || 2,
+  maxWaitMs: parseInt(process.env.EXECUTION_MAX_WAIT_MS, 10) || 30000,
+  maxPendingPerUser: parseInt(process.env.EXECUTION_MAX_PENDING_PER_USER, 10) || 5,
+  jobRetentionMs: 5 * 60 * 1000, // keep finished jobs around for status polling
+};
+
+export const BUSY_ERROR_CODE = 'EXECUTION_BUSY';
+
+class ExecutionQueue extends EventEmitter {
+  constructor(config = CONFIG) {
+    super();
+    this.config = { ...CONFIG, ...config };
+    this.jobs = new Map(); // jobId -> job
+    this.userQueues = new Map(); // userId -> [jobId] waiting
+    this.userOrder = []; // round-robin rotation of users with waiting jobs
+    this.running = 0;
+  }
+
+  /**
+   * Queue a task
+   * @param {string} userId - Owner, used for fairness and status access
+   * @param {string} kind - 'execute' | 'trace' | 'submit' | ...
+   * @param {Function} task - async () => result
+   * @returns {{jobId: string, promise: Promise}} promise settles with the task result
+   */
+  enqueue(userId, kind, task) {
+    const owner = userId || 'anonymous';
+    const pending = this.userQueues.get(owner)?.length || 0;
+
+    if (pending >= this.config.maxPendingPerUser) {
+      throw createBusyError(`You already have ${pending} runs waiting. Please wait for them to finish.`);
+    }
+
+    const job = {
+      id: uuidv4(),
+      userId: owner,
+      kind,
+      task,
+      status: 'queued',
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers that only poll never attach a handler
+    job.promise.catch(() => {});
+
+    job.waitTimer = setTimeout(() => this._expire(job), this.config.maxWaitMs);
+
+    this.jobs.set(job.id, job);
+    if (!this.userQueues.has(owner)) {
+      this.userQueues.set(owner, []);
+      this.userOrder.push(owner);
+    }
+    this.userQueues.get(owner).push(job.id);
+
+    this._emit(job);
+    this._drain();
+
+    return { jobId: job.id, promise: job.promise };
+  }
+
+  /**
+   * Public status of a job, including its queue position while waiting
+   * @returns {Object|null}
+   */
+  getStatus(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    return {
+      jobId: job.id,
+      userId: job.userId,
+      kind: job.kind,
+      status: job.status,
+      position: job.status === 'queued' ? this._position(job) : 0,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error,
+    };
+  }
+
+  /**
+   * Queue-wide numbers for diagnostics
+   */
+  getStats() {
+    let queued = 0;
+    this.userQueues.forEach((ids) => { queued += ids.length; });
+
+    return {
+      running: this.running,
+      queued,
+      concurrency: this.config.concurrency,
+      maxWaitMs: this.config.maxWaitMs,
+      waitingUsers: this.userOrder.length,
+    };
+  }
+
+  /**
+   * Start jobs while workers are free, taking one job per user in turn
+   */
+  _drain() {
+    while (this.running < this.config.concurrency && this.userOrder.length > 0) {
+      const userId = this.userOrder.shift();
+      const queue = this.userQueues.get(userId);
+      const jobId = queue.shift();
+
+      if (queue.length > 0) {
+        this.userOrder.push(userId);
+      } else {
+        this.userQueues.delete(userId);
+      }
+
+      const job = this.jobs.get(jobId);
+      if (job && job.status === 'queued') {
+        this._run(job);
+      }
+    }
+
+    // Positions of everyone still waiting may have changed
+    this.userQueues.forEach((ids) => ids.forEach((id) => this._emit(this.jobs.get(id))));
+  }
+
+  async _run(job) {
+    clearTimeout(job.waitTimer);
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    this._emit(job);
+
+    try {
+      job.result = await job.task();
+      job.status = 'completed';
+      job.resolve(job.result);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.reject(error);
+    } finally {
+      job.finishedAt = Date.now();
+      job.task = null;
+      this.running--;
+      this._emit(job);
+      this._scheduleCleanup(job);
+      this._drain();
+    }
+  }
+
+  /**
+   * Reject a job that waited longer than maxWaitMs
+   */
+  _expire(job) {
+    if (job.status !== 'queued') return;
+
+    const queue = this.userQueues.get(job.userId) || [];
+    const index = queue.indexOf(job.id);
+    if (index >= 0) queue.splice(index, 1);
+    if (queue.length === 0) {
+      this.userQueues.delete(job.userId);
+      this.userOrder = this.userOrder.filter((id) => id !== job.userId);
+    }
+
+    const error = createBusyError(
+      `Code runner is busy, your run waited more than ${Math.round(this.config.maxWaitMs / 1000)}s. Please try again.`
+    );
+
+    job.status = 'rejected';
+    job.error = error.message;
+    job.finishedAt = Date.now();
+    job.task = null;
+    job.reject(error);
+
+    this._emit(job);
+    this._scheduleCleanup(job);
+  }
+
+  _position(job) {
+    // Round-robin: our job starts in round `ownIndex`. Users earlier in the
+    // rotation get ownIndex + 1 turns before it, later users (and we) ownIndex.
+    const queue = this.userQueues.get(job.userId) || [];
+    const ownIndex = queue.indexOf(job.id);
+    const rotationIndex = this.userOrder.indexOf(job.userId);
+    let ahead = 0;
+
+    this.userOrder.forEach((userId, i) => {
+      const length = this.userQueues.get(userId)?.length || 0;
+      ahead += Math.min(length, i < rotationIndex ? ownIndex + 1 : ownIndex);
+    });
+
+    return ahead + 1;
+  }
+
+  _scheduleCleanup(job) {
+    setTimeout(() => this.jobs.delete(job.id), this.config.jobRetentionMs).unref?.();
+  }
+
+  _emit(job) {
+    if (job) {
+      this.emit('job:update', this.getStatus(job.id));
+    }
+  }
+}
+
+function createBusyError(message) {
+  const error = new Error(message);
+  error.code = BUSY_ERROR_CODE;
+  return error;
+}
+
+export { ExecutionQueue };
+export const executionQueue = new ExecutionQueue();
+export default executionQueue;
@@ -1,320 +1,123 @@
 /**
- * Groq AI Service - For Roadmap Features
- * Fast, reliable AI service using Groq's LLaMA models
+ * Roadmap & Resume Genome AI features
+ * Requests go through the LLM gateway, whose settings for these features
+ * prefer Groq's LLaMA models and fall back to the other providers.
  */
 
-import OpenAI from 'openai';
+import { createChatCompletion, checkProvider, PROVIDERS } from './llmGateway.js';
+import { createStructuredCompletion, INVALID_OUTPUT_CODE } from './structuredOutput.js';
+import { BUDGET_ERROR_CODE } from './aiUsageService.js';
+import { renderPrompt } from './promptRegistry.js';
+import resumeParserService from './resumeParserService.js';
 
-// ============= CONFIGURATION =============
-
-const CONFIG = {
-  timeout: 30000,        // 30 seconds (Groq is faster)
-  maxRetries: 1,         // Single retry
-  retryDelay: 1000,      // 1 second delay
-  model: 'llama-3.3-70b-versatile', // Groq's best model
-  temperature: 0.7,
-  maxTokens: 4096
-};
-
-// ============= GROQ CLIENT =============
-
-let groqClient = null;
-
-// Initialize Groq client
-function initializeGroq() {
-  const apiKey = (process.env.GROQ_API_KEY || '').trim();
-  if (!apiKey) {
-    console.error('❌ GROQ_API_KEY not configured');
-    return null;
-  }
-
-  if (!apiKey.startsWith('gsk_')) {
-    console.error('❌ Invalid GROQ_API_KEY format (should start with gsk_)');
-    return null;
-  }
-
-  try {
-    groqClient = new OpenAI({
-      apiKey,
-      baseURL: 'https://api.groq.com/openai/v1',
-      timeout: CONFIG.timeout
-    });
-    console.log('✅ Groq service initialized for Roadmap features');
-    return groqClient;
-  } catch (error) {
-    console.error('❌ Failed to initialize Groq:', error.message);
-    return null;
-  }
-}
-
-// Get or initialize client
-function getClient() {
-  if (!groqClient) {
-    groqClient = initializeGroq();
-  }
-  return groqClient;
-}
-
-// Initialize on module load
-initializeGroq();
-
-// ============= CORE FUNCTION =============
-
-/**
- * Create chat completion with Groq (for Roadmap generation)
- * @param {Array} messages - Chat messages
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} AI response
- */
-export async function createChatCompletion(messages, options = {}) {
-  const client = getClient();
-  
-  if (!client) {
-    console.error('❌ Groq client not available');
-    throw new Error('Groq AI service unavailable - API key not configured');
-  }
-
-  // Validate messages
-  if (!Array.isArray(messages) || messages.length === 0) {
-    throw new Error('Messages must be a non-empty array');
-  }
-
-  // Merge options with defaults
-  const config = {
-    model: options.model || CONFIG.model,
-    temperature: options.temperature !== undefined ? options.temperature : CONFIG.temperature,
-    max_tokens: options.max_tokens || options.maxTokens || CONFIG.maxTokens,
-    messages
-  };
-
-  console.log(`🚀 Groq AI Request: ${config.model} (temp: ${config.temperature}, max_tokens: ${config.max_tokens})`);
-
-  let lastError = null;
-  const maxAttempts = CONFIG.maxRetries + 1;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      console.log(`📡 Groq Attempt ${attempt}/${maxAttempts}...`);
-
-      // Create completion with timeout
-      const startTime = Date.now();
-      const response = await Promise.race([
-        client.chat.completions.create(config),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Groq request timeout')), CONFIG.timeout)
-        )
-      ]);
-
-      const duration = Date.now() - startTime;
-      console.log(`✅ Groq response received in ${duration}ms`);
-
-      // Extract content
-      const content = response.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('Empty response from Groq');
-      }
-
-      return {
-        success: true,
-        content: content.trim(),
-        model: response.model,
-        usage: response.usage,
-        provider: 'groq',
-        metadata: {
-          provider: 'groq',
-          model: response.model,
-          cached: false,
-          degradedMode: false
-        },
-        attempt
-      };
-
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Groq Attempt ${attempt} failed:`, error.message);
-
-      // Check for rate limit
-      if (error.status === 429 || error.message?.includes('rate limit')) {
-        console.error('⚠️ Groq rate limit exceeded');
-        throw new Error('Groq AI rate limit exceeded - please try again in a moment');
-      }
-
-      // Check for authentication error
-      if (error.status === 401 || error.message?.includes('authentication')) {
-        console.error('⚠️ Groq authentication failed');
-        throw new Error('Groq AI authentication failed - invalid API key');
-      }
-
-      // If this was the last attempt, throw error
-      if (attempt === maxAttempts) {
-        break;
-      }
+// ============= ROADMAP GENERATION =============
 
-      // Wait before retry
-      console.log(`⏳ Waiting ${CONFIG.retryDelay}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelay));
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Milestones as the roadmap prompts ask for them; missing details are
+// filled in by normalizeRoadmapStructure
+export const MILESTONES_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      duration: { type: 'string' },
+      week: { type: 'number' },
+      skills: stringList,
+      resources: { type: 'array', items: { type: 'object' } },
+      projects: { type: 'array', items: { type: 'object' } },
+      assessment: { type: 'string' },
+      status: { type: 'string' }
     }
   }
+};
 
-  // All attempts failed
-  console.error('❌ All Groq attempts failed:', lastError?.message);
-  throw new Error(`Groq request failed after ${maxAttempts} attempts: ${lastError?.message || 'Unknown error'}`);
-}
-
-// ============= ROADMAP GENERATION =============
+const ROADMAP_SCHEMA = {
+  type: 'object',
+  required: ['title', 'milestones'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    summary: { type: 'string' },
+    skillGapAnalysis: {
+      type: 'object',
+      properties: { current: stringList, required: stringList, gaps: stringList }
+    },
+    milestones: MILESTONES_SCHEMA,
+    weeklyCommitment: { type: 'string' },
+    totalDuration: { type: 'string' },
+    interviewPrep: { type: 'string' },
+    careerAdvice: { type: 'string' }
+  }
+};
 
 /**
- * Generate learning roadmap with Groq
+ * Generate learning roadmap
  * @param {Object} params - Roadmap parameters
+ * @param {Object} options - { onEvent, signal } to stream the raw model output, userId to meter it
  * @returns {Promise<Object>} Generated roadmap
  */
-export async function generateRoadmap(params) {
+export async function generateRoadmap(params, options = {}) {
   try {
-    console.log('🗺️ Generating roadmap with Groq...');
+    console.log('🗺️ Generating roadmap...');
 
     const { goal, currentLevel, targetRole, timeframe, skills, preferredTopics, jobDescription } = params;
 
-    // Build comprehensive prompt
-    let prompt = `Generate a comprehensive, personalized learning roadmap:
-
-**User Profile:**
-- Learning Goal: ${goal}
-- Current Level: ${currentLevel}
-- Target Role: ${targetRole || 'Not specified'}
-- Timeframe: ${timeframe?.value || 12} ${timeframe?.unit || 'weeks'}
-- Current Skills: ${skills?.length > 0 ? skills.join(', ') : 'None specified'}
-- Preferred Topics: ${preferredTopics?.length > 0 ? preferredTopics.join(', ') : 'Any'}`;
-
-    if (jobDescription) {
-      prompt += `\n\n**Target Job Description:**\n${jobDescription}`;
-    }
-
-    prompt += `\n\n**Generate a structured, comprehensive roadmap with:**
-
-1. **Title** - Clear, motivating title (e.g., "Full Stack Developer Journey")
-2. **Summary** - 2-3 sentence overview of the learning path
-3. **Skill Gap Analysis** - Current vs required skills with actionable gaps
-4. **Milestones** - 4-8 major learning milestones, each with:
-   - id: Unique identifier (milestone-1, milestone-2, etc.)
-   - title: Clear milestone name
-   - description: What you'll achieve (2-3 sentences)
-   - duration: Time estimate (e.g., "2-3 weeks")
-   - week: Starting week number
-   - skills: Array of specific skills to master
-   - resources: Array of learning resources with:
-     - type: "course", "book", "article", "video", "practice"
-     - title: Resource name
-     - url: Link (use realistic examples like Udemy, Coursera, MDN, etc.)
-     - description: Why this resource
-   - projects: Array of hands-on projects with:
-     - name: Project title
-     - description: What to build
-     - skills: Skills practiced
-     - estimatedHours: Time estimate
-   - assessment: How to evaluate mastery
-   - status: "pending" (default)
-5. **Weekly Commitment** - Realistic time allocation (hours/week)
-6. **Total Duration** - Total weeks or months
-7. **Interview Prep** - Interview preparation tips
-8. **Career Advice** - Industry insights and next steps
-
-**IMPORTANT**: Return ONLY valid JSON with this EXACT structure:
-{
-  "title": "Full Stack Developer Roadmap",
-  "summary": "Transform from a beginner to a job-ready full stack developer...",
-  "skillGapAnalysis": {
-    "current": ["JavaScript basics", "HTML/CSS"],
-    "required": ["React", "Node.js", "MongoDB", "REST APIs", "Git"],
-    "gaps": ["Backend development", "Database design", "API design", "Deployment"]
-  },
-  "milestones": [
-    {
-      "id": "milestone-1",
-      "title": "Frontend Fundamentals",
-      "description": "Master HTML, CSS, and JavaScript...",
-      "duration": "2-3 weeks",
-      "week": 1,
-      "skills": ["HTML5", "CSS3", "JavaScript ES6+", "Responsive Design"],
-      "resources": [
-        {
-          "type": "course",
-          "title": "Modern JavaScript From The Beginning",
-          "url": "https://www.udemy.com/course/modern-javascript-from-the-beginning/",
-          "description": "Comprehensive JavaScript course covering ES6+"
-        }
-      ],
-      "projects": [
-        {
-          "name": "Portfolio Website",
-          "description": "Build a responsive personal portfolio",
-          "skills": ["HTML", "CSS", "JavaScript"],
-          "estimatedHours": 15
-        }
-      ],
-      "assessment": "Complete 3 projects demonstrating responsive design",
-      "status": "pending"
-    }
-  ],
-  "weeklyCommitment": "10-15 hours",
-  "totalDuration": "12 weeks",
-  "interviewPrep": "Tips for technical interviews...",
-  "careerAdvice": "Industry insights and growth path..."
-}`;
-
-    const response = await createChatCompletion([
-      {
-        role: 'system',
-        content: 'You are an expert career counselor and learning path designer. Generate structured, actionable roadmaps that help people achieve their career goals. Always return valid JSON.'
-      },
-      {
-        role: 'user',
-        content: prompt
-      }
-    ], {
-      temperature: 0.7,
-      max_tokens: 4096
-    });
-
-    // Parse response
+    const prompt = renderPrompt('roadmap.generate', {
+      goal,
+      currentLevel,
+      targetRole: targetRole || 'Not specified',
+      timeframe: `${timeframe?.value || 12} ${timeframe?.unit || 'weeks'}`,
+      skills: skills?.length > 0 ? skills.join(', ') : 'None specified',
+      preferredTopics: preferredTopics?.length > 0 ? preferredTopics.join(', ') : 'Any',
+      jobDescriptionBlock: jobDescription ? `\n\n**Target Job Description:**\n${jobDescription}` : ''
+    }, { unitId: options.userId });
+
+    let response;
     let roadmap;
     try {
-      // Try to extract JSON from response
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        roadmap = JSON.parse(jsonMatch[0]);
-      } else {
-        roadmap = JSON.parse(response.content);
-      }
-
-      // Normalize and validate structure
-      roadmap = normalizeRoadmapStructure(roadmap, params);
-
-    } catch (parseError) {
-      console.warn('⚠️ Failed to parse JSON, using fallback structure');
+      response = await createStructuredCompletion('roadmap', prompt.messages, {
+        schema: ROADMAP_SCHEMA,
+        temperature: 0.7,
+        max_tokens: 4096,
+        onEvent: options.onEvent,
+        signal: options.signal,
+        userId: options.userId
+      });
+      roadmap = normalizeRoadmapStructure(response.data, params);
+    } catch (error) {
+      if (error.code !== INVALID_OUTPUT_CODE) throw error;
+      console.warn('⚠️ Roadmap reply was not a valid roadmap, using fallback structure');
+      response = { metadata: { degradedMode: true } };
       roadmap = createFallbackRoadmap(params);
     }
 
-    console.log('✅ Roadmap generated with Groq');
+    console.log('✅ Roadmap generated');
 
     return {
       success: true,
       roadmap,
-      metadata: {
-        provider: 'groq',
-        model: CONFIG.model
-      }
+      metadata: { ...response.metadata, promptVersion: prompt.id }
     };
 
   } catch (error) {
     console.error('❌ Roadmap generation error:', error.message);
+    if (error.code === BUDGET_ERROR_CODE) {
+      throw error;
+    }
     
     // Return fallback roadmap instead of throwing
     return {
       success: true,
       roadmap: createFallbackRoadmap(params),
       metadata: {
-        provider: 'groq',
-        model: CONFIG.model,
+        provider: null,
+        model: null,
+        cached: false,
         degradedMode: true
       }
     };
@@ -472,40 +275,11 @@ function createFallbackRoadmap(params) {
 // ============= HEALTH CHECK =============
 
 /**
- * Check if Groq service is available
+ * Check if Groq is reachable
  * @returns {Promise<Object>} Health status
  */
 export async function healthCheck() {
-  try {
-    const client = getClient();
-    if (!client) {
-      return {
-        available: false,
-        provider: 'groq',
-        error: 'API key not configured'
-      };
-    }
-
-    // Try a simple completion
-    await createChatCompletion([
-      { role: 'user', content: 'Hello' }
-    ], {
-      max_tokens: 5
-    });
-
-    return {
-      available: true,
-      provider: 'groq',
-      model: CONFIG.model
-    };
-
-  } catch (error) {
-    return {
-      available: false,
-      provider: 'groq',
-      error: error.message
-    };
-  }
+  return checkProvider(PROVIDERS.GROQ);
 }
 
 // ============= RESUME ANALYSIS FUNCTIONS =============
@@ -515,7 +289,7 @@ export async function healthCheck() {
  */
 export async function analyzeResume(resumeText, jobDescription = '', options = {}) {
   try {
-    console.log('📄 Analyzing resume with Groq...');
+    console.log('📄 Analyzing resume...');
 
     let prompt = `Analyze this resume and provide comprehensive feedback:\n\n${resumeText}`;
     
@@ -538,7 +312,7 @@ export async function analyzeResume(resumeText, jobDescription = '', options = {
 - **Recommendations**: Specific suggestions to improve match`;
     }
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('resumeGenome', [
       {
         role: 'system',
         content: 'You are an expert resume reviewer and career counselor. Provide detailed, constructive feedback.'
@@ -549,16 +323,15 @@ export async function analyzeResume(resumeText, jobDescription = '', options = {
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 2000
+      max_tokens: options.maxTokens || 2000,
+      pii: resumeParserService.extractContact(resumeText),
+      userId: options.userId
     });
 
     return {
       success: true,
       analysis: response.content,
-      metadata: {
-        provider: 'groq',
-        model: CONFIG.model
-      }
+      metadata: response.metadata
     };
   } catch (error) {
     console.error('❌ Resume analysis error:', error.message);
@@ -575,7 +348,7 @@ export async function analyzeResume(resumeText, jobDescription = '', options = {
  */
 export async function rephraseText(text, options = {}) {
   try {
-    console.log('✍️ Rephrasing text with Groq...');
+    console.log('✍️ Rephrasing text...');
 
     const prompt = `Rephrase this resume content professionally using strong action verbs and quantifiable achievements:
 
@@ -590,7 +363,7 @@ Requirements:
 
 Provide 3-5 professional variations as numbered bullet points.`;
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('resumeGenome', [
       {
         role: 'system',
         content: 'You are an expert resume writer specializing in impactful, ATS-optimized content.'
@@ -601,16 +374,14 @@ Provide 3-5 professional variations as numbered bullet points.`;
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 500
+      max_tokens: options.maxTokens || 500,
+      userId: options.userId
     });
 
     return {
       success: true,
       rephrased: response.content,
-      metadata: {
-        provider: 'groq',
-        model: CONFIG.model
-      }
+      metadata: response.metadata
     };
   } catch (error) {
     console.error('❌ Rephrase error:', error.message);
@@ -624,10 +395,11 @@ Provide 3-5 professional variations as numbered bullet points.`;
 
 /**
  * Generate cover letter
+ * @param {Object} options - temperature, maxTokens, and onEvent / signal to stream it
  */
 export async function generateCoverLetter(resumeText, jobDescription, options = {}) {
   try {
-    console.log('📧 Generating cover letter with Groq...');
+    console.log('📧 Generating cover letter...');
 
     const prompt = `Generate a professional, personalized cover letter based on:
 
@@ -647,7 +419,7 @@ ${jobDescription.substring(0, 2000)}
 
 Generate a complete, ready-to-use cover letter.`;
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('coverLetter', [
       {
         role: 'system',
         content: 'You are an expert career counselor and professional writer specializing in compelling cover letters.'
@@ -658,16 +430,17 @@ Generate a complete, ready-to-use cover letter.`;
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 1500
+      max_tokens: options.maxTokens || 1500,
+      onEvent: options.onEvent,
+      signal: options.signal,
+      pii: resumeParserService.extractContact(resumeText),
+      userId: options.userId
     });
 
     return {
       success: true,
       coverLetter: response.content,
-      metadata: {
-        provider: 'groq',
-        model: CONFIG.model
-      }
+      metadata: response.metadata
     };
   } catch (error) {
     console.error('❌ Cover letter error:', error.message);
@@ -684,7 +457,7 @@ Generate a complete, ready-to-use cover letter.`;
  */
 export async function generateInterviewQA(resumeText, jobDescription, options = {}) {
   try {
-    console.log('💬 Generating interview Q&A with Groq...');
+    console.log('💬 Generating interview Q&A...');
 
     const prompt = `Generate tailored interview questions and answers based on:
 
@@ -713,7 +486,7 @@ Format as:
 
 Make it practical and tailored to this specific candidate and role.`;
 
-    const response = await createChatCompletion([
+    const response = await createChatCompletion('resumeGenome', [
       {
         role: 'system',
         content: 'You are an expert interview coach helping candidates prepare for interviews.'
@@ -724,16 +497,15 @@ Make it practical and tailored to this specific candidate and role.`;
       }
     ], {
       temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 3000
+      max_tokens: options.maxTokens || 3000,
+      pii: resumeParserService.extractContact(resumeText),
+      userId: options.userId
     });
 
     return {
       success: true,
       interviewQA: response.content,
-      metadata: {
-        provider: 'groq',
-        model: CONFIG.model
-      }
+      metadata: response.metadata
     };
   } catch (error) {
     console.error('❌ Interview Q&A error:', error.message);
@@ -746,7 +518,6 @@ Make it practical and tailored to this specific candidate and role.`;
 }
 
 export default {
-  createChatCompletion,
   generateRoadmap,
   analyzeResume,
   rephraseText,
@@ -1,68 +1,32 @@
-import ConversationalInterview from '../models/ConversationalInterview.js';
-import ParsedResume from '../models/ParsedResume.js';
-import * as openrouterService from './openrouterService.js';
+import { createChatCompletion } from './llmGateway.js';
+import { questionPool } from './interviewTemplateService.js';
+import { mostInformative, abilityFor } from './abilityEstimator.js';
 
 /**
  * Interview Engine Service
  * Manages conversational interviews with adaptive question selection
  * 
  * METHODOLOGY:
- * 1. Question pools organized by type/topic/difficulty
+ * 1. Question pools organized by type/topic/difficulty (the built-in
+ *    `<type>-screen` interview templates in server/data/interviewTemplates)
  * 2. Context-aware question selection (resume + JD + performance)
  * 3. Adaptive difficulty (starts medium, adjusts based on answers)
  * 4. Follow-up generation for weak answers (rule-based trigger)
  * 5. GPT-4 ONLY for question phrasing, NOT evaluation
+ *
+ * Provides the `pool` selector and follow-ups of interviewStrategies.js;
+ * sessions run in interviewRuntime.js.
  */
 
 class InterviewEngineService {
   constructor() {
-    // Question pools (deterministic)
-    this.questionPools = {
-      hr: this.buildHRQuestionPool(),
-      technical: this.buildTechnicalQuestionPool(),
-      behavioral: this.buildBehavioralQuestionPool(),
-      coding: this.buildCodingQuestionPool(),
-    };
-  }
-  
-  /**
-   * Start new interview session
-   */
-  async startInterview(userId, interviewType, targetRole, resumeId, jobDescriptionData) {
-    try {
-      // Load resume if provided
-      let resumeData = null;
-      if (resumeId) {
-        resumeData = await ParsedResume.findById(resumeId);
-      }
-      
-      // Create interview session
-      const interview = new ConversationalInterview({
-        userId,
-        interviewType,
-        targetRole,
-        resumeId,
-        jobDescription: jobDescriptionData,
-        status: 'in-progress',
-        interviewContext: {
-          currentDifficulty: 'medium',
-          topicSequence: [],
-          performanceTrend: [],
-          strugglingTopics: [],
-          strongTopics: [],
-        },
-      });
-      
-      await interview.save();
-      
-      // Generate first question
-      const firstQuestion = await this.generateNextQuestion(interview, resumeData);
-      
-      return { interview, firstQuestion };
-      
-    } catch (error) {
-      console.error('Interview start error:', error);
-      throw new Error('Failed to start interview: ' + error.message);
+    // Question pools and their topics (deterministic)
+    this.questionPools = {};
+    this.topicsByType = {};
+    for (const type of ['hr', 'technical', 'behavioral', 'coding']) {
+      const { questions, topics } = questionPool(type);
+      this.questionPools[type] = questions;
+      this.topicsByType[type] = topics;
     }
   }
   
@@ -75,9 +39,6 @@ class InterviewEngineService {
     // Select question pool
     const pool = this.questionPools[interviewType] || this.questionPools.hr;
     
-    // Determine difficulty
-    const difficulty = this.determineDifficulty(interviewContext, turns);
-    
     // Select topic (adaptive)
     const topic = this.selectNextTopic(
       interviewType,
@@ -86,30 +47,24 @@ class InterviewEngineService {
       resume
     );
     
-    // Filter questions
-    const candidates = pool.filter(q => 
-      q.difficulty === difficulty &&
-      q.topic === topic &&
-      !turns.some(t => t.question.text === q.text)
-    );
+    // Unasked questions on the topic (asked ones by their text before rephrasing)
+    const asked = new Set(turns.map(t => t.question.sourceText || t.question.text));
+    const unasked = pool.filter(q => !asked.has(q.text));
+    const candidates = unasked.filter(q => q.topic === topic);
     
-    if (candidates.length === 0) {
-      // Fallback: any question not asked yet
-      const fallback = pool.find(q => !turns.some(t => t.question.text === q.text));
-      if (fallback) return this.personalizeQuestion(fallback, targetRole, resume);
-    }
-    
-    // Select random from candidates
-    const selected = candidates[Math.floor(Math.random() * candidates.length)];
+    // Fallback: any question not asked yet; null once the pool is used up
+    const ability = abilityFor(interviewContext, candidates.length > 0 ? topic : null);
+    const selected = mostInformative(candidates.length > 0 ? candidates : unasked, ability.theta);
+    if (!selected) return null;
     
     // Personalize with GPT-4 (phrasing only)
-    return this.personalizeQuestion(selected, targetRole, resume);
+    return this.personalizeQuestion(selected, targetRole, resume, { userId: interview.userId });
   }
   
   /**
-   * Personalize question using GPT-4 (language generation only)
+   * Personalize question using GPT-4 (language generation only); options.userId meters the call
    */
-  async personalizeQuestion(baseQuestion, targetRole, resume) {
+  async personalizeQuestion(baseQuestion, targetRole, resume, options = {}) {
     try {
       const prompt = `You are an experienced interviewer conducting a ${targetRole} interview.
       
@@ -117,17 +72,19 @@ Base question: "${baseQuestion.text}"
 Expected key points: ${baseQuestion.expectedKeyPoints.join(', ')}
 
 ${resume ? `Candidate's background:
-- Skills: ${resume.parsedData.skills.programming.join(', ')}
+- Skills: ${resume.getAllSkills().slice(0, 10).join(', ')}
 - Experience: ${resume.parsedData.experience.map(e => e.title).join(', ')}
 ` : ''}
 
 Rephrase this question naturally for a ${targetRole} position. Keep it conversational and appropriate for the role. Return ONLY the question, no explanations.`;
 
-      const response = await openrouterService.createChatCompletion(
+      const response = await createChatCompletion(
+        'interview',
         [{ role: 'user', content: prompt }],
         {
           temperature: 0.7,
           max_tokens: 150,
+          userId: options.userId,
         }
       );
       
@@ -139,6 +96,7 @@ Rephrase this question naturally for a ${targetRole} position. Keep it conversat
         topic: baseQuestion.topic,
         difficulty: baseQuestion.difficulty,
         expectedKeyPoints: baseQuestion.expectedKeyPoints,
+        sourceText: baseQuestion.text,
         isFollowUp: false,
       };
       
@@ -151,6 +109,7 @@ Rephrase this question naturally for a ${targetRole} position. Keep it conversat
         topic: baseQuestion.topic,
         difficulty: baseQuestion.difficulty,
         expectedKeyPoints: baseQuestion.expectedKeyPoints,
+        sourceText: baseQuestion.text,
         isFollowUp: false,
       };
     }
@@ -186,11 +145,13 @@ Generate a ${followUpType} follow-up question to probe deeper. Examples:
 
 Return ONLY the follow-up question, no explanations.`;
 
-      const response = await openrouterService.createChatCompletion(
+      const response = await createChatCompletion(
+        'interview',
         [{ role: 'user', content: prompt }],
         {
           temperature: 0.7,
           max_tokens: 100,
+          userId: interview.userId,
         }
       );
       
@@ -220,34 +181,11 @@ Return ONLY the follow-up question, no explanations.`;
     }
   }
   
-  /**
-   * Determine next difficulty level (adaptive)
-   */
-  determineDifficulty(context, turns) {
-    if (turns.length === 0) return 'medium';
-    
-    // Calculate recent performance (last 3 turns)
-    const recentTurns = turns.slice(-3);
-    const avgScore = recentTurns.reduce((sum, t) => sum + (t.evaluation?.turnScore || 50), 0) / recentTurns.length;
-    
-    // Adaptive logic
-    if (avgScore >= 80) return 'hard';
-    if (avgScore >= 60) return 'medium';
-    return 'easy';
-  }
-  
   /**
    * Select next topic (diverse coverage)
    */
   selectNextTopic(interviewType, topicSequence, strugglingTopics, resume) {
-    const topicsByType = {
-      hr: ['motivation', 'teamwork', 'conflict', 'goals', 'strengths'],
-      technical: ['architecture', 'algorithms', 'system-design', 'debugging', 'optimization'],
-      behavioral: ['leadership', 'communication', 'adaptability', 'problem-solving', 'ethics'],
-      coding: ['data-structures', 'algorithms', 'complexity', 'testing', 'design-patterns'],
-    };
-    
-    const availableTopics = topicsByType[interviewType] || topicsByType.hr;
+    const availableTopics = this.topicsByType[interviewType] || this.topicsByType.hr;
     
     // Avoid recent topics
     const recentTopics = topicSequence.slice(-3);
@@ -262,218 +200,6 @@ Return ONLY the follow-up question, no explanations.`;
     // Random selection
     return candidates[Math.floor(Math.random() * candidates.length)] || availableTopics[0];
   }
-  
-  /**
-   * Build HR question pool
-   */
-  buildHRQuestionPool() {
-    return [
-      // Motivation
-      {
-        text: "Why are you interested in this position?",
-        type: 'hr',
-        topic: 'motivation',
-        difficulty: 'easy',
-        expectedKeyPoints: ['company research', 'role alignment', 'career goals'],
-      },
-      {
-        text: "What attracted you to our company?",
-        type: 'hr',
-        topic: 'motivation',
-        difficulty: 'medium',
-        expectedKeyPoints: ['company values', 'products', 'culture'],
-      },
-      
-      // Teamwork
-      {
-        text: "Tell me about a time you worked on a team.",
-        type: 'hr',
-        topic: 'teamwork',
-        difficulty: 'easy',
-        expectedKeyPoints: ['collaboration', 'communication', 'contribution'],
-      },
-      {
-        text: "How do you handle disagreements with team members?",
-        type: 'hr',
-        topic: 'conflict',
-        difficulty: 'medium',
-        expectedKeyPoints: ['communication', 'compromise', 'resolution'],
-      },
-      {
-        text: "Describe a situation where you had to resolve a conflict in your team.",
-        type: 'hr',
-        topic: 'conflict',
-        difficulty: 'hard',
-        expectedKeyPoints: ['mediation', 'empathy', 'outcome'],
-      },
-      
-      // Goals
-      {
-        text: "Where do you see yourself in 5 years?",
-        type: 'hr',
-        topic: 'goals',
-        difficulty: 'easy',
-        expectedKeyPoints: ['career path', 'skill development', 'ambition'],
-      },
-      
-      // Strengths/Weaknesses
-      {
-        text: "What are your greatest strengths?",
-        type: 'hr',
-        topic: 'strengths',
-        difficulty: 'easy',
-        expectedKeyPoints: ['specific skills', 'examples', 'relevance'],
-      },
-      {
-        text: "Tell me about a weakness and how you're working to improve it.",
-        type: 'hr',
-        topic: 'strengths',
-        difficulty: 'medium',
-        expectedKeyPoints: ['self-awareness', 'improvement plan', 'progress'],
-      },
-    ];
-  }
-  
-  /**
-   * Build Technical question pool
-   */
-  buildTechnicalQuestionPool() {
-    return [
-      // Architecture
-      {
-        text: "Explain the difference between monolithic and microservices architecture.",
-        type: 'technical',
-        topic: 'architecture',
-        difficulty: 'medium',
-        expectedKeyPoints: ['monolithic', 'microservices', 'trade-offs', 'scalability'],
-      },
-      {
-        text: "How would you design a scalable web application?",
-        type: 'technical',
-        topic: 'system-design',
-        difficulty: 'hard',
-        expectedKeyPoints: ['load balancing', 'caching', 'database', 'architecture'],
-      },
-      
-      // Algorithms
-      {
-        text: "Explain the concept of Big O notation.",
-        type: 'technical',
-        topic: 'algorithms',
-        difficulty: 'easy',
-        expectedKeyPoints: ['time complexity', 'space complexity', 'examples'],
-      },
-      {
-        text: "What are the trade-offs between different sorting algorithms?",
-        type: 'technical',
-        topic: 'algorithms',
-        difficulty: 'medium',
-        expectedKeyPoints: ['quicksort', 'mergesort', 'time complexity', 'use cases'],
-      },
-      
-      // Debugging
-      {
-        text: "How do you approach debugging a production issue?",
-        type: 'technical',
-        topic: 'debugging',
-        difficulty: 'medium',
-        expectedKeyPoints: ['logs', 'monitoring', 'reproduction', 'fix verification'],
-      },
-      
-      // Optimization
-      {
-        text: "How would you optimize a slow database query?",
-        type: 'technical',
-        topic: 'optimization',
-        difficulty: 'hard',
-        expectedKeyPoints: ['indexing', 'query plan', 'caching', 'denormalization'],
-      },
-    ];
-  }
-  
-  /**
-   * Build Behavioral question pool
-   */
-  buildBehavioralQuestionPool() {
-    return [
-      // Leadership
-      {
-        text: "Tell me about a time you led a project.",
-        type: 'behavioral',
-        topic: 'leadership',
-        difficulty: 'medium',
-        expectedKeyPoints: ['project scope', 'team management', 'outcome'],
-      },
-      
-      // Communication
-      {
-        text: "Describe a situation where you had to explain a complex technical concept to a non-technical person.",
-        type: 'behavioral',
-        topic: 'communication',
-        difficulty: 'medium',
-        expectedKeyPoints: ['simplification', 'analogies', 'understanding check'],
-      },
-      
-      // Adaptability
-      {
-        text: "Tell me about a time you had to learn a new technology quickly.",
-        type: 'behavioral',
-        topic: 'adaptability',
-        difficulty: 'easy',
-        expectedKeyPoints: ['learning approach', 'timeline', 'application'],
-      },
-      
-      // Problem-solving
-      {
-        text: "Describe a challenging technical problem you solved.",
-        type: 'behavioral',
-        topic: 'problem-solving',
-        difficulty: 'medium',
-        expectedKeyPoints: ['problem analysis', 'solution approach', 'result'],
-      },
-    ];
-  }
-  
-  /**
-   * Build Coding question pool
-   */
-  buildCodingQuestionPool() {
-    return [
-      // Data structures
-      {
-        text: "Implement a function to reverse a linked list.",
-        type: 'coding',
-        topic: 'data-structures',
-        difficulty: 'medium',
-        expectedKeyPoints: ['iteration', 'pointers', 'edge cases'],
-      },
-      {
-        text: "How would you detect a cycle in a linked list?",
-        type: 'coding',
-        topic: 'data-structures',
-        difficulty: 'medium',
-        expectedKeyPoints: ['two pointers', 'Floyd algorithm', 'complexity'],
-      },
-      
-      // Algorithms
-      {
-        text: "Write a function to find the first non-repeating character in a string.",
-        type: 'coding',
-        topic: 'algorithms',
-        difficulty: 'easy',
-        expectedKeyPoints: ['hash map', 'iteration', 'time complexity'],
-      },
-      
-      // Design patterns
-      {
-        text: "When would you use the Singleton pattern?",
-        type: 'coding',
-        topic: 'design-patterns',
-        difficulty: 'medium',
-        expectedKeyPoints: ['use cases', 'implementation', 'trade-offs'],
-      },
-    ];
-  }
 }
 
 export default new InterviewEngineService();
@@ -0,0 +1,149 @@
+/**
+ * Interview Presence - connection tracking for durable interview sessions
+ *
+ * A socket that drops does not end or pause an interview straight away: the
+ * session is marked disconnected and gets INTERVIEW_RECONNECT_GRACE_SECONDS
+ * (default 120) to come back, from the same browser or another one. After
+ * that it is paused from the moment the grace period ran out, so the clock
+ * stops. Sessions nobody has touched for INTERVIEW_ABANDON_AFTER_HOURS
+ * (default 72) are ended as 'abandoned'.
+ *
+ * Grace timers live in memory; the sweep every INTERVIEW_SWEEP_INTERVAL_MS
+ * (default 60s) also pauses disconnected sessions whose timer was lost to a
+ * restart, so both rules hold across processes.
+ */
+
+import ConversationalInterview from '../models/ConversationalInterview.js';
+import { pauseInterview, endInterview } from './interviewRuntime.js';
+
+const graceSeconds = () => parseInt(process.env.INTERVIEW_RECONNECT_GRACE_SECONDS, 10) || 120;
+const abandonHours = () => parseFloat(process.env.INTERVIEW_ABANDON_AFTER_HOURS) || 72;
+
+const graceTimers = new Map(); // sessionId -> timeout
+let sweepTimer = null;
+
+/**
+ * A client is (back) on the session
+ */
+export async function markConnected(sessionId, { socketId, deviceId } = {}) {
+  clearTimeout(graceTimers.get(String(sessionId)));
+  graceTimers.delete(String(sessionId));
+
+  const update = {
+    'connection.connectedAt': new Date(),
+    ...(deviceId && { 'connection.deviceId': deviceId }),
+    ...(socketId && { socketId })
+  };
+  await ConversationalInterview.updateOne({ _id: sessionId }, { $set: update, $unset: { 'connection.disconnectedAt': 1 } });
+}
+
+/**
+ * The session's client went away; pause it unless it is back within the grace period.
+ * Disconnects of a socket the session has since moved away from are ignored.
+ */
+export async function markDisconnected(sessionId, { socketId } = {}) {
+  const disconnectedAt = new Date();
+  const result = await ConversationalInterview.updateOne(
+    { _id: sessionId, status: 'in-progress', ...(socketId && { socketId }) },
+    { $set: { 'connection.disconnectedAt': disconnectedAt } }
+  );
+  if (result.modifiedCount === 0) return;
+
+  const key = String(sessionId);
+  clearTimeout(graceTimers.get(key));
+  const timer = setTimeout(() => {
+    graceTimers.delete(key);
+    pauseIfStillDisconnected(sessionId, disconnectedAt).catch((error) => {
+      console.error('❌ Could not pause disconnected interview:', error.message);
+    });
+  }, graceSeconds() * 1000);
+  timer.unref?.();
+  graceTimers.set(key, timer);
+}
+
+async function pauseIfStillDisconnected(sessionId, disconnectedAt) {
+  const session = await ConversationalInterview.findById(sessionId);
+  if (!session || session.status !== 'in-progress' ||
+      session.connection?.disconnectedAt?.getTime() !== disconnectedAt.getTime()) {
+    return;
+  }
+  await pauseInterview(sessionId, {
+    reason: 'disconnected',
+    at: new Date(disconnectedAt.getTime() + graceSeconds() * 1000)
+  });
+  console.log(`⚠️ Interview ${sessionId} paused after its client stayed disconnected`);
+}
+
+/**
+ * Pause disconnected sessions past their grace period and abandon idle ones
+ * @returns {Promise<{paused, abandoned}>}
+ */
+export async function sweepInterviews(now = new Date()) {
+  const graceCutoff = new Date(now - graceSeconds() * 1000);
+  const disconnected = await ConversationalInterview.find({
+    status: 'in-progress',
+    'connection.disconnectedAt': { $lte: graceCutoff }
+  });
+  let paused = 0;
+  for (const session of disconnected) {
+    try {
+      await pauseIfStillDisconnected(session._id, session.connection.disconnectedAt);
+      paused++;
+    } catch (error) {
+      console.error(`❌ Could not pause interview ${session._id}:`, error.message);
+    }
+  }
+
+  const idleCutoff = new Date(now - abandonHours() * 3600000);
+  const idle = await ConversationalInterview.find({
+    status: { $in: ['in-progress', 'paused'] },
+    $or: [
+      { lastActivityAt: { $lt: idleCutoff } },
+      { lastActivityAt: { $exists: false }, startedAt: { $lt: idleCutoff } }
+    ]
+  });
+  let abandoned = 0;
+  for (const session of idle) {
+    try {
+      await endInterview(session._id, { status: 'abandoned' });
+      abandoned++;
+    } catch (error) {
+      console.error(`❌ Could not abandon interview ${session._id}:`, error.message);
+    }
+  }
+
+  if (paused + abandoned > 0) {
+    console.log(`🔄 Interview sweep: ${paused} paused, ${abandoned} abandoned`);
+  }
+  return { paused, abandoned };
+}
+
+/**
+ * Start the sweep loop (once; later calls are ignored)
+ */
+export function startInterviewSweep(options = {}) {
+  if (sweepTimer) {
+    return;
+  }
+
+  const intervalMs = options.intervalMs || parseInt(process.env.INTERVIEW_SWEEP_INTERVAL_MS, 10) || 60000;
+  sweepTimer = setInterval(() => {
+    sweepInterviews().catch((error) => console.error('❌ Interview sweep failed:', error.message));
+  }, intervalMs);
+  sweepTimer.unref?.();
+}
+
+export function stopInterviewSweep() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+  for (const timer of graceTimers.values()) clearTimeout(timer);
+  graceTimers.clear();
+}
+
+export default {
+  markConnected,
+  markDisconnected,
+  sweepInterviews,
+  startInterviewSweep,
+  stopInterviewSweep
+};
@@ -0,0 +1,963 @@
+/**
+ * Interview Runtime - the one state machine behind every live interview
+ *
+ *   opening -> questions <-> follow-up -> closing -> report
+ *
+ * A session is started with a profile from interviewStrategies.js (adaptive,
+ * dynamic, conversational, or template via startFromTemplate) which names the question selector, evaluator,
+ * follow-up policy and stop rule it runs with; the resolved config is stored
+ * on the session, so routes and sockets only ever call the functions here.
+ * Every answer updates the candidate's IRT ability estimates (overall and per
+ * topic, see abilityEstimator.js), which selectors use to pick the next question.
+ *
+ * Sessions are durable: pausing, resuming (from any device), answer drafts and
+ * the remaining-time clock all live on the session document, and paused time
+ * does not count against time limits. interviewPresence.js pauses sessions
+ * whose client stays disconnected and abandons idle ones.
+ *
+ * options.onEvent(type, payload) reports progress while an answer is handled:
+ *   answer_evaluated   { turnNumber, evaluation } as soon as the answer is scored
+ *   question_token     { text } / question_reset {} while a follow-up streams
+ *   phase_changed      { from, to }
+ *
+ * Errors carry a code: INTERVIEW_NOT_FOUND, INTERVIEW_NOT_ACTIVE,
+ * NO_ACTIVE_QUESTION, QUESTION_ALREADY_ANSWERED, NO_QUESTION_AVAILABLE,
+ * RESUME_REQUIRED, RESUME_NOT_FOUND, TEMPLATE_NOT_FOUND, INVALID_TRANSITION,
+ * UNKNOWN_INTERVIEW_PROFILE.
+ */
+
+import ConversationalInterview from '../models/ConversationalInterview.js';
+import ParsedResume from '../models/ParsedResume.js';
+import JobDescription from '../models/JobDescription.js';
+import User from '../models/User.js';
+import EvaluationEngine from './evaluationEngine.js';
+import ReportService from './reportService.js';
+import {
+  QUESTION_SELECTORS,
+  EVALUATORS,
+  FOLLOW_UP_GENERATORS,
+  FOLLOW_UP_TRIGGERS,
+  STOP_RULES,
+  resolveProfile
+} from './interviewStrategies.js';
+import { getTemplate, templateOverrides, roundProgress, loopMinutes } from './interviewTemplateService.js';
+import { getRubric, rubricSnapshot } from './rubricService.js';
+import {
+  updateAbility,
+  calibrateItem,
+  itemFromLabel,
+  difficultyFor,
+  describeAbility,
+  loadAbilities,
+  saveAbilities,
+  recordItemResponse,
+  summarizeAbilities,
+  DEFAULT_PRIOR
+} from './abilityEstimator.js';
+
+export const PHASES = ['opening', 'questions', 'follow-up', 'closing', 'report'];
+
+const TRANSITIONS = {
+  opening: ['questions', 'closing'],
+  questions: ['questions', 'follow-up', 'closing'],
+  'follow-up': ['questions', 'follow-up', 'closing'],
+  closing: ['report'],
+  report: []
+};
+
+const ACTIVE_STATUSES = ['in-progress', 'paused'];
+
+// HTTP status for each runtime error code, for routes
+export const INTERVIEW_ERROR_STATUS = {
+  RESUME_REQUIRED: 400,
+  UNKNOWN_INTERVIEW_PROFILE: 400,
+  UNKNOWN_INTERVIEW_STRATEGY: 400,
+  INTERVIEW_NOT_FOUND: 404,
+  RESUME_NOT_FOUND: 404,
+  TEMPLATE_NOT_FOUND: 404,
+  RUBRIC_NOT_FOUND: 404,
+  INTERVIEW_NOT_ACTIVE: 409,
+  NO_ACTIVE_QUESTION: 409,
+  QUESTION_ALREADY_ANSWERED: 409,
+  NO_QUESTION_AVAILABLE: 409,
+  INVALID_TRANSITION: 409
+};
+
+const METRIC_SUGGESTIONS = {
+  clarity: 'Practice articulating your thoughts in a structured manner before answering',
+  relevance: 'Focus on addressing the specific question asked and include required key points',
+  depth: 'Provide specific examples and details from your experience to support your answers',
+  structure: 'Use frameworks like STAR (Situation, Task, Action, Result) to organize responses',
+  completeness: 'Ensure you cover all aspects of the question before concluding your answer',
+  technicalAccuracy: 'Review core concepts and make sure terminology is used correctly',
+  confidence: 'State your answers directly and avoid hedging words'
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function runtimeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function transition(session, to, onEvent) {
+  const from = session.phase || 'opening';
+  if (!TRANSITIONS[from].includes(to)) {
+    throw runtimeError(`Cannot move an interview from "${from}" to "${to}"`, 'INVALID_TRANSITION');
+  }
+  session.phase = to;
+  if (from !== to) {
+    onEvent?.('phase_changed', { from, to });
+  }
+}
+
+/**
+ * @param {string} userId - When given, sessions of other users are not found
+ */
+async function loadSession(sessionId, userId = null) {
+  const session = await ConversationalInterview.findById(sessionId);
+  if (!session || (userId && String(session.userId) !== String(userId))) {
+    throw runtimeError('Interview session not found', 'INTERVIEW_NOT_FOUND');
+  }
+  return session;
+}
+
+function configFor(session) {
+  return session.config || resolveProfile(session.profile);
+}
+
+/**
+ * Time used and left, paused time excluded. limitSeconds / remainingSeconds
+ * are null without a time limit; round is the current template round's clock.
+ */
+export function interviewClock(session, now = new Date()) {
+  const config = configFor(session);
+  const end = session.completedAt || now;
+  const limitMinutes = config.timeLimitMinutes ?? loopMinutes(config.template);
+  const elapsedSeconds = Math.round(session.activeMillis(undefined, end) / 1000);
+
+  let round = null;
+  const index = session.turns[session.turns.length - 1]?.question.round;
+  const current = config.template?.rounds[index];
+  if (current) {
+    const roundStart = session.turns.find((t) => t.question.round === index).askedAt;
+    const roundSeconds = Math.round(session.activeMillis(roundStart, end) / 1000);
+    round = {
+      index,
+      name: current.name,
+      elapsedSeconds: roundSeconds,
+      limitSeconds: current.timeLimitMinutes ? current.timeLimitMinutes * 60 : null,
+      remainingSeconds: current.timeLimitMinutes ? Math.max(0, current.timeLimitMinutes * 60 - roundSeconds) : null
+    };
+  }
+
+  return {
+    running: session.status === 'in-progress',
+    elapsedSeconds,
+    limitSeconds: limitMinutes ? limitMinutes * 60 : null,
+    remainingSeconds: limitMinutes ? Math.max(0, limitMinutes * 60 - elapsedSeconds) : null,
+    round,
+    serverTime: now
+  };
+}
+
+function timeUp(session, config) {
+  const limitMinutes = config.timeLimitMinutes ?? loopMinutes(config.template);
+  return limitMinutes != null && session.activeMillis() >= limitMinutes * 60000;
+}
+
+async function loadSources(session) {
+  const [resume, jd] = await Promise.all([
+    session.resumeId ? ParsedResume.findById(session.resumeId) : null,
+    session.jobDescriptionId ? JobDescription.findById(session.jobDescriptionId) : null
+  ]);
+  return { resume, jd };
+}
+
+// ============= CONTEXT =============
+
+function hasSkill(candidateSkills, targetSkill) {
+  const target = targetSkill.toLowerCase();
+  return candidateSkills.some((skill) => {
+    const s = skill.toLowerCase();
+    return s.includes(target) || target.includes(s);
+  });
+}
+
+/**
+ * Required and preferred skills the resume does not mention, required first
+ */
+export function identifySkillGaps(candidateSkills, requiredSkills, preferredSkills) {
+  return [
+    ...requiredSkills
+      .filter((skill) => !hasSkill(candidateSkills, skill))
+      .map((skill) => ({ skill, type: 'missing', severity: 'high', priority: 100 })),
+    ...preferredSkills
+      .filter((skill) => !hasSkill(candidateSkills, skill))
+      .map((skill) => ({ skill, type: 'missing', severity: 'medium', priority: 50 }))
+  ];
+}
+
+/**
+ * Score trend, topics, ability estimates and difficulty after an answer. The
+ * difficulty is the label most informative at the new overall ability.
+ */
+function recordPerformance(session, turn) {
+  const context = session.interviewContext;
+  const score = turn.evaluation.turnScore;
+  const topic = turn.question.topic;
+
+  context.performanceTrend.push(score);
+
+  if (topic) {
+    context.topicSequence.push(topic);
+    if (score < 60) {
+      if (!context.strugglingTopics.includes(topic)) context.strugglingTopics.push(topic);
+    } else if (score >= 80) {
+      if (!context.strongTopics.includes(topic)) context.strongTopics.push(topic);
+      context.strugglingTopics = context.strugglingTopics.filter((t) => t !== topic);
+    }
+  }
+
+  const item = turn.question.calibration?.b != null ? turn.question.calibration : itemFromLabel(turn.question.difficulty);
+  const response = { b: item.b, a: item.a ?? 1, score };
+  context.ability = updateAbility(context.ability, [response]);
+  if (topic) {
+    const index = context.topicAbilities.findIndex((t) => t.topic === topic);
+    const prior = index >= 0 ? context.topicAbilities[index] : DEFAULT_PRIOR;
+    const updated = { topic, ...updateAbility(prior, [response]) };
+    if (index >= 0) context.topicAbilities.set(index, updated);
+    else context.topicAbilities.push(updated);
+  }
+  context.currentDifficulty = difficultyFor(context.ability.theta);
+
+  const answered = session.turns.filter((t) => t.evaluation?.turnScore != null);
+  session.analytics.averageTurnScore = Math.round(average(answered.map((t) => t.evaluation.turnScore)));
+  session.analytics.averageResponseTime = Math.round(average(answered.map((t) => t.answer.timeSpent || 0)));
+  session.analytics.topicsCovered = [...new Set(context.topicSequence)];
+}
+
+// ============= TURNS =============
+
+/**
+ * Append a question turn with its calibrated IRT parameters
+ */
+async function addQuestionTurn(session, asked) {
+  const { b, a, source } = await calibrateItem({ questionId: asked.questionId, difficulty: asked.question.difficulty });
+  asked.question.calibration = { b, a, source };
+
+  session.turns.push({
+    turnNumber: session.turns.length + 1,
+    questionId: asked.questionId,
+    question: asked.question,
+    expectedComponents: asked.expectedComponents,
+    askedAt: new Date()
+  });
+
+  session.analytics.totalTurns = session.turns.length;
+  session.analytics.difficultyCurve.push(asked.question.difficulty || session.interviewContext.currentDifficulty);
+  if (asked.question.isFollowUp) {
+    session.analytics.followUpCount = (session.analytics.followUpCount || 0) + 1;
+  }
+
+  return session.turns[session.turns.length - 1];
+}
+
+/**
+ * Progress fields sent with every next question
+ */
+function progressContext(session) {
+  const context = session.interviewContext;
+  return {
+    phase: session.phase,
+    isFollowUp: session.phase === 'follow-up',
+    turnNumber: session.turns.length,
+    currentDifficulty: context.currentDifficulty,
+    topicsCovered: new Set(context.topicSequence).size,
+    strugglingAreas: context.strugglingTopics,
+    strongAreas: context.strongTopics,
+    ability: describeAbility(context.ability),
+    clock: interviewClock(session),
+    ...(session.config?.template && { round: roundProgress(session.config.template, session.turns) })
+  };
+}
+
+/**
+ * The `state` block /api/interview/live and the interview:* socket events send
+ */
+export function adaptiveState(session) {
+  const context = session.interviewContext;
+  const probed = [...new Set(context.topicSequence)];
+  const recent = context.performanceTrend.slice(-3);
+  return {
+    phase: session.phase,
+    currentTurn: session.turns.length,
+    topicsCovered: probed,
+    skillsProbed: probed,
+    difficultyLevel: context.currentDifficulty,
+    confidenceEstimate: recent.length > 0 ? Math.round(average(recent)) : 50,
+    ability: summarizeAbilities(session.interviewContext),
+    strugglingAreas: context.strugglingTopics,
+    strongAreas: context.strongTopics
+  };
+}
+
+/**
+ * A turn's question as sent to clients
+ */
+export function describeQuestion(turn) {
+  if (!turn) return null;
+  const { question } = turn.toObject ? turn.toObject() : turn;
+  return { turnNumber: turn.turnNumber, questionId: turn.questionId, ...question };
+}
+
+function followUpDepth(session, turn) {
+  let depth = 0;
+  let current = turn;
+  while (current?.question.isFollowUp) {
+    depth += 1;
+    current = session.turns.find((t) => t.turnNumber === current.question.parentTurnNumber);
+  }
+  return depth;
+}
+
+function shouldStop(session, config) {
+  const answered = session.turns.filter((t) => t.evaluation?.turnScore != null).length;
+  const { minTurns, maxTurns } = config.limits;
+  if (answered >= maxTurns || timeUp(session, config)) return true;
+  if (answered < minTurns) return false;
+  return STOP_RULES[config.stopRule](session, config);
+}
+
+/**
+ * Ask the next question: a follow-up when the policy calls for one, otherwise
+ * a fresh question from the selector. Returns null when the selector has none.
+ */
+async function askNext(session, config, { onEvent, sources } = {}) {
+  const lastTurn = session.turns[session.turns.length - 1];
+  const policy = config.followUps;
+
+  if (lastTurn?.evaluation?.turnScore != null && FOLLOW_UP_TRIGGERS[policy.trigger](lastTurn.evaluation, policy) &&
+      followUpDepth(session, lastTurn) < policy.maxPerQuestion) {
+    try {
+      const followUp = await FOLLOW_UP_GENERATORS[policy.generator](lastTurn, session, {
+        onEvent: onEvent && ((type, payload) => onEvent(`question_${type}`, payload))
+      });
+      if (followUp) {
+        followUp.question.round ??= lastTurn.question.round;
+        transition(session, 'follow-up', onEvent);
+        return { type: 'follow_up', turn: await addQuestionTurn(session, followUp) };
+      }
+    } catch (error) {
+      console.warn('⚠️ Follow-up generation failed, moving to the next question:', error.message);
+    }
+  }
+
+  const asked = await QUESTION_SELECTORS[config.selector](session, sources || await loadSources(session));
+  if (!asked?.question.text) return null;
+
+  transition(session, 'questions', onEvent);
+  return { type: 'next_question', turn: await addQuestionTurn(session, asked) };
+}
+
+// ============= CLOSING & REPORT =============
+
+/**
+ * Per-metric, per-topic summary of the answered turns
+ */
+export function buildSummary(session) {
+  const answered = session.turns.filter((t) => t.evaluation?.turnScore != null);
+
+  if (answered.length === 0) {
+    return {
+      totalQuestions: 0,
+      averageScore: 0,
+      strengthAreas: [],
+      improvementAreas: [],
+      recommendation: 'No questions answered'
+    };
+  }
+
+  const averageScore = Math.round(average(answered.map((t) => t.evaluation.turnScore)));
+  const ability = summarizeAbilities(session.interviewContext);
+
+  const metricAverages = {};
+  for (const metric of Object.keys(METRIC_SUGGESTIONS)) {
+    const values = answered.map((t) => t.evaluation[metric]).filter((value) => value != null);
+    if (values.length > 0) metricAverages[metric] = average(values);
+  }
+
+  const strengthAreas = [];
+  const improvementAreas = [];
+  for (const [metric, score] of Object.entries(metricAverages)) {
+    if (score >= 75) {
+      strengthAreas.push({ area: capitalize(metric), score: Math.round(score) });
+    } else if (score < 60) {
+      improvementAreas.push({ area: capitalize(metric), score: Math.round(score), suggestion: METRIC_SUGGESTIONS[metric] });
+    }
+  }
+
+  const topicScores = {};
+  for (const turn of answered) {
+    const topic = turn.question.topic || 'general';
+    (topicScores[topic] = topicScores[topic] || []).push(turn.evaluation.turnScore);
+  }
+
+  const strongTopics = [];
+  const weakTopics = [];
+  for (const [topic, scores] of Object.entries(topicScores)) {
+    const avg = Math.round(average(scores));
+    if (avg >= 75) strongTopics.push({ topic, averageScore: avg });
+    else if (avg < 60) weakTopics.push({ topic, averageScore: avg });
+  }
+
+  const { score, scoreInterval } = ability;
+  let recommendation;
+  if (score >= 80) {
+    recommendation = 'Excellent performance! Strong candidate for the role.';
+  } else if (score >= 65) {
+    recommendation = 'Good performance with room for improvement in specific areas.';
+  } else if (score >= 50) {
+    recommendation = 'Moderate performance. Recommend focused learning in weak areas.';
+  } else {
+    recommendation = 'Needs significant improvement. Consider foundational learning.';
+  }
+  recommendation += ` Estimated ability ${score}/100 (${Math.round(scoreInterval.level * 100)}% interval ${scoreInterval.lower}-${scoreInterval.upper}).`;
+
+  return {
+    totalQuestions: answered.length,
+    averageScore,
+    overallScore: session.finalEvaluation?.scores?.overall ?? averageScore,
+    ability,
+    metricBreakdown: Object.entries(metricAverages).map(([metric, score]) => ({
+      metric: capitalize(metric),
+      score: Math.round(score)
+    })),
+    strengthAreas: strengthAreas.length > 0 ? strengthAreas : strongTopics.slice(0, 3),
+    improvementAreas: improvementAreas.length > 0 ? improvementAreas : weakTopics.slice(0, 3),
+    topicPerformance: { strong: strongTopics, weak: weakTopics },
+    recommendation,
+    duration: session.completedAt && session.startedAt
+      ? Math.round((session.completedAt - session.startedAt) / 1000 / 60)
+      : 0,
+    skillGapsIdentified: session.interviewContext.strugglingTopics.length
+  };
+}
+
+function closeInterview(session, status, onEvent) {
+  transition(session, 'closing', onEvent);
+
+  session.status = status;
+  session.completedAt = new Date();
+  session.duration = Math.round((session.completedAt - (session.startedAt || session.createdAt)) / 1000);
+  if (session.turns.some((t) => t.evaluation?.turnScore != null)) {
+    session.calculateFinalEvaluation();
+  }
+  const summary = buildSummary(session);
+
+  transition(session, 'report', onEvent);
+  return summary;
+}
+
+/**
+ * Report (completed sessions only) and the user's interview history entry.
+ * Idempotent; runs after the response has been sent, failures are only logged.
+ */
+async function recordHistory(session, summary) {
+  let report = null;
+  if (session.status === 'completed') {
+    try {
+      report = await ReportService.generateReport(session._id, session.userId);
+    } catch (error) {
+      console.warn('⚠️ Could not generate interview report:', error.message);
+    }
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) return;
+
+  user.interviewHistory = user.interviewHistory || [];
+  if (user.interviewHistory.some((entry) => entry.interviewId?.toString() === session._id.toString())) {
+    return;
+  }
+
+  user.interviewHistory.push({
+    interviewId: session._id,
+    reportId: report?._id || null,
+    type: session.interviewType || 'technical',
+    role: session.targetRole || 'Software Engineer',
+    date: new Date(),
+    overallScore: summary.overallScore || 0,
+    readinessLabel: report?.readinessLabel || 'Needs Work',
+    durationSeconds: session.turns.reduce((total, t) => total + (t.answer?.timeSpent || 0), 0)
+  });
+  await user.save();
+  console.log(`✅ Saved interview history for user ${session.userId}`);
+}
+
+/**
+ * Save the candidate's estimates and recalibrate the answered question from
+ * the ability the candidate had before answering it. Runs after the session
+ * is saved; failures are only logged.
+ */
+function recordAbility(session, turn, thetaBefore, config) {
+  if (!config.carryAbility) return;
+
+  saveAbilities(session.userId, session._id, session.interviewContext).catch((error) => {
+    console.warn('⚠️ Could not save ability estimates:', error.message);
+  });
+  if (turn.questionId) {
+    recordItemResponse(turn.questionId, turn.evaluation.turnScore, thetaBefore).catch((error) => {
+      console.warn('⚠️ Could not recalibrate question:', error.message);
+    });
+  }
+}
+
+function finish(session, summary) {
+  if (configFor(session).report) {
+    recordHistory(session, summary).catch((error) => {
+      console.error('❌ Interview history update failed:', error.message);
+    });
+  }
+}
+
+// ============= LIFECYCLE =============
+
+/**
+ * Create a session and ask the first question
+ * @param {string} profile - Profile name from interviewStrategies.js
+ * @param {Object} params - userId, interviewType, targetRole, resumeId, jobDescriptionId,
+ *   jobDescription (inline { title, requiredSkills, preferredSkills, responsibilities }), socketId, config (overrides),
+ *   templateId (set by startFromTemplate), rubricId (rubric the turns and report are scored with)
+ * @returns {Promise<{session, question, context}>}
+ */
+export async function startInterview(profile, params, { onEvent } = {}) {
+  const {
+    userId,
+    interviewType = 'technical',
+    targetRole,
+    resumeId,
+    jobDescriptionId,
+    jobDescription,
+    socketId,
+    templateId,
+    rubricId,
+    config: overrides
+  } = params;
+  const config = resolveProfile(profile, {
+    ...overrides,
+    ...(rubricId && { rubric: rubricSnapshot(await getRubric(rubricId, userId)) })
+  });
+
+  if (config.requiresResume && !resumeId) {
+    throw runtimeError('resumeId is required', 'RESUME_REQUIRED');
+  }
+  const resume = resumeId ? await ParsedResume.findById(resumeId) : null;
+  if (resumeId && !resume) {
+    throw runtimeError('Resume not found', 'RESUME_NOT_FOUND');
+  }
+  const jd = jobDescriptionId ? await JobDescription.findById(jobDescriptionId) : null;
+
+  let abilities = { ability: { ...DEFAULT_PRIOR }, topicAbilities: [] };
+  if (config.carryAbility) {
+    try {
+      abilities = await loadAbilities(userId);
+    } catch (error) {
+      console.warn('⚠️ Could not load ability estimates, starting from the default:', error.message);
+    }
+  }
+
+  const candidateSkills = resume ? resume.getAllSkills() : [];
+  const requiredSkills = [...new Set([...(jd?.getAllRequiredSkills() || []), ...(jobDescription?.requiredSkills || [])])];
+  const preferredSkills = [...new Set([...(jd?.getAllPreferredSkills() || []), ...(jobDescription?.preferredSkills || [])])];
+
+  const session = new ConversationalInterview({
+    userId,
+    interviewType,
+    targetRole: targetRole || jd?.jobTitle || jobDescription?.title || 'General Position',
+    resumeId,
+    jobDescriptionId,
+    jobDescription,
+    profile,
+    config,
+    templateId,
+    socketId,
+    status: 'in-progress',
+    phase: 'opening',
+    startedAt: new Date(),
+    lastActivityAt: new Date(),
+    interviewContext: {
+      candidateSkills,
+      requiredSkills,
+      preferredSkills,
+      identifiedGaps: identifySkillGaps(candidateSkills, requiredSkills, preferredSkills),
+      currentDifficulty: abilities.ability.responses > 0
+        ? difficultyFor(abilities.ability.theta)
+        : config.difficulty.initial,
+      ability: abilities.ability,
+      topicAbilities: abilities.topicAbilities,
+      topicSequence: [],
+      performanceTrend: [],
+      strugglingTopics: [],
+      strongTopics: []
+    },
+    analytics: { totalTurns: 0, followUpCount: 0, topicsCovered: [], difficultyCurve: [] }
+  });
+
+  const next = await askNext(session, config, { onEvent, sources: { resume, jd } });
+  if (!next) {
+    throw runtimeError('No question available for this interview', 'NO_QUESTION_AVAILABLE');
+  }
+  await session.save();
+
+  return {
+    session,
+    question: describeQuestion(next.turn),
+    context: {
+      targetRole: session.targetRole,
+      currentDifficulty: session.interviewContext.currentDifficulty,
+      turnNumber: next.turn.turnNumber,
+      candidateSkills: candidateSkills.length,
+      requiredSkills: requiredSkills.length,
+      skillGaps: session.interviewContext.identifiedGaps.length,
+      clock: interviewClock(session)
+    }
+  };
+}
+
+/**
+ * Start a session that runs an interview template's loop
+ * @param {string} templateRef - Built-in slug, template id, or one of the user's template slugs
+ * @param {Object} params - As for startInterview; interviewType comes from the template and
+ *   targetRole defaults to the template name
+ * @returns {Promise<{session, question, context}>}
+ */
+export async function startFromTemplate(templateRef, params, options) {
+  const template = await getTemplate(templateRef, params.userId);
+  // The template's rubric is resolved as its author sees it
+  const rubric = template.rubricId && !params.rubricId
+    ? rubricSnapshot(await getRubric(template.rubricId, template.createdBy))
+    : null;
+  return startInterview('template', {
+    ...params,
+    interviewType: template.interviewType,
+    targetRole: params.targetRole || template.name,
+    templateId: String(template.builtIn ? template.slug : template._id),
+    config: { ...templateOverrides(template), ...(rubric && { rubric }), ...params.config }
+  }, options);
+}
+
+/**
+ * Score the answer to the current question and move the interview on
+ * @param {Object} answer - text, timeSpent (seconds), media ({ mediaId, duration, size, type })
+ * @param {Object} options - onEvent; userId: the caller, who must own the session
+ *   (routes and sockets always pass it)
+ * @returns {Promise<{type, session, evaluation, question?, context?, summary?}>}
+ *   type is 'follow_up', 'next_question' or 'interview_complete'
+ */
+export async function submitAnswer(sessionId, { text, timeSpent = 0, media = null }, { onEvent, userId = null } = {}) {
+  const session = await loadSession(sessionId, userId);
+  if (session.status !== 'in-progress') {
+    throw runtimeError('Interview is not active', 'INTERVIEW_NOT_ACTIVE');
+  }
+
+  const index = session.turns.length - 1;
+  const turn = session.turns[index];
+  if (!turn) {
+    throw runtimeError('No active question found', 'NO_ACTIVE_QUESTION');
+  }
+  if (turn.answer?.text) {
+    throw runtimeError('Question already answered', 'QUESTION_ALREADY_ANSWERED');
+  }
+
+  const config = configFor(session);
+  const answer = {
+    text,
+    timestamp: new Date(),
+    timeSpent,
+    wordCount: text.trim().split(/\s+/).filter(Boolean).length
+  };
+
+  // Claim the turn before the slow evaluation: of two submissions racing for it
+  // (a double click, a socket replaying its last event) only one gets past here
+  const answerPath = `turns.${index}.answer`;
+  const claim = await ConversationalInterview.updateOne(
+    { _id: session._id, status: 'in-progress', [`${answerPath}.text`]: null },
+    { $set: { [answerPath]: answer, lastActivityAt: answer.timestamp } }
+  );
+  if (claim.modifiedCount === 0) {
+    throw runtimeError('Question already answered', 'QUESTION_ALREADY_ANSWERED');
+  }
+
+  session.lastActivityAt = answer.timestamp;
+  turn.answer = answer;
+  if (media) {
+    turn.media = media;
+  }
+
+  let evaluation;
+  try {
+    evaluation = await EVALUATORS[config.evaluator](turn.question, text, turn, session, config);
+  } catch (error) {
+    // Give the turn back so the answer can be sent again
+    await ConversationalInterview.updateOne(
+      { _id: session._id, [`${answerPath}.timestamp`]: answer.timestamp },
+      { $unset: { [answerPath]: 1 } }
+    );
+    throw error;
+  }
+  turn.evaluation = evaluation;
+  onEvent?.('answer_evaluated', { turnNumber: turn.turnNumber, evaluation });
+
+  const thetaBefore = session.interviewContext.ability.theta;
+  recordPerformance(session, turn);
+
+  if (config.recordGaps && evaluation.gaps?.length > 0) {
+    try {
+      await EvaluationEngine.createGapRecords(
+        session.userId,
+        session.resumeId,
+        session.jobDescriptionId,
+        session._id,
+        evaluation.gaps
+      );
+    } catch (error) {
+      console.error('❌ Gap record creation failed:', error.message);
+    }
+  }
+
+  const next = shouldStop(session, config) ? null : await askNext(session, config, { onEvent });
+
+  if (!next) {
+    const summary = closeInterview(session, 'completed', onEvent);
+    await session.save();
+    recordAbility(session, turn, thetaBefore, config);
+    finish(session, summary);
+    return { type: 'interview_complete', session, evaluation, summary };
+  }
+
+  await session.save();
+  recordAbility(session, turn, thetaBefore, config);
+  return {
+    type: next.type,
+    session,
+    evaluation,
+    question: describeQuestion(next.turn),
+    context: progressContext(session)
+  };
+}
+
+/**
+ * End an interview before the stop rule does
+ * @param {Object} options - status: 'terminated' (default, ended early), 'completed' (candidate
+ *   finished) or 'abandoned' (left idle, see interviewPresence.js); userId: the caller, who
+ *   must own the session (omitted only by the idle sweep)
+ * @returns {Promise<{session, summary}>}
+ */
+export async function endInterview(sessionId, { status = 'terminated', userId = null } = {}) {
+  const session = await loadSession(sessionId, userId);
+  if (!ACTIVE_STATUSES.includes(session.status)) {
+    throw runtimeError('Interview is not active', 'INTERVIEW_NOT_ACTIVE');
+  }
+
+  const summary = closeInterview(session, status);
+  await session.save();
+  finish(session, summary);
+  return { session, summary };
+}
+
+/**
+ * Suspend a session; it can be resumed later from any device
+ * @param {Object} options - reason: 'user' (default) or 'disconnected'; at: when the
+ *   pause started (default now); userId: the session's owner, when known
+ */
+export async function pauseInterview(sessionId, { reason = 'user', at = new Date(), userId = null } = {}) {
+  const session = await loadSession(sessionId, userId);
+  if (session.status !== 'in-progress') {
+    throw runtimeError('Interview is not active', 'INTERVIEW_NOT_ACTIVE');
+  }
+  session.status = 'paused';
+  session.pauses.push({ pausedAt: at, reason });
+  session.lastActivityAt = new Date();
+  await session.save();
+  return session;
+}
+
+/**
+ * Continue a paused session, or pick up a running one on another device
+ * @param {Object} options - userId (the session's owner, when known), deviceId, socketId
+ * @returns {Promise<{session, question, draft, clock}>} question is the unanswered
+ *   current question, if any, and draft the answer saved for it
+ */
+export async function resumeInterview(sessionId, { userId = null, deviceId, socketId } = {}) {
+  const session = await loadSession(sessionId, userId);
+  if (!ACTIVE_STATUSES.includes(session.status)) {
+    throw runtimeError('Interview is not active', 'INTERVIEW_NOT_ACTIVE');
+  }
+
+  const now = new Date();
+  const openPause = session.pauses.find((pause) => !pause.resumedAt);
+  if (openPause) openPause.resumedAt = now;
+
+  session.status = 'in-progress';
+  session.lastActivityAt = now;
+  if (socketId) session.socketId = socketId;
+  session.connection = { deviceId: deviceId || session.connection?.deviceId, connectedAt: now, disconnectedAt: undefined };
+  await session.save();
+
+  const current = session.turns[session.turns.length - 1];
+  const open = current && !current.answer?.text;
+  return {
+    session,
+    question: open ? describeQuestion(current) : null,
+    draft: open && current.draft?.text ? describeDraft(current) : null,
+    clock: interviewClock(session, now)
+  };
+}
+
+/**
+ * Save the candidate's unsubmitted answer to the current question
+ * @param {Object} draft - text, deviceId; userId: the session's owner, when known
+ * @returns {Promise<{turnNumber, savedAt}>}
+ */
+export async function saveDraft(sessionId, { text = '', deviceId, userId = null }) {
+  const session = await loadSession(sessionId, userId);
+  if (!ACTIVE_STATUSES.includes(session.status)) {
+    throw runtimeError('Interview is not active', 'INTERVIEW_NOT_ACTIVE');
+  }
+
+  const turn = session.turns[session.turns.length - 1];
+  if (!turn || turn.answer?.text) {
+    throw runtimeError('No active question found', 'NO_ACTIVE_QUESTION');
+  }
+
+  const savedAt = new Date();
+  turn.draft = { text, savedAt, deviceId };
+  session.lastActivityAt = savedAt;
+  await session.save();
+  return { turnNumber: turn.turnNumber, savedAt };
+}
+
+function describeDraft(turn) {
+  return { turnNumber: turn.turnNumber, text: turn.draft.text, savedAt: turn.draft.savedAt, deviceId: turn.draft.deviceId };
+}
+
+// ============= QUERIES =============
+
+/**
+ * @param {Object} options - userId: the session's owner, when known
+ */
+export async function getInterviewState(sessionId, { userId = null } = {}) {
+  const session = await loadSession(sessionId, userId);
+  const context = session.interviewContext;
+  const current = session.turns[session.turns.length - 1];
+  const open = current && !current.answer?.text;
+
+  return {
+    sessionId: session._id,
+    status: session.status,
+    phase: session.phase,
+    profile: session.profile,
+    targetRole: session.targetRole,
+    interviewType: session.interviewType,
+    turnCount: session.turns.length,
+    startedAt: session.startedAt,
+    completedAt: session.completedAt,
+    context: {
+      currentDifficulty: context.currentDifficulty,
+      topicsCovered: [...new Set(context.topicSequence)],
+      strugglingAreas: context.strugglingTopics,
+      strongAreas: context.strongTopics,
+      performanceTrend: context.performanceTrend,
+      ability: summarizeAbilities(session.interviewContext)
+    },
+    currentQuestion: open ? describeQuestion(current) : null,
+    draft: open && current.draft?.text ? describeDraft(current) : null,
+    clock: interviewClock(session),
+    templateId: session.templateId,
+    lastActivityAt: session.lastActivityAt
+  };
+}
+
+/**
+ * The user's in-progress and paused sessions, most recently active first
+ */
+export async function listResumableInterviews(userId) {
+  const sessions = await ConversationalInterview.find({ userId, status: { $in: ACTIVE_STATUSES } })
+    .sort({ lastActivityAt: -1 })
+    .limit(20);
+
+  return sessions.map((session) => ({
+    sessionId: session._id,
+    status: session.status,
+    phase: session.phase,
+    profile: session.profile,
+    templateId: session.templateId,
+    targetRole: session.targetRole,
+    interviewType: session.interviewType,
+    turnCount: session.turns.length,
+    startedAt: session.startedAt,
+    lastActivityAt: session.lastActivityAt,
+    clock: interviewClock(session)
+  }));
+}
+
+/**
+ * Totals over a user's last 50 interviews
+ * @param {Object} filters - status, interviewType, dateFrom, dateTo
+ */
+export async function getInterviewAnalytics(userId, filters = {}) {
+  const query = { userId };
+  if (filters.status) query.status = filters.status;
+  if (filters.interviewType) query.interviewType = filters.interviewType;
+  if (filters.dateFrom || filters.dateTo) {
+    query.startedAt = {};
+    if (filters.dateFrom) query.startedAt.$gte = new Date(filters.dateFrom);
+    if (filters.dateTo) query.startedAt.$lte = new Date(filters.dateTo);
+  }
+
+  const interviews = await ConversationalInterview.find(query)
+    .sort({ startedAt: -1 })
+    .limit(50);
+
+  const completed = interviews.filter((i) => i.status === 'completed');
+  const scored = (i) => i.turns.filter((t) => t.evaluation?.turnScore != null);
+  const totalScore = completed.reduce((sum, i) => sum + average(scored(i).map((t) => t.evaluation.turnScore)), 0);
+
+  return {
+    totalInterviews: interviews.length,
+    completedInterviews: completed.length,
+    averageScore: completed.length > 0 ? Math.round(totalScore / completed.length) : 0,
+    totalQuestionsAnswered: completed.reduce((sum, i) => sum + scored(i).length, 0),
+    recentInterviews: interviews.slice(0, 10).map((i) => ({
+      sessionId: i._id,
+      targetRole: i.targetRole,
+      profile: i.profile,
+      status: i.status,
+      startedAt: i.startedAt,
+      turnCount: i.turns.length
+    }))
+  };
+}
+
+export default {
+  PHASES,
+  INTERVIEW_ERROR_STATUS,
+  startInterview,
+  startFromTemplate,
+  submitAnswer,
+  endInterview,
+  pauseInterview,
+  resumeInterview,
+  saveDraft,
+  getInterviewState,
+  listResumableInterviews,
+  interviewClock,
+  getInterviewAnalytics,
+  describeQuestion,
+  adaptiveState,
+  buildSummary,
+  identifySkillGaps
+};
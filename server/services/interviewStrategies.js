@@ -0,0 +1,386 @@
+/**
+ * Interview Strategies - the pluggable parts of the interview runtime
+ *
+ * interviewRuntime.js owns the session lifecycle; everything that used to
+ * differ between the interview engines is a named strategy here, and an
+ * interview profile is just a choice of strategies plus limits:
+ *
+ *   selector   picks the next question          (session, sources) -> question | null
+ *   evaluator  scores an answer                 (question, answerText, turn, session, config) -> evaluation
+ *   followUp   writes a follow-up question      (turn, session, { onEvent }) -> question | null
+ *   stopRule   decides when to move to closing  (session, config) -> boolean
+ *
+ * Questions and evaluations come back in one shape whatever produced them,
+ * the shape stored on ConversationalInterview turns and read by reportService.js.
+ */
+
+import QuestionGenerationService from './questionGenerationService.js';
+import EvaluationEngine from './evaluationEngine.js';
+import DynamicInterviewEngine from './dynamicInterviewEngine.js';
+import interviewEngineService from './interviewEngineService.js';
+import { nextSlot, pickQuestion, loopTimeUp } from './interviewTemplateService.js';
+import { abilityFor } from './abilityEstimator.js';
+import ConversationalInterview from '../models/ConversationalInterview.js';
+
+const QUESTION_TYPES = ['opening', 'technical', 'behavioral', 'situational', 'hr', 'coding', 'follow-up', 'closing'];
+
+const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/**
+ * Any question object (QuestionBank document, engine question) -> turn question
+ */
+export function normalizeQuestion(raw, defaults = {}) {
+  if (!raw) return null;
+
+  const fromBank = typeof raw.question === 'string';
+  const components = raw.expectedComponents && !Array.isArray(raw.expectedComponents) ? raw.expectedComponents : null;
+  const keyPoints = raw.expectedKeyPoints?.length > 0
+    ? raw.expectedKeyPoints
+    : components?.requiredConcepts || (Array.isArray(raw.expectedComponents) ? raw.expectedComponents : []);
+  const type = QUESTION_TYPES.includes(raw.type) ? raw.type : (defaults.type || 'technical');
+
+  return {
+    questionId: raw.questionId || (fromBank ? raw._id : undefined),
+    question: {
+      text: fromBank ? raw.question : raw.text,
+      type,
+      topic: raw.topic || raw.generationSource?.sourceData?.skill || keyPoints[0] || defaults.topic,
+      difficulty: raw.difficulty || defaults.difficulty,
+      expectedKeyPoints: keyPoints,
+      isFollowUp: Boolean(raw.isFollowUp || defaults.isFollowUp),
+      parentTurnNumber: raw.parentTurnNumber ?? defaults.parentTurnNumber,
+      round: raw.round ?? defaults.round,
+      sourceText: raw.sourceText,
+      promptVersion: raw.promptVersion || raw.generationSource?.promptVersion
+    },
+    expectedComponents: components || { requiredConcepts: keyPoints }
+  };
+}
+
+// ============= QUESTION SELECTORS =============
+
+export const QUESTION_SELECTORS = {
+  // Question bank generation from resume skills, JD requirements and open gaps
+  questionBank: async (session, { resume }) => {
+    if (!resume) {
+      throw new Error('The questionBank selector needs a resume');
+    }
+    const context = session.interviewContext;
+    const probed = context.topicSequence || [];
+    const question = await QuestionGenerationService.selectNextQuestion({
+      resumeId: session.resumeId,
+      jobDescriptionId: session.jobDescriptionId,
+      topicsCovered: probed,
+      skillsProbed: probed,
+      strugglingAreas: context.strugglingTopics || [],
+      difficultyLevel: context.currentDifficulty,
+      currentTurn: session.turns.length,
+      userId: session.userId
+    });
+    return normalizeQuestion(question, { difficulty: context.currentDifficulty });
+  },
+
+  // Focus on gaps, then claimed skills, then requirements; AI-written with a template fallback
+  dynamic: async (session, { resume, jd }) => {
+    const question = await DynamicInterviewEngine.generateDynamicQuestion(session, resume, jd);
+    return normalizeQuestion(question, { difficulty: session.interviewContext.currentDifficulty });
+  },
+
+  // Built-in question pools by interview type, rephrased for the role
+  pool: async (session, { resume }) => {
+    const question = await interviewEngineService.generateNextQuestion(session, resume);
+    return normalizeQuestion(question, { type: session.interviewType });
+  },
+
+  // The rounds of an interview template (config.template), in order, rephrased for the role
+  template: async (session, { resume }) => {
+    const { template } = session.config;
+    if (!template) {
+      throw new Error('The template selector needs a template');
+    }
+    const asked = new Set(session.turns.map((t) => t.question.sourceText || t.question.text));
+    const { theta } = abilityFor(session.interviewContext);
+    const skip = new Set();
+
+    const elapsed = (since) => session.activeMillis(since);
+    for (let slot = nextSlot(template, session.turns, { elapsed }); slot; slot = nextSlot(template, session.turns, { skip, elapsed })) {
+      const askedTopics = session.turns
+        .filter((t) => t.question.round === slot.index && !t.question.isFollowUp)
+        .map((t) => t.question.topic);
+      const authored = pickQuestion(slot, { asked, askedTopics, theta });
+
+      if (authored) {
+        const type = slot.round.type === 'system-design' ? 'technical' : slot.round.type;
+        const question = await interviewEngineService.personalizeQuestion({ ...authored, type }, session.targetRole, resume, {
+          userId: session.userId
+        });
+        return normalizeQuestion(question, { round: slot.index });
+      }
+      // Out of authored questions: the round ends early
+      skip.add(slot.index);
+    }
+    return null;
+  }
+};
+
+// ============= EVALUATORS =============
+
+// The session's rubric (config.rubric) reweights an evaluator's own turn score
+function withRubric(evaluation, rubric) {
+  return rubric ? { ...evaluation, turnScore: EvaluationEngine.aggregateScore(evaluation, rubric) } : evaluation;
+}
+
+export const EVALUATORS = {
+  // Concept extraction plus rule-based metrics (evaluationEngine.js), weighted by the rubric
+  evaluationEngine: async (question, answerText, turn, session, config) => {
+    const result = await EvaluationEngine.evaluateAnswer(question.text, answerText, turn.expectedComponents, config.rubric, {
+      userId: session.userId
+    });
+    const missed = result.gaps.filter((gap) => gap.type === 'knowledge-gap').map((gap) => gap.skill);
+    return {
+      ...result.metrics,
+      turnScore: result.overallScore,
+      detectedKeyPoints: result.extractedConcepts?.concepts || [],
+      missedKeyPoints: missed,
+      feedback: {
+        positive: result.feedback.strengths,
+        negative: result.feedback.weaknesses,
+        suggestions: result.feedback.suggestions
+      },
+      gaps: result.gaps,
+      needsFollowUp: result.followUpNeeded,
+      followUpReason: result.followUpNeeded ? 'Answer was weak on relevance, depth or accuracy' : ''
+    };
+  },
+
+  // Key-point coverage, examples and structure (dynamicInterviewEngine.js)
+  keyPoints: async (question, answerText, turn, session, config) => {
+    const result = await DynamicInterviewEngine.evaluateAnswer(question, answerText, question.expectedKeyPoints || []);
+    const weak = result.overallScore < 60 && result.missingKeyPoints.length > 0;
+    return withRubric({
+      ...result.metrics,
+      turnScore: result.overallScore,
+      detectedKeyPoints: result.detectedKeyPoints,
+      missedKeyPoints: result.missingKeyPoints,
+      feedback: {
+        positive: result.feedback.strengths,
+        negative: [],
+        suggestions: result.feedback.improvements
+      },
+      gaps: weak
+        ? result.missingKeyPoints.map((skill) => ({
+          type: 'knowledge-gap',
+          skill,
+          severity: result.overallScore < 40 ? 'high' : 'medium',
+          evidence: `Not covered when answering: ${question.text}`
+        }))
+        : [],
+      needsFollowUp: weak,
+      followUpReason: weak ? `Missing key points: ${result.missingKeyPoints.join(', ')}` : ''
+    }, config.rubric);
+  },
+
+  // Clarity / relevance / depth / structure / confidence rubric (ConversationalInterview model)
+  rubric: async (question, answerText, turn, session, config) => {
+    const evaluation = ConversationalInterview.schema.methods._evaluateAnswer.call(null, question, turn.answer);
+    return withRubric({
+      ...evaluation,
+      gaps: evaluation.relevance < 50
+        ? evaluation.missedKeyPoints.map((skill) => ({
+          type: 'knowledge-gap',
+          skill,
+          severity: 'medium',
+          evidence: evaluation.followUpReason
+        }))
+        : []
+    }, config.rubric);
+  }
+};
+
+// ============= FOLLOW-UP GENERATORS =============
+
+export const FOLLOW_UP_GENERATORS = {
+  questionBank: async (turn, session) => {
+    const question = await QuestionGenerationService.generateFollowUpQuestion(turn.question.text, turn.answer.text, {
+      ...turn.evaluation,
+      missingConcepts: turn.evaluation.missedKeyPoints
+    }, { userId: session.userId });
+    return normalizeQuestion(question, { isFollowUp: true, parentTurnNumber: turn.turnNumber, topic: turn.question.topic });
+  },
+
+  // Streams the question text through options.onEvent
+  dynamic: async (turn, session, { onEvent } = {}) => {
+    const question = await DynamicInterviewEngine.generateFollowUp(
+      turn.question,
+      turn.answer.text,
+      { missingKeyPoints: turn.evaluation.missedKeyPoints || [] },
+      { onEvent, userId: session.userId }
+    );
+    return normalizeQuestion(question, { isFollowUp: true, parentTurnNumber: turn.turnNumber, topic: turn.question.topic });
+  },
+
+  pool: async (turn, session) => {
+    const question = await interviewEngineService.generateFollowUpQuestion(turn, session);
+    return normalizeQuestion(question, { isFollowUp: true, parentTurnNumber: turn.turnNumber });
+  }
+};
+
+// When a weak answer earns a follow-up
+export const FOLLOW_UP_TRIGGERS = {
+  // The evaluator's own judgement
+  evaluator: (evaluation) => Boolean(evaluation.needsFollowUp),
+  // Any answer under the threshold
+  score: (evaluation, policy) => evaluation.turnScore < policy.threshold,
+  // Under the threshold and missing expected key points
+  missedKeyPoints: (evaluation, policy) =>
+    evaluation.turnScore < policy.threshold && (evaluation.missedKeyPoints || []).length > 0
+};
+
+// ============= STOP RULES =============
+
+// Checked between minTurns and maxTurns; true ends the questions
+export const STOP_RULES = {
+  // Only the turn limit ends the interview
+  maxTurns: () => false,
+
+  // At least half the critical skills probed, with extra turns for a candidate who is struggling
+  coverage: (session) => {
+    const context = session.interviewContext;
+    const probed = context.topicSequence || [];
+    const critical = context.requiredSkills?.length > 0
+      ? context.requiredSkills
+      : (context.candidateSkills || []).slice(0, 10);
+
+    if (critical.filter((skill) => probed.includes(skill)).length < critical.length * 0.5) {
+      return false;
+    }
+
+    const recent = context.performanceTrend.slice(-3);
+    return !(recent.length > 0 && average(recent) < 60 && session.turns.length < 10);
+  },
+
+  // Every identified gap probed and the last five answers strong, after ten turns
+  gapCoverage: (session) => {
+    const context = session.interviewContext;
+    const gapsCovered = (context.identifiedGaps || []).every((gap) => context.topicSequence.includes(gap.skill));
+    const recent = context.performanceTrend.slice(-5);
+    return gapsCovered && recent.length === 5 && average(recent) >= 75 && session.turns.length >= 10;
+  },
+
+  // The template's rounds end themselves; this stops a loop whose total time is used up
+  rounds: (session, config) => loopTimeUp(config.template, session.activeMillis())
+};
+
+// ============= PROFILES =============
+
+const BASE_PROFILE = {
+  requiresResume: false,
+  limits: { minTurns: 5, maxTurns: 15 },
+  // Interview time limit, paused time excluded; templates use their rounds' limits
+  timeLimitMinutes: null,
+  followUps: { trigger: 'score', threshold: 60, maxPerQuestion: 1 },
+  // Difficulty of the first question when the candidate has no ability estimate
+  // yet; after that it follows the estimate (abilityEstimator.js)
+  difficulty: { initial: 'medium' },
+  carryAbility: true, // Start from, and save, the candidate's ability estimates
+  stopRule: 'maxTurns',
+  recordGaps: false, // SkillGap records for gaps the evaluator finds
+  report: true // Report and interview history entry once the session closes
+};
+
+/**
+ * The behaviours of the former interview engines, as configurations
+ */
+export const INTERVIEW_PROFILES = {
+  // Question bank + evaluation engine (/api/interview/live, the interview:* socket events)
+  adaptive: {
+    ...BASE_PROFILE,
+    requiresResume: true,
+    recordGaps: true,
+    selector: 'questionBank',
+    evaluator: 'evaluationEngine',
+    followUps: { ...BASE_PROFILE.followUps, generator: 'questionBank' },
+    stopRule: 'coverage'
+  },
+
+  // Gap-focused dynamic questions + key-point scoring (/api/interview/v3, the start_interview socket events)
+  dynamic: {
+    ...BASE_PROFILE,
+    requiresResume: true,
+    recordGaps: true,
+    selector: 'dynamic',
+    evaluator: 'keyPoints',
+    followUps: { ...BASE_PROFILE.followUps, trigger: 'missedKeyPoints', generator: 'dynamic' },
+    stopRule: 'gapCoverage'
+  },
+
+  // Built-in pools + the rubric on the session model (/api/interview/conversational)
+  conversational: {
+    ...BASE_PROFILE,
+    limits: { minTurns: 0, maxTurns: 15 },
+    selector: 'pool',
+    evaluator: 'rubric',
+    followUps: { ...BASE_PROFILE.followUps, trigger: 'evaluator', generator: 'pool' },
+    stopRule: 'maxTurns'
+  },
+
+  // An interview template's loop (interviewRuntime.startFromTemplate fills in
+  // the rounds, follow-up policy and rubric from the template)
+  template: {
+    ...BASE_PROFILE,
+    limits: { minTurns: 0, maxTurns: 60 },
+    selector: 'template',
+    evaluator: 'rubric',
+    followUps: { ...BASE_PROFILE.followUps, generator: 'pool' },
+    stopRule: 'rounds'
+  }
+};
+
+/**
+ * A profile by name, with overrides, checked against the strategy registries
+ * @throws {Error} code UNKNOWN_INTERVIEW_PROFILE / UNKNOWN_INTERVIEW_STRATEGY
+ */
+export function resolveProfile(name, overrides = {}) {
+  const base = INTERVIEW_PROFILES[name];
+  if (!base) {
+    const error = new Error(`Unknown interview profile "${name}"`);
+    error.code = 'UNKNOWN_INTERVIEW_PROFILE';
+    throw error;
+  }
+
+  const config = {
+    ...base,
+    ...overrides,
+    limits: { ...base.limits, ...overrides.limits },
+    followUps: { ...base.followUps, ...overrides.followUps },
+    difficulty: { ...base.difficulty, ...overrides.difficulty }
+  };
+
+  const checks = [
+    ['selector', QUESTION_SELECTORS, config.selector],
+    ['evaluator', EVALUATORS, config.evaluator],
+    ['follow-up generator', FOLLOW_UP_GENERATORS, config.followUps.generator],
+    ['follow-up trigger', FOLLOW_UP_TRIGGERS, config.followUps.trigger],
+    ['stop rule', STOP_RULES, config.stopRule]
+  ];
+  for (const [kind, registry, value] of checks) {
+    if (!registry[value]) {
+      const error = new Error(`Unknown interview ${kind} "${value}"`);
+      error.code = 'UNKNOWN_INTERVIEW_STRATEGY';
+      throw error;
+    }
+  }
+
+  return { name, ...config };
+}
+
+export default {
+  QUESTION_SELECTORS,
+  EVALUATORS,
+  FOLLOW_UP_GENERATORS,
+  FOLLOW_UP_TRIGGERS,
+  STOP_RULES,
+  INTERVIEW_PROFILES,
+  resolveProfile,
+  normalizeQuestion
+};
@@ -0,0 +1,391 @@
+/**
+ * Interview Template Service
+ *
+ * Interview loops as data (models/InterviewTemplate.js):
+ * - Built-in templates from server/data/interviewTemplates, addressed by slug;
+ *   the `<type>-screen` ones are the question pools of the `pool` selector
+ * - CRUD, plus import / export as JSON or YAML
+ * - Round bookkeeping for the `template` selector and stop rule, and the
+ *   profile overrides interviewRuntime.startFromTemplate runs a template with
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import yaml from 'js-yaml';
+import InterviewTemplate from '../models/InterviewTemplate.js';
+import { mostInformative } from './abilityEstimator.js';
+import { rubricFromWeights, scoreDimensions, weightedScore } from './rubricService.js';
+
+const TEMPLATE_DIR = join(dirname(fileURLToPath(import.meta.url)), '../data/interviewTemplates');
+
+// Fields that travel in an export and are accepted on create / update / import
+const PORTABLE_FIELDS = ['name', 'slug', 'description', 'company', 'tags', 'interviewType', 'rounds', 'followUpPolicy', 'rubric', 'rubricId'];
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+// HTTP status for each template error code, for routes
+export const TEMPLATE_ERROR_STATUS = {
+  INVALID_TEMPLATE: 400,
+  TEMPLATE_READ_ONLY: 403,
+  TEMPLATE_NOT_FOUND: 404,
+  TEMPLATE_EXISTS: 409
+};
+
+function templateError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function pickPortable(data) {
+  const picked = {};
+  for (const field of PORTABLE_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+/**
+ * Template document or built-in -> plain portable object (what an export contains)
+ */
+function portable(template) {
+  const plain = template.toObject ? template.toObject({ versionKey: false }) : template;
+  const result = pickPortable(plain);
+  const rubric = Object.fromEntries(Object.entries(result.rubric || {}).filter(([, weight]) => weight != null));
+  if (Object.keys(rubric).length > 0) {
+    result.rubric = rubric;
+  } else {
+    delete result.rubric;
+  }
+  return result;
+}
+
+/**
+ * Template as sent to clients; built-ins use their slug as id
+ */
+export function describeTemplate(template) {
+  if (template.builtIn) {
+    return { id: template.slug, builtIn: true, visibility: 'public', version: template.version, ...portable(template) };
+  }
+  return {
+    id: template._id,
+    builtIn: false,
+    visibility: template.visibility,
+    version: template.version,
+    createdBy: template.createdBy,
+    updatedAt: template.updatedAt,
+    ...portable(template)
+  };
+}
+
+/**
+ * Mongoose validation errors -> one INVALID_TEMPLATE error listing every problem
+ */
+function validationError(error) {
+  const details = Object.values(error.errors || {}).map((e) => `${e.path}: ${e.message}`);
+  return templateError(`Invalid template: ${details.join('; ') || error.message}`, 'INVALID_TEMPLATE');
+}
+
+// ============= BUILT-IN TEMPLATES =============
+
+function loadBuiltIn(file) {
+  const doc = new InterviewTemplate(JSON.parse(readFileSync(join(TEMPLATE_DIR, file), 'utf8')));
+  const error = doc.validateSync();
+  const problems = Object.keys(error?.errors || {}).filter((path) => path !== 'createdBy');
+  if (problems.length > 0) {
+    throw new Error(`Built-in interview template ${file} is invalid: ${problems.join(', ')}`);
+  }
+  return { ...portable(doc), builtIn: true, version: 1 };
+}
+
+// Read once at startup
+export const BUILT_IN_TEMPLATES = readdirSync(TEMPLATE_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .sort()
+  .map(loadBuiltIn);
+
+const builtInBySlug = (slug) => BUILT_IN_TEMPLATES.find((t) => t.slug === slug) || null;
+
+/**
+ * Questions and topics of the built-in `<interviewType>-screen` template
+ * @returns {{topics: string[], questions: Object[]} | null}
+ */
+export function questionPool(interviewType) {
+  const screen = builtInBySlug(`${interviewType}-screen`);
+  if (!screen) return null;
+  return {
+    topics: screen.rounds.flatMap((round) => round.topicMix.map((m) => m.topic)),
+    questions: screen.rounds.flatMap((round) => round.questions.map((q) => ({ ...q, type: round.type })))
+  };
+}
+
+// ============= CRUD =============
+
+/**
+ * Built-ins, the user's own templates and everyone's public ones
+ * @param {Object} filters - company, tag
+ */
+export async function listTemplates(userId, { company, tag } = {}) {
+  const query = { $or: [{ visibility: 'public' }, ...(userId ? [{ createdBy: userId }] : [])] };
+  if (company) query.company = company;
+  if (tag) query.tags = tag;
+
+  const stored = await InterviewTemplate.find(query).sort({ updatedAt: -1 });
+  const builtIn = BUILT_IN_TEMPLATES.filter((t) =>
+    (!company || t.company === company) && (!tag || (t.tags || []).includes(tag)));
+
+  return [...builtIn, ...stored].map(describeTemplate);
+}
+
+/**
+ * A template the user may read: built-in slug, template id, or one of their own slugs
+ * @returns built-in object or InterviewTemplate document
+ */
+export async function getTemplate(ref, userId) {
+  const builtIn = builtInBySlug(ref);
+  if (builtIn) return builtIn;
+
+  const template = mongoose.isValidObjectId(ref)
+    ? await InterviewTemplate.findById(ref)
+    : userId ? await InterviewTemplate.findOne({ createdBy: userId, slug: ref }) : null;
+
+  const readable = template && (template.visibility === 'public' || String(template.createdBy) === String(userId));
+  if (!readable) {
+    throw templateError('Interview template not found', 'TEMPLATE_NOT_FOUND');
+  }
+  return template;
+}
+
+async function getOwnTemplate(ref, userId) {
+  const template = await getTemplate(ref, userId);
+  if (template.builtIn || String(template.createdBy) !== String(userId)) {
+    throw templateError('Only the author can change this template', 'TEMPLATE_READ_ONLY');
+  }
+  return template;
+}
+
+async function saveTemplate(template) {
+  if (builtInBySlug(template.slug)) {
+    throw templateError(`"${template.slug}" is a built-in template`, 'TEMPLATE_EXISTS');
+  }
+  try {
+    return await template.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') throw validationError(error);
+    if (error.code === 11000) {
+      throw templateError(`You already have a template called "${template.slug}"`, 'TEMPLATE_EXISTS');
+    }
+    throw error;
+  }
+}
+
+export async function createTemplate(userId, data) {
+  const fields = pickPortable(data || {});
+  const template = new InterviewTemplate({
+    ...fields,
+    slug: fields.slug || slugify(fields.name || ''),
+    createdBy: userId,
+    visibility: data?.visibility
+  });
+  return saveTemplate(template);
+}
+
+/**
+ * Replace the portable fields given; bumps the version
+ */
+export async function updateTemplate(ref, userId, data) {
+  const template = await getOwnTemplate(ref, userId);
+  template.set(pickPortable(data || {}));
+  if (data?.visibility) template.visibility = data.visibility;
+  template.version += 1;
+  return saveTemplate(template);
+}
+
+export async function deleteTemplate(ref, userId) {
+  const template = await getOwnTemplate(ref, userId);
+  await template.deleteOne();
+  return template;
+}
+
+// ============= IMPORT / EXPORT =============
+
+/**
+ * JSON or YAML text -> template data; the format is guessed when not given
+ */
+export async function parseTemplate(content, format) {
+  if (content && typeof content === 'object') return content;
+  if (typeof content !== 'string' || !content.trim()) {
+    throw templateError('Template content is empty', 'INVALID_TEMPLATE');
+  }
+
+  const asJson = format ? format === 'json' : /^\s*\{/.test(content);
+  try {
+    const data = asJson ? JSON.parse(content) : yaml.load(content);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected a single template object');
+    }
+    return data;
+  } catch (error) {
+    throw templateError(`Could not parse template ${asJson ? 'JSON' : 'YAML'}: ${error.message}`, 'INVALID_TEMPLATE');
+  }
+}
+
+export async function importTemplate(userId, content, format) {
+  return createTemplate(userId, await parseTemplate(content, format));
+}
+
+/**
+ * @returns {Promise<{filename, contentType, body}>}
+ */
+export async function exportTemplate(ref, userId, format = 'json') {
+  const template = await getTemplate(ref, userId);
+  const data = portable(template);
+
+  if (format === 'yaml') {
+    return { filename: `${data.slug}.yaml`, contentType: 'application/yaml', body: yaml.dump(data, { noRefs: true }) };
+  }
+  return { filename: `${data.slug}.json`, contentType: 'application/json', body: `${JSON.stringify(data, null, 2)}\n` };
+}
+
+// ============= RUNNING A TEMPLATE =============
+
+/**
+ * Profile overrides for the runtime's `template` profile. The rounds are
+ * copied onto the session so later edits do not change a running interview.
+ * Rubric weights become a rubric; a template's rubricId is resolved by
+ * interviewRuntime.startFromTemplate.
+ */
+export function templateOverrides(template) {
+  const { rounds, followUpPolicy, rubric } = portable(template);
+  const questions = rounds.reduce((sum, round) => sum + round.questionCount, 0);
+  return {
+    template: {
+      id: String(template.builtIn ? template.slug : template._id),
+      name: template.name,
+      version: template.version,
+      rounds
+    },
+    limits: { minTurns: 0, maxTurns: questions * (1 + followUpPolicy.maxPerQuestion) },
+    followUps: followUpPolicy,
+    ...(rubric && { rubric: rubricFromWeights(rubric, `${template.name} weights`) })
+  };
+}
+
+const freshTurns = (turns, index) => turns.filter((t) => t.question.round === index && !t.question.isFollowUp);
+
+/**
+ * The round the next fresh question belongs to: the first one with questions
+ * left and time on its clock. Null once every round is done.
+ * @param {Object} options - now, skip (round indexes to pass over), elapsed
+ *   ((since) => ms the interview has run since then; wall-clock time by default)
+ * @returns {{index, round, position} | null}
+ */
+export function nextSlot(template, turns, { now = new Date(), skip = new Set(), elapsed = (since) => now - since } = {}) {
+  for (const [index, round] of template.rounds.entries()) {
+    if (skip.has(index)) continue;
+
+    const asked = freshTurns(turns, index);
+    if (asked.length >= round.questionCount) continue;
+
+    const startedAt = turns.find((t) => t.question.round === index)?.askedAt;
+    if (startedAt && round.timeLimitMinutes && elapsed(startedAt) >= round.timeLimitMinutes * 60000) continue;
+
+    return { index, round, position: asked.length };
+  }
+  return null;
+}
+
+/**
+ * An authored question for the slot: the topic furthest behind its share of
+ * the mix, at the curve's difficulty (or the closest one left); past the end
+ * of the curve, the one most informative about the candidate's ability
+ * @param {Object} state - asked (Set of source texts), askedTopics (this round), theta (ability estimate)
+ */
+export function pickQuestion({ round, position }, { asked, askedTopics, theta = 0 }) {
+  const remaining = round.questions.filter((q) => !asked.has(q.text));
+  if (remaining.length === 0) return null;
+
+  const mix = round.topicMix.filter((m) => m.weight > 0 && remaining.some((q) => q.topic === m.topic));
+  const totalWeight = mix.reduce((sum, m) => sum + m.weight, 0);
+  const behind = mix
+    .map((m) => ({ topic: m.topic, served: askedTopics.filter((t) => t === m.topic).length / (m.weight / totalWeight) }))
+    .sort((a, b) => a.served - b.served)[0];
+
+  const pool = behind ? remaining.filter((q) => q.topic === behind.topic) : remaining;
+  const planned = round.difficultyCurve?.[position];
+  if (!planned) return mostInformative(pool, theta);
+
+  const target = DIFFICULTY_ORDER.indexOf(planned);
+  return [...pool].sort((a, b) =>
+    Math.abs(DIFFICULTY_ORDER.indexOf(a.difficulty) - target) - Math.abs(DIFFICULTY_ORDER.indexOf(b.difficulty) - target))[0];
+}
+
+/**
+ * Where the interview is in the loop, from the latest turn
+ */
+export function roundProgress(template, turns) {
+  const index = turns[turns.length - 1]?.question.round;
+  const round = template.rounds[index];
+  if (!round) return null;
+  return {
+    number: index + 1,
+    of: template.rounds.length,
+    name: round.name,
+    type: round.type,
+    questionNumber: freshTurns(turns, index).length,
+    questionCount: round.questionCount,
+    timeLimitMinutes: round.timeLimitMinutes
+  };
+}
+
+/**
+ * Minutes the whole loop may take; null when a round has no limit
+ */
+export function loopMinutes(template) {
+  if (!template || template.rounds.some((round) => !round.timeLimitMinutes)) return null;
+  return template.rounds.reduce((sum, round) => sum + round.timeLimitMinutes, 0);
+}
+
+/**
+ * Whether the whole loop's time is used up after elapsedMs of interview time
+ */
+export function loopTimeUp(template, elapsedMs) {
+  const minutes = loopMinutes(template);
+  return minutes != null && elapsedMs >= minutes * 60000;
+}
+
+/**
+ * Turn score as the rubric's weighted average of the evaluation metrics
+ * @param {Object} rubric - Rubric, rubric snapshot or { metric: weight }
+ */
+export function applyRubric(evaluation, rubric) {
+  return weightedScore(scoreDimensions(evaluation, rubric)) ?? evaluation.turnScore;
+}
+
+export default {
+  BUILT_IN_TEMPLATES,
+  TEMPLATE_ERROR_STATUS,
+  questionPool,
+  describeTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  parseTemplate,
+  importTemplate,
+  exportTemplate,
+  templateOverrides,
+  nextSlot,
+  pickQuestion,
+  roundProgress,
+  loopMinutes,
+  loopTimeUp,
+  applyRubric
+};
@@ -0,0 +1,255 @@
+/**
+ * LLM Cache - response cache backends for the LLM gateway
+ *
+ * A store is any object with:
+ *   name                          'memory', 'redis', ...
+ *   get(key)                      -> Promise<value | undefined>
+ *   set(key, value, ttlSeconds)   -> Promise
+ *   clear()                       -> Promise
+ *   getStats()                    -> { backend, hits, misses, ... } (sync)
+ *   addEmbedding(scope, entry, ttlSeconds) / getEmbeddings(scope)
+ *                                 semantic index, entries are { key, embedding }
+ *
+ * LLM_CACHE_BACKEND picks the store: 'memory' (default, per process) or
+ * 'redis' (shared by every server instance and kept across deploys; anything
+ * speaking the Redis protocol works - Valkey, KeyDB, Dragonfly). Redis needs
+ * the `ioredis` package and LLM_CACHE_REDIS_URL (or REDIS_URL). A Redis error
+ * is logged and treated as a cache miss, never as a failed completion.
+ *
+ * Semantic lookup (opt-in per feature, see llmGateway.js) reuses an answer
+ * whose prompt embedding is at least LLM_SEMANTIC_CACHE_THRESHOLD similar.
+ */
+
+import NodeCache from 'node-cache';
+
+const CONFIG = {
+  keyPrefix: 'llm:cache:',
+  embeddingPrefix: 'llm:embeddings:',
+  // Embeddings kept per scope (feature + model settings); oldest dropped first
+  maxEmbeddingsPerScope: 500
+};
+
+let storePromise = null;
+let currentStore = null;
+
+/**
+ * In-process store (the gateway's original NodeCache)
+ */
+export function createMemoryStore({ ttlSeconds = 3600 } = {}) {
+  const cache = new NodeCache({ stdTTL: ttlSeconds, checkperiod: 600, useClones: false });
+  const embeddings = new Map(); // scope -> [{ key, embedding }]
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return cache.get(key);
+    },
+
+    async set(key, value, ttl = ttlSeconds) {
+      cache.set(key, value, ttl);
+    },
+
+    async clear() {
+      cache.flushAll();
+      embeddings.clear();
+    },
+
+    getStats() {
+      return { backend: 'memory', ...cache.getStats() };
+    },
+
+    async addEmbedding(scope, entry) {
+      const entries = embeddings.get(scope) || [];
+      entries.push(entry);
+      if (entries.length > CONFIG.maxEmbeddingsPerScope) {
+        entries.shift();
+      }
+      embeddings.set(scope, entries);
+    },
+
+    async getEmbeddings(scope) {
+      return embeddings.get(scope) || [];
+    }
+  };
+}
+
+/**
+ * Redis-protocol store shared between instances
+ * @param {Object} options - url, ttlSeconds, client (an existing ioredis-compatible client)
+ */
+export async function createRedisStore({ url, ttlSeconds = 3600, client = null } = {}) {
+  let redis = client;
+  if (!redis) {
+    const { default: Redis } = await import('ioredis');
+    redis = new Redis(url, {
+      // Fail fast; a slow cache must not hold up a completion
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false,
+      connectTimeout: 5000
+    });
+    redis.on('error', (error) => console.error('❌ LLM cache Redis error:', error.message));
+  }
+
+  const stats = { hits: 0, misses: 0, sets: 0, errors: 0 };
+
+  // Run a command; on failure log it and return the fallback
+  async function attempt(operation, fallback) {
+    try {
+      return await operation();
+    } catch (error) {
+      stats.errors++;
+      console.error('❌ LLM cache Redis command failed:', error.message);
+      return fallback;
+    }
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await attempt(() => redis.get(CONFIG.keyPrefix + key), null);
+      if (raw === null) {
+        stats.misses++;
+        return undefined;
+      }
+      stats.hits++;
+      return JSON.parse(raw);
+    },
+
+    async set(key, value, ttl = ttlSeconds) {
+      stats.sets++;
+      await attempt(() => redis.set(CONFIG.keyPrefix + key, JSON.stringify(value), 'EX', ttl));
+    },
+
+    async clear() {
+      await attempt(async () => {
+        for (const prefix of [CONFIG.keyPrefix, CONFIG.embeddingPrefix]) {
+          let cursor = '0';
+          do {
+            const [next, keys] = await redis.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+            if (keys.length > 0) {
+              await redis.del(...keys);
+            }
+            cursor = next;
+          } while (cursor !== '0');
+        }
+      });
+    },
+
+    getStats() {
+      return { backend: 'redis', ...stats };
+    },
+
+    async addEmbedding(scope, entry, ttl = ttlSeconds) {
+      const listKey = CONFIG.embeddingPrefix + scope;
+      await attempt(() => redis
+        .multi()
+        .lpush(listKey, JSON.stringify(entry))
+        .ltrim(listKey, 0, CONFIG.maxEmbeddingsPerScope - 1)
+        .expire(listKey, ttl)
+        .exec());
+    },
+
+    async getEmbeddings(scope) {
+      const raw = await attempt(() => redis.lrange(CONFIG.embeddingPrefix + scope, 0, -1), []);
+      return raw.map((entry) => JSON.parse(entry));
+    }
+  };
+}
+
+/**
+ * The store selected by LLM_CACHE_BACKEND, created on first use.
+ * Falls back to memory when Redis is requested but cannot be set up.
+ */
+export function getCacheStore({ ttlSeconds } = {}) {
+  if (!storePromise) {
+    storePromise = createStore(ttlSeconds).then((store) => {
+      currentStore = store;
+      return store;
+    });
+  }
+  return storePromise;
+}
+
+async function createStore(ttlSeconds) {
+  const backend = (process.env.LLM_CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'redis') {
+    const url = process.env.LLM_CACHE_REDIS_URL || process.env.REDIS_URL;
+    if (!url) {
+      console.error('❌ LLM_CACHE_BACKEND=redis needs LLM_CACHE_REDIS_URL; using the in-memory cache');
+    } else {
+      try {
+        const store = await createRedisStore({ url, ttlSeconds });
+        console.log('✅ LLM cache using Redis');
+        return store;
+      } catch (error) {
+        console.error('❌ Could not set up the Redis LLM cache; using the in-memory cache -', error.message);
+      }
+    }
+  } else if (backend !== 'memory') {
+    console.warn(`⚠️  Unknown LLM_CACHE_BACKEND "${backend}"; using the in-memory cache`);
+  }
+
+  return createMemoryStore({ ttlSeconds });
+}
+
+/**
+ * Swap in another store (any object with the interface above)
+ */
+export function setCacheStore(store) {
+  currentStore = store;
+  storePromise = Promise.resolve(store);
+}
+
+/**
+ * Stats of the active store, or null before the first cache access
+ */
+export function getCacheStats() {
+  return currentStore ? currentStore.getStats() : null;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Most similar cached answer in a scope at or above the threshold
+ * @returns {Promise<{value, key, similarity} | null>}
+ */
+export async function findSimilar(store, scope, embedding, threshold) {
+  const candidates = (await store.getEmbeddings(scope))
+    .map((entry) => ({ key: entry.key, similarity: cosineSimilarity(embedding, entry.embedding) }))
+    .filter((candidate) => candidate.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  // The answer an embedding points at may have expired already
+  for (const candidate of candidates) {
+    const value = await store.get(candidate.key);
+    if (value) {
+      return { value, ...candidate };
+    }
+  }
+  return null;
+}
+
+export default {
+  createMemoryStore,
+  createRedisStore,
+  getCacheStore,
+  setCacheStore,
+  getCacheStats,
+  cosineSimilarity,
+  findSimilar
+};
@@ -0,0 +1,933 @@
+/**
+ * LLM Gateway - single entry point for every AI feature
+ *
+ * Callers name the feature they serve:
+ *   createChatCompletion('roadmap', messages, { temperature: 0.7, max_tokens: 4096 })
+ *
+ * The FEATURES table decides which providers to try and in what order, the
+ * model used on each provider, and the default temperature and token budget.
+ * Features not listed there use `default`. Retry with backoff, provider
+ * fallback, response caching and quota stats are shared by all features.
+ * Pass `onEvent` in the options to receive tokens as they are generated.
+ * Pass `userId` to meter the call against that user's budgets (aiUsageService.js);
+ * every completion lands in the usage ledger either way.
+ *
+ * LLM_FEATURES (JSON) overrides the table per feature without a code change:
+ *   LLM_FEATURES='{"roadmap":{"providers":["openrouter","groq"],"maxTokens":3000}}'
+ * A temperature or maxTokens set there also wins over what the call site passes.
+ *
+ * Two offline providers are tried before the cloud ones when configured:
+ *   replay - recorded responses from fixture files (LLM_REPLAY_DIR, see llmReplay.js)
+ *   local  - any OpenAI-compatible server such as Ollama or llama.cpp (LLM_LOCAL_BASE_URL)
+ * LLM_OFFLINE=true restricts every feature to those two.
+ *
+ * Responses are cached in the store picked by LLM_CACHE_BACKEND (llmCache.js),
+ * per user: an answer cached for one `options.userId` is never served to another.
+ * Features with `semanticCache: true` also reuse the answer to a near-identical
+ * prompt, compared by embedding (OpenAI or the local server):
+ *   LLM_FEATURES='{"interview":{"semanticCache":true}}'
+ *
+ * Each provider sits behind a circuit breaker (circuitBreaker.js). Repeated
+ * failures open it and the provider is skipped until a health probe
+ * (providerHealth.js) or a trial request succeeds.
+ *
+ * Features with `redactPii` (piiRedaction.js) have emails, phones, addresses,
+ * profile links and the names passed as `options.pii` replaced by placeholders
+ * before the request leaves the server, and put back in the answer. The cache
+ * and replay fixtures only ever hold the redacted text. `true` redacts every
+ * type, a list such as ["email","phone"] only those:
+ *   LLM_FEATURES='{"interview":{"redactPii":true}}'
+ */
+
+import OpenAI from 'openai';
+import axios from 'axios';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { replayCompletion, recordCompletion, isRecording, getReplayDir } from './llmReplay.js';
+import { checkBudget, recordUsage } from './aiUsageService.js';
+import { CircuitBreaker, CIRCUIT_STATES } from './circuitBreaker.js';
+import { getCacheStore, getCacheStats, findSimilar } from './llmCache.js';
+import { PII_TYPES, redactMessages, restoreText, createStreamRestorer, withPlaceholderNote } from './piiRedaction.js';
+
+// ============= CONFIGURATION =============
+
+export const PROVIDERS = {
+  OPENAI: 'openai',
+  GROQ: 'groq',
+  OPENROUTER: 'openrouter',
+  LOCAL: 'local',
+  REPLAY: 'replay'
+};
+
+// Tried first, in this order, unless a feature's provider list places them itself
+const OFFLINE_PROVIDERS = [PROVIDERS.REPLAY, PROVIDERS.LOCAL];
+
+const CONFIG = {
+  // Retry settings (per provider, before falling back to the next one)
+  maxRetries: 2,
+  baseDelay: 500,
+  maxDelay: 3000,
+  quotaBaseDelay: 5000,
+  quotaMaxDelay: 30000,
+  jitter: 0.2,
+
+  requestTimeout: 60000,
+
+  cacheEnabled: true,
+  cacheTTL: 3600, // 1 hour
+  semanticThreshold: 0.95, // cosine similarity, LLM_SEMANTIC_CACHE_THRESHOLD overrides
+  embeddingInputChars: 8000,
+
+  // Circuit breaker: open after this many failures in a row, probe again after
+  // circuitOpenMs, doubling up to circuitMaxOpenMs while probes keep failing
+  circuitFailureThreshold: 3,
+  circuitOpenMs: 60 * 1000,
+  circuitMaxOpenMs: 10 * 60 * 1000
+};
+
+function getDefaultModels() {
+  return {
+    [PROVIDERS.OPENAI]: 'gpt-4o-mini',
+    [PROVIDERS.GROQ]: 'llama-3.3-70b-versatile',
+    [PROVIDERS.OPENROUTER]: 'meta-llama/llama-3.3-70b-instruct',
+    [PROVIDERS.LOCAL]: process.env.LLM_LOCAL_MODEL || 'llama3.1',
+    [PROVIDERS.REPLAY]: 'replay'
+  };
+}
+
+// Built-in feature settings. Features not listed here (mistakeAnalysis, ...)
+// use `default` as is.
+const FEATURES = {
+  default: {
+    providers: [PROVIDERS.OPENAI, PROVIDERS.GROQ, PROVIDERS.OPENROUTER],
+    temperature: 0.7,
+    maxTokens: 2000,
+    cache: true,
+    semanticCache: false,
+    redactPii: false
+  },
+  roadmap: {
+    providers: [PROVIDERS.GROQ, PROVIDERS.OPENROUTER, PROVIDERS.OPENAI],
+    maxTokens: 4096
+  },
+  resumeGenome: {
+    providers: [PROVIDERS.GROQ, PROVIDERS.OPENROUTER, PROVIDERS.OPENAI],
+    redactPii: true
+  },
+  resumeWriter: {
+    redactPii: true
+  },
+  coverLetter: {
+    providers: [PROVIDERS.GROQ, PROVIDERS.OPENROUTER, PROVIDERS.OPENAI],
+    maxTokens: 1500,
+    redactPii: true
+  },
+  skillGap: {
+    temperature: 0.6,
+    maxTokens: 3000,
+    redactPii: true
+  },
+  interview: {
+    providers: [PROVIDERS.OPENROUTER, PROVIDERS.GROQ, PROVIDERS.OPENAI]
+  },
+  interviewEvaluation: {
+    providers: [PROVIDERS.OPENROUTER, PROVIDERS.GROQ, PROVIDERS.OPENAI],
+    temperature: 0.4,
+    redactPii: true
+  },
+  mockInterview: {
+    redactPii: true
+  },
+  codeExplainer: {
+    providers: [PROVIDERS.OPENROUTER, PROVIDERS.GROQ, PROVIDERS.OPENAI],
+    temperature: 0.3
+  },
+  studyCompanion: {
+    models: { [PROVIDERS.OPENAI]: 'gpt-4-turbo-preview' },
+    maxTokens: 800
+  }
+};
+
+// Keys that configure the gateway rather than the provider request
+const GATEWAY_OPTIONS = ['model', 'temperature', 'max_tokens', 'maxTokens', 'skipCache', 'signal', 'onEvent', 'stream', 'userId', 'pii'];
+
+let featureOverrides = null;
+const warnedProviders = new Set();
+
+/**
+ * Parse LLM_FEATURES once. Read lazily so dotenv has run by the first call.
+ */
+function getOverrides() {
+  if (featureOverrides) {
+    return featureOverrides;
+  }
+
+  featureOverrides = {};
+  if (process.env.LLM_FEATURES) {
+    try {
+      const parsed = JSON.parse(process.env.LLM_FEATURES);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        featureOverrides = parsed;
+      } else {
+        console.error('❌ Ignoring LLM_FEATURES: expected a JSON object keyed by feature');
+      }
+    } catch (error) {
+      console.error('❌ Ignoring LLM_FEATURES: invalid JSON -', error.message);
+    }
+  }
+  return featureOverrides;
+}
+
+/**
+ * Effective settings for a feature: default < built-in feature < LLM_FEATURES
+ * @param {string} feature - Feature name
+ * @returns {{providers, models, temperature, maxTokens, cache, semanticCache, redactPii}}
+ */
+export function getFeatureConfig(feature) {
+  const overrides = getOverrides();
+  const layers = [FEATURES.default, overrides.default, FEATURES[feature], overrides[feature]].filter(Boolean);
+
+  const settings = Object.assign({}, ...layers);
+  settings.models = Object.assign(getDefaultModels(), ...layers.map((layer) => layer.models || {}));
+
+  const providers = (settings.providers || []).filter((provider) => {
+    if (Object.values(PROVIDERS).includes(provider)) return true;
+    if (!warnedProviders.has(provider)) {
+      warnedProviders.add(provider);
+      console.warn(`⚠️  Ignoring unknown LLM provider "${provider}"`);
+    }
+    return false;
+  });
+  const offline = OFFLINE_PROVIDERS.filter((provider) => !providers.includes(provider));
+  settings.providers = process.env.LLM_OFFLINE === 'true'
+    ? [...offline, ...providers].filter((provider) => OFFLINE_PROVIDERS.includes(provider))
+    : [...offline, ...providers];
+
+  return settings;
+}
+
+/**
+ * Merge call-site options into the feature settings
+ */
+function resolveRequest(feature, options) {
+  const settings = getFeatureConfig(feature);
+  const pinned = getOverrides()[feature] || {};
+
+  const params = { ...options };
+  GATEWAY_OPTIONS.forEach((key) => delete params[key]);
+
+  // Call-site values beat the built-in table; LLM_FEATURES beats both
+  params.temperature = pinned.temperature ?? options.temperature ?? settings.temperature;
+  params.max_tokens = pinned.maxTokens ?? options.max_tokens ?? options.maxTokens ?? settings.maxTokens;
+
+  return {
+    providers: settings.providers,
+    models: settings.models,
+    cache: settings.cache !== false,
+    semanticCache: settings.semanticCache === true,
+    piiTypes: getPiiTypes(settings.redactPii),
+    params
+  };
+}
+
+/**
+ * `redactPii` setting -> PII types to redact (empty when off)
+ */
+function getPiiTypes(setting) {
+  if (setting === true) return PII_TYPES;
+  if (Array.isArray(setting)) return setting.filter((type) => PII_TYPES.includes(type));
+  return [];
+}
+
+// ============= PROVIDER CLIENTS =============
+
+const clients = {};
+
+/**
+ * Lazily create a provider client; null when its API key is not set
+ */
+function getClient(provider) {
+  if (clients[provider] !== undefined) {
+    return clients[provider];
+  }
+
+  let client = null;
+  if (provider === PROVIDERS.OPENAI && process.env.OPENAI_API_KEY) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY.trim(),
+      timeout: CONFIG.requestTimeout,
+      maxRetries: 0 // retries happen here so they count against the shared stats
+    });
+  } else if (provider === PROVIDERS.GROQ && process.env.GROQ_API_KEY) {
+    client = new OpenAI({
+      apiKey: process.env.GROQ_API_KEY.trim(),
+      baseURL: 'https://api.groq.com/openai/v1',
+      timeout: CONFIG.requestTimeout,
+      maxRetries: 0
+    });
+  } else if (provider === PROVIDERS.OPENROUTER && process.env.OPENROUTER_API_KEY) {
+    client = {
+      apiKey: process.env.OPENROUTER_API_KEY.trim(),
+      baseURL: 'https://openrouter.ai/api/v1'
+    };
+  } else if (provider === PROVIDERS.LOCAL && process.env.LLM_LOCAL_BASE_URL) {
+    client = new OpenAI({
+      apiKey: process.env.LLM_LOCAL_API_KEY || 'local', // most local servers ignore it, the SDK requires one
+      baseURL: process.env.LLM_LOCAL_BASE_URL,
+      timeout: CONFIG.requestTimeout,
+      maxRetries: 0
+    });
+  } else if (provider === PROVIDERS.REPLAY && getReplayDir()) {
+    client = { dir: getReplayDir() };
+  }
+
+  if (client) {
+    console.log(`✅ ${provider} provider initialized`);
+  }
+  clients[provider] = client;
+  return client;
+}
+
+/**
+ * Whether a provider has credentials (or a base URL / fixture dir) configured
+ * @param {string} provider - One of PROVIDERS
+ * @returns {boolean}
+ */
+export function isProviderConfigured(provider) {
+  return Boolean(getClient(provider));
+}
+
+/**
+ * One request to one provider. With `onDelta` the OpenAI-compatible providers
+ * stream and report each chunk; replay always answers in one piece.
+ * @returns {Promise<{content, usage, model, streamed}>}
+ */
+async function callProvider(provider, model, messages, params, { feature, onDelta, signal } = {}) {
+  const client = getClient(provider);
+  if (!client) {
+    throw new Error(`Provider ${provider} not configured`);
+  }
+
+  if (provider === PROVIDERS.REPLAY) {
+    return { ...await replayCompletion(feature, messages), streamed: false };
+  }
+
+  const stream = Boolean(onDelta);
+
+  if (provider === PROVIDERS.OPENROUTER) {
+    const response = await axios.post(
+      `${client.baseURL}/chat/completions`,
+      { ...params, model, messages, stream },
+      {
+        headers: {
+          'Authorization': `Bearer ${client.apiKey}`,
+          'HTTP-Referer': process.env.APP_URL || 'http://localhost:3000',
+          'X-Title': 'PrepWiser',
+          'Content-Type': 'application/json'
+        },
+        timeout: CONFIG.requestTimeout,
+        responseType: stream ? 'stream' : 'json',
+        signal
+      }
+    );
+
+    if (stream) {
+      return readChunks(parseEventStream(response.data), model, onDelta);
+    }
+
+    return {
+      content: response.data?.choices?.[0]?.message?.content,
+      usage: response.data?.usage,
+      model: response.data?.model,
+      streamed: false
+    };
+  }
+
+  // OpenAI, Groq and local servers share the OpenAI API
+  if (stream) {
+    const streamOptions = provider === PROVIDERS.OPENAI ? { stream_options: { include_usage: true } } : {};
+    const chunks = await client.chat.completions.create(
+      { ...params, ...streamOptions, model, messages, stream: true },
+      { signal }
+    );
+    return readChunks(chunks, model, onDelta);
+  }
+
+  const response = await client.chat.completions.create({ ...params, model, messages }, { signal });
+  return {
+    content: response.choices[0]?.message?.content,
+    usage: response.usage,
+    model: response.model,
+    streamed: false
+  };
+}
+
+/**
+ * Accumulate OpenAI-style `chat.completion.chunk` objects
+ */
+async function readChunks(chunks, model, onDelta) {
+  let content = '';
+  let usage = null;
+  let responseModel = model;
+
+  for await (const chunk of chunks) {
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'Provider error during streaming');
+    }
+
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+    // Groq reports usage under x_groq on the last chunk
+    usage = chunk.usage || chunk.x_groq?.usage || usage;
+    responseModel = chunk.model || responseModel;
+  }
+
+  return { content, usage, model: responseModel, streamed: true };
+}
+
+/**
+ * Yield the JSON payloads of an SSE response body until [DONE]
+ */
+async function* parseEventStream(body) {
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      // Comment lines (": OPENROUTER PROCESSING") are keep-alives
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+// ============= CACHE LAYER =============
+
+function hash(data) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(data))
+    .digest('hex');
+}
+
+/**
+ * Everything but the messages that decides an answer; semantic matches only
+ * look at answers from the same scope. The user is part of it because prompts
+ * carry personal context the message text alone does not identify.
+ */
+function getCacheScope(feature, request, userId) {
+  return hash({
+    feature,
+    userId: userId ? String(userId) : null,
+    providers: request.providers,
+    models: request.models,
+    params: request.params
+  });
+}
+
+function getCacheKey(scope, messages) {
+  return hash({
+    scope,
+    messages: messages.map((m) => ({ role: m.role, content: m.content }))
+  });
+}
+
+function getSemanticThreshold() {
+  const threshold = parseFloat(process.env.LLM_SEMANTIC_CACHE_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : CONFIG.semanticThreshold;
+}
+
+/**
+ * Embed a prompt for semantic cache lookup; null when no embedding provider is set up
+ */
+async function embedMessages(messages) {
+  const input = messages
+    .map((m) => `${m.role}: ${m.content}`)
+    .join('\n')
+    .slice(0, CONFIG.embeddingInputChars);
+  const providers = process.env.LLM_OFFLINE === 'true'
+    ? [PROVIDERS.LOCAL]
+    : [PROVIDERS.OPENAI, PROVIDERS.LOCAL];
+
+  for (const provider of providers) {
+    const client = getClient(provider);
+    if (!client) continue;
+
+    const model = process.env.LLM_EMBEDDING_MODEL ||
+      (provider === PROVIDERS.LOCAL ? 'nomic-embed-text' : 'text-embedding-3-small');
+    try {
+      const response = await client.embeddings.create({ model, input });
+      return response.data[0].embedding;
+    } catch (error) {
+      console.warn(`⚠️  Embedding with ${provider} failed, skipping semantic cache:`, describeError(error));
+    }
+  }
+  return null;
+}
+
+// ============= QUOTA MONITORING =============
+
+function createQuotaStats() {
+  return {
+    totalRequests: 0,
+    successfulRequests: 0,
+    failedRequests: 0,
+    quotaErrors: 0,
+    lastQuotaError: null,
+    tokenUsage: { prompt: 0, completion: 0, total: 0 },
+    features: {}
+  };
+}
+
+const quotaStats = createQuotaStats();
+
+const circuitEvents = new EventEmitter();
+
+const breakers = Object.fromEntries(Object.values(PROVIDERS).map((provider) => {
+  const breaker = new CircuitBreaker(provider, {
+    failureThreshold: CONFIG.circuitFailureThreshold,
+    openMs: CONFIG.circuitOpenMs,
+    maxOpenMs: CONFIG.circuitMaxOpenMs
+  });
+  breaker.on('transition', logTransition);
+  return [provider, breaker];
+}));
+
+function logTransition(event) {
+  const line = `circuit ${event.name}: ${event.from} -> ${event.to} (${event.reason})`;
+  if (event.to === CIRCUIT_STATES.OPEN) {
+    console.warn(`⚠️  ${line}`);
+  } else if (event.to === CIRCUIT_STATES.CLOSED) {
+    console.log(`✅ ${line}`);
+  } else {
+    console.log(`🔄 ${line}`);
+  }
+  circuitEvents.emit('transition', event);
+}
+
+function getFeatureStats(feature) {
+  if (!quotaStats.features[feature]) {
+    quotaStats.features[feature] = { requests: 0, failures: 0, cacheHits: 0, semanticHits: 0, tokens: 0, piiRedactions: 0 };
+  }
+  return quotaStats.features[feature];
+}
+
+function recordAttempt(feature, provider, success, usage = null, error = null) {
+  quotaStats.totalRequests++;
+
+  if (success) {
+    quotaStats.successfulRequests++;
+    breakers[provider].recordSuccess();
+
+    if (usage) {
+      quotaStats.tokenUsage.prompt += usage.prompt_tokens || 0;
+      quotaStats.tokenUsage.completion += usage.completion_tokens || 0;
+      quotaStats.tokenUsage.total += usage.total_tokens || 0;
+      getFeatureStats(feature).tokens += usage.total_tokens || 0;
+    }
+    return;
+  }
+
+  quotaStats.failedRequests++;
+  breakers[provider].recordFailure(describeError(error));
+
+  if (isQuotaError(error)) {
+    quotaStats.quotaErrors++;
+    quotaStats.lastQuotaError = new Date();
+  }
+}
+
+/**
+ * Configured and its circuit is not open
+ */
+function isProviderAvailable(provider) {
+  return isProviderConfigured(provider) && breakers[provider].allowsRequest();
+}
+
+/**
+ * Whether any provider in the feature's order can take a request right now
+ * @param {string} feature - Feature name
+ * @returns {boolean}
+ */
+export function isFeatureAvailable(feature) {
+  return getFeatureConfig(feature).providers.some(isProviderAvailable);
+}
+
+function describeError(error) {
+  if (!error) return '';
+  const status = error.status || error.response?.status || '';
+  const detail = error.response?.data?.error?.message || error.message || String(error);
+  return `${status} ${error.code || ''} ${detail}`.trim();
+}
+
+function isQuotaError(error) {
+  const text = describeError(error).toLowerCase();
+  return ['quota', 'insufficient_quota', 'rate_limit', 'rate limit', '429', 'too many requests']
+    .some((indicator) => text.includes(indicator));
+}
+
+function isRetryableError(error) {
+  if (isQuotaError(error)) return true;
+
+  const text = describeError(error).toLowerCase();
+  return ['etimedout', 'econnrefused', 'econnreset', 'timeout', 'network', '502', '503', '504']
+    .some((indicator) => text.includes(indicator));
+}
+
+// ============= RETRY LOGIC =============
+
+function calculateBackoff(attempt, quota = false) {
+  const baseDelay = quota ? CONFIG.quotaBaseDelay : CONFIG.baseDelay;
+  const maxDelay = quota ? CONFIG.quotaMaxDelay : CONFIG.maxDelay;
+
+  let delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+
+  // Jitter so parallel callers don't retry in lockstep
+  const jitterAmount = delay * CONFIG.jitter;
+  delay += Math.random() * jitterAmount - jitterAmount / 2;
+
+  return Math.floor(delay);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ============= MAIN API =============
+
+/**
+ * Create a chat completion for a feature, with retry, fallback and caching
+ *
+ * With `options.onEvent(type, payload)` the answer is streamed:
+ *   token  { text, provider }    the next piece of the answer
+ *   reset  { provider, reason }  a provider failed mid-answer; drop the text so far,
+ *                                the next attempt starts over
+ * Providers that cannot stream (replay, cache hits) send the whole answer as one token.
+ *
+ * @param {string} feature - Feature name, selects the FEATURES settings
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - temperature, max_tokens, skipCache, onEvent, signal, userId,
+ *   pii (contact details to redact, e.g. from resumeParserService.extractContact)
+ *   and extra request fields (response_format, ...)
+ * @returns {Promise<{success, content, feature, provider, model, usage, metadata, cached, attempts}>}
+ * @throws {Error} code AI_BUDGET_EXCEEDED when userId has used up a budget (cache hits are still served)
+ */
+export async function createChatCompletion(feature, messages, options = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Messages must be a non-empty array');
+  }
+
+  const { userId } = options;
+  const startedAt = Date.now();
+  const request = resolveRequest(feature, options);
+  const stats = getFeatureStats(feature);
+
+  // From here on only the redacted messages are used; answers are restored on the way out
+  let redaction = null;
+  if (request.piiTypes.length > 0) {
+    const redacted = redactMessages(messages, { types: request.piiTypes, known: options.pii });
+    if (redacted.redaction.count > 0) {
+      messages = withPlaceholderNote(redacted.messages);
+      redaction = redacted.redaction;
+      stats.piiRedactions += redaction.count;
+    }
+  }
+  const restore = (result) => (redaction ? { ...result, content: restoreText(result.content, redaction) } : result);
+  const onEvent = options.onEvent && redaction
+    ? (type, payload) => options.onEvent(type, type === 'token' ? { ...payload, text: restoreText(payload.text, redaction) } : payload)
+    : options.onEvent;
+  const useCache = CONFIG.cacheEnabled && request.cache && !options.skipCache;
+  const cacheStore = useCache ? await getCacheStore({ ttlSeconds: CONFIG.cacheTTL }) : null;
+  const cacheScope = useCache ? getCacheScope(feature, request, userId) : null;
+  const cacheKey = useCache ? getCacheKey(cacheScope, messages) : null;
+  let embedding = null;
+
+  if (cacheKey) {
+    let cached = await cacheStore.get(cacheKey);
+    let similarity = null;
+
+    if (!cached && request.semanticCache) {
+      embedding = await embedMessages(messages);
+      const match = embedding && await findSimilar(cacheStore, cacheScope, embedding, getSemanticThreshold());
+      if (match) {
+        cached = match.value;
+        similarity = match.similarity;
+        stats.semanticHits++;
+      }
+    }
+
+    if (cached) {
+      stats.cacheHits++;
+      console.log(`✅ Cache hit for ${feature}${similarity !== null ? ` (semantic, similarity ${similarity.toFixed(3)})` : ''}`);
+      onEvent?.('token', { text: cached.content, provider: cached.provider });
+      recordUsage({ userId, feature, provider: cached.provider, model: cached.model, cached: true });
+      return restore({
+        ...cached,
+        metadata: {
+          ...cached.metadata,
+          cached: true,
+          ...(similarity !== null && { semanticSimilarity: similarity })
+        },
+        cached: true,
+        attempts: 0
+      });
+    }
+  }
+
+  await checkBudget(userId, feature);
+
+  stats.requests++;
+  const candidates = request.providers.filter(isProviderAvailable);
+  if (candidates.length === 0) {
+    stats.failures++;
+    const error = new Error(`No AI providers available for ${feature}. Please try again later.`);
+    error.code = 'LLM_UNAVAILABLE';
+    throw error;
+  }
+
+  let lastError = null;
+  let attempts = 0;
+
+  for (const provider of candidates) {
+    const model = request.models[provider];
+    console.log(`🤖 ${feature}: trying ${provider} (${model})`);
+
+    for (let attempt = 0; attempt <= CONFIG.maxRetries; attempt++) {
+      // A half-open circuit takes one trial at a time; another request holds it
+      if (!breakers[provider].acquire()) {
+        break;
+      }
+      attempts++;
+      let sentText = false;
+      // Streamed pieces may split a placeholder; hold those back until it is complete
+      const restorer = redaction && createStreamRestorer(redaction);
+      const onDelta = options.onEvent && ((text) => {
+        sentText = true;
+        const piece = restorer ? restorer.push(text) : text;
+        if (piece) {
+          options.onEvent('token', { text: piece, provider });
+        }
+      });
+
+      try {
+        const response = await callProvider(provider, model, messages, request.params, {
+          feature,
+          onDelta,
+          signal: options.signal
+        });
+        // The SDK ends an aborted stream quietly; the partial text is not an answer
+        options.signal?.throwIfAborted();
+        if (!response.content) {
+          throw new Error(`Empty response from ${provider}`);
+        }
+
+        if (onEvent && !response.streamed) {
+          onEvent('token', { text: response.content, provider });
+        }
+        const rest = restorer?.flush();
+        if (rest) {
+          options.onEvent('token', { text: rest, provider });
+        }
+
+        recordAttempt(feature, provider, true, response.usage);
+        recordUsage({
+          userId,
+          feature,
+          provider,
+          model: response.model || model,
+          usage: response.usage,
+          latencyMs: Date.now() - startedAt
+        });
+
+        if (provider !== PROVIDERS.REPLAY && isRecording()) {
+          recordCompletion(feature, messages, request.params, response)
+            .catch((error) => console.error(`❌ Failed to record ${feature} fixture:`, error.message));
+        }
+
+        const result = {
+          success: true,
+          content: response.content.trim(),
+          feature,
+          provider,
+          model: response.model || model,
+          usage: response.usage || null,
+          metadata: {
+            provider,
+            model: response.model || model,
+            cached: false,
+            degradedMode: false
+          }
+        };
+
+        if (cacheKey) {
+          cacheStore.set(cacheKey, result, CONFIG.cacheTTL);
+          if (embedding) {
+            cacheStore.addEmbedding(cacheScope, { key: cacheKey, embedding }, CONFIG.cacheTTL);
+          }
+        }
+
+        return restore({ ...result, cached: false, attempts });
+      } catch (error) {
+        // The caller went away; nothing to fall back for
+        if (options.signal?.aborted) {
+          breakers[provider].release();
+          const aborted = new Error(`AI request for ${feature} was cancelled`);
+          aborted.code = 'LLM_ABORTED';
+          throw aborted;
+        }
+
+        if (sentText) {
+          onEvent('reset', { provider, reason: describeError(error) });
+        }
+
+        // A prompt without a recording is not a provider failure, just move on
+        if (error.code === 'LLM_REPLAY_MISS') {
+          breakers[provider].release();
+          console.log(`📼 ${feature}: ${error.message}`);
+          lastError = lastError || error;
+          break;
+        }
+
+        lastError = error;
+        recordAttempt(feature, provider, false, null, error);
+        console.error(`❌ ${feature}: ${provider} attempt ${attempt + 1}/${CONFIG.maxRetries + 1} failed:`, describeError(error));
+
+        if (!isRetryableError(error) || attempt === CONFIG.maxRetries || !breakers[provider].allowsRequest()) {
+          break;
+        }
+
+        const delay = calculateBackoff(attempt, isQuotaError(error));
+        console.log(`⏳ Retrying in ${delay}ms...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  stats.failures++;
+  const error = new Error(`AI request for ${feature} failed: ${describeError(lastError) || 'all providers failed'}`);
+  error.code = 'LLM_UNAVAILABLE';
+  error.cause = lastError;
+  throw error;
+}
+
+/**
+ * Send a tiny request straight to one provider, bypassing retry, cache and stats
+ * @param {string} provider - One of PROVIDERS
+ * @returns {Promise<{available, provider, model, error?}>}
+ */
+export async function checkProvider(provider) {
+  const model = getDefaultModels()[provider];
+  if (!isProviderConfigured(provider)) {
+    return { available: false, provider, model, error: 'API key not configured' };
+  }
+  if (provider === PROVIDERS.REPLAY) {
+    return { available: true, provider, model, dir: getReplayDir() };
+  }
+
+  try {
+    await callProvider(provider, model, [{ role: 'user', content: 'Hello' }], { max_tokens: 5 });
+    return { available: true, provider, model };
+  } catch (error) {
+    return { available: false, provider, model, error: describeError(error) };
+  }
+}
+
+/**
+ * Get the circuit breaker guarding a provider
+ * @param {string} provider - One of PROVIDERS
+ * @returns {CircuitBreaker}
+ */
+export function getCircuitBreaker(provider) {
+  return breakers[provider];
+}
+
+/**
+ * Subscribe to circuit state changes; listener gets { name, from, to, reason, at }
+ * @returns {Function} unsubscribe
+ */
+export function onCircuitTransition(listener) {
+  circuitEvents.on('transition', listener);
+  return () => circuitEvents.off('transition', listener);
+}
+
+/**
+ * Circuit state of every provider plus the recent transitions across all of them
+ */
+export function getProviderHealth() {
+  const providers = Object.fromEntries(Object.entries(breakers).map(([provider, breaker]) => [
+    provider,
+    { configured: isProviderConfigured(provider), ...breaker.snapshot() }
+  ]));
+  const transitions = Object.values(breakers)
+    .flatMap((breaker) => breaker.history)
+    .sort((a, b) => a.at - b.at);
+
+  return { providers, transitions };
+}
+
+/**
+ * Get quota statistics
+ */
+export function getQuotaStats() {
+  // providerStatus keeps the shape older scripts print
+  const providerStatus = Object.fromEntries(Object.entries(breakers).map(([provider, breaker]) => [
+    provider,
+    {
+      available: breaker.state !== CIRCUIT_STATES.OPEN,
+      state: breaker.state,
+      lastError: breaker.lastError,
+      errorCount: breaker.consecutiveFailures,
+      disabledUntil: breaker.nextProbeAt
+    }
+  ]));
+
+  return {
+    ...quotaStats,
+    providerStatus,
+    cacheStats: getCacheStats(),
+    availableProviders: getFeatureConfig('default').providers.filter(isProviderAvailable)
+  };
+}
+
+/**
+ * Clear cache (every instance's, when the backend is shared)
+ */
+export async function clearCache() {
+  const store = await getCacheStore({ ttlSeconds: CONFIG.cacheTTL });
+  await store.clear();
+  console.log('✅ Cache cleared');
+}
+
+/**
+ * Reset quota stats and close every circuit
+ */
+export function resetQuotaStats() {
+  Object.assign(quotaStats, createQuotaStats());
+  Object.values(breakers).forEach((breaker) => breaker.reset());
+  console.log('✅ Quota stats reset');
+}
+
+export default {
+  createChatCompletion,
+  checkProvider,
+  isProviderConfigured,
+  isFeatureAvailable,
+  getFeatureConfig,
+  getCircuitBreaker,
+  onCircuitTransition,
+  getProviderHealth,
+  getQuotaStats,
+  clearCache,
+  resetQuotaStats,
+  PROVIDERS,
+  CONFIG
+};
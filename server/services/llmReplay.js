@@ -0,0 +1,86 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import crypto from 'crypto';
+
+/**
+ * Replay provider for the LLM gateway
+ *
+ * Serves recorded completions from fixture files so the app runs offline and
+ * tests get the same output every time. Fixtures live under LLM_REPLAY_DIR:
+ *
+ *   <dir>/<feature>/<sha256 of the messages>.json   exact prompt
+ *   <dir>/<feature>/_default.json                   anything else for that feature
+ *
+ * Each file is { feature, request: { messages, ... }, response: { content, model, usage } }.
+ * With LLM_REPLAY_RECORD=true, completions from real providers are written
+ * back as fixtures, so a run with API keys records what later runs replay.
+ */
+
+const DEFAULT_FIXTURE = '_default';
+
+export function getReplayDir() {
+  return process.env.LLM_REPLAY_DIR || null;
+}
+
+export function isRecording() {
+  return Boolean(getReplayDir()) && process.env.LLM_REPLAY_RECORD === 'true';
+}
+
+/**
+ * Fixture key for a prompt. Only roles and content count, so tuning
+ * temperature or token budgets doesn't orphan existing recordings.
+ */
+export function getFixtureKey(messages) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(messages.map((m) => ({ role: m.role, content: m.content }))))
+    .digest('hex');
+}
+
+function getFixturePath(feature, name) {
+  const folder = String(feature).replace(/[^\w-]/g, '_');
+  return join(getReplayDir(), folder, `${name}.json`);
+}
+
+async function readFixture(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid replay fixture ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Recorded response for a prompt, falling back to the feature's _default.json
+ * @throws {Error} code LLM_REPLAY_MISS when neither exists
+ */
+export async function replayCompletion(feature, messages) {
+  const fixture = await readFixture(getFixturePath(feature, getFixtureKey(messages)))
+    || await readFixture(getFixturePath(feature, DEFAULT_FIXTURE));
+
+  if (!fixture?.response?.content) {
+    const error = new Error(`No recorded response for ${feature}`);
+    error.code = 'LLM_REPLAY_MISS';
+    throw error;
+  }
+
+  return {
+    content: fixture.response.content,
+    usage: fixture.response.usage || null,
+    model: fixture.response.model || 'replay'
+  };
+}
+
+/**
+ * Save a live completion as the fixture for its prompt
+ */
+export async function recordCompletion(feature, messages, params, response) {
+  const path = getFixturePath(feature, getFixtureKey(messages));
+  await mkdir(join(path, '..'), { recursive: true });
+  await writeFile(path, JSON.stringify({
+    feature,
+    request: { messages, ...params },
+    response: { content: response.content, model: response.model, usage: response.usage }
+  }, null, 2));
+}
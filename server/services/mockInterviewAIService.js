@@ -1,23 +1,118 @@
 /**
  * mockInterviewAIService.js
  * AI brain for the mock interview system.
- * Uses createChatCompletion from the shared aiProvider – no changes to other interview systems.
+ * Uses the shared LLM gateway (feature `mockInterview`); JSON replies are
+ * validated against the schemas below via structuredOutput.js.
  */
-import { createChatCompletion } from './aiProvider.js';
+import { createChatCompletion } from './llmGateway.js';
+import { createStructuredCompletion, INVALID_OUTPUT_CODE } from './structuredOutput.js';
+import { renderPrompt } from './promptRegistry.js';
+import { updateAbility, itemFromLabel, difficultyFor, describeAbility, DEFAULT_PRIOR } from './abilityEstimator.js';
 
 /* ─────────────────────────────────────────────────────────── */
 /*  Helpers                                                     */
 /* ─────────────────────────────────────────────────────────── */
 
-function safeJSON(text) {
+/**
+ * Parsed JSON reply matching `schema`, or null when the model couldn't
+ * produce one (the caller then uses its fallback). Gateway errors still throw.
+ */
+async function structuredReply(messages, schema, options) {
   try {
-    const match = text.match(/\{[\s\S]*\}/);
-    return match ? JSON.parse(match[0]) : null;
-  } catch {
+    const { data } = await createStructuredCompletion('mockInterview', messages, { ...options, schema });
+    return data;
+  } catch (error) {
+    if (error.code !== INVALID_OUTPUT_CODE) throw error;
     return null;
   }
 }
 
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const dimensionScore = {
+  type: 'object',
+  required: ['score'],
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 10 },
+    comment: { type: 'string' },
+  },
+};
+
+const QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['questionText', 'questionType', 'expectedTopics'],
+  properties: {
+    questionText: { type: 'string', minLength: 10 },
+    questionType: { type: 'string', enum: ['behavioral', 'technical', 'system_design', 'coding'] },
+    difficulty: { type: 'string' },
+    expectedTopics: stringList,
+  },
+};
+
+const CODING_PROBLEM_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description', 'examples', 'starterCode'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 10 },
+    examples: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['input', 'output'],
+        properties: {
+          input: { type: 'string' },
+          output: { type: 'string' },
+          explanation: { type: 'string' },
+        },
+      },
+    },
+    constraints: stringList,
+    hints: stringList,
+    starterCode: { type: 'string' },
+    solutionOutline: { type: 'string' },
+  },
+};
+
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  required: ['clarity', 'technicalAccuracy', 'depth', 'structure', 'relevance', 'feedback'],
+  properties: {
+    clarity: dimensionScore,
+    technicalAccuracy: dimensionScore,
+    depth: dimensionScore,
+    structure: dimensionScore,
+    relevance: dimensionScore,
+    feedback: { type: 'string' },
+    suggestedFollowUp: { type: ['string', 'null'] },
+  },
+};
+
+// Spread into the report, so no extra keys that could overwrite computed fields
+const REPORT_NARRATIVE_SCHEMA = {
+  type: 'object',
+  required: ['strengths', 'improvements', 'skillGaps'],
+  additionalProperties: false,
+  properties: {
+    strengths: stringList,
+    improvements: stringList,
+    skillGaps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['skill', 'severity'],
+        properties: {
+          skill: { type: 'string' },
+          gapType: { type: 'string', enum: ['knowledge', 'explanation', 'depth', 'practice'] },
+          severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+          suggestion: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
 function difficultyLabel(d) {
   return { easy: 'entry-level', medium: 'mid-level', hard: 'senior-level', system_design: 'principal-level' }[d] || 'mid-level';
 }
@@ -35,6 +130,7 @@ function difficultyLabel(d) {
  * @param {string} [ctx.resumeText]   Brief resume summary
  * @param {string} [ctx.jobDescription]
  * @param {string[]} [ctx.skillGaps]  Known gaps to probe
+ * @param {string} [ctx.userId]     Who the call is metered to
  * @returns {{ questionText, questionType, difficulty, expectedTopics }}
  */
 export async function generateQuestion(ctx) {
@@ -88,8 +184,7 @@ Rules:
     { role: 'user', content: prompt },
   ];
 
-  const result = await createChatCompletion(messages, { max_tokens: 400, temperature: 0.7 });
-  const parsed = safeJSON(result.content || result);
+  const parsed = await structuredReply(messages, QUESTION_SCHEMA, { max_tokens: 400, temperature: 0.7, userId: ctx.userId });
   if (parsed) return parsed;
 
   // Fallback
@@ -110,6 +205,7 @@ Rules:
  * @param {string} ctx.targetRole
  * @param {string} ctx.difficulty
  * @param {string[]} ctx.topics
+ * @param {string} [ctx.userId]
  * @returns {{ title, description, examples, constraints, hints, starterCode, solutionOutline }}
  */
 export async function generateCodingProblem(ctx) {
@@ -137,8 +233,7 @@ Return valid JSON ONLY:
     { role: 'user', content: prompt },
   ];
 
-  const result = await createChatCompletion(messages, { max_tokens: 800, temperature: 0.6 });
-  const parsed = safeJSON(result.content || result);
+  const parsed = await structuredReply(messages, CODING_PROBLEM_SCHEMA, { max_tokens: 800, temperature: 0.6, userId: ctx.userId });
   if (parsed) return parsed;
 
   // Fallback problem
@@ -234,8 +329,7 @@ Return valid JSON ONLY (no markdown, no extra keys):
     { role: 'user', content: prompt },
   ];
 
-  const result = await createChatCompletion(messages, { max_tokens: 600, temperature: 0.3 });
-  const parsed = safeJSON(result.content || result);
+  const parsed = await structuredReply(messages, EVALUATION_SCHEMA, { max_tokens: 600, temperature: 0.3, userId: ctx.userId });
   if (parsed) {
     // Always compute overallScore deterministically — never use AI-reported value
     parsed.overallScore = computeOverall(parsed);
@@ -265,9 +359,11 @@ function buildZeroEvaluation(feedback = '', dimScore = 0) {
  * @param {string} question
  * @param {string} answer
  * @param {object} evaluation
+ * @param {object} [options]
+ * @param {string} [options.userId]  Who the call is metered to
  * @returns string (the follow-up question)
  */
-export async function generateFollowUp(question, answer, evaluation) {
+export async function generateFollowUp(question, answer, evaluation, options = {}) {
   if (evaluation?.suggestedFollowUp) return evaluation.suggestedFollowUp;
 
   const weakestDim = findWeakestDimension(evaluation);
@@ -286,7 +382,7 @@ Return only the follow-up question text (plain string, no JSON, no quotes).`;
     { role: 'user', content: prompt },
   ];
 
-  const result = await createChatCompletion(messages, { max_tokens: 150, temperature: 0.5 });
+  const result = await createChatCompletion('mockInterview', messages, { max_tokens: 150, temperature: 0.5, userId: options.userId });
   return (result.content || result || '').trim();
 }
 
@@ -305,24 +401,33 @@ function findWeakestDimension(evaluation) {
 /*  5. Adapt difficulty                                        */
 /* ─────────────────────────────────────────────────────────── */
 
+const DIFFICULTY_LADDER = ['easy', 'medium', 'hard', 'system_design'];
+
 /**
- * Returns the next difficulty based on rolling average score.
- * @param {number[]} recentScores  Last 3 overall scores (0-10)
+ * IRT ability estimate from a session's scored answers (see abilityEstimator.js).
+ * @param {Array<number|{score:number,difficulty:string}>} responses  Scores (0-100);
+ *   bare numbers count as answers at currentDifficulty
  * @param {string} currentDifficulty
- * @returns string next difficulty
+ * @returns {{theta, standardError, responses, interval, score, scoreInterval}}
  */
-export function adaptDifficulty(recentScores, currentDifficulty = 'medium') {
-  if (!recentScores || recentScores.length === 0) return currentDifficulty;
-
-  // recentScores are 0-100 (computed overallScore)
-  const avg = recentScores.reduce((a, b) => a + b, 0) / recentScores.length;
-
-  const ladder = ['easy', 'medium', 'hard', 'system_design'];
-  const idx = ladder.indexOf(currentDifficulty);
+export function estimateAbility(responses = [], currentDifficulty = 'medium') {
+  const items = responses.map((response) => {
+    const { score, difficulty = currentDifficulty } = typeof response === 'number' ? { score: response } : response;
+    return { ...itemFromLabel(difficulty), score };
+  });
+  return describeAbility(updateAbility(DEFAULT_PRIOR, items));
+}
 
-  if (avg >= 78 && idx < ladder.length - 1) return ladder[idx + 1]; // performing well → harder
-  if (avg <= 45 && idx > 0) return ladder[idx - 1];                 // struggling → easier
-  return currentDifficulty;
+/**
+ * Returns the next difficulty: the rung of the ladder most informative at the
+ * candidate's estimated ability.
+ * @param {Array<number|{score:number,difficulty:string}>} responses  Scores so far (0-100)
+ * @param {string} currentDifficulty
+ * @returns string next difficulty
+ */
+export function adaptDifficulty(responses, currentDifficulty = 'medium') {
+  if (!responses || responses.length === 0) return currentDifficulty;
+  return difficultyFor(estimateAbility(responses, currentDifficulty).theta, DIFFICULTY_LADDER);
 }
 
 /* ─────────────────────────────────────────────────────────── */
@@ -334,9 +439,11 @@ export function adaptDifficulty(recentScores, currentDifficulty = 'medium') {
  * @param {object[]} turns  Array of evaluated question-answer turns
  * @param {object[]} codingProblems
  * @param {number} durationSeconds
+ * @param {object} [options]
+ * @param {string} [options.userId]  Who the narrative call is metered to (default: the interviewee)
  * @returns full report data object (to save in MockInterviewReport)
  */
-export async function generateSessionReport(session, turns, codingProblems = [], durationSeconds = 0) {
+export async function generateSessionReport(session, turns, codingProblems = [], durationSeconds = 0, options = {}) {
   /* ── Aggregate scores ──────────────────────────────────────── */
   const dims = ['clarity', 'technicalAccuracy', 'depth', 'structure', 'relevance'];
   const sectionTotals = Object.fromEntries(dims.map((d) => [d, 0]));
@@ -373,32 +480,15 @@ export async function generateSessionReport(session, turns, codingProblems = [],
     .map((t, i) => `Q${i + 1}: "${t.questionText}" → score ${t.evaluation?.overallScore ?? 'N/A'}/100`)
     .join('\n');
 
-  const prompt = `You are a senior technical interviewer writing a post-interview report.
-
-Session summary:
-${turnSummary}
-
-Overall score: ${overallScore}/100
-Section scores: ${JSON.stringify(sectionScores)}
-
-Write a structured report. Return valid JSON ONLY:
-{
-  "strengths": ["<strength1>","<strength2>","<strength3>"],
-  "improvements": ["<improvement1>","<improvement2>","<improvement3>"],
-  "skillGaps": [
-    {"skill":"<skill>","gapType":"knowledge|explanation|depth|practice","severity":"low|medium|high","suggestion":"<1-sentence>"}
-  ]
-}`;
-
-  const messages = [
-    { role: 'system', content: 'You are an expert interview coach writing actionable feedback. Return valid JSON only.' },
-    { role: 'user', content: prompt },
-  ];
+  const prompt = renderPrompt('mockInterview.report', {
+    turnSummary,
+    overallScore,
+    sectionScores: JSON.stringify(sectionScores),
+  }, { unitId: session.interviewee });
 
   let narrative = { strengths: [], improvements: [], skillGaps: [] };
   try {
-    const result = await createChatCompletion(messages, { max_tokens: 600, temperature: 0.4 });
-    const parsed = safeJSON(result.content || result);
+    const parsed = await structuredReply(prompt.messages, REPORT_NARRATIVE_SCHEMA, { max_tokens: 600, temperature: 0.4, userId: options.userId || session.interviewee });
     if (parsed) narrative = parsed;
   } catch {
     // use defaults
@@ -426,6 +516,7 @@ Write a structured report. Return valid JSON ONLY:
     overallScore,
     readinessLabel,
     difficultyProgression,
+    promptVersion: prompt.id,
     ...narrative,
   };
 }
@@ -1,171 +1,62 @@
 /**
- * OpenRouter AI Service - For Interview & General AI Features
- * Flexible AI service with access to multiple models
+ * Interview AI features
+ * Requests go through the LLM gateway under the `interview` and
+ * `interviewEvaluation` features, which prefer OpenRouter and fall back to the others.
  */
 
-import axios from 'axios';
+import { checkProvider, PROVIDERS } from './llmGateway.js';
+import { createStructuredCompletion, INVALID_OUTPUT_CODE } from './structuredOutput.js';
 
-// ============= CONFIGURATION =============
+const stringList = { type: 'array', items: { type: 'string' } };
 
-const CONFIG = {
-  timeout: 30000,        // 30 seconds
-  maxRetries: 1,         // Single retry
-  retryDelay: 1000,      // 1 second delay
-  model: 'meta-llama/llama-3.3-70b-instruct', // Default model
-  temperature: 0.7,
-  maxTokens: 2000,
-  baseURL: 'https://openrouter.ai/api/v1'
-};
-
-// ============= HELPER FUNCTIONS =============
-
-/**
- * Check if OpenRouter is configured
- */
-function isConfigured() {
-  if (!process.env.OPENROUTER_API_KEY) {
-    console.error('❌ OPENROUTER_API_KEY not configured');
-    return false;
+const QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['question'],
+  properties: {
+    question: { type: 'string', minLength: 10 },
+    approach: { type: 'string' },
+    followUps: stringList,
+    criteria: stringList
   }
+};
 
-  if (!process.env.OPENROUTER_API_KEY.startsWith('sk-or-v1-')) {
-    console.error('❌ Invalid OPENROUTER_API_KEY format');
-    return false;
+const FEEDBACK_SCHEMA = {
+  type: 'object',
+  required: ['strengths', 'improvements', 'score'],
+  properties: {
+    strengths: stringList,
+    improvements: stringList,
+    score: { type: 'number', minimum: 1, maximum: 10 },
+    recommendations: stringList,
+    summary: { type: 'string' }
   }
-
-  console.log('✅ OpenRouter service initialized for Interview features');
-  return true;
-}
-
-// Initialize on module load
-isConfigured();
-
-// ============= CORE FUNCTION =============
+};
 
 /**
- * Create chat completion with OpenRouter
- * @param {Array} messages - Chat messages
- * @param {Object} options - Configuration options
- * @returns {Promise<Object>} AI response
+ * Structured completion; when the reply never matches the schema, `data` is
+ * null and `content` is the last reply, for the caller's fallback
  */
-export async function createChatCompletion(messages, options = {}) {
-  if (!isConfigured()) {
-    throw new Error('OpenRouter AI service unavailable - API key not configured');
-  }
-
-  // Validate messages
-  if (!Array.isArray(messages) || messages.length === 0) {
-    throw new Error('Messages must be a non-empty array');
-  }
-
-  // Merge options with defaults
-  const config = {
-    model: options.model || CONFIG.model,
-    temperature: options.temperature !== undefined ? options.temperature : CONFIG.temperature,
-    max_tokens: options.max_tokens || options.maxTokens || CONFIG.maxTokens,
-    messages
-  };
-
-  console.log(`🔄 OpenRouter AI Request: ${config.model} (temp: ${config.temperature}, max_tokens: ${config.max_tokens})`);
-
-  let lastError = null;
-  const maxAttempts = CONFIG.maxRetries + 1;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      console.log(`📡 OpenRouter Attempt ${attempt}/${maxAttempts}...`);
-
-      const startTime = Date.now();
-      
-      // Make API request
-      const response = await Promise.race([
-        axios.post(
-          `${CONFIG.baseURL}/chat/completions`,
-          config,
-          {
-            headers: {
-              'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-              'Content-Type': 'application/json',
-              'HTTP-Referer': process.env.APP_URL || 'http://localhost:3000',
-              'X-Title': 'PrepWiser Interview Platform'
-            },
-            timeout: CONFIG.timeout
-          }
-        ),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('OpenRouter request timeout')), CONFIG.timeout)
-        )
-      ]);
-
-      const duration = Date.now() - startTime;
-      console.log(`✅ OpenRouter response received in ${duration}ms`);
-
-      // Extract content
-      const content = response.data?.choices?.[0]?.message?.content;
-      if (!content) {
-        throw new Error('Empty response from OpenRouter');
-      }
-
-      return {
-        success: true,
-        content: content.trim(),
-        model: response.data.model,
-        usage: response.data.usage,
-        provider: 'openrouter',
-        metadata: {
-          provider: 'openrouter',
-          model: response.data.model,
-          cached: false,
-          degradedMode: false
-        },
-        attempt
-      };
-
-    } catch (error) {
-      lastError = error;
-      const errorMsg = error.response?.data?.error?.message || error.message;
-      console.error(`❌ OpenRouter Attempt ${attempt} failed:`, errorMsg);
-
-      // Check for rate limit
-      if (error.response?.status === 429 || errorMsg?.includes('rate limit')) {
-        console.error('⚠️ OpenRouter rate limit exceeded');
-        throw new Error('OpenRouter AI rate limit exceeded - please try again in a moment');
-      }
-
-      // Check for authentication error
-      if (error.response?.status === 401 || errorMsg?.includes('authentication')) {
-        console.error('⚠️ OpenRouter authentication failed');
-        throw new Error('OpenRouter AI authentication failed - invalid API key');
-      }
-
-      // If this was the last attempt, throw error
-      if (attempt === maxAttempts) {
-        break;
-      }
-
-      // Wait before retry
-      console.log(`⏳ Waiting ${CONFIG.retryDelay}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelay));
-    }
+async function structuredOrNull(feature, messages, options) {
+  try {
+    return await createStructuredCompletion(feature, messages, options);
+  } catch (error) {
+    if (error.code !== INVALID_OUTPUT_CODE) throw error;
+    return { data: null, content: error.content || '', metadata: { degradedMode: true } };
   }
-
-  // All attempts failed
-  console.error('❌ All OpenRouter attempts failed:', lastError?.message);
-  throw new Error(`OpenRouter request failed after ${maxAttempts} attempts: ${lastError?.message || 'Unknown error'}`);
 }
 
 // ============= INTERVIEW QUESTION GENERATION =============
 
 /**
- * Generate interview question with OpenRouter
- * @param {Object} params - Question parameters
+ * Generate interview question
+ * @param {Object} params - Question parameters; userId meters the call
  * @returns {Promise<Object>} Generated question
  */
 export async function generateInterviewQuestion(params) {
   try {
-    console.log('💬 Generating interview question with OpenRouter...');
+    console.log('💬 Generating interview question...');
 
-    const { role, difficulty, topic, style } = params;
+    const { role, difficulty, topic, style, userId } = params;
 
     const prompt = `Generate a ${difficulty || 'medium'} difficulty ${style || 'technical'} interview question for a ${role} position, focusing on ${topic}.
 
@@ -183,7 +74,7 @@ Return as JSON:
   "criteria": ["...", "..."]
 }`;
 
-    const response = await createChatCompletion([
+    const response = await structuredOrNull('interview', [
       {
         role: 'system',
         content: 'You are an expert technical interviewer. Generate realistic, challenging interview questions. Always return valid JSON.'
@@ -194,32 +85,24 @@ Return as JSON:
       }
     ], {
       temperature: 0.8,
-      max_tokens: 1500
+      max_tokens: 1500,
+      schema: QUESTION_SCHEMA,
+      userId
     });
 
-    // Parse response
-    let question;
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      question = jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(response.content);
-    } catch (parseError) {
-      question = {
-        question: response.content,
-        approach: 'Think through the problem systematically',
-        followUps: [],
-        criteria: []
-      };
-    }
+    const question = response.data || {
+      question: response.content,
+      approach: 'Think through the problem systematically',
+      followUps: [],
+      criteria: []
+    };
 
-    console.log('✅ Interview question generated with OpenRouter');
+    console.log('✅ Interview question generated');
 
     return {
       success: true,
       question,
-      metadata: {
-        provider: 'openrouter',
-        model: CONFIG.model
-      }
+      metadata: response.metadata
     };
 
   } catch (error) {
@@ -231,15 +114,15 @@ Return as JSON:
 // ============= INTERVIEW FEEDBACK =============
 
 /**
- * Generate interview feedback with OpenRouter
- * @param {Object} params - Feedback parameters
+ * Generate interview feedback
+ * @param {Object} params - Feedback parameters; userId meters the call
  * @returns {Promise<Object>} Generated feedback
  */
 export async function generateInterviewFeedback(params) {
   try {
-    console.log('📝 Generating interview feedback with OpenRouter...');
+    console.log('📝 Generating interview feedback...');
 
-    const { question, answer, duration, role } = params;
+    const { question, answer, duration, role, userId } = params;
 
     const prompt = `Provide detailed feedback for this interview response:
 
@@ -263,7 +146,7 @@ Return as JSON:
   "summary": "..."
 }`;
 
-    const response = await createChatCompletion([
+    const response = await structuredOrNull('interviewEvaluation', [
       {
         role: 'system',
         content: 'You are an expert interview evaluator. Provide constructive, specific feedback. Always return valid JSON.'
@@ -274,33 +157,25 @@ Return as JSON:
       }
     ], {
       temperature: 0.6,
-      max_tokens: 2000
+      max_tokens: 2000,
+      schema: FEEDBACK_SCHEMA,
+      userId
     });
 
-    // Parse response
-    let feedback;
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      feedback = jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(response.content);
-    } catch (parseError) {
-      feedback = {
-        strengths: ['Attempted to answer the question'],
-        improvements: ['Could provide more detail'],
-        score: 6,
-        recommendations: ['Practice more on this topic'],
-        summary: response.content.substring(0, 200)
-      };
-    }
+    const feedback = response.data || {
+      strengths: ['Attempted to answer the question'],
+      improvements: ['Could provide more detail'],
+      score: 6,
+      recommendations: ['Practice more on this topic'],
+      summary: response.content.substring(0, 200)
+    };
 
-    console.log('✅ Interview feedback generated with OpenRouter');
+    console.log('✅ Interview feedback generated');
 
     return {
       success: true,
       feedback,
-      metadata: {
-        provider: 'openrouter',
-        model: CONFIG.model
-      }
+      metadata: response.metadata
     };
 
   } catch (error) {
@@ -312,43 +187,14 @@ Return as JSON:
 // ============= HEALTH CHECK =============
 
 /**
- * Check if OpenRouter service is available
+ * Check if OpenRouter is reachable
  * @returns {Promise<Object>} Health status
  */
 export async function healthCheck() {
-  try {
-    if (!isConfigured()) {
-      return {
-        available: false,
-        provider: 'openrouter',
-        error: 'API key not configured'
-      };
-    }
-
-    // Try a simple completion
-    await createChatCompletion([
-      { role: 'user', content: 'Hello' }
-    ], {
-      max_tokens: 5
-    });
-
-    return {
-      available: true,
-      provider: 'openrouter',
-      model: CONFIG.model
-    };
-
-  } catch (error) {
-    return {
-      available: false,
-      provider: 'openrouter',
-      error: error.message
-    };
-  }
+  return checkProvider(PROVIDERS.OPENROUTER);
 }
 
 export default {
-  createChatCompletion,
   generateInterviewQuestion,
   generateInterviewFeedback,
   healthCheck
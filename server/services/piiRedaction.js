@@ -0,0 +1,183 @@
+/**
+ * PII Redaction - keep personal details out of third-party LLM requests
+ *
+ * Before a call the gateway swaps names, emails, phone numbers, street
+ * addresses and profile links for placeholders such as [EMAIL_1], and swaps
+ * them back in the answer. Placeholders are numbered by first appearance and
+ * the same value always gets the same one, so identical prompts still hit the
+ * cache and the provider can refer to a detail consistently.
+ *
+ * Emails, phones, addresses and LinkedIn/GitHub links are found by pattern.
+ * Names cannot be, so callers pass what they know (typically
+ * resumeParserService.extractContact(resumeText)) as `known`.
+ */
+
+export const PII_TYPES = ['name', 'email', 'phone', 'address', 'profile'];
+
+const PATTERNS = {
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi,
+  profile: /(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com\/in|github\.com)\/[\w-]+\/?/gi,
+  phone: /(?<![\w+])(?:\+\d{1,3}[\s.-]?\d{4,5}[\s.-]?\d{4,6}|(?:\+?\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4})(?!\w)/g,
+  address: new RegExp(
+    '\\b\\d{1,5}\\s+(?:[A-Z][\\w\'.-]*\\s+){1,4}' +
+    '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy)\\b\\.?' +
+    '(?:,?\\s*(?:Apt|Suite|Unit|#)\\.?\\s*[\\w-]+)?' + // unit
+    '(?:,\\s*[A-Z][a-zA-Z]+(?:\\s[A-Z][a-zA-Z]+)*)?' + // city
+    '(?:,\\s*[A-Z]{2})?(?:\\s+\\d{5}(?:-\\d{4})?)?', // state, zip
+    'g'
+  )
+};
+
+// Pattern order matters: emails before profiles, profiles before phones
+const PATTERN_ORDER = ['email', 'profile', 'phone', 'address'];
+
+// Keys of a parsed contact block and the type their values redact as
+const KNOWN_FIELDS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  address: 'address',
+  location: 'address',
+  linkedin: 'profile',
+  github: 'profile'
+};
+
+// A parser's "name" is the first line of the resume, which is sometimes a heading
+const NOT_A_NAME = /\b(resume|curriculum|vitae|cv|profile|summary|engineer|developer|manager|analyst|designer|scientist|intern|consultant|specialist)\b/i;
+
+const PLACEHOLDER = /\[(NAME|EMAIL|PHONE|ADDRESS|PROFILE)_(\d+)\]/g;
+const MAX_PLACEHOLDER_LENGTH = '[ADDRESS_999]'.length;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function normalize(type, value) {
+  if (type === 'phone') return value.replace(/\D/g, '');
+  if (type === 'profile') return value.toLowerCase().replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/$/, '');
+  return value.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function looksLikeName(value) {
+  const words = value.trim().split(/\s+/);
+  return words.length >= 2 && words.length <= 4 &&
+    value.length <= 40 &&
+    /^[\p{L}][\p{L}\s.'-]*$/u.test(value) &&
+    !NOT_A_NAME.test(value);
+}
+
+/**
+ * Literal values from a contact block, longest first
+ * @param {Object} known - { name, email, phone, address, linkedin, github }
+ */
+function knownValues(known, types) {
+  const values = [];
+  for (const [field, type] of Object.entries(KNOWN_FIELDS)) {
+    const value = typeof known?.[field] === 'string' ? known[field].trim() : '';
+    if (!value || !types.includes(type)) continue;
+    if (type === 'name' && !looksLikeName(value)) continue;
+    values.push({ type, value });
+  }
+  return values.sort((a, b) => b.value.length - a.value.length);
+}
+
+/**
+ * Replace PII in chat messages with placeholders
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - types (default all of PII_TYPES), known (contact details to redact literally)
+ * @returns {{messages, redaction: {placeholders: Map, count}}} count is the number of distinct values replaced
+ */
+export function redactMessages(messages, { types = PII_TYPES, known = null } = {}) {
+  const placeholders = new Map(); // placeholder -> original value
+  const byValue = new Map(); // type:normalized value -> placeholder
+  const counters = {};
+
+  const placeholderFor = (type, value) => {
+    const key = `${type}:${normalize(type, value)}`;
+    if (!byValue.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${type.toUpperCase()}_${counters[type]}]`;
+      byValue.set(key, placeholder);
+      placeholders.set(placeholder, value);
+    }
+    return byValue.get(key);
+  };
+
+  const literals = knownValues(known, types);
+  const redact = (text) => {
+    let result = text;
+    for (const { type, value } of literals) {
+      const pattern = new RegExp(`(?<![\\w@])${escapeRegex(value)}(?![\\w@])`, 'gi');
+      result = result.replace(pattern, (match) => placeholderFor(type, match));
+    }
+    for (const type of PATTERN_ORDER) {
+      if (types.includes(type)) {
+        result = result.replace(PATTERNS[type], (match) => placeholderFor(type, match));
+      }
+    }
+    return result;
+  };
+
+  const redacted = messages.map((message) => (
+    typeof message.content === 'string' ? { ...message, content: redact(message.content) } : message
+  ));
+
+  return { messages: redacted, redaction: { placeholders, count: placeholders.size } };
+}
+
+/**
+ * Put the original values back; unknown placeholders are left as they are
+ */
+export function restoreText(text, redaction) {
+  if (!text || !redaction?.count) return text;
+  return text.replace(PLACEHOLDER, (match) => redaction.placeholders.get(match) ?? match);
+}
+
+/**
+ * Restore a streamed answer chunk by chunk. A chunk ending inside what may be
+ * a placeholder ("...Regards, [NA") is held back until the rest arrives.
+ * @returns {{push(text): string, flush(): string}}
+ */
+export function createStreamRestorer(redaction) {
+  let pending = '';
+
+  return {
+    push(text) {
+      pending += text;
+      const open = pending.lastIndexOf('[');
+      const cut = open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH
+        ? open
+        : pending.length;
+      const ready = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      return restoreText(ready, redaction);
+    },
+
+    flush() {
+      const rest = restoreText(pending, redaction);
+      pending = '';
+      return rest;
+    }
+  };
+}
+
+/**
+ * Tell the model to keep placeholders intact, on the first system message
+ */
+export function withPlaceholderNote(messages) {
+  const note = 'Details in [BRACKETS_N] form, such as [NAME_1] or [EMAIL_1], are redacted personal information. ' +
+    'Keep them exactly as written wherever you need to refer to them.';
+  const index = messages.findIndex((message) => message.role === 'system');
+  if (index === -1) {
+    return [{ role: 'system', content: note }, ...messages];
+  }
+  return messages.map((message, i) => (
+    i === index ? { ...message, content: `${message.content}\n\n${note}` } : message
+  ));
+}
+
+export default {
+  PII_TYPES,
+  redactMessages,
+  restoreText,
+  createStreamRestorer,
+  withPlaceholderNote
+};
@@ -0,0 +1,203 @@
+/**
+ * Prompt Registry - named, versioned prompt templates
+ *
+ * Templates live in server/prompts/ as { name, version, system, user } with
+ * {{variable}} placeholders. Callers render a prompt by name and store the
+ * returned `id` ("skillGap.analysis@1") on whatever the model produced, so
+ * artifacts can be compared per prompt version the way deterministic roadmaps
+ * record RULE_SET_VERSION.
+ *
+ * Which version is served:
+ *   1. an explicit `version` option (tests, replays)
+ *   2. a traffic split from PROMPT_EXPERIMENTS, e.g. '{"skillGap.analysis":{"1":80,"2":20}}'
+ *      - the same unitId (user, session) always lands on the same version
+ *   3. the pin in PROMPT_VERSIONS, e.g. '{"roadmap.generate":"1"}'
+ *   4. the highest registered version
+ */
+
+import crypto from 'crypto';
+import templates from '../prompts/index.js';
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const registry = new Map(); // name -> Map(version -> template)
+const exposures = {};       // "name@version" -> times rendered
+
+let envConfig = null;
+
+function parseJSONEnv(key) {
+  if (!process.env[key]) return {};
+  try {
+    const parsed = JSON.parse(process.env[key]);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+    console.error(`❌ Ignoring ${key}: expected a JSON object keyed by prompt name`);
+  } catch (error) {
+    console.error(`❌ Ignoring ${key}: invalid JSON -`, error.message);
+  }
+  return {};
+}
+
+/**
+ * Parse PROMPT_VERSIONS / PROMPT_EXPERIMENTS once. Read lazily so dotenv has run.
+ */
+function getEnvConfig() {
+  if (!envConfig) {
+    envConfig = {
+      pins: parseJSONEnv('PROMPT_VERSIONS'),
+      experiments: parseJSONEnv('PROMPT_EXPERIMENTS')
+    };
+  }
+  return envConfig;
+}
+
+function compareVersions(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Add a template to the registry
+ * @param {Object} template - { name, version, system?, user, description? }
+ */
+export function registerPrompt(template) {
+  const { name, version, user } = template;
+  if (!name || !version || typeof user !== 'string') {
+    throw new Error('Prompt templates need a name, a version and a user template');
+  }
+
+  const versions = registry.get(name) || new Map();
+  if (versions.has(String(version))) {
+    throw new Error(`Prompt ${name}@${version} is already registered`);
+  }
+
+  versions.set(String(version), { ...template, version: String(version) });
+  registry.set(name, versions);
+}
+
+templates.forEach(registerPrompt);
+
+/**
+ * Get one template; the current default version when none is given
+ */
+export function getPrompt(name, version = null) {
+  const versions = registry.get(name);
+  if (!versions) {
+    const error = new Error(`Unknown prompt "${name}"`);
+    error.code = 'PROMPT_NOT_FOUND';
+    throw error;
+  }
+
+  const resolved = version ? String(version) : getDefaultVersion(name);
+  const template = versions.get(resolved);
+  if (!template) {
+    const error = new Error(`Unknown prompt version ${name}@${resolved}`);
+    error.code = 'PROMPT_NOT_FOUND';
+    throw error;
+  }
+  return template;
+}
+
+function getDefaultVersion(name) {
+  const versions = registry.get(name);
+  const pinned = getEnvConfig().pins[name];
+  if (pinned && versions.has(String(pinned))) {
+    return String(pinned);
+  }
+  return [...versions.keys()].sort(compareVersions).pop();
+}
+
+/**
+ * Version picked by the prompt's experiment, or null when it has none
+ */
+function pickExperimentVersion(name, unitId) {
+  const split = getEnvConfig().experiments[name];
+  if (!split) return null;
+
+  const versions = registry.get(name);
+  const arms = Object.entries(split)
+    .filter(([version, weight]) => versions.has(String(version)) && weight > 0);
+  const total = arms.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return null;
+
+  // Hash the unit so a user keeps seeing the same arm; no unit -> random
+  const point = unitId
+    ? crypto.createHash('sha256').update(`${name}:${unitId}`).digest().readUInt32BE(0) / 0x100000000 * total
+    : Math.random() * total;
+
+  let cumulative = 0;
+  for (const [version, weight] of arms) {
+    cumulative += weight;
+    if (point < cumulative) return String(version);
+  }
+  return String(arms[arms.length - 1][0]);
+}
+
+function fill(text, variables, id) {
+  return text.replace(VARIABLE_PATTERN, (match, key) => {
+    const value = variables[key];
+    if (value === undefined || value === null) {
+      const error = new Error(`Prompt ${id} is missing variable "${key}"`);
+      error.code = 'PROMPT_VARIABLE_MISSING';
+      throw error;
+    }
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  });
+}
+
+/**
+ * Render a prompt into chat messages
+ * @param {string} name - Prompt name, e.g. 'skillGap.analysis'
+ * @param {Object} variables - Values for the {{placeholders}}
+ * @param {Object} options - version (force one), unitId (experiment bucketing key)
+ * @returns {{id, name, version, experiment, messages, system, user}}
+ * @throws {Error} code PROMPT_NOT_FOUND or PROMPT_VARIABLE_MISSING
+ */
+export function renderPrompt(name, variables = {}, options = {}) {
+  getPrompt(name); // unknown names fail before an experiment is consulted
+
+  const experimentVersion = options.version ? null : pickExperimentVersion(name, options.unitId);
+  const template = getPrompt(name, options.version || experimentVersion);
+  const id = `${name}@${template.version}`;
+
+  const system = template.system ? fill(template.system, variables, id) : null;
+  const user = fill(template.user, variables, id);
+
+  exposures[id] = (exposures[id] || 0) + 1;
+
+  return {
+    id,
+    name,
+    version: template.version,
+    experiment: Boolean(experimentVersion),
+    system,
+    user,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: user }
+    ]
+  };
+}
+
+/**
+ * Every prompt with its versions, default version, experiment split and usage since startup
+ */
+export function listPrompts() {
+  const { experiments } = getEnvConfig();
+  return [...registry.entries()].map(([name, versions]) => ({
+    name,
+    versions: [...versions.keys()].sort(compareVersions),
+    defaultVersion: getDefaultVersion(name),
+    experiment: experiments[name] || null,
+    renders: Object.fromEntries(
+      [...versions.keys()].map((version) => [version, exposures[`${name}@${version}`] || 0])
+    )
+  }));
+}
+
+export default {
+  registerPrompt,
+  getPrompt,
+  renderPrompt,
+  listPrompts
+};
@@ -0,0 +1,112 @@
+/**
+ * Provider Health - background probes that close tripped circuits
+ *
+ * Every LLM_HEALTH_PROBE_INTERVAL_MS (default 30s) each provider whose circuit
+ * is open and past its cool-down gets a health check: the provider's own
+ * healthCheck() where a service defines one (groqService, openrouterService),
+ * checkProvider() otherwise. The circuit goes half-open for the probe, then
+ * closed or back to open. Probes bypass retries, the cache and usage budgets.
+ */
+
+import { PROVIDERS, checkProvider, getCircuitBreaker, isProviderConfigured } from './llmGateway.js';
+import { healthCheck as groqHealthCheck } from './groqService.js';
+import { healthCheck as openrouterHealthCheck } from './openrouterService.js';
+import { CIRCUIT_STATES } from './circuitBreaker.js';
+
+const HEALTH_CHECKS = {
+  [PROVIDERS.GROQ]: groqHealthCheck,
+  [PROVIDERS.OPENROUTER]: openrouterHealthCheck
+};
+
+let timer = null;
+let intervalMs = null;
+let lastRunAt = null;
+const inFlight = new Set();
+
+/**
+ * Run one provider's health check and feed the result to its circuit
+ * @param {string} provider - One of PROVIDERS
+ * @returns {Promise<{available, provider, model, error?}>}
+ */
+export async function probeProvider(provider) {
+  const breaker = getCircuitBreaker(provider);
+  if (!breaker) {
+    const error = new Error(`Unknown LLM provider "${provider}"`);
+    error.code = 'PROVIDER_NOT_FOUND';
+    throw error;
+  }
+
+  inFlight.add(provider);
+  // Holds the half-open trial when the circuit was open; live requests wait for it
+  const trial = breaker.halfOpen('health probe');
+
+  try {
+    const healthCheck = HEALTH_CHECKS[provider] || (() => checkProvider(provider));
+    const result = await healthCheck();
+
+    if (result.available) {
+      breaker.recordSuccess('health probe passed');
+    } else if (breaker.state !== CIRCUIT_STATES.CLOSED) {
+      // A failed probe only re-opens a tripped circuit; it never trips a closed one
+      breaker.recordFailure(result.error || 'health probe failed');
+    }
+    return result;
+  } finally {
+    if (trial) {
+      breaker.release();
+    }
+    inFlight.delete(provider);
+  }
+}
+
+/**
+ * Probe every configured provider whose circuit is due for one
+ */
+export async function runHealthProbes() {
+  lastRunAt = new Date();
+  const due = Object.values(PROVIDERS).filter((provider) =>
+    !inFlight.has(provider) &&
+    isProviderConfigured(provider) &&
+    getCircuitBreaker(provider).isProbeDue()
+  );
+
+  await Promise.all(due.map((provider) =>
+    probeProvider(provider).catch((error) => console.error(`❌ Health probe for ${provider} failed:`, error.message))
+  ));
+}
+
+/**
+ * Start the probe loop (once; later calls are ignored)
+ */
+export function startHealthProbes(options = {}) {
+  if (timer) {
+    return;
+  }
+
+  intervalMs = options.intervalMs || parseInt(process.env.LLM_HEALTH_PROBE_INTERVAL_MS, 10) || 30000;
+  timer = setInterval(runHealthProbes, intervalMs);
+  timer.unref?.();
+  console.log(`🩺 LLM provider health probes every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function stopHealthProbes() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export function getProbeStatus() {
+  return {
+    running: Boolean(timer),
+    intervalMs,
+    lastRunAt,
+    inFlight: [...inFlight]
+  };
+}
+
+export default {
+  probeProvider,
+  runHealthProbes,
+  startHealthProbes,
+  stopHealthProbes,
+  getProbeStatus
+};
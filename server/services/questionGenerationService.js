@@ -2,7 +2,25 @@ import QuestionBank from '../models/QuestionBank.js';
 import SkillGap from '../models/SkillGap.js';
 import JobDescription from '../models/JobDescription.js';
 import ParsedResume from '../models/ParsedResume.js';
-import * as openrouterService from './openrouterService.js';
+import { createStructuredCompletion } from './structuredOutput.js';
+import { renderPrompt } from './promptRegistry.js';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Reply shape shared by the interview.*Question prompts; each asks for a subset
+const GENERATED_QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['question'],
+  properties: {
+    question: { type: 'string', minLength: 10 },
+    requiredConcepts: stringList,
+    optionalConcepts: stringList,
+    keyTerms: stringList,
+    depthIndicators: stringList,
+    followUpQuestions: stringList,
+    targetingWeakness: { type: 'string' },
+  },
+};
 
 /**
  * QuestionGenerationService
@@ -20,7 +38,7 @@ class QuestionGenerationService {
    * Generate skill-based verification question
    * Tests if candidate truly knows a skill listed on their resume
    */
-  static async generateSkillBasedQuestion(skill, resumeContext, difficulty = 'medium') {
+  static async generateSkillBasedQuestion(skill, resumeContext, difficulty = 'medium', options = {}) {
     // Check if cached question exists
     let question = await QuestionBank.findOne({
       'generationSource.method': 'skill-based',
@@ -36,40 +54,15 @@ class QuestionGenerationService {
     }
     
     // Generate new question using GPT-4
-    const prompt = `Generate a technical interview question to verify knowledge of: ${skill}
-
-Context: The candidate listed this skill on their resume in the following context:
-${resumeContext}
-
-Requirements:
-- Question should verify ACTUAL understanding, not just familiarity
-- Difficulty level: ${difficulty}
-- Should require explanation with examples
-- Should test practical application, not just definitions
+    const prompt = renderPrompt('interview.skillQuestion', { skill, resumeContext, difficulty }, { unitId: options.userId });
 
-Return a JSON object with this structure:
-{
-  "question": "the interview question",
-  "requiredConcepts": ["concept1", "concept2"],
-  "optionalConcepts": ["concept3"],
-  "keyTerms": ["term1", "term2"],
-  "depthIndicators": ["phrase indicating deep understanding"],
-  "followUpQuestions": ["follow-up if answer is shallow", "another follow-up"]
-}`;
-
-    const response = await openrouterService.createChatCompletion([
-      {
-        role: 'system',
-        content: 'You are an expert technical interviewer. Generate questions that truly assess understanding, not memorization.',
-      },
-      { role: 'user', content: prompt },
-    ], {
+    const { data: generated } = await createStructuredCompletion('interview', prompt.messages, {
+      schema: GENERATED_QUESTION_SCHEMA,
       temperature: 0.7,
-      max_tokens: 500
+      max_tokens: 500,
+      userId: options.userId
     });
     
-    const generated = JSON.parse(response.content);
-    
     // Store in QuestionBank
     question = new QuestionBank({
       question: generated.question,
@@ -79,7 +72,8 @@ Return a JSON object with this structure:
         method: 'skill-based',
         sourceData: { skill },
         generatedAt: new Date(),
-        generationPrompt: prompt,
+        generationPrompt: prompt.user,
+        promptVersion: prompt.id,
         targetedConcepts: [skill],
       },
       expectedComponents: {
@@ -111,7 +105,7 @@ Return a JSON object with this structure:
    * Generate gap-based probing question
    * Targets identified weaknesses to verify and quantify the gap
    */
-  static async generateGapBasedQuestion(gapId) {
+  static async generateGapBasedQuestion(gapId, options = {}) {
     const gap = await SkillGap.findById(gapId);
     if (!gap) throw new Error('Gap not found');
     
@@ -132,45 +126,25 @@ Return a JSON object with this structure:
     const difficulty = gap.severity === 'critical' ? 'hard' :
                        gap.severity === 'high' ? 'medium' : 'easy';
     
-    const prompt = `Generate an interview question to assess a skill gap.
+    const prompt = renderPrompt('interview.gapQuestion', {
+      skill: gap.skill,
+      gapType: gap.gapType,
+      severity: gap.severity,
+      evidence: gap.evidence,
+      gapDescription: gap.gapType === 'knowledge-gap' ? 'The candidate does not know this skill.' :
+        gap.gapType === 'explanation-gap' ? 'The candidate knows this but cannot explain it well.' :
+        gap.gapType === 'depth-gap' ? 'The candidate has superficial knowledge but lacks depth.' :
+        'The candidate has some familiarity but needs verification.',
+      testFocus: gap.gapType === 'explanation-gap' ? 'Test explanation ability, not just knowledge' : 'Test actual understanding',
+    }, { unitId: options.userId });
 
-Gap Details:
-- Skill: ${gap.skill}
-- Gap Type: ${gap.gapType}
-- Severity: ${gap.severity}
-- Evidence: ${JSON.stringify(gap.evidence, null, 2)}
-
-${gap.gapType === 'knowledge-gap' ? 'The candidate does not know this skill.' :
-  gap.gapType === 'explanation-gap' ? 'The candidate knows this but cannot explain it well.' :
-  gap.gapType === 'depth-gap' ? 'The candidate has superficial knowledge but lacks depth.' :
-  'The candidate has some familiarity but needs verification.'}
-
-Generate a question that will:
-1. Verify the gap exists
-2. Measure the severity accurately
-3. ${gap.gapType === 'explanation-gap' ? 'Test explanation ability, not just knowledge' : 'Test actual understanding'}
-
-Return JSON:
-{
-  "question": "the question",
-  "requiredConcepts": ["must mention these"],
-  "depthIndicators": ["phrases showing true understanding"],
-  "followUpQuestions": ["if shallow answer", "if missing key concepts"]
-}`;
-
-    const response = await openrouterService.createChatCompletion([
-      {
-        role: 'system',
-        content: 'You are an expert at identifying skill gaps through targeted questions.',
-      },
-      { role: 'user', content: prompt },
-    ], {
+    const { data: generated } = await createStructuredCompletion('interview', prompt.messages, {
+      schema: GENERATED_QUESTION_SCHEMA,
       temperature: 0.7,
-      max_tokens: 500
+      max_tokens: 500,
+      userId: options.userId
     });
     
-    const generated = JSON.parse(response.content);
-    
     question = new QuestionBank({
       question: generated.question,
       type: 'technical',
@@ -179,7 +153,8 @@ Return JSON:
         method: 'gap-based',
         sourceData: { gapId, skill: gap.skill },
         generatedAt: new Date(),
-        generationPrompt: prompt,
+        generationPrompt: prompt.user,
+        promptVersion: prompt.id,
         targetedConcepts: [gap.skill],
       },
       expectedComponents: {
@@ -212,7 +187,7 @@ Return JSON:
    * Generate JD-aligned question
    * Tests skills required by the job description
    */
-  static async generateJDAlignedQuestion(jobDescriptionId, targetSkill) {
+  static async generateJDAlignedQuestion(jobDescriptionId, targetSkill, options = {}) {
     const jd = await JobDescription.findById(jobDescriptionId);
     if (!jd) throw new Error('Job description not found');
     
@@ -236,43 +211,23 @@ Return JSON:
     const isRequired = allRequired.includes(targetSkill);
     const difficulty = isRequired ? 'medium' : 'easy';
     
-    const prompt = `Generate an interview question for a ${jd.jobTitle} position.
+    const prompt = renderPrompt('interview.jdQuestion', {
+      jobTitle: jd.jobTitle,
+      companyName: jd.companyName,
+      requiredSkills: allRequired.join(', '),
+      preferredSkills: allPreferred.join(', '),
+      responsibilities: jd.responsibilities.slice(0, 3).join('; '),
+      targetSkill,
+      skillImportance: isRequired ? 'REQUIRED' : 'PREFERRED',
+    }, { unitId: options.userId });
 
-Job Description Context:
-- Company: ${jd.companyName}
-- Role: ${jd.jobTitle}
-- Required Skills: ${allRequired.join(', ')}
-- Preferred Skills: ${allPreferred.join(', ')}
-- Key Responsibilities: ${jd.responsibilities.slice(0, 3).join('; ')}
-
-Target Skill: ${targetSkill} (${isRequired ? 'REQUIRED' : 'PREFERRED'})
-
-Generate a question that:
-1. Tests this skill in the context of this specific role
-2. Relates to the job responsibilities
-3. Assesses real-world application for this position
-
-Return JSON:
-{
-  "question": "the question",
-  "requiredConcepts": ["concepts specific to this role"],
-  "keyTerms": ["industry-specific terms"],
-  "followUpQuestions": ["contextual follow-ups"]
-}`;
-
-    const response = await openrouterService.createChatCompletion([
-      {
-        role: 'system',
-        content: 'You are an expert recruiter crafting role-specific interview questions.',
-      },
-      { role: 'user', content: prompt },
-    ], {
+    const { data: generated } = await createStructuredCompletion('interview', prompt.messages, {
+      schema: GENERATED_QUESTION_SCHEMA,
       temperature: 0.7,
-      max_tokens: 500
+      max_tokens: 500,
+      userId: options.userId
     });
     
-    const generated = JSON.parse(response.content);
-    
     question = new QuestionBank({
       question: generated.question,
       type: 'technical',
@@ -281,7 +236,8 @@ Return JSON:
         method: 'jd-aligned',
         sourceData: { jobDescriptionId, skill: targetSkill },
         generatedAt: new Date(),
-        generationPrompt: prompt,
+        generationPrompt: prompt.user,
+        promptVersion: prompt.id,
         targetedConcepts: [targetSkill],
       },
       expectedComponents: {
@@ -311,49 +267,27 @@ Return JSON:
    * Generate follow-up question based on previous answer quality
    * Probes deeper when answer is shallow or vague
    */
-  static async generateFollowUpQuestion(previousQuestion, previousAnswer, answerEvaluation) {
-    const prompt = `Generate a follow-up interview question.
-
-Previous Question: ${previousQuestion}
-Candidate's Answer: ${previousAnswer}
+  static async generateFollowUpQuestion(previousQuestion, previousAnswer, answerEvaluation, options = {}) {
+    const prompt = renderPrompt('interview.followUpQuestion', {
+      previousQuestion,
+      previousAnswer,
+      clarity: answerEvaluation.clarity,
+      relevance: answerEvaluation.relevance,
+      depth: answerEvaluation.depth,
+      structure: answerEvaluation.structure,
+      clarityIssue: answerEvaluation.clarity < 60 ? '- Answer was unclear or rambling' : '',
+      relevanceIssue: answerEvaluation.relevance < 60 ? '- Answer did not address the question' : '',
+      depthIssue: answerEvaluation.depth < 60 ? '- Answer lacked depth and examples' : '',
+      missingConceptsIssue: answerEvaluation.missingConcepts ? `- Missing concepts: ${answerEvaluation.missingConcepts.join(', ')}` : '',
+    }, { unitId: options.userId });
 
-Answer Quality Assessment:
-- Clarity: ${answerEvaluation.clarity}/100
-- Relevance: ${answerEvaluation.relevance}/100
-- Depth: ${answerEvaluation.depth}/100
-- Structure: ${answerEvaluation.structure}/100
-
-Issues Identified:
-${answerEvaluation.clarity < 60 ? '- Answer was unclear or rambling' : ''}
-${answerEvaluation.relevance < 60 ? '- Answer did not address the question' : ''}
-${answerEvaluation.depth < 60 ? '- Answer lacked depth and examples' : ''}
-${answerEvaluation.missingConcepts ? `- Missing concepts: ${answerEvaluation.missingConcepts.join(', ')}` : ''}
-
-Generate a follow-up question that:
-1. Probes the specific weakness identified
-2. Gives the candidate a chance to demonstrate understanding
-3. Is respectful but direct
-
-Return JSON:
-{
-  "question": "the follow-up question",
-  "targetingWeakness": "which specific weakness this addresses",
-  "requiredConcepts": ["what should be in a good answer"]
-}`;
-
-    const response = await openrouterService.createChatCompletion([
-      {
-        role: 'system',
-        content: 'You are an interviewer following up on a weak answer. Be professional and give the candidate a fair opportunity.',
-      },
-      { role: 'user', content: prompt },
-    ], {
+    const { data: generated } = await createStructuredCompletion('interview', prompt.messages, {
+      schema: GENERATED_QUESTION_SCHEMA,
       temperature: 0.7,
-      max_tokens: 300
+      max_tokens: 300,
+      userId: options.userId
     });
     
-    const generated = JSON.parse(response.content);
-    
     const question = new QuestionBank({
       question: generated.question,
       type: 'technical',
@@ -364,7 +298,8 @@ Return JSON:
           previousAnswer,
         },
         generatedAt: new Date(),
-        generationPrompt: prompt,
+        generationPrompt: prompt.user,
+        promptVersion: prompt.id,
       },
       expectedComponents: {
         requiredConcepts: generated.requiredConcepts || [],
@@ -392,7 +327,9 @@ Return JSON:
       strugglingAreas,
       difficultyLevel,
       currentTurn,
+      userId,
     } = interviewState;
+    const options = { userId };
     
     const resume = await ParsedResume.findById(resumeId);
     const jd = jobDescriptionId ? await JobDescription.findById(jobDescriptionId) : null;
@@ -409,7 +346,7 @@ Return JSON:
       });
       
       if (gap) {
-        return await this.generateGapBasedQuestion(gap._id);
+        return await this.generateGapBasedQuestion(gap._id, options);
       }
     }
     
@@ -420,7 +357,7 @@ Return JSON:
       
       if (untestedSkills.length > 0) {
         const skill = untestedSkills[0];
-        return await this.generateJDAlignedQuestion(jd._id, skill);
+        return await this.generateJDAlignedQuestion(jd._id, skill, options);
       }
     }
     
@@ -431,7 +368,7 @@ Return JSON:
     if (untestedResumeSkills.length > 0) {
       const skill = untestedResumeSkills[0];
       const context = `Listed in ${resume.skills.programmingLanguages.includes(skill) ? 'programming languages' : 'skills'}`;
-      return await this.generateSkillBasedQuestion(skill, context, difficultyLevel);
+      return await this.generateSkillBasedQuestion(skill, context, difficultyLevel, options);
     }
     
     // 4. Default: pick most effective unused question
@@ -441,7 +378,7 @@ Return JSON:
     }
     
     // 5. Fallback: general question
-    return await this.generateSkillBasedQuestion('problem-solving', 'General skill', difficultyLevel);
+    return await this.generateSkillBasedQuestion('problem-solving', 'General skill', difficultyLevel, options);
   }
 }
 
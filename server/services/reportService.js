@@ -2,6 +2,16 @@ import crypto from 'crypto';
 import ConversationalInterview from '../models/ConversationalInterview.js';
 import InterviewReport from '../models/InterviewReport.js';
 import InterviewProgress from '../models/InterviewProgress.js';
+import { summarizeAbilities } from './abilityEstimator.js';
+import {
+  builtInRubric,
+  toRubric,
+  rubricSnapshot,
+  scoreDimensions,
+  weightedScore,
+  levelFor,
+  DEFAULT_RUBRIC_SLUG,
+} from './rubricService.js';
 
 /**
  * ReportService
@@ -10,18 +20,15 @@ import InterviewProgress from '../models/InterviewProgress.js';
  *
  * Design principles:
  *  - Deterministic: same session always produces same report.
- *  - Auditable: all weights, inputs, and intermediate scores are stored.
+ *  - Auditable: the rubric (id + version), weights, inputs, and intermediate
+ *    scores are stored.
  *  - Idempotent: calling generate twice returns the existing report.
+ *
+ * Turns are scored with the rubric the session ran with (config.rubric), or
+ * the built-in `standard` rubric (services/rubricService.js).
  */
 
-// Default rubric weights (must sum to 1.0)
-const DEFAULT_WEIGHTS = {
-  clarity: 0.20,
-  relevance: 0.25,
-  depth: 0.25,
-  structure: 0.15,
-  confidence: 0.15,
-};
+const RUBRIC_METRICS = ['clarity', 'relevance', 'depth', 'structure', 'confidence', 'technicalAccuracy'];
 
 class ReportService {
   // ─── Public API ───────────────────────────────────────────────
@@ -63,8 +70,8 @@ class ReportService {
     await report.save();
 
     try {
-      // 4. Build the full report
-      const built = this._buildReport(session);
+      // 4. Build the full report with the session's rubric
+      const built = this._buildReport(session, this._rubricFor(session));
 
       // 5. Assign all fields
       Object.assign(report, built);
@@ -142,11 +149,15 @@ class ReportService {
 
   // ─── Internal builders ────────────────────────────────────────
 
-  static _buildReport(session) {
-    const weights = DEFAULT_WEIGHTS;
+  /** The rubric a session is reported with: its own, or the default */
+  static _rubricFor(session) {
+    return rubricSnapshot(toRubric(session.config?.rubric) || builtInRubric(DEFAULT_RUBRIC_SLUG));
+  }
 
+  static _buildReport(session, rubric = this._rubricFor(session)) {
     // Per-turn processing
-    const turnReports = this._processTurns(session.turns, weights);
+    const turnReports = this._processTurns(session.turns, rubric);
+    const rubricScores = this._aggregateRubric(turnReports, rubric);
 
     // Aggregate section scores
     const sectionScores = this._aggregateSections(session.turns, turnReports);
@@ -160,11 +171,17 @@ class ReportService {
       session,
       sectionScores,
       allGaps,
-      turnReports
+      turnReports,
+      rubricScores,
+      rubric
     );
 
-    // Readiness score
-    const readinessScore = Math.round(sectionScores.overall);
+    // Readiness: the IRT ability estimate (with its interval) when the
+    // session has one, the rubric average otherwise
+    const ability = session.interviewContext?.ability?.responses > 0
+      ? summarizeAbilities(session.interviewContext)
+      : null;
+    const readinessScore = ability ? ability.score : Math.round(sectionScores.overall);
     const readinessLabel = InterviewReport.readinessLabelFromScore(readinessScore);
 
     // Performance trend (turn-by-turn)
@@ -190,14 +207,17 @@ class ReportService {
       sectionScores,
       readinessScore,
       readinessLabel,
+      ability,
+      rubricScores,
       skillGapSummary,
       strengths,
       weaknesses,
-      summary: this._generateSummary(readinessScore, sectionScores, session.targetRole),
+      summary: this._generateSummary(readinessScore, sectionScores, session.targetRole, ability),
       recommendations,
       performanceTrend,
       provenance: {
-        rubricWeights: weights,
+        rubric: { id: rubric.id, name: rubric.name, version: rubric.version },
+        rubricWeights: Object.fromEntries(rubric.dimensions.map(d => [d.key, d.weight])),
         evaluationVersion: '2.0',
         generatedAt: new Date(),
         inputHash,
@@ -206,28 +226,22 @@ class ReportService {
   }
 
   /** Transform raw session turns into per-turn report records */
-  static _processTurns(sessionTurns, weights) {
+  static _processTurns(sessionTurns, scoringRubric) {
     return sessionTurns
       .filter(t => t.answer && t.answer.text && t.evaluation)
       .map(t => {
         const ev = t.evaluation;
-        const rubric = {
-          clarity: ev.clarity ?? 0,
-          relevance: ev.relevance ?? 0,
-          depth: ev.depth ?? 0,
-          structure: ev.structure ?? 0,
-          confidence: ev.confidence ?? 0,
-          technicalAccuracy: ev.technicalAccuracy ?? 0,
-        };
-
-        // Recalculate turn score from rubric using stored weights (deterministic)
-        const turnScore = Math.round(
-          rubric.clarity * weights.clarity +
-          rubric.relevance * weights.relevance +
-          rubric.depth * weights.depth +
-          rubric.structure * weights.structure +
-          rubric.confidence * weights.confidence
+        const rubric = Object.fromEntries(RUBRIC_METRICS.map(metric => [metric, ev[metric] ?? 0]));
+
+        // Recalculate turn score from the rubric's dimensions (deterministic);
+        // dimensions whose metric the evaluator did not produce are left out
+        const metrics = Object.fromEntries(
+          [...RUBRIC_METRICS, 'completeness']
+            .filter(metric => typeof ev[metric] === 'number')
+            .map(metric => [metric, ev[metric]])
         );
+        const dimensions = scoreDimensions(metrics, scoringRubric);
+        const turnScore = weightedScore(dimensions) ?? Math.round(ev.turnScore ?? 0);
 
         // Map stored gaps to report format
         const gaps = (t.evaluation.gaps || []).map(g => ({
@@ -246,6 +260,7 @@ class ReportService {
           wordCount: t.answer?.wordCount || 0,
           timeSpentSeconds: t.answer?.timeSpent || 0,
           rubric,
+          dimensions,
           turnScore,
           detectedKeyPoints: ev.detectedKeyPoints || [],
           missedKeyPoints: ev.missedKeyPoints || [],
@@ -261,6 +276,30 @@ class ReportService {
       });
   }
 
+  /** Average each rubric dimension over the turns that scored it, with its level */
+  static _aggregateRubric(turnReports, rubric) {
+    return rubric.dimensions
+      .map(dimension => {
+        const scores = turnReports
+          .map(t => t.dimensions.find(d => d.key === dimension.key)?.score)
+          .filter(score => score != null);
+        if (scores.length === 0) return null;
+
+        const score = Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length);
+        const level = levelFor(dimension, score);
+        return {
+          key: dimension.key,
+          name: dimension.name,
+          weight: dimension.weight,
+          score,
+          level: level?.label || null,
+          descriptor: level?.descriptor || '',
+          evidence: level?.evidence || [],
+        };
+      })
+      .filter(Boolean);
+  }
+
   /** Build aggregate section scores from evaluated turns */
   static _aggregateSections(rawTurns, turnReports) {
     const avg = arr => arr.length ? arr.reduce((s, v) => s + v, 0) / arr.length : 0;
@@ -425,7 +464,7 @@ class ReportService {
   }
 
   /** Derive overall strengths, weaknesses, and ordered recommendations */
-  static _deriveInsights(session, sectionScores, allGaps, turnReports) {
+  static _deriveInsights(session, sectionScores, allGaps, turnReports, rubricScores = [], rubric = null) {
     const strengths = [];
     const weaknesses = [];
     const recommendations = [];
@@ -467,6 +506,18 @@ class ReportService {
       recommendations.push('Practice mock interviews to build confidence; reduce hedging words');
     }
 
+    // Rubric-based insights: the evidence that reaches the next level of the
+    // weakest dimensions
+    const weakest = [...rubricScores].sort((a, b) => a.score - b.score).filter(d => d.score < 60).slice(0, 2);
+    for (const scored of weakest) {
+      weaknesses.push(`${scored.name}: ${scored.level || 'below expectations'}`);
+      const levels = rubric?.dimensions.find(d => d.key === scored.key)?.levels || [];
+      const next = [...levels].sort((a, b) => a.minScore - b.minScore).find(l => l.minScore > scored.score);
+      if (next?.evidence.length > 0) {
+        recommendations.push(`To reach "${next.label}" in ${scored.name}: ${next.evidence.join('; ')}`);
+      }
+    }
+
     // Gap-based recommendations (most critical first)
     const criticalGaps = allGaps.filter(g => g.severity === 'critical');
     for (const gap of criticalGaps.slice(0, 3)) {
@@ -486,7 +537,7 @@ class ReportService {
     };
   }
 
-  static _generateSummary(readinessScore, sectionScores, targetRole) {
+  static _generateSummary(readinessScore, sectionScores, targetRole, ability = null) {
     const label = InterviewReport.readinessLabelFromScore(readinessScore);
     const role = targetRole || 'the target role';
 
@@ -500,8 +551,12 @@ class ReportService {
         : 'Technical knowledge requires further development'
       : null;
 
+    const range = ability
+      ? `, ${Math.round(ability.scoreInterval.level * 100)}% interval ${ability.scoreInterval.lower}-${ability.scoreInterval.upper}`
+      : '';
+
     const parts = [
-      `Overall readiness for ${role}: ${label} (${readinessScore}/100).`,
+      `Overall readiness for ${role}: ${label} (${readinessScore}/100${range}).`,
       commStr + '.',
       ...(techStr ? [techStr + '.'] : []),
       sectionScores.problemSolving.score < 60
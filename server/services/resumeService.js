@@ -1,7 +1,37 @@
-import * as aiService from './aiService.js';
+import { createChatCompletion } from './llmGateway.js';
+import { createStructuredCompletion } from './structuredOutput.js';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const OPTIMIZATION_SCHEMA = {
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type', 'suggestion'],
+        properties: {
+          type: { type: 'string' },
+          suggestion: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+// Category name -> skills
+const JOB_SKILLS_SCHEMA = {
+  type: 'object',
+  additionalProperties: stringList,
+};
+
+// Every helper takes options.userId, the user the AI call is metered to
 
 // AI-powered bullet point enhancement
-export async function enhanceBulletPoint(bulletPoint, context = {}) {
+export async function enhanceBulletPoint(bulletPoint, context = {}, options = {}) {
   try {
     
     const { position, company, industry } = context;
@@ -25,7 +55,7 @@ Requirements:
 
 Enhanced bullet point:`;
 
-    const response = await aiService.createChatCompletion([
+    const response = await createChatCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are an expert resume writer specializing in creating impactful, ATS-optimized bullet points. Focus on achievements, metrics, and results.',
@@ -37,6 +67,7 @@ Enhanced bullet point:`;
     ], {
       temperature: 0.7,
       max_tokens: 200,
+      userId: options.userId,
     });
 
     const enhanced = response.content.trim();
@@ -50,7 +81,7 @@ Enhanced bullet point:`;
 }
 
 // Generate professional summary
-export async function generateSummary(profile) {
+export async function generateSummary(profile, options = {}) {
   try {
     
     const { name, position, yearsExperience, skills, industry } = profile;
@@ -73,7 +104,7 @@ Requirements:
 
 Professional Summary:`;
 
-    const response = await aiService.createChatCompletion([
+    const response = await createChatCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are an expert resume writer creating compelling professional summaries that capture candidate value.',
@@ -85,6 +116,7 @@ Professional Summary:`;
     ], {
       temperature: 0.7,
       max_tokens: 300,
+      userId: options.userId,
     });
 
     const summary = response.content.trim();
@@ -98,7 +130,7 @@ Professional Summary:`;
 }
 
 // Optimize resume for specific job description
-export async function optimizeForJob(resumeData, jobDescription) {
+export async function optimizeForJob(resumeData, jobDescription, options = {}) {
   try {
     
     const prompt = `Analyze this resume against the job description and provide optimization suggestions.
@@ -118,9 +150,9 @@ Provide 5-7 specific, actionable suggestions to optimize this resume for the job
 4. Projects to feature
 5. Overall improvements
 
-Format as a JSON array of objects with "type" and "suggestion" fields.`;
+Format as a JSON object: {"suggestions": [{"type": "...", "suggestion": "..."}]}`;
 
-    const response = await aiService.createChatCompletion([
+    const { data: result } = await createStructuredCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are an ATS optimization expert. Analyze resumes and provide specific suggestions to improve match scores.',
@@ -130,14 +162,15 @@ Format as a JSON array of objects with "type" and "suggestion" fields.`;
         content: prompt,
       },
     ], {
+      schema: OPTIMIZATION_SCHEMA,
       temperature: 0.6,
       max_tokens: 800,
+      userId: options.userId,
     });
 
-    const result = JSON.parse(response.content);
     console.log('✅ Job optimization suggestions generated');
     
-    return { suggestions: result.suggestions || [], aiGenerated: true };
+    return { suggestions: result.suggestions, aiGenerated: true };
   } catch (error) {
     console.error('❌ Job optimization error:', error.message);
     return { suggestions: [], aiGenerated: false };
@@ -145,7 +178,7 @@ Format as a JSON array of objects with "type" and "suggestion" fields.`;
 }
 
 // Generate project description
-export async function generateProjectDescription(projectName, technologies) {
+export async function generateProjectDescription(projectName, technologies, options = {}) {
   try {
     
     const prompt = `Create a professional resume project description (2-3 sentences) for:
@@ -160,7 +193,7 @@ Requirements:
 4. Use professional language
 5. Keep it concise (2-3 sentences)
 
-Project Description:`;    const response = await aiService.createChatCompletion([
+Project Description:`;    const response = await createChatCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are a resume writer creating compelling project descriptions that showcase technical skills.',
@@ -172,6 +205,7 @@ Project Description:`;    const response = await aiService.createChatCompletion(
     ], {
       temperature: 0.7,
       max_tokens: 200,
+      userId: options.userId,
     });
 
     const description = response.content.trim();
@@ -185,7 +219,7 @@ Project Description:`;    const response = await aiService.createChatCompletion(
 }
 
 // Extract skills from job description
-export async function extractSkillsFromJob(jobDescription) {
+export async function extractSkillsFromJob(jobDescription, options = {}) {
   try {
     
     const prompt = `Extract all technical skills, tools, and technologies mentioned in this job description:
@@ -200,7 +234,7 @@ Categorize them into:
 
 Format as JSON with these categories as keys and arrays of skills as values.`;
 
-    const response = await aiService.createChatCompletion([
+    const { data: skills } = await createStructuredCompletion('resumeWriter', [
       {
         role: 'system',
         content: 'You are a skill extraction expert. Identify all relevant technical and soft skills from job descriptions.',
@@ -210,11 +244,12 @@ Format as JSON with these categories as keys and arrays of skills as values.`;
         content: prompt,
       },
     ], {
+      schema: JOB_SKILLS_SCHEMA,
       temperature: 0.3,
       max_tokens: 500,
+      userId: options.userId,
     });
 
-    const skills = JSON.parse(response.content);
     console.log('✅ Skills extracted from job description');
     
     return { skills, aiGenerated: true };
@@ -225,7 +260,7 @@ Format as JSON with these categories as keys and arrays of skills as values.`;
 }
 
 // Batch enhance multiple bullet points
-export async function enhanceBulletPoints(bulletPoints, context = {}) {
+export async function enhanceBulletPoints(bulletPoints, context = {}, options = {}) {
   if (!isOpenAIAvailable()) {
     return bulletPoints.map(bp => ({ original: bp, enhanced: bp, aiGenerated: false }));
   }
@@ -234,7 +269,7 @@ export async function enhanceBulletPoints(bulletPoints, context = {}) {
     const results = [];
     
     for (const bulletPoint of bulletPoints) {
-      const result = await enhanceBulletPoint(bulletPoint, context);
+      const result = await enhanceBulletPoint(bulletPoint, context, options);
       results.push({
         original: bulletPoint,
         enhanced: result.enhanced,
@@ -0,0 +1,361 @@
+/**
+ * Rubric Service
+ *
+ * Scoring rubrics as data (models/Rubric.js):
+ * - Built-in rubrics from server/data/rubrics, addressed by slug; `standard`
+ *   scores reports, `technical` scores EvaluationEngine answers and
+ *   `interviewer` is the scorecard for hand-scored interviews
+ * - CRUD for user rubrics, shared with everyone (public) or with the author's
+ *   organization (User.organization)
+ * - Scoring: each dimension reads its evaluation metric (0-100), gets the
+ *   level it reaches, and the weighted average over the dimensions that
+ *   were scored is the overall score
+ *
+ * Sessions and reports keep a snapshot (id, name, version, dimensions) so
+ * later edits do not change how an interview was scored.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Rubric, { EVALUATION_METRICS } from '../models/Rubric.js';
+import User from '../models/User.js';
+
+const RUBRIC_DIR = join(dirname(fileURLToPath(import.meta.url)), '../data/rubrics');
+
+// Fields accepted on create / update
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'dimensions'];
+
+export const DEFAULT_RUBRIC_SLUG = 'standard';
+
+// HTTP status for each rubric error code, for routes
+export const RUBRIC_ERROR_STATUS = {
+  INVALID_RUBRIC: 400,
+  RUBRIC_READ_ONLY: 403,
+  RUBRIC_NOT_FOUND: 404,
+  RUBRIC_EXISTS: 409
+};
+
+function rubricError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function pickEditable(data) {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+/**
+ * Rubric as sent to clients; built-ins use their slug as id
+ */
+export function describeRubric(rubric) {
+  if (rubric.builtIn) {
+    return { id: rubric.slug, builtIn: true, visibility: 'public', ...rubric };
+  }
+  const plain = rubric.toObject({ versionKey: false });
+  return {
+    id: plain._id,
+    builtIn: false,
+    visibility: plain.visibility,
+    organization: plain.organization,
+    version: plain.version,
+    createdBy: plain.createdBy,
+    updatedAt: plain.updatedAt,
+    ...pickEditable(plain)
+  };
+}
+
+/**
+ * Mongoose validation errors -> one INVALID_RUBRIC error listing every problem
+ */
+function validationError(error) {
+  const details = Object.values(error.errors || {}).map((e) => `${e.path}: ${e.message}`);
+  return rubricError(`Invalid rubric: ${details.join('; ') || error.message}`, 'INVALID_RUBRIC');
+}
+
+// ============= BUILT-IN RUBRICS =============
+
+function loadBuiltIn(file) {
+  const doc = new Rubric(JSON.parse(readFileSync(join(RUBRIC_DIR, file), 'utf8')));
+  const error = doc.validateSync();
+  const problems = Object.keys(error?.errors || {}).filter((path) => path !== 'createdBy');
+  if (problems.length > 0) {
+    throw new Error(`Built-in rubric ${file} is invalid: ${problems.join(', ')}`);
+  }
+  return { ...pickEditable(doc.toObject({ versionKey: false })), builtIn: true, version: 1 };
+}
+
+// Read once at startup
+export const BUILT_IN_RUBRICS = readdirSync(RUBRIC_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .sort()
+  .map(loadBuiltIn);
+
+export function builtInRubric(slug) {
+  return BUILT_IN_RUBRICS.find((r) => r.slug === slug) || null;
+}
+
+// ============= CRUD =============
+
+async function organizationOf(userId) {
+  if (!userId) return null;
+  const user = await User.findById(userId).select('organization');
+  return user?.organization || null;
+}
+
+function readable(rubric, userId, organization) {
+  return rubric.visibility === 'public' ||
+    String(rubric.createdBy) === String(userId) ||
+    (rubric.visibility === 'organization' && organization && rubric.organization === organization);
+}
+
+/**
+ * Built-ins, the user's own rubrics, their organization's and everyone's public ones
+ */
+export async function listRubrics(userId) {
+  const organization = await organizationOf(userId);
+  const query = {
+    $or: [
+      { visibility: 'public' },
+      ...(userId ? [{ createdBy: userId }] : []),
+      ...(organization ? [{ visibility: 'organization', organization }] : [])
+    ]
+  };
+  const stored = await Rubric.find(query).sort({ updatedAt: -1 });
+  return [...BUILT_IN_RUBRICS, ...stored].map(describeRubric);
+}
+
+/**
+ * A rubric the user may read: built-in slug, rubric id, or one of their own slugs
+ * @returns built-in object or Rubric document
+ */
+export async function getRubric(ref, userId) {
+  const builtIn = builtInRubric(ref);
+  if (builtIn) return builtIn;
+
+  const rubric = mongoose.isValidObjectId(ref)
+    ? await Rubric.findById(ref)
+    : userId ? await Rubric.findOne({ createdBy: userId, slug: ref }) : null;
+
+  if (!rubric || !readable(rubric, userId, rubric.visibility === 'organization' && await organizationOf(userId))) {
+    throw rubricError('Rubric not found', 'RUBRIC_NOT_FOUND');
+  }
+  return rubric;
+}
+
+async function getOwnRubric(ref, userId) {
+  const rubric = await getRubric(ref, userId);
+  if (rubric.builtIn || String(rubric.createdBy) !== String(userId)) {
+    throw rubricError('Only the author can change this rubric', 'RUBRIC_READ_ONLY');
+  }
+  return rubric;
+}
+
+/**
+ * Organization rubrics are shared with the author's current organization
+ */
+async function applyVisibility(rubric, userId, visibility) {
+  if (!visibility) return;
+  if (visibility === 'organization') {
+    const organization = await organizationOf(userId);
+    if (!organization) {
+      throw rubricError('Only members of an organization can share a rubric with it; an admin assigns it', 'INVALID_RUBRIC');
+    }
+    rubric.organization = organization;
+  }
+  rubric.visibility = visibility;
+}
+
+async function saveRubric(rubric) {
+  if (builtInRubric(rubric.slug)) {
+    throw rubricError(`"${rubric.slug}" is a built-in rubric`, 'RUBRIC_EXISTS');
+  }
+  try {
+    return await rubric.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') throw validationError(error);
+    if (error.code === 11000) {
+      throw rubricError(`You already have a rubric called "${rubric.slug}"`, 'RUBRIC_EXISTS');
+    }
+    throw error;
+  }
+}
+
+export async function createRubric(userId, data) {
+  const fields = pickEditable(data || {});
+  const rubric = new Rubric({
+    ...fields,
+    slug: fields.slug || slugify(fields.name || ''),
+    createdBy: userId
+  });
+  await applyVisibility(rubric, userId, data?.visibility);
+  return saveRubric(rubric);
+}
+
+/**
+ * Replace the fields given; bumps the version
+ */
+export async function updateRubric(ref, userId, data) {
+  const rubric = await getOwnRubric(ref, userId);
+  rubric.set(pickEditable(data || {}));
+  await applyVisibility(rubric, userId, data?.visibility);
+  rubric.version += 1;
+  return saveRubric(rubric);
+}
+
+export async function deleteRubric(ref, userId) {
+  const rubric = await getOwnRubric(ref, userId);
+  await rubric.deleteOne();
+  return rubric;
+}
+
+// ============= SCORING =============
+
+/**
+ * What a session or report keeps of the rubric that scored it
+ * @returns {{id, name, version, dimensions}}
+ */
+export function rubricSnapshot(rubric) {
+  const plain = rubric.toObject ? rubric.toObject({ versionKey: false }) : rubric;
+  return {
+    id: String(plain.builtIn ? plain.slug : plain.id || plain._id),
+    name: plain.name,
+    version: plain.version || 1,
+    dimensions: plain.dimensions.map(({ key, name, metric, weight, levels = [] }) => ({
+      key,
+      name,
+      ...(metric && { metric }),
+      weight,
+      levels: levels.map(({ label, minScore, descriptor, evidence = [] }) => ({ label, minScore, descriptor, evidence }))
+    }))
+  };
+}
+
+/**
+ * A one-level-per-metric rubric from a { metric: weight } object (the weights
+ * templates and older callers pass)
+ */
+export function rubricFromWeights(weights, name = 'Custom weights') {
+  return {
+    id: 'weights',
+    name,
+    version: 1,
+    dimensions: EVALUATION_METRICS
+      .filter((metric) => weights?.[metric] > 0)
+      .map((metric) => ({ key: metric, name: metric, metric, weight: weights[metric], levels: [] }))
+  };
+}
+
+/**
+ * Rubric, snapshot or weights object -> something with dimensions
+ */
+export function toRubric(value) {
+  if (!value) return null;
+  return Array.isArray(value.dimensions) ? value : rubricFromWeights(value);
+}
+
+/**
+ * The highest level a score reaches
+ */
+export function levelFor(dimension, score) {
+  return [...(dimension.levels || [])]
+    .sort((a, b) => b.minScore - a.minScore)
+    .find((level) => score >= level.minScore) || null;
+}
+
+/**
+ * Score each dimension from the metrics it reads; dimensions whose metric is
+ * missing are left out
+ * @param {Object} metrics - { metric: 0-100 }; hand-scored dimensions read their key
+ * @returns {Array<{key, name, weight, score, level}>}
+ */
+export function scoreDimensions(metrics, rubric) {
+  return (toRubric(rubric)?.dimensions || [])
+    .filter((dimension) => typeof metrics?.[dimension.metric || dimension.key] === 'number')
+    .map((dimension) => {
+      const score = Math.round(metrics[dimension.metric || dimension.key]);
+      return {
+        key: dimension.key,
+        name: dimension.name,
+        weight: dimension.weight,
+        score,
+        level: levelFor(dimension, score)?.label || null
+      };
+    });
+}
+
+/**
+ * Weighted average of scored dimensions, renormalized over those present;
+ * null when none carries weight
+ */
+export function weightedScore(dimensions) {
+  const total = dimensions.reduce((sum, d) => sum + d.weight, 0);
+  if (total === 0) return null;
+  return Math.round(dimensions.reduce((sum, d) => sum + d.score * d.weight, 0) / total);
+}
+
+/**
+ * Scores an interviewer gave by hand, per dimension key, on a 0-`scale` scale
+ * @param {Object|Array} scores - { key: score } or [{ key, score, notes }]
+ * @returns {{dimensions: Array<{key, name, weight, score, level, notes}>, overall: number|null}}
+ *   dimension scores stay on the given scale; overall is 0-100
+ */
+export function scoreByHand(scores, rubric, scale = 10) {
+  const entries = Array.isArray(scores)
+    ? scores
+    : Object.entries(scores || {}).map(([key, score]) => ({ key, score }));
+  const dimensions = toRubric(rubric)?.dimensions || [];
+
+  const given = {};
+  for (const { key, score, notes } of entries) {
+    if (score == null) continue;
+    if (!dimensions.some((d) => d.key === key)) {
+      throw rubricError(`"${key}" is not a dimension of this rubric`, 'INVALID_RUBRIC');
+    }
+    if (typeof score !== 'number' || score < 0 || score > scale) {
+      throw rubricError(`Score for "${key}" must be a number from 0 to ${scale}`, 'INVALID_RUBRIC');
+    }
+    given[key] = { score, notes };
+  }
+
+  // Dimensions are read by their key here, whatever metric they normally score
+  const byHand = { dimensions: dimensions.map(({ metric, ...dimension }) => dimension) };
+  const scored = scoreDimensions(
+    Object.fromEntries(Object.entries(given).map(([key, { score }]) => [key, (score / scale) * 100])),
+    byHand
+  );
+  return {
+    dimensions: scored.map((d) => ({ ...d, score: given[d.key].score, notes: given[d.key].notes })),
+    overall: weightedScore(scored)
+  };
+}
+
+export default {
+  BUILT_IN_RUBRICS,
+  DEFAULT_RUBRIC_SLUG,
+  RUBRIC_ERROR_STATUS,
+  builtInRubric,
+  describeRubric,
+  listRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  rubricSnapshot,
+  rubricFromWeights,
+  toRubric,
+  levelFor,
+  scoreDimensions,
+  weightedScore,
+  scoreByHand
+};
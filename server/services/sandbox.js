@@ -0,0 +1,607 @@
+import { spawn, spawnSync } from 'child_process';
+import { existsSync, lstatSync, readlinkSync, statSync } from 'fs';
+import { readFile, readdir, chown, rm, writeFile } from 'fs/promises';
+import { join, resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Process sandbox for untrusted code
+ *
+ * Layers, each applied when the host supports it (Linux only):
+ *  - bubblewrap (bwrap): minimal read-only root (system directories plus the
+ *    toolchains on PATH, so home directories like ~/.ssh are not there), private
+ *    /tmp, scratch dir as the only writable path, project directory hidden, no
+ *    network, private PID namespace
+ *  - per-run unprivileged uid when the server runs as root (commands whose
+ *    toolchain that uid cannot read are refused unless SANDBOX_ALLOW_ROOT=true)
+ *  - rlimits via prlimit: CPU time, address space, process count, file size
+ *  - RSS watchdog polling /proc for memory limits and peak memory
+ *  - scrubbed environment so API keys never reach user code
+ *
+ * Without bwrap and without root (to switch uids) there is NO isolation: code
+ * runs as the server's user with rlimits only, minus the process count, and
+ * can read its files and use the network. getSandboxInfo() reports that, and
+ * every command allowed to run as root, in `errors`.
+ * On other platforms code runs unisolated with only the wall-clock timeout
+ * and output cap, so local development on macOS/Windows keeps working.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
+export const DEFAULT_LIMITS = {
+  timeoutMs: 10000, // wall clock
+  cpuTimeSec: parseInt(process.env.SANDBOX_CPU_SECONDS, 10) || 5,
+  memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB, 10) || 256,
+  maxProcesses: parseInt(process.env.SANDBOX_MAX_PROCESSES, 10) || 32,
+  maxFileSizeMb: 16,
+  maxOutputBytes: 1024 * 1024, // 1MB
+};
+
+const MEMORY_POLL_INTERVAL = 50; // ms
+// `times` samples CPU time per tick and reads 10-20% under what RLIMIT_CPU counted on a
+// busy host; half the limit still tells a real overrun from a plain exit(152)
+const CPU_LIMIT_MEASURE_RATIO = 0.5;
+const UID_BASE = parseInt(process.env.SANDBOX_UID_BASE, 10) || 20000;
+const UID_POOL_SIZE = 1000;
+const ENV_PASSTHROUGH = ['PATH', 'LANG', 'PYENV_ROOT', 'JAVA_HOME', 'GOROOT', 'GOPATH', 'CARGO_HOME', 'RUSTUP_HOME'];
+// Read-only system directories bwrap exposes; toolchains on PATH are added to these
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc'];
+const TIMES_FILE = '.sandbox_times';
+const STDIN_FILE = '.sandbox_stdin';
+
+// Messages runtimes print when they hit our memory limit
+const OUT_OF_MEMORY_PATTERNS = [
+  /MemoryError/,
+  /JavaScript heap out of memory/,
+  /java\.lang\.OutOfMemoryError/,
+  /std::bad_alloc/,
+  /memory allocation of \d+ bytes failed/,
+  /cannot allocate memory/i,
+];
+
+let sandboxInfo = null;
+const bwrapRoots = new Map();
+const uidsInUse = new Set();
+let nextUidOffset = 0;
+
+// command -> whether it runs as the sandbox uid (probed once per command)
+const unprivilegedCommands = new Map();
+// Harmless arguments to probe a command with; --version for everything else
+const PROBE_ARGS = { java: ['-version'], javac: ['-version'], go: ['version'] };
+
+const canRun = (command, args, spawnOptions = {}) => {
+  try {
+    return spawnSync(command, args, { stdio: 'ignore', timeout: 5000, ...spawnOptions }).status === 0;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Detect which isolation layers this host supports (cached)
+ * @returns {{platform, isolation, bwrap, prlimit, network, dropPrivileges, allowRoot, errors}}
+ */
+export function getSandboxInfo() {
+  if (sandboxInfo) {
+    return sandboxInfo;
+  }
+
+  const isLinux = process.platform === 'linux';
+  const isRoot = typeof process.getuid === 'function' && process.getuid() === 0;
+  const mode = process.env.SANDBOX_ISOLATION || 'auto'; // auto | bwrap | rlimit | none
+
+  const dropPrivileges = isLinux && mode !== 'none' && isRoot && process.env.SANDBOX_DROP_PRIVILEGES !== 'false';
+  const probeUid = String(UID_BASE);
+
+  // bwrap runs as the sandbox uid (unprivileged user namespaces), so probe it that way
+  const bwrap = isLinux && ['auto', 'bwrap'].includes(mode)
+    && canRun(
+      'bwrap',
+      ['--ro-bind', '/', '/', '--unshare-all', '--die-with-parent', 'true'],
+      dropPrivileges ? { uid: UID_BASE, gid: UID_BASE } : {}
+    );
+  const prlimit = isLinux && mode !== 'none' && canRun('prlimit', ['--version']);
+  // unshare needs root for the network namespace and drops to the sandbox uid itself
+  const unshareNet = isLinux && mode !== 'none' && !bwrap && isRoot
+    && canRun('unshare', ['--net', ...(dropPrivileges ? ['--setgid', probeUid, '--setuid', probeUid] : []), 'true']);
+
+  if (mode === 'bwrap' && !bwrap) {
+    console.warn('⚠️  SANDBOX_ISOLATION=bwrap but bubblewrap is not usable, falling back to rlimits');
+  }
+  if (isLinux && mode !== 'none' && !prlimit) {
+    console.warn('⚠️  prlimit not found, code runs without CPU/memory/process rlimits');
+  }
+  const errors = [];
+  if (isLinux && mode !== 'none' && !bwrap && !dropPrivileges) {
+    errors.push('NO ISOLATION. Without bubblewrap or root, user code runs as the server\'s own user '
+      + 'with CPU/memory rlimits only: no process limit, and it can read every file this user can '
+      + '(~/.ssh, .env) and use the network. Install bubblewrap before exposing code execution.');
+    console.error(`❌ SANDBOX: ${errors[0]}`);
+  }
+
+  sandboxInfo = {
+    platform: process.platform,
+    isolation: bwrap ? 'bwrap' : prlimit ? 'rlimit' : 'none',
+    bwrap,
+    prlimit,
+    network: !(bwrap || unshareNet),
+    unshareNet,
+    dropPrivileges,
+    // Opt-in for toolchains the sandbox uid cannot read; they are refused otherwise
+    allowRoot: dropPrivileges && process.env.SANDBOX_ALLOW_ROOT === 'true',
+    errors,
+  };
+
+  return sandboxInfo;
+}
+
+/**
+ * Run a command inside the sandbox
+ *
+ * Resolves with { output, error, exitCode, peakMemoryKb, cpuTimeMs } when the
+ * process exits on its own. Rejects with the same fields plus timedOut /
+ * memoryExceeded when a limit is hit or the process fails to start, matching
+ * the contract codeExecutor has always used.
+ *
+ * @param {string} command - Executable to run
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options
+ * @param {string} options.input - Data written to stdin
+ * @param {string} options.workDir - Scratch directory, the only writable path
+ * @param {Object} options.limits - Overrides for DEFAULT_LIMITS
+ * @param {boolean} options.limitAddressSpace - Apply the memory limit as RLIMIT_AS too
+ *   (disable for runtimes like the JVM and V8 that reserve huge virtual ranges)
+ * @param {Object} options.env - Extra environment variables for the process
+ * @param {Array<string>} options.writablePaths - Extra directories to keep writable (e.g. build caches)
+ * @param {boolean} options.controlChannel - Open a bidirectional socket as fd 3 (used by the debugger)
+ * @param {Function} options.onSpawn - Called with { child, control, kill } once the process is started
+ * @returns {Promise<Object>}
+ */
+export async function runSandboxed(command, args, options = {}) {
+  const {
+    input = '', workDir, limitAddressSpace = true, env = {}, writablePaths = [], controlChannel = false, onSpawn,
+  } = options;
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const info = getSandboxInfo();
+  const asRoot = info.dropPrivileges && !runsUnprivileged(command);
+  if (asRoot && !info.allowRoot) {
+    // Rejected like a process that failed to start
+    return Promise.reject({
+      output: '',
+      error: `Refusing to run ${command} as root: the sandbox uid cannot read it. `
+        + 'Install it outside /root, or set SANDBOX_ALLOW_ROOT=true to accept running it unisolated.',
+    });
+  }
+  const uid = info.dropPrivileges && !asRoot ? acquireUid() : null;
+
+  try {
+    if (workDir) {
+      // A previous step (e.g. the compiler) may have left it behind under another uid
+      await rm(join(workDir, TIMES_FILE), { force: true });
+      await writeFile(join(workDir, STDIN_FILE), input || '', { mode: 0o644 });
+      if (uid !== null) {
+        await chown(workDir, uid, uid);
+      }
+    }
+
+    const { argv, spawnUid } = buildCommand(command, args, {
+      info, limits, workDir, limitAddressSpace, uid, writablePaths,
+    });
+    return await superviseProcess(argv, {
+      input, workDir, limits, uid: spawnUid, env, controlChannel, onSpawn,
+    });
+  } finally {
+    if (uid !== null) {
+      await killAllForUid(uid);
+      uidsInUse.delete(uid);
+    }
+  }
+}
+
+/**
+ * Whether a toolchain command works as the sandbox uid. Toolchains installed
+ * under root's home (pyenv, rustup) are unreadable there and fail with
+ * "Permission denied"; such a command is refused, or runs as root when
+ * SANDBOX_ALLOW_ROOT=true. Paths (compiled binaries in the scratch dir) are never probed.
+ */
+function runsUnprivileged(command) {
+  if (command.includes('/')) {
+    return true;
+  }
+  if (!unprivilegedCommands.has(command)) {
+    const probe = (spawnOptions) => canRun(command, PROBE_ARGS[command] || ['--version'], {
+      env: buildEnv(null),
+      ...spawnOptions,
+    });
+    // A command that fails as root too is simply not installed
+    const unprivileged = probe({ uid: UID_BASE, gid: UID_BASE }) || !probe({});
+    if (!unprivileged) {
+      const info = getSandboxInfo();
+      const problem = `${command} is not readable by the sandbox uid (installed under /root?).`;
+      if (info.allowRoot) {
+        info.errors.push(`${problem} SANDBOX_ALLOW_ROOT=true, so ${command} code runs AS ROOT and can read the server's files.`);
+        console.error(`❌ SANDBOX: ${info.errors.at(-1)}`);
+      } else {
+        console.error(`❌ SANDBOX: ${problem} ${command} runs are refused; install it outside /root.`);
+      }
+    }
+    unprivilegedCommands.set(command, unprivileged);
+  }
+  return unprivilegedCommands.get(command);
+}
+
+/**
+ * Build the wrapped command line: [bwrap|unshare ...] sh -c '<run + times>' prlimit ... -- command args
+ * @returns {{argv: Array<string>, spawnUid: number|null}} spawnUid is null when a wrapper drops privileges itself
+ */
+function buildCommand(command, args, { info, limits, workDir, limitAddressSpace, uid, writablePaths }) {
+  let argv = [command, ...args];
+
+  if (info.prlimit) {
+    const rlimits = [
+      `--cpu=${limits.cpuTimeSec}:${limits.cpuTimeSec + 1}`, // SIGXCPU at soft, SIGKILL at hard
+      `--fsize=${limits.maxFileSizeMb * 1024 * 1024}`,
+      '--core=0',
+    ];
+    if (limitAddressSpace) {
+      rlimits.push(`--as=${limits.memoryMb * 1024 * 1024}`);
+    }
+    // RLIMIT_NPROC counts every process of the uid, so it is only safe with a dedicated uid
+    if (uid !== null) {
+      rlimits.push(`--nproc=${limits.maxProcesses}`);
+    }
+    argv = ['prlimit', ...rlimits, '--', ...argv];
+  }
+
+  if (process.platform !== 'linux' || !workDir) {
+    return { argv, spawnUid: uid };
+  }
+
+  // The shell stays outside the rlimits and records the child's CPU time. stdin
+  // comes from a regular file so fs.readFileSync('/dev/stdin') and friends work
+  // (Node hands children a socketpair, which /dev/stdin cannot reopen).
+  argv = ['sh', '-c', `"$@" < ${STDIN_FILE}; rc=$?; { times; } 2>/dev/null > ${TIMES_FILE}; exit $rc`, 'sandbox', ...argv];
+
+  if (info.bwrap) {
+    const hidden = [PROJECT_ROOT, ...(process.env.SANDBOX_HIDE_PATHS || '').split(',')]
+      .map((p) => p.trim())
+      .filter(Boolean)
+      .flatMap((p) => ['--tmpfs', p]);
+
+    argv = [
+      'bwrap',
+      ...getBwrapRoot(uid !== null),
+      '--dev', '/dev',
+      '--proc', '/proc',
+      '--tmpfs', '/tmp',
+      ...hidden,
+      '--bind', workDir, workDir,
+      ...writablePaths.flatMap((p) => ['--bind', p, p]),
+      '--chdir', workDir,
+      '--unshare-all',
+      '--die-with-parent',
+      '--new-session',
+      ...argv,
+    ];
+  } else if (info.unshareNet) {
+    const setIds = uid !== null ? ['--setgid', String(uid), '--setuid', String(uid)] : [];
+    return { argv: ['unshare', '--net', ...setIds, '--', ...argv], spawnUid: null };
+  }
+
+  return { argv, spawnUid: uid };
+}
+
+/**
+ * bwrap arguments for the read-only root: system directories (symlinks such as
+ * /bin -> usr/bin on merged-/usr systems stay symlinks) and the PATH entries
+ * and toolchain homes outside them. bwrap running as the sandbox uid cannot
+ * bind what that uid cannot reach, so those runs only get world-reachable paths.
+ * @param {boolean} asSandboxUid
+ */
+function getBwrapRoot(asSandboxUid) {
+  if (bwrapRoots.has(asSandboxUid)) {
+    return bwrapRoots.get(asSandboxUid);
+  }
+
+  const isUnder = (p, root) => p === root || p.startsWith(`${root}/`);
+  const env = buildEnv(null);
+  const toolchainPaths = [...new Set([
+    ...(env.PATH || '').split(':'),
+    ...ENV_PASSTHROUGH.filter((key) => key !== 'PATH' && key !== 'LANG').map((key) => env[key]),
+  ])]
+    .filter((p) => p && p.startsWith('/') && existsSync(p))
+    .filter((p) => !SYSTEM_PATHS.some((root) => isUnder(p, root)))
+    .filter((p) => !asSandboxUid || worldReachable(p));
+
+  const args = [
+    ...SYSTEM_PATHS.filter((p) => existsSync(p)).flatMap((p) => (lstatSync(p).isSymbolicLink()
+      ? ['--symlink', readlinkSync(p), p]
+      : ['--ro-bind', p, p])),
+    // A toolchain home already brings the PATH entries inside it
+    ...toolchainPaths
+      .filter((p) => !toolchainPaths.some((other) => other !== p && isUnder(p, other)))
+      .flatMap((p) => ['--ro-bind', p, p]),
+  ];
+  bwrapRoots.set(asSandboxUid, args);
+  return args;
+}
+
+/**
+ * Whether other users can traverse every directory down to a path
+ */
+function worldReachable(path) {
+  for (let p = path; p !== dirname(p); p = dirname(p)) {
+    if (!(statSync(p).mode & 0o001)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Spawn the wrapped process and enforce wall-clock, memory and output limits
+ */
+function superviseProcess([command, ...args], { input, workDir, limits, uid, env, controlChannel, onSpawn }) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    const child = spawn(command, args, {
+      cwd: workDir,
+      env: { ...buildEnv(workDir), ...env },
+      detached: process.platform !== 'win32', // own process group so we can kill the whole tree
+      stdio: controlChannel ? ['pipe', 'pipe', 'pipe', 'pipe'] : 'pipe',
+      ...(uid !== null ? { uid, gid: uid } : {}),
+    });
+    const control = controlChannel ? child.stdio[3] : null;
+
+    let output = '';
+    let errorOutput = '';
+    let peakMemoryKb = 0;
+    let settled = false;
+    let memoryTimer = null;
+
+    const metrics = async () => ({
+      peakMemoryKb: process.platform === 'linux' ? peakMemoryKb : null, // sampled, very short runs may read 0
+      cpuTimeMs: await readCpuTime(workDir),
+    });
+
+    const finish = async (outcome, payload) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(wallTimer);
+      clearInterval(memoryTimer);
+      const result = { ...payload, ...(await metrics()) };
+      outcome === 'resolve' ? resolvePromise(result) : rejectPromise(result);
+    };
+
+    const killTree = () => {
+      try {
+        if (child.pid && process.platform !== 'win32') {
+          process.kill(-child.pid, 'SIGKILL');
+        } else {
+          child.kill('SIGKILL');
+        }
+      } catch {
+        // Already exited
+      }
+    };
+
+    const wallTimer = setTimeout(() => {
+      killTree();
+      finish('reject', {
+        output: output.substring(0, limits.maxOutputBytes),
+        error: `Execution timed out (${limits.timeoutMs / 1000}s limit)`,
+        timedOut: true,
+      });
+    }, limits.timeoutMs);
+
+    if (process.platform === 'linux' && child.pid) {
+      memoryTimer = setInterval(async () => {
+        const rssKb = await readTreeMemory(child.pid);
+        peakMemoryKb = Math.max(peakMemoryKb, rssKb);
+        if (rssKb > limits.memoryMb * 1024) {
+          killTree();
+          finish('reject', {
+            output: output.substring(0, limits.maxOutputBytes),
+            error: `Memory limit exceeded (${limits.memoryMb}MB)`,
+            memoryExceeded: true,
+          });
+        }
+      }, MEMORY_POLL_INTERVAL);
+    }
+
+    child.stdout.on('data', (data) => {
+      output += data.toString();
+      if (output.length > limits.maxOutputBytes) {
+        killTree();
+        finish('reject', {
+          output: output.substring(0, limits.maxOutputBytes),
+          error: `Output size limit exceeded (${Math.round(limits.maxOutputBytes / 1024 / 1024)}MB)`,
+        });
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      if (errorOutput.length < limits.maxOutputBytes) {
+        errorOutput += data.toString();
+      }
+    });
+
+    // Always close stdin so programs that read it don't block until the timeout
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || '');
+
+    // Background children would keep the pipes open until the wall-clock timeout
+    child.on('exit', () => {
+      killTree();
+      setTimeout(() => {
+        child.stdout.destroy();
+        child.stderr.destroy();
+        control?.destroy();
+      }, 200);
+    });
+
+    child.on('close', async (code, signal) => {
+      const trimmedOutput = output.trim();
+      const trimmedError = errorOutput.trim();
+
+      // The signal itself when unwrapped; through the shell 128 + SIGXCPU(24),
+      // which a program can also exit with, so the recorded CPU time must agree
+      const cpuLimitHit = signal === 'SIGXCPU'
+        || (code === 152 && (await readCpuTime(workDir)) >= limits.cpuTimeSec * 1000 * CPU_LIMIT_MEASURE_RATIO);
+      if (cpuLimitHit) {
+        finish('reject', {
+          output: trimmedOutput,
+          error: `CPU time limit exceeded (${limits.cpuTimeSec}s limit)`,
+          timedOut: true,
+        });
+        return;
+      }
+
+      if (code !== 0 && OUT_OF_MEMORY_PATTERNS.some((pattern) => pattern.test(trimmedError))) {
+        finish('reject', {
+          output: trimmedOutput,
+          error: `Memory limit exceeded (${limits.memoryMb}MB)`,
+          memoryExceeded: true,
+        });
+        return;
+      }
+
+      finish('resolve', {
+        output: trimmedOutput,
+        error: code === 0 ? '' : trimmedError || `Process exited with code ${code ?? signal}`,
+        exitCode: code,
+      });
+    });
+
+    child.on('error', (err) => {
+      finish('reject', {
+        output: '',
+        error: `Failed to start process: ${err.message}`,
+      });
+    });
+
+    if (onSpawn && child.pid) {
+      onSpawn({ child, control, kill: killTree });
+    }
+  });
+}
+
+/**
+ * Minimal environment for user code - never pass the server's secrets through
+ */
+function buildEnv(workDir) {
+  const env = {
+    HOME: workDir || process.env.HOME,
+    TMPDIR: workDir || process.env.TMPDIR,
+    LANG: 'C.UTF-8',
+  };
+
+  ENV_PASSTHROUGH.forEach((key) => {
+    if (process.env[key]) {
+      env[key] = process.env[key];
+    }
+  });
+
+  // pyenv and rustup shims resolve the real toolchain through $HOME, which we replace
+  if (process.env.HOME) {
+    env.PYENV_ROOT = env.PYENV_ROOT || join(process.env.HOME, '.pyenv');
+    env.RUSTUP_HOME = env.RUSTUP_HOME || join(process.env.HOME, '.rustup');
+    env.CARGO_HOME = env.CARGO_HOME || join(process.env.HOME, '.cargo');
+  }
+
+  return env;
+}
+
+/**
+ * Sum the resident memory of a process and all of its descendants
+ */
+async function readTreeMemory(rootPid) {
+  try {
+    const entries = await readdir('/proc');
+    const parents = new Map();
+
+    await Promise.all(entries.filter((name) => /^\d+$/.test(name)).map(async (pid) => {
+      try {
+        const stat = await readFile(`/proc/${pid}/stat`, 'utf8');
+        // The command name may contain spaces, fields resume after the last ')'
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        parents.set(Number(pid), Number(fields[1]));
+      } catch {
+        // Process exited while we were scanning
+      }
+    }));
+
+    const tree = new Set([rootPid]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const [pid, ppid] of parents) {
+        if (!tree.has(pid) && tree.has(ppid)) {
+          tree.add(pid);
+          grew = true;
+        }
+      }
+    }
+
+    let totalKb = 0;
+    await Promise.all([...tree].map(async (pid) => {
+      try {
+        const status = await readFile(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/VmRSS:\s+(\d+)/);
+        if (match) totalKb += Number(match[1]);
+      } catch {
+        // Process exited
+      }
+    }));
+
+    return totalKb;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Read the child CPU time (user + sys) the wrapper shell recorded with `times`
+ */
+async function readCpuTime(workDir) {
+  if (!workDir || process.platform !== 'linux') {
+    return null;
+  }
+
+  try {
+    const content = await readFile(join(workDir, TIMES_FILE), 'utf8');
+    // Second line holds the children's user and system time, e.g. "0m1.620000s 0m0.010000s"
+    const childLine = content.trim().split('\n')[1] || '';
+    const times = [...childLine.matchAll(/(\d+)m([\d.]+)s/g)]
+      .map(([, minutes, seconds]) => Number(minutes) * 60 + Number(seconds));
+    return times.length ? Math.round(times.reduce((sum, t) => sum + t, 0) * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick an unused uid for this run so runs cannot signal or starve each other
+ */
+function acquireUid() {
+  for (let i = 0; i < UID_POOL_SIZE; i++) {
+    const uid = UID_BASE + ((nextUidOffset + i) % UID_POOL_SIZE);
+    if (!uidsInUse.has(uid)) {
+      nextUidOffset = (nextUidOffset + i + 1) % UID_POOL_SIZE;
+      uidsInUse.add(uid);
+      return uid;
+    }
+  }
+  throw new Error('Sandbox uid pool exhausted');
+}
+
+/**
+ * Kill anything the run left behind (daemonized or setsid'd children)
+ */
+function killAllForUid(uid) {
+  return new Promise((resolvePromise) => {
+    const killer = spawn('sh', ['-c', 'kill -9 -1 2>/dev/null; true'], { uid, gid: uid, stdio: 'ignore' });
+    killer.on('close', () => resolvePromise());
+    killer.on('error', () => resolvePromise());
+  });
+}
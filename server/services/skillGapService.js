@@ -3,7 +3,47 @@
  * Domain-agnostic skill gap analyzer for any role or industry
  */
 
-import { createChatCompletion } from './aiProvider.js';
+import { createStructuredCompletion } from './structuredOutput.js';
+import { renderPrompt } from './promptRegistry.js';
+import resumeParserService from './resumeParserService.js';
+
+const namedItems = (key) => ({
+  type: 'array',
+  items: { type: 'object', required: [key], properties: { [key]: { type: 'string', minLength: 1 } } }
+});
+
+// Shape the prompt asks for; optional detail is defaulted by normalizeSkillGap
+const SKILL_GAP_SCHEMA = {
+  type: 'object',
+  required: ['matchScore', 'overallAssessment', 'matchedSkills', 'missingSkills'],
+  properties: {
+    matchScore: { type: 'number', minimum: 0, maximum: 100 },
+    overallAssessment: { type: 'string' },
+    matchedSkills: namedItems('skill'),
+    missingSkills: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['skill'],
+        properties: {
+          skill: { type: 'string', minLength: 1 },
+          priority: { type: 'string', enum: ['Critical', 'High', 'Medium', 'Low'] }
+        }
+      }
+    },
+    partialCoverage: namedItems('skill'),
+    recommendedUpskilling: namedItems('area'),
+    experienceAlignment: { type: 'object' },
+    certificationGaps: namedItems('certification'),
+    strengthsToEmphasize: { type: 'array', items: { type: 'string' } },
+    resumeImprovementSuggestions: { type: 'array', items: { type: 'object' } },
+    keywordOptimization: {
+      type: 'object',
+      properties: { atsScore: { type: 'number', minimum: 0, maximum: 100 } }
+    },
+    readinessAssessment: { type: 'object' }
+  }
+};
 
 /**
  * Analyze skill gaps between resume and job requirements
@@ -12,48 +52,28 @@ import { createChatCompletion } from './aiProvider.js';
  * @param {string} resumeText - Parsed resume content
  * @param {string} jobDescription - Target job description
  * @param {string} targetRole - Optional target role for context
+ * @param {Object} options - { userId } the call is metered to
  * @returns {Promise<Object>} Structured skill gap analysis
  */
-export async function analyzeSkillGap(resumeText, jobDescription, targetRole = '') {
-  const prompt = buildSkillGapPrompt(resumeText, jobDescription, targetRole);
+export async function analyzeSkillGap(resumeText, jobDescription, targetRole = '', options = {}) {
+  const prompt = renderPrompt('skillGap.analysis', {
+    resumeText,
+    jobDescription,
+    targetRoleLine: targetRole ? `**TARGET ROLE:** ${targetRole}\n` : ''
+  }, { unitId: options.userId });
 
   try {
     console.log('🔍 Starting universal skill gap analysis...');
 
-    const response = await createChatCompletion([
-      {
-        role: 'system',
-        content: `You are an expert career analyst and skill assessment specialist with deep expertise across ALL industries and domains including:
-- Technology (Software Engineering, Data Science, DevOps, Cybersecurity)
-- Business (Management, Finance, Marketing, Sales, Operations)
-- Healthcare (Clinical, Administrative, Research)
-- Design (UX/UI, Graphic Design, Product Design)
-- Engineering (Mechanical, Civil, Electrical, Industrial)
-- Education & Training
-- Legal & Compliance
-- Creative & Media
-- And all other professional domains
-
-Your task is to perform domain-agnostic skill gap analysis that:
-1. Works for ANY job role across ANY industry
-2. Identifies technical AND soft skills gaps
-3. Provides actionable, specific recommendations
-4. Considers domain-specific competencies
-5. Returns structured, parseable JSON output`
-      },
-      {
-        role: 'user',
-        content: prompt
-      }
-    ], {
+    const response = await createStructuredCompletion('skillGap', prompt.messages, {
+      schema: SKILL_GAP_SCHEMA,
       temperature: 0.6, // Balance between creativity and precision
-      max_tokens: 3000
-    }, {
-      feature: 'skill-gap-analysis',
-      skipCache: false
+      max_tokens: 3000,
+      pii: resumeParserService.extractContact(resumeText),
+      userId: options.userId
     });
 
-    const skillGapData = parseSkillGapResponse(response.content);
+    const skillGapData = normalizeSkillGap(response.data);
     
     console.log(`✅ Skill gap analysis complete via ${response.provider}`);
     console.log(`   Match Score: ${skillGapData.matchScore}%`);
@@ -65,7 +85,8 @@ Your task is to perform domain-agnostic skill gap analysis that:
       metadata: {
         provider: response.provider,
         cached: response.cached,
-        model: response.model
+        model: response.model,
+        promptVersion: prompt.id
       }
     };
 
@@ -86,227 +107,68 @@ Your task is to perform domain-agnostic skill gap analysis that:
 }
 
 /**
- * Build comprehensive skill gap analysis prompt
+ * Fill in defaults for the optional parts of a schema-valid skill gap reply
  */
-function buildSkillGapPrompt(resumeText, jobDescription, targetRole) {
-  return `**UNIVERSAL SKILL GAP ANALYSIS**
-
-**CANDIDATE RESUME:**
-${resumeText}
-
-**TARGET JOB DESCRIPTION:**
-${jobDescription}
-
-${targetRole ? `**TARGET ROLE:** ${targetRole}\n` : ''}
-
-**ANALYSIS TASK:**
-
-Perform a comprehensive, domain-agnostic skill gap analysis. This analysis must work for ANY role in ANY industry (tech, business, healthcare, finance, creative, etc.).
-
-**REQUIRED OUTPUT (STRICT JSON FORMAT):**
-
-\`\`\`json
-{
-  "matchScore": 75,
-  "overallAssessment": "2-3 sentence summary of overall match quality and main findings",
-  "matchedSkills": [
-    {
-      "skill": "Specific skill name",
-      "category": "Technical|Soft|Tool|Domain|Certification",
-      "proficiencyLevel": "Beginner|Intermediate|Advanced|Expert",
-      "evidenceFromResume": "Quote or reference from resume showing this skill"
-    }
-  ],
-  "missingSkills": [
-    {
-      "skill": "Specific missing skill name",
-      "category": "Technical|Soft|Tool|Domain|Certification",
-      "priority": "Critical|High|Medium|Low",
-      "requiredLevel": "Beginner|Intermediate|Advanced|Expert",
-      "reason": "Why this skill is important for the role"
-    }
-  ],
-  "partialCoverage": [
-    {
-      "skill": "Skill name",
-      "currentLevel": "Current proficiency",
-      "requiredLevel": "Required proficiency",
-      "gap": "Specific gap description",
-      "improvementAction": "How to bridge this gap"
-    }
-  ],
-  "recommendedUpskilling": [
-    {
-      "area": "Skill or competency area",
-      "priority": "Critical|High|Medium|Low",
-      "reason": "Why to focus on this",
-      "suggestedResources": ["Resource 1", "Resource 2"],
-      "estimatedTime": "Time to acquire proficiency"
-    }
-  ],
-  "experienceAlignment": {
-    "yearsRequired": "X-Y years",
-    "yearsInResume": "X years",
-    "match": "Strong|Moderate|Weak",
-    "gaps": ["Specific experience gap 1", "Gap 2"]
-  },
-  "certificationGaps": [
-    {
-      "certification": "Certification name",
-      "importance": "Required|Preferred|Nice-to-have",
-      "alternatives": ["Alternative cert 1", "Alternative 2"]
-    }
-  ],
-  "strengthsToEmphasize": [
-    "Unique strength/skill that stands out and should be highlighted in interviews"
-  ],
-  "resumeImprovementSuggestions": [
-    {
-      "area": "What to improve",
-      "suggestion": "Specific actionable recommendation",
-      "example": "Concrete example of improvement"
+function normalizeSkillGap(parsed) {
+  return {
+    matchScore: parsed.matchScore || 0,
+    overallAssessment: parsed.overallAssessment || 'Analysis completed',
+    matchedSkills: (parsed.matchedSkills || []).map(s => ({
+      skill: s.skill || 'Unknown',
+      category: s.category || 'General',
+      proficiencyLevel: s.proficiencyLevel || 'Unknown',
+      evidenceFromResume: s.evidenceFromResume || 'N/A'
+    })),
+    missingSkills: (parsed.missingSkills || []).map(s => ({
+      skill: s.skill || 'Unknown',
+      category: s.category || 'General',
+      priority: s.priority || 'Medium',
+      requiredLevel: s.requiredLevel || 'Intermediate',
+      reason: s.reason || 'Required for role'
+    })),
+    partialCoverage: (parsed.partialCoverage || []).map(s => ({
+      skill: s.skill || 'Unknown',
+      currentLevel: s.currentLevel || 'Beginner',
+      requiredLevel: s.requiredLevel || 'Advanced',
+      gap: s.gap || 'Needs improvement',
+      improvementAction: s.improvementAction || 'Practice and training'
+    })),
+    recommendedUpskilling: (parsed.recommendedUpskilling || []).map(r => ({
+      area: r.area || 'General',
+      priority: r.priority || 'Medium',
+      reason: r.reason || 'Valuable for growth',
+      suggestedResources: r.suggestedResources || [],
+      estimatedTime: r.estimatedTime || 'Varies'
+    })),
+    experienceAlignment: parsed.experienceAlignment || {
+      yearsRequired: 'Not specified',
+      yearsInResume: 'Not specified',
+      match: 'Unknown',
+      gaps: []
+    },
+    certificationGaps: (parsed.certificationGaps || []).map(c => ({
+      certification: c.certification || 'Unknown',
+      importance: c.importance || 'Preferred',
+      alternatives: c.alternatives || []
+    })),
+    strengthsToEmphasize: parsed.strengthsToEmphasize || [],
+    resumeImprovementSuggestions: (parsed.resumeImprovementSuggestions || []).map(s => ({
+      area: s.area || 'General',
+      suggestion: s.suggestion || 'Review and improve',
+      example: s.example || 'N/A'
+    })),
+    keywordOptimization: parsed.keywordOptimization || {
+      criticalKeywordsMissing: [],
+      keywordsToAdd: [],
+      atsScore: 0
+    },
+    readinessAssessment: parsed.readinessAssessment || {
+      currentReadiness: '0%',
+      timeToReadiness: 'Unknown',
+      quickWins: [],
+      longTermGoals: []
     }
-  ],
-  "keywordOptimization": {
-    "criticalKeywordsMissing": ["keyword1", "keyword2"],
-    "keywordsToAdd": ["Where and how to add missing keywords"],
-    "atsScore": 0-100
-  },
-  "readinessAssessment": {
-    "currentReadiness": "0-100%",
-    "timeToReadiness": "Estimated time to become job-ready",
-    "quickWins": ["Fast improvements that boost match"],
-    "longTermGoals": ["Skills requiring extended learning"]
-  }
-}
-\`\`\`
-
-**CRITICAL INSTRUCTIONS:**
-
-1. **DOMAIN-AGNOSTIC**: Adapt analysis to ANY role/industry automatically
-2. **BE SPECIFIC**: Use exact skill names from the JD, not generic categories
-3. **EVIDENCE-BASED**: Reference specific parts of resume for matched skills
-4. **ACTIONABLE**: Give concrete steps, not vague advice
-5. **COMPREHENSIVE**: Cover technical skills, soft skills, tools, domain knowledge, certifications
-6. **HONEST**: If match is weak, say so. If strong, highlight it.
-7. **STRUCTURED**: Return ONLY valid JSON, no extra text
-
-**EXAMPLES OF SKILLS ACROSS DOMAINS:**
-- Tech: Python, React, AWS, Machine Learning, Agile, CI/CD
-- Business: Strategy Planning, Budget Management, Stakeholder Communication
-- Healthcare: Patient Care, HIPAA Compliance, Medical Terminology
-- Design: Figma, User Research, Prototyping, Design Systems
-- Finance: Financial Modeling, Risk Analysis, Bloomberg Terminal
-- Legal: Contract Negotiation, Regulatory Compliance
-
-Generate the complete skill gap analysis now:`;
-}
-
-/**
- * Parse AI response into structured skill gap data
- */
-function parseSkillGapResponse(content) {
-  try {
-    // Extract JSON from markdown code blocks if present
-    const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    const jsonString = jsonMatch ? jsonMatch[1] : content;
-
-    const parsed = JSON.parse(jsonString);
-
-    // Validate and normalize structure
-    return {
-      matchScore: parsed.matchScore || 0,
-      overallAssessment: parsed.overallAssessment || 'Analysis completed',
-      matchedSkills: (parsed.matchedSkills || []).map(s => ({
-        skill: s.skill || 'Unknown',
-        category: s.category || 'General',
-        proficiencyLevel: s.proficiencyLevel || 'Unknown',
-        evidenceFromResume: s.evidenceFromResume || 'N/A'
-      })),
-      missingSkills: (parsed.missingSkills || []).map(s => ({
-        skill: s.skill || 'Unknown',
-        category: s.category || 'General',
-        priority: s.priority || 'Medium',
-        requiredLevel: s.requiredLevel || 'Intermediate',
-        reason: s.reason || 'Required for role'
-      })),
-      partialCoverage: (parsed.partialCoverage || []).map(s => ({
-        skill: s.skill || 'Unknown',
-        currentLevel: s.currentLevel || 'Beginner',
-        requiredLevel: s.requiredLevel || 'Advanced',
-        gap: s.gap || 'Needs improvement',
-        improvementAction: s.improvementAction || 'Practice and training'
-      })),
-      recommendedUpskilling: (parsed.recommendedUpskilling || []).map(r => ({
-        area: r.area || 'General',
-        priority: r.priority || 'Medium',
-        reason: r.reason || 'Valuable for growth',
-        suggestedResources: r.suggestedResources || [],
-        estimatedTime: r.estimatedTime || 'Varies'
-      })),
-      experienceAlignment: parsed.experienceAlignment || {
-        yearsRequired: 'Not specified',
-        yearsInResume: 'Not specified',
-        match: 'Unknown',
-        gaps: []
-      },
-      certificationGaps: (parsed.certificationGaps || []).map(c => ({
-        certification: c.certification || 'Unknown',
-        importance: c.importance || 'Preferred',
-        alternatives: c.alternatives || []
-      })),
-      strengthsToEmphasize: parsed.strengthsToEmphasize || [],
-      resumeImprovementSuggestions: (parsed.resumeImprovementSuggestions || []).map(s => ({
-        area: s.area || 'General',
-        suggestion: s.suggestion || 'Review and improve',
-        example: s.example || 'N/A'
-      })),
-      keywordOptimization: parsed.keywordOptimization || {
-        criticalKeywordsMissing: [],
-        keywordsToAdd: [],
-        atsScore: 0
-      },
-      readinessAssessment: parsed.readinessAssessment || {
-        currentReadiness: '0%',
-        timeToReadiness: 'Unknown',
-        quickWins: [],
-        longTermGoals: []
-      }
-    };
-  } catch (error) {
-    console.error('Error parsing skill gap response:', error);
-    console.error('Raw content:', content);
-    
-    // Return minimal valid structure
-    return {
-      matchScore: 0,
-      overallAssessment: 'Unable to parse detailed analysis',
-      matchedSkills: [],
-      missingSkills: [],
-      partialCoverage: [],
-      recommendedUpskilling: [],
-      experienceAlignment: {
-        yearsRequired: 'Unknown',
-        yearsInResume: 'Unknown',
-        match: 'Unknown',
-        gaps: []
-      },
-      certificationGaps: [],
-      strengthsToEmphasize: [],
-      resumeImprovementSuggestions: [],
-      keywordOptimization: {
-        criticalKeywordsMissing: [],
-        keywordsToAdd: [],
-        atsScore: 0
-      },
-      readinessAssessment: {
-        currentReadiness: '0%',
-        timeToReadiness: 'Unknown',
-        quickWins: [],
-        longTermGoals: []
-      }
-    };
-  }
+  };
 }
 
 /**
@@ -0,0 +1,157 @@
+/**
+ * Structured Output - JSON completions checked against a schema
+ *
+ *   const { data } = await createStructuredCompletion('mockInterview', messages, {
+ *     schema: QUESTION_SCHEMA,
+ *     max_tokens: 400
+ *   });
+ *
+ * The reply is parsed as JSON (markdown fences and surrounding prose are
+ * tolerated) and validated with utils/jsonSchema.js. When it doesn't parse or
+ * validate, the model is shown its reply and the problems and asked again, up
+ * to `maxRepairs` times. After that the call fails with code
+ * LLM_INVALID_OUTPUT, so callers fall back on purpose instead of on a
+ * half-parsed object. Per-feature counts are kept for getValidationStats().
+ * A streamed reply (options.onEvent) that gets repaired is followed by a
+ * `reset` event, so the repair's tokens replace it rather than add to it.
+ */
+
+import { createChatCompletion } from './llmGateway.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+
+export const INVALID_OUTPUT_CODE = 'LLM_INVALID_OUTPUT';
+
+const DEFAULT_MAX_REPAIRS = 1;
+
+// Validation problems quoted back to the model / kept for stats
+const MAX_REPORTED_ERRORS = 10;
+
+const validationStats = {};
+
+function getStats(feature) {
+  if (!validationStats[feature]) {
+    validationStats[feature] = {
+      requests: 0,
+      invalid: 0,   // first reply failed to parse or validate
+      repaired: 0,  // ...but a repair attempt fixed it
+      failed: 0,    // still invalid after every repair attempt
+      lastErrors: [],
+      lastInvalidAt: null
+    };
+  }
+  return validationStats[feature];
+}
+
+/**
+ * Parse the JSON value in a model reply
+ * Accepts bare JSON, a ```json fenced block, or an object/array with prose around it
+ * @throws {SyntaxError} when no JSON value can be found
+ */
+export function extractJSON(text) {
+  const trimmed = String(text ?? '').trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidate = fenced ? fenced[1] : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      throw error;
+    }
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+function buildRepairPrompt(errors, schema) {
+  return `Your previous reply could not be used:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Reply again with ONLY the corrected JSON (no markdown, no commentary), matching this JSON schema:
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Chat completion whose reply must be JSON matching `options.schema`
+ * @param {string} feature - Gateway feature name
+ * @param {Array} messages - Chat messages; the prompt should already describe the JSON shape
+ * @param {Object} options - schema, maxRepairs (default 1), plus any gateway option
+ * @returns {Promise<Object>} The gateway response plus `data` (the parsed value) and `repairs`
+ * @throws {Error} code LLM_INVALID_OUTPUT with `validationErrors` and `content` (last reply);
+ *   gateway errors (LLM_UNAVAILABLE, ...) pass through unchanged
+ */
+export async function createStructuredCompletion(feature, messages, options = {}) {
+  const { schema, maxRepairs = DEFAULT_MAX_REPAIRS, ...completionOptions } = options;
+  const stats = getStats(feature);
+  stats.requests++;
+
+  let conversation = messages;
+  let response = null;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    response = await createChatCompletion(feature, conversation, completionOptions);
+
+    try {
+      const data = extractJSON(response.content);
+      errors = validateSchema(schema, data);
+      if (errors.length === 0) {
+        if (attempt > 0) stats.repaired++;
+        return { ...response, data, repairs: attempt };
+      }
+    } catch (error) {
+      errors = [`reply is not valid JSON (${error.message})`];
+    }
+
+    errors = errors.slice(0, MAX_REPORTED_ERRORS);
+    if (attempt === 0) {
+      stats.invalid++;
+      stats.lastErrors = errors;
+      stats.lastInvalidAt = new Date();
+    }
+    console.warn(`⚠️  ${feature}: invalid structured output (attempt ${attempt + 1}/${maxRepairs + 1}): ${errors.slice(0, 3).join('; ')}`);
+    if (attempt < maxRepairs) {
+      completionOptions.onEvent?.('reset', { provider: response.provider, reason: 'invalid structured output' });
+    }
+
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: buildRepairPrompt(errors, schema) }
+    ];
+  }
+
+  stats.failed++;
+  const error = new Error(`${feature} returned invalid structured output after ${maxRepairs + 1} attempts: ${errors[0]}`);
+  error.code = INVALID_OUTPUT_CODE;
+  error.validationErrors = errors;
+  error.content = response.content;
+  throw error;
+}
+
+/**
+ * Per-feature validation counts, with invalid/repair/failure rates
+ */
+export function getValidationStats() {
+  return Object.fromEntries(Object.entries(validationStats).map(([feature, stats]) => [
+    feature,
+    {
+      ...stats,
+      invalidRate: stats.requests ? stats.invalid / stats.requests : 0,
+      failureRate: stats.requests ? stats.failed / stats.requests : 0
+    }
+  ]));
+}
+
+export function resetValidationStats() {
+  Object.keys(validationStats).forEach((feature) => delete validationStats[feature]);
+}
+
+export default {
+  createStructuredCompletion,
+  extractJSON,
+  getValidationStats,
+  resetValidationStats,
+  INVALID_OUTPUT_CODE
+};
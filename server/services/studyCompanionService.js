@@ -0,0 +1,421 @@
+/**
+ * Study Companion Service - multi-turn tutoring chats with tool use
+ *
+ * Conversations are stored per user (CompanionConversation). Each question is
+ * answered with the conversation so far: once the unsummarized messages pass
+ * CONFIG.maxContextChars, everything but the most recent ones is folded into a
+ * running summary.
+ *
+ * The model can ask for tools (companionTools.js) by replying with a
+ * {"tool_calls": [...]} JSON object. Results are numbered across the
+ * conversation and the final answer cites them as [n]; the citations the
+ * answer actually uses are returned with it. Streaming callers get:
+ *   token { text, provider }           answer text
+ *   reset { provider, reason }         drop the text so far (it was a tool call, or a fallback follows)
+ *   tool  { ref, tool, arguments, summary }  a tool result the answer may cite
+ *
+ * Without an LLM the companion answers from the same tools with fixed wording.
+ */
+
+import mongoose from 'mongoose';
+import CompanionConversation from '../models/CompanionConversation.js';
+import MistakePattern from '../models/MistakePattern.js';
+import Progress from '../models/Progress.js';
+import { createChatCompletion, isFeatureAvailable } from './llmGateway.js';
+import { BUDGET_ERROR_CODE } from './aiUsageService.js';
+import { renderPrompt } from './promptRegistry.js';
+import { extractJSON } from './structuredOutput.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+import { describeTools, runTool, TOOL_NAMES } from './companionTools.js';
+
+export const CONVERSATION_NOT_FOUND_CODE = 'COMPANION_CONVERSATION_NOT_FOUND';
+
+const CONFIG = {
+  maxToolRounds: 3,
+  maxCallsPerRound: 4,
+  maxToolResultChars: 3000,
+  // Summarize once the unsummarized messages are longer than this...
+  maxContextChars: 12000,
+  // ...keeping this many recent messages verbatim
+  keepRecentMessages: 8,
+  // Hard cap on history sent to the model if summarizing fails
+  maxHistoryMessages: 24
+};
+
+const TOOL_CALLS_SCHEMA = {
+  type: 'object',
+  required: ['tool_calls'],
+  properties: {
+    tool_calls: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['tool'],
+        properties: {
+          tool: { type: 'string', enum: TOOL_NAMES },
+          arguments: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+function notFound() {
+  const error = new Error('Conversation not found');
+  error.code = CONVERSATION_NOT_FOUND_CODE;
+  return error;
+}
+
+async function findConversation(userId, conversationId) {
+  if (!mongoose.isValidObjectId(conversationId)) {
+    throw notFound();
+  }
+  const conversation = await CompanionConversation.findOne({ _id: conversationId, userId });
+  if (!conversation) {
+    throw notFound();
+  }
+  return conversation;
+}
+
+/**
+ * Level, weak topics and accuracy from the learner's recent submissions
+ */
+async function getLearnerProfile(userId) {
+  const [progress, mistakeProfile] = await Promise.all([
+    Progress.find({ userId }).limit(50).sort({ createdAt: -1 }),
+    MistakePattern.findOne({ userId })
+  ]);
+
+  const weakTopics = mistakeProfile?.getTopWeaknesses(3) || [];
+  const accuracy = progress.reduce((sum, p) => sum + (p.isCorrect ? 1 : 0), 0) / progress.length || 0;
+  const userLevel = accuracy > 0.7 ? 'advanced' : accuracy > 0.4 ? 'intermediate' : 'beginner';
+
+  return { userLevel, weakTopics, accuracy };
+}
+
+/**
+ * The reply's tool calls, or null when it is an answer
+ */
+function parseToolCalls(content) {
+  const text = content.trim();
+  // Answers may contain JSON examples; only a reply that *is* JSON counts
+  if (!text.startsWith('{') && !text.startsWith('```')) {
+    return null;
+  }
+
+  try {
+    const parsed = extractJSON(text);
+    if (validateSchema(TOOL_CALLS_SCHEMA, parsed).length > 0) {
+      return null;
+    }
+    return parsed.tool_calls.slice(0, CONFIG.maxCallsPerRound)
+      .map((call) => ({ tool: call.tool, arguments: call.arguments || {} }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run a round of tool calls and append their numbered results to the conversation
+ * @returns {Promise<Array>} { ref, tool, arguments, summary, data } per call
+ */
+async function runToolRound(conversation, userId, calls, onEvent) {
+  const results = [];
+
+  for (const call of calls) {
+    const { summary, data } = await runTool(userId, call.tool, call.arguments);
+    const citation = { ref: ++conversation.toolResultCount, tool: call.tool, arguments: call.arguments, summary };
+
+    results.push({ ...citation, data });
+    onEvent?.('tool', citation);
+  }
+
+  conversation.messages.push({
+    role: 'tool',
+    content: results.map(({ ref, tool, arguments: args, summary, data }) =>
+      `[${ref}] ${tool}(${JSON.stringify(args)}): ${summary}` +
+      (data ? `\n${JSON.stringify(data).slice(0, CONFIG.maxToolResultChars)}` : '')
+    ).join('\n\n'),
+    citations: results.map(({ data, ...citation }) => citation)
+  });
+  return results;
+}
+
+function toChatMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'user', content: `Tool results:\n${message.content}` };
+  }
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Fold older messages into the running summary when the context gets long
+ */
+async function summarizeIfNeeded(conversation, userId, signal) {
+  const pending = conversation.messages.slice(conversation.summarizedCount);
+  const chars = pending.reduce((total, message) => total + message.content.length, 0);
+  if (chars <= CONFIG.maxContextChars || pending.length <= CONFIG.keepRecentMessages) {
+    return;
+  }
+
+  const cut = conversation.messages.length - CONFIG.keepRecentMessages;
+  const transcript = conversation.messages.slice(conversation.summarizedCount, cut)
+    .map((message) => `${message.role === 'user' ? 'Learner' : message.role === 'tool' ? 'Tool results' : 'Tutor'}: ${message.content}`)
+    .join('\n\n');
+
+  try {
+    const prompt = renderPrompt('studyCompanion.summary', {
+      summary: conversation.summary || '(none yet)',
+      transcript
+    }, { unitId: userId });
+    const response = await createChatCompletion('studyCompanion', prompt.messages, {
+      temperature: 0.3,
+      max_tokens: 400,
+      signal,
+      userId
+    });
+
+    conversation.summary = response.content;
+    conversation.summarizedCount = cut;
+  } catch (error) {
+    if (signal?.aborted || error.code === BUDGET_ERROR_CODE) throw error;
+    console.warn('Companion summary failed, sending recent history only:', error.message);
+  }
+}
+
+/**
+ * Citations from anywhere in the conversation that the answer refers to by [n]
+ */
+function collectCitations(conversation, answer) {
+  const refs = new Set([...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1])));
+  return conversation.messages
+    .filter((message) => message.role === 'tool')
+    .flatMap((message) => message.citations)
+    .filter((citation) => refs.has(citation.ref))
+    .map(({ ref, tool, arguments: args, summary }) => ({ ref, tool, arguments: args, summary }));
+}
+
+async function answerWithModel(conversation, userId, profile, options) {
+  const { onEvent, signal } = options;
+  const question = conversation.messages[conversation.messages.length - 1];
+  const turnStart = conversation.messages.length - 1;
+
+  const prompt = renderPrompt('studyCompanion.chat', {
+    userLevel: profile.userLevel,
+    profile: [
+      `Weak Topics: ${profile.weakTopics.map((w) => w.topic).join(', ') || 'None identified'}`,
+      `Recent Performance: ${Math.round(profile.accuracy * 100)}% accuracy`
+    ].join('\n'),
+    summaryBlock: conversation.summary ? `Earlier in this conversation:\n${conversation.summary}\n\n` : '',
+    tools: describeTools(),
+    query: question.content
+  }, { unitId: userId });
+
+  const history = conversation.messages
+    .slice(Math.max(conversation.summarizedCount, turnStart - CONFIG.maxHistoryMessages), turnStart)
+    .map(toChatMessage);
+
+  let toolCalls = 0;
+  for (let round = 0; ; round++) {
+    const finalRound = round === CONFIG.maxToolRounds;
+    const messages = [
+      { role: 'system', content: prompt.system },
+      ...history,
+      { role: 'user', content: prompt.user },
+      ...conversation.messages.slice(turnStart + 1).map(toChatMessage),
+      ...(finalRound ? [{ role: 'user', content: 'Answer the question now using the results above, without calling more tools.' }] : [])
+    ];
+
+    const response = await createChatCompletion('studyCompanion', messages, {
+      temperature: 0.7,
+      max_tokens: 800,
+      onEvent,
+      signal,
+      userId
+    });
+
+    const calls = finalRound ? null : parseToolCalls(response.content);
+    if (!calls) {
+      const citations = collectCitations(conversation, response.content);
+      conversation.messages.push({ role: 'assistant', content: response.content, citations, aiProvider: response.provider });
+
+      return {
+        message: response.content,
+        citations,
+        toolCalls,
+        hints: [],
+        resources: profile.weakTopics.length > 0 ? [
+          `Practice more ${profile.weakTopics[0].topic} problems`,
+          `Review ${profile.weakTopics[0].topic} fundamentals`
+        ] : [],
+        relatedConcepts: [],
+        personalizedTip: profile.weakTopics.length > 0
+          ? `I notice you're working on ${profile.weakTopics[0].topic}. Keep practicing!`
+          : 'Great progress! Keep up the momentum.',
+        aiProvider: response.provider,
+        promptVersion: prompt.id
+      };
+    }
+
+    onEvent?.('reset', { provider: response.provider, reason: 'tool_call' });
+    conversation.messages.push({ role: 'assistant', content: response.content, toolCalls: calls, aiProvider: response.provider });
+    await runToolRound(conversation, userId, calls, onEvent);
+    toolCalls += calls.length;
+  }
+}
+
+/**
+ * Fixed-wording answer built from the learner's own data
+ */
+async function answerFromTemplate(conversation, userId, query, options) {
+  const [weaknesses, roadmapDay] = await runToolRound(conversation, userId, [
+    { tool: 'getWeaknesses', arguments: {} },
+    { tool: 'getRoadmapDay', arguments: {} }
+  ], options.onEvent);
+  const weakTopics = weaknesses.data?.weaknesses || [];
+  const currentMilestone = roadmapDay.data?.currentMilestone;
+
+  const lower = query.toLowerCase();
+  const response = {
+    message: '',
+    citations: [],
+    toolCalls: 0,
+    hints: [],
+    resources: [],
+    relatedConcepts: [],
+    personalizedTip: '',
+    aiProvider: 'template'
+  };
+
+  if (lower.includes('stuck') || lower.includes('help')) {
+    response.message = "I see you're stuck. Let me help you break down the problem.";
+    response.hints = [
+      'Start by understanding the input/output',
+      'What data structure fits best?',
+      'Can you solve a simpler version first?'
+    ];
+  } else if (lower.includes('explain') || lower.includes('understand')) {
+    response.message = "Let's work through this concept step by step.";
+    response.hints = [
+      'Restate the concept in one sentence of your own',
+      'Trace the smallest example you can think of by hand',
+      'Compare it with the closest concept you already know and note what differs'
+    ];
+  } else {
+    response.message = "I'm here to help you learn better!";
+  }
+
+  if (currentMilestone) {
+    response.message += ` Your roadmap is on "${currentMilestone.title}" right now [${roadmapDay.ref}].`;
+    response.relatedConcepts = currentMilestone.topics.slice(0, 5);
+  }
+
+  if (weakTopics.length > 0) {
+    const { topic, mistakeCount } = weakTopics[0];
+    response.personalizedTip = `You've made ${mistakeCount} mistakes in ${topic} so far [${weaknesses.ref}]. Let's focus on that next.`;
+    response.resources = [
+      `${topic} tutorial videos`,
+      `Practice ${topic} problems`,
+      `${topic} cheat sheet`
+    ];
+  }
+
+  const answer = [response.message, response.personalizedTip].filter(Boolean).join('\n\n');
+  response.citations = collectCitations(conversation, answer);
+  options.onEvent?.('token', { text: answer, provider: 'template' });
+  conversation.messages.push({ role: 'assistant', content: answer, citations: response.citations, aiProvider: 'template' });
+
+  return response;
+}
+
+/**
+ * Ask the companion a question, continuing a conversation or starting one
+ * @param {string} userId - Mongo user id
+ * @param {Object} input - query, optional conversationId and context (e.g. the problem being solved)
+ * @param {Object} options - onEvent, signal
+ * @returns {Promise<Object>} { conversationId, message, citations, toolCalls, hints, resources,
+ *   relatedConcepts, personalizedTip, aiProvider }
+ * @throws {Error} code COMPANION_CONVERSATION_NOT_FOUND, AI_BUDGET_EXCEEDED or LLM_ABORTED
+ */
+export async function askCompanion(userId, { query, conversationId, context }, options = {}) {
+  const conversation = conversationId
+    ? await findConversation(userId, conversationId)
+    : new CompanionConversation({ userId, title: query.slice(0, 80) });
+
+  conversation.messages.push({
+    role: 'user',
+    content: context ? `${query}\n\n(Context: ${context})` : query
+  });
+
+  const profile = await getLearnerProfile(userId);
+  let response = null;
+
+  if (isFeatureAvailable('studyCompanion')) {
+    const turnStart = conversation.messages.length;
+    const toolResultCount = conversation.toolResultCount;
+    try {
+      console.log('🤖 Generating study companion response...');
+      await summarizeIfNeeded(conversation, userId, options.signal);
+      response = await answerWithModel(conversation, userId, profile, options);
+    } catch (error) {
+      console.warn('AI study companion failed, using fallback:', error.message);
+      if (options.signal?.aborted || error.code === BUDGET_ERROR_CODE) throw error;
+      // Drop the half-finished turn and anything already streamed
+      conversation.messages.splice(turnStart);
+      conversation.toolResultCount = toolResultCount;
+      options.onEvent?.('reset', { provider: 'template', reason: error.message });
+    }
+  }
+
+  if (!response) {
+    console.log('📝 Using template-based study companion...');
+    response = await answerFromTemplate(conversation, userId, query, options);
+  }
+
+  conversation.lastMessageAt = new Date();
+  await conversation.save();
+
+  return { conversationId: conversation._id, ...response };
+}
+
+/**
+ * A user's conversations, most recent first, without their messages
+ */
+export async function listConversations(userId, { limit = 20, skip = 0 } = {}) {
+  return CompanionConversation.find({ userId }, {
+    title: 1,
+    summary: 1,
+    lastMessageAt: 1,
+    createdAt: 1,
+    messageCount: { $size: '$messages' }
+  })
+    .sort({ lastMessageAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * @throws {Error} code COMPANION_CONVERSATION_NOT_FOUND
+ */
+export async function getConversation(userId, conversationId) {
+  const conversation = await findConversation(userId, conversationId);
+  return conversation.toObject();
+}
+
+/**
+ * @throws {Error} code COMPANION_CONVERSATION_NOT_FOUND
+ */
+export async function deleteConversation(userId, conversationId) {
+  const conversation = await findConversation(userId, conversationId);
+  await conversation.deleteOne();
+}
+
+export default {
+  askCompanion,
+  listConversations,
+  getConversation,
+  deleteConversation,
+  CONVERSATION_NOT_FOUND_CODE
+};
@@ -1,17 +1,28 @@
-import { spawn } from 'child_process';
-import { writeFile, mkdir } from 'fs/promises';
+import { writeFile, readFile, mkdir } from 'fs/promises';
 import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { tmpdir } from 'os';
+import { runSandboxed } from './sandbox.js';
 
 const TRACE_TIMEOUT = 15000; // 15 seconds for trace generation
+const TRACE_MAX_STEPS = 1000;
+// Serialized size the tracers stop at, well under the sandbox's file size limit
+const TRACE_MAX_BYTES = 4 * 1024 * 1024;
 
 /**
  * Generate execution trace for code
+ *
+ * Only Python is really traced (`detail: 'full'`): every line, call and return
+ * with locals and heap snapshots. JavaScript steps are just its console output
+ * and any exception (`detail: 'output'`), and Java, or any trace that fails,
+ * gets one step per source line from static analysis (`detail: 'lines'`);
+ * neither has variables.
+ *
  * @param {string} code - The code to trace
  * @param {string} language - Programming language
  * @param {string} input - Optional input
- * @returns {Promise<Array>} Array of execution steps
+ * @returns {Promise<{steps: Array, truncated: boolean, detail: 'full'|'output'|'lines'}>}
+ *   truncated when the tracer stopped at TRACE_MAX_STEPS steps or TRACE_MAX_BYTES
  */
 export async function generateTrace(code, language, input = '') {
   const sessionId = uuidv4();
@@ -52,84 +63,153 @@ export async function generateTrace(code, language, input = '') {
 
 /**
  * Trace Python execution using custom tracer
+ *
+ * Besides the flat `variables` strings, every step carries a structured
+ * snapshot: `locals` hold primitives or { ref } into `heap`, where lists,
+ * dicts and objects are stored once per step under their Python id(). Ids stay
+ * stable across steps, so the UI can animate the same array or node over time.
  */
 async function tracePython(code, input, tempDir) {
   const tracerCode = `
 import sys
 import json
-import io
-
-# Capture execution trace
-trace_steps = []
-step_count = 0
-MAX_STEPS = 1000
-
-def trace_calls(frame, event, arg):
-    global step_count
-    if step_count >= MAX_STEPS:
+from collections import deque
+from itertools import islice
+
+# Tracer internals are __-prefixed to keep them out of the snapshots
+__trace_steps = []
+__trace_count = 0
+__trace_bytes = 0
+__trace_truncated = False
+__TRACE_MAX_STEPS = ${TRACE_MAX_STEPS}
+__TRACE_MAX_BYTES = ${TRACE_MAX_BYTES}
+__TRACE_MAX_ITEMS = 50  # elements kept per container
+__TRACE_MAX_OBJECTS = 100  # heap objects per step
+
+def __trace_repr(value):
+    try:
+        str_val = str(value)
+        return str_val if len(str_val) <= 100 else str_val[:97] + '...'
+    except:
+        return '<unprintable>'
+
+def __trace_is_skipped(value):
+    return callable(value) or isinstance(value, type(sys))
+
+def __trace_encode(value, heap):
+    if value is None or isinstance(value, (bool, str)):
+        return __trace_repr(value) if isinstance(value, str) and len(value) > 100 else value
+    if isinstance(value, int):
+        return value if abs(value) < 2 ** 53 else str(value)
+    if isinstance(value, float):
+        return value if value == value and abs(value) != float('inf') else str(value)
+
+    ref = str(id(value))
+    if ref in heap or len(heap) >= __TRACE_MAX_OBJECTS:
+        return {'ref': ref}
+
+    # Register before recursing so cycles (doubly linked lists, graphs) terminate
+    entry = {'type': type(value).__name__}
+    if isinstance(value, (list, tuple, set, frozenset, deque)):
+        heap[ref] = entry
+        entry.update(kind='list', length=len(value))
+        entry['items'] = [__trace_encode(item, heap) for item in islice(value, __TRACE_MAX_ITEMS)]
+    elif isinstance(value, dict):
+        heap[ref] = entry
+        entry.update(kind='dict', length=len(value))
+        entry['entries'] = [
+            [__trace_encode(k, heap), __trace_encode(v, heap)]
+            for k, v in islice(value.items(), __TRACE_MAX_ITEMS)
+        ]
+    elif not __trace_is_skipped(value) and (hasattr(value, '__dict__') or hasattr(type(value), '__slots__')):
+        names = list(getattr(value, '__dict__', {}).keys()) or list(getattr(type(value), '__slots__', ()))
+        heap[ref] = entry
+        entry['kind'] = 'object'
+        entry['fields'] = {
+            name: __trace_encode(getattr(value, name, None), heap)
+            for name in names[:__TRACE_MAX_ITEMS] if not name.startswith('__')
+        }
+    else:
+        return {'repr': __trace_repr(value)}
+
+    return {'ref': ref}
+
+def __trace_calls(frame, event, arg):
+    global __trace_count, __trace_bytes, __trace_truncated
+    if __trace_truncated:
         return
-    
+    # Only the submission itself, not library code it calls into
+    if frame.f_code.co_filename != 'main.py':
+        return
+
     if event in ['line', 'call', 'return']:
-        step_count += 1
-        
-        # Get local variables (limit to primitive types)
+        if __trace_count >= __TRACE_MAX_STEPS:
+            __trace_truncated = True
+            return
+        __trace_count += 1
+
         local_vars = {}
+        locals_snapshot = {}
+        heap = {}
         for var_name, var_value in frame.f_locals.items():
             if not var_name.startswith('__'):
-                try:
-                    # Convert to string representation
-                    str_val = str(var_value)
-                    if len(str_val) > 100:
-                        str_val = str_val[:97] + '...'
-                    local_vars[var_name] = str_val
-                except:
-                    local_vars[var_name] = '<unprintable>'
-        
-        trace_steps.append({
-            'step': step_count,
+                local_vars[var_name] = __trace_repr(var_value)
+                if not __trace_is_skipped(var_value):
+                    locals_snapshot[var_name] = __trace_encode(var_value, heap)
+
+        step = {
+            'step': __trace_count,
             'line': frame.f_lineno,
             'event': event,
             'function': frame.f_code.co_name,
             'variables': local_vars,
-            'filename': frame.f_code.co_filename
-        })
-    
-    return trace_calls
+            'locals': locals_snapshot,
+            'heap': heap,
+        }
+        __trace_bytes += len(json.dumps(step, default=str))
+        if __trace_bytes > __TRACE_MAX_BYTES:
+            __trace_truncated = True
+            return
+        __trace_steps.append(step)
+
+    return __trace_calls
 
-# Set the trace function
-sys.settrace(trace_calls)
+with open('main.py') as __trace_source:
+    __trace_code = compile(__trace_source.read(), 'main.py', 'exec')
 
-# Execute user code
+sys.settrace(__trace_calls)
+
+# Execute user code in its own namespace so line numbers match the editor
 try:
-${code.split('\n').map(line => '    ' + line).join('\n')}
+    exec(__trace_code, {'__name__': '__main__', '__builtins__': __builtins__})
 except Exception as e:
-    trace_steps.append({
-        'step': step_count + 1,
+    __trace_steps.append({
+        'step': __trace_count + 1,
         'event': 'exception',
         'error': str(e)
     })
-
-# Disable tracing
-sys.settrace(None)
-
-# Output trace as JSON
-print(json.dumps(trace_steps, indent=2))
+finally:
+    sys.settrace(None)
+    # Written to a file so the program's own prints cannot corrupt the trace
+    with open('trace.json', 'w') as __trace_file:
+        json.dump({'steps': __trace_steps, 'truncated': __trace_truncated}, __trace_file, default=str)
 `;
 
   const filePath = join(tempDir, 'trace_script.py');
   await writeFile(filePath, tracerCode);
+  await writeFile(join(tempDir, 'main.py'), code);
+
+  const result = await executeProcess('python', ['-u', filePath], input, tempDir);
 
-  const result = await executeProcess('python', ['-u', filePath], input);
-  
   if (result.error) {
     throw new Error(result.error);
   }
 
   try {
-    const trace = JSON.parse(result.output);
-    return formatTrace(trace, 'python');
+    const { steps, truncated } = JSON.parse(await readFile(join(tempDir, 'trace.json'), 'utf8'));
+    return { steps: formatTrace(steps, 'python'), truncated, detail: 'full' };
   } catch (parseError) {
-    console.error('Failed to parse trace output:', result.output);
+    console.error('Failed to parse trace output:', parseError.message);
     return generateFallbackTrace(code, 'python');
   }
 }
@@ -144,22 +224,28 @@ async function traceJava(code, input, tempDir) {
 }
 
 /**
- * Trace JavaScript execution using custom wrapper
+ * Trace JavaScript execution using custom wrapper; steps are console output only
  */
 async function traceJavaScript(code, input, tempDir) {
   const tracerCode = `
 const traceSteps = [];
 let stepCount = 0;
-const MAX_STEPS = 1000;
+let traceTruncated = false;
+const MAX_STEPS = ${TRACE_MAX_STEPS};
+const MAX_OUTPUT = 200; // characters kept per console step
 
 // Wrap console.log to capture output
 const originalLog = console.log;
 console.log = (...args) => {
   originalLog(...args);
+  if (stepCount >= MAX_STEPS) {
+    traceTruncated = true;
+    return;
+  }
   traceSteps.push({
     step: ++stepCount,
     event: 'console',
-    output: args.join(' ')
+    output: args.join(' ').slice(0, MAX_OUTPUT)
   });
 };
 
@@ -175,15 +261,15 @@ ${code.split('\n').map(line => '  ' + line).join('\n')}
   });
 }
 
-// Output trace
+// Output trace as the last line, after anything the program printed
 console.log = originalLog;
-console.log(JSON.stringify(traceSteps, null, 2));
+console.log('\\n' + JSON.stringify({ steps: traceSteps, truncated: traceTruncated }));
 `;
 
   const filePath = join(tempDir, 'trace_script.js');
   await writeFile(filePath, tracerCode);
 
-  const result = await executeProcess('node', [filePath], input);
+  const result = await executeProcess('node', [filePath], input, tempDir, { limitAddressSpace: false });
   
   if (result.error) {
     throw new Error(result.error);
@@ -191,10 +277,8 @@ console.log(JSON.stringify(traceSteps, null, 2));
 
   try {
     const output = result.output.trim();
-    const jsonStart = output.indexOf('[');
-    const jsonData = jsonStart >= 0 ? output.substring(jsonStart) : output;
-    const trace = JSON.parse(jsonData);
-    return formatTrace(trace, 'javascript');
+    const { steps, truncated } = JSON.parse(output.substring(output.lastIndexOf('\n') + 1));
+    return { steps: formatTrace(steps, 'javascript'), truncated, detail: 'output' };
   } catch (parseError) {
     return generateFallbackTrace(code, 'javascript');
   }
@@ -208,7 +292,7 @@ function formatTrace(rawTrace, language) {
     return [];
   }
 
-  return rawTrace.map((step, index) => ({
+  const steps = rawTrace.map((step, index) => ({
     step: index + 1,
     line: step.line || 0,
     event: step.event || 'line',
@@ -216,7 +300,112 @@ function formatTrace(rawTrace, language) {
     variables: step.variables || {},
     description: generateStepDescription(step, language),
     stack: step.stack || [],
+    locals: step.locals || {},
+    heap: step.heap || {},
+    pointers: detectPointers(step.locals || {}, step.heap || {}),
+    patterns: [],
   }));
+
+  detectPointerPatterns(steps);
+  return steps;
+}
+
+// Integer locals with these names are drawn as index pointers into arrays/strings
+const POINTER_NAME_PATTERN = /^(i|j|l|r|lo|hi|low|high|mid|left|right|start|end|begin|slow|fast|p|q|p1|p2|ptr|idx|index|pos|head|tail)$|_(idx|index|ptr|pos|start|end|left|right)$|^(left|right|start|end|window)_/i;
+
+/**
+ * Find integer locals that look like indexes into a list or string local
+ * @returns {Array<{name, target, index}>}
+ */
+function detectPointers(locals, heap) {
+  const sequences = Object.entries(locals)
+    .map(([name, value]) => {
+      if (typeof value === 'string') return { name, length: value.length };
+      const entry = value && heap[value.ref];
+      return entry?.kind === 'list' ? { name, length: entry.length } : null;
+    })
+    .filter(Boolean);
+
+  const pointers = [];
+  Object.entries(locals).forEach(([name, value]) => {
+    if (!Number.isInteger(value) || !POINTER_NAME_PATTERN.test(name)) return;
+    sequences.forEach((sequence) => {
+      // `end` style pointers may sit one past the last element
+      if (value >= 0 && value <= sequence.length) {
+        pointers.push({ name, target: sequence.name, index: value });
+      }
+    });
+  });
+
+  return pointers;
+}
+
+/**
+ * Classify pointer pairs over the whole trace and annotate the steps they span:
+ *  - two-pointer: left only moves right, right only moves left (converging)
+ *  - sliding-window: both only move right, left never passes right
+ * Pairs are compared within the same function and target sequence.
+ */
+function detectPointerPatterns(steps) {
+  const pairs = new Map(); // "function|target|a|b" -> [{ stepIndex, a, b }]
+
+  steps.forEach((step, stepIndex) => {
+    const byTarget = new Map();
+    step.pointers.forEach((pointer) => {
+      if (!byTarget.has(pointer.target)) byTarget.set(pointer.target, []);
+      byTarget.get(pointer.target).push(pointer);
+    });
+
+    byTarget.forEach((pointers, target) => {
+      for (let x = 0; x < pointers.length; x++) {
+        for (let y = x + 1; y < pointers.length; y++) {
+          const [a, b] = [pointers[x], pointers[y]].sort((p1, p2) => p1.name.localeCompare(p2.name));
+          const key = [step.function, target, a.name, b.name].join('|');
+          if (!pairs.has(key)) pairs.set(key, []);
+          pairs.get(key).push({ stepIndex, a: a.index, b: b.index });
+        }
+      }
+    });
+  });
+
+  pairs.forEach((samples, key) => {
+    if (samples.length < 2) return;
+    const [, target, nameA, nameB] = key.split('|');
+
+    // Orient the pair so `left` is the one that is usually smaller
+    const flipped = samples.filter((s) => s.a > s.b).length > samples.filter((s) => s.a < s.b).length;
+    const series = samples.map((sample) => ({
+      stepIndex: sample.stepIndex,
+      left: flipped ? sample.b : sample.a,
+      right: flipped ? sample.a : sample.b,
+    }));
+    const [leftName, rightName] = flipped ? [nameB, nameA] : [nameA, nameB];
+
+    const moved = (side, direction) => series.some((s, i) => i > 0 && Math.sign(s[side] - series[i - 1][side]) === direction);
+    const never = (side, direction) => !moved(side, direction);
+
+    let type = null;
+    if (moved('left', 1) && moved('right', -1) && never('left', -1) && never('right', 1)
+      && series.every((s) => s.left <= s.right + 1)) {
+      type = 'two-pointer';
+    } else if (moved('left', 1) && moved('right', 1) && never('left', -1) && never('right', -1)
+      && series.every((s) => s.left <= s.right + 1)) {
+      type = 'sliding-window';
+    }
+
+    if (!type) return;
+
+    series.forEach((s) => {
+      steps[s.stepIndex].patterns.push({
+        type,
+        target,
+        left: leftName,
+        right: rightName,
+        leftIndex: s.left,
+        rightIndex: s.right,
+      });
+    });
+  });
 }
 
 /**
@@ -240,7 +429,7 @@ function generateStepDescription(step, language) {
 }
 
 /**
- * Generate fallback trace using static analysis
+ * Generate fallback trace using static analysis: one step per source line
  */
 function generateFallbackTrace(code, language) {
   const lines = code.split('\n');
@@ -261,45 +450,26 @@ function generateFallbackTrace(code, language) {
     }
   });
 
-  return trace;
+  return {
+    steps: trace.slice(0, TRACE_MAX_STEPS),
+    truncated: trace.length > TRACE_MAX_STEPS,
+    detail: 'lines',
+  };
 }
 
 /**
- * Execute process helper
+ * Execute process helper - runs in the same sandbox as codeExecutor
  */
-function executeProcess(command, args, input) {
-  return new Promise((resolve, reject) => {
-    const process = spawn(command, args, {
-      timeout: TRACE_TIMEOUT,
-      killSignal: 'SIGKILL',
-    });
-
-    let output = '';
-    let errorOutput = '';
-
-    process.stdout.on('data', (data) => {
-      output += data.toString();
-    });
-
-    process.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-    });
-
-    if (input) {
-      process.stdin.write(input);
-      process.stdin.end();
-    }
-
-    process.on('close', (code) => {
-      if (code === 0) {
-        resolve({ output: output.trim(), error: '' });
-      } else {
-        resolve({ output: output.trim(), error: errorOutput.trim() });
-      }
-    });
-
-    process.on('error', (err) => {
-      reject({ output: '', error: err.message });
+async function executeProcess(command, args, input, tempDir, options = {}) {
+  try {
+    return await runSandboxed(command, args, {
+      input,
+      workDir: tempDir,
+      limitAddressSpace: options.limitAddressSpace,
+      limits: { timeoutMs: TRACE_TIMEOUT },
     });
-  });
+  } catch (failure) {
+    // Limit violations come back as plain objects, surface them as errors
+    throw new Error(failure.error || 'Trace execution failed');
+  }
 }
@@ -0,0 +1,33 @@
+import executionQueue from '../services/executionQueue.js';
+
+/**
+ * Code execution queue progress over Socket.IO
+ *
+ * Authenticated sockets join `user-<id>` and receive `code-execution:status`
+ * ({ jobId, status, position, result?, error? }) for every change to their jobs.
+ */
+export function setupCodeExecutionSocket(io) {
+  io.on('connection', (socket) => {
+    if (socket.authenticated && socket.userId) {
+      socket.join(`user-${socket.userId}`);
+    }
+
+    // Explicit status request, e.g. after a reconnect
+    socket.on('code-execution:status', ({ jobId } = {}, callback) => {
+      const status = executionQueue.getStatus(jobId);
+      const visible = status && status.userId === socket.userId ? status : null;
+
+      if (typeof callback === 'function') {
+        callback(visible || { jobId, status: 'unknown' });
+      } else {
+        socket.emit('code-execution:status', visible || { jobId, status: 'unknown' });
+      }
+    });
+  });
+
+  executionQueue.on('job:update', (status) => {
+    io.to(`user-${status.userId}`).emit('code-execution:status', status);
+  });
+}
+
+export default setupCodeExecutionSocket;
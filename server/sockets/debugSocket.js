@@ -0,0 +1,103 @@
+import {
+  startDebugSession,
+  sendDebugCommand,
+  stopDebugSession,
+  stopDebugSessions,
+} from '../services/debugSession.js';
+
+/**
+ * Step-through debugger over Socket.IO
+ *
+ * Client -> server (all take an ack callback receiving { success, ... }):
+ *   debug:start    { code, language, input, breakpoints, stopOnEntry } -> { sessionId }
+ *   debug:command  { sessionId, command, lines? }
+ *   debug:stop     { sessionId }
+ *
+ * Server -> client, each payload carries sessionId:
+ *   debug:paused       { reason, line, function, locals, stack }
+ *   debug:breakpoints  { lines }   verified breakpoint lines
+ *   debug:output       { stream, text }
+ *   debug:terminated   { reason, exitCode, error, peakMemoryKb, cpuTimeMs }
+ *
+ * Sessions belong to the socket that started them and die with it.
+ */
+export function setupDebugSocket(io) {
+  io.on('connection', (socket) => {
+    const ownedSessions = new Set();
+
+    const reply = (callback, payload) => {
+      if (typeof callback === 'function') {
+        callback(payload);
+      }
+    };
+
+    const fail = (callback, error) => reply(callback, {
+      success: false,
+      code: error.code,
+      message: error.message,
+    });
+
+    const requireAuth = (callback) => {
+      if (socket.authenticated && socket.userId) return true;
+      reply(callback, { success: false, code: 'UNAUTHENTICATED', message: 'Authentication required' });
+      return false;
+    };
+
+    socket.on('debug:start', async (payload = {}, callback) => {
+      if (!requireAuth(callback)) return;
+
+      const { code, language, input, breakpoints, stopOnEntry } = payload;
+      if (!code || !language) {
+        reply(callback, { success: false, code: 'INVALID_REQUEST', message: 'Code and language are required' });
+        return;
+      }
+
+      try {
+        const { sessionId } = await startDebugSession(
+          socket.userId,
+          { code, language, input, breakpoints, stopOnEntry },
+          (type, event) => {
+            if (type === 'terminated') {
+              ownedSessions.delete(event.sessionId);
+            }
+            socket.emit(`debug:${type}`, event);
+          }
+        );
+        ownedSessions.add(sessionId);
+        reply(callback, { success: true, sessionId });
+      } catch (error) {
+        fail(callback, error);
+      }
+    });
+
+    socket.on('debug:command', ({ sessionId, command, lines } = {}, callback) => {
+      if (!requireAuth(callback)) return;
+
+      try {
+        sendDebugCommand(sessionId, socket.userId, { command, lines });
+        reply(callback, { success: true });
+      } catch (error) {
+        fail(callback, error);
+      }
+    });
+
+    socket.on('debug:stop', ({ sessionId } = {}, callback) => {
+      if (!requireAuth(callback)) return;
+
+      try {
+        stopDebugSession(sessionId, socket.userId);
+        reply(callback, { success: true });
+      } catch (error) {
+        fail(callback, error);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      if (ownedSessions.size > 0) {
+        stopDebugSessions(socket.userId, [...ownedSessions]);
+      }
+    });
+  });
+}
+
+export default setupDebugSocket;
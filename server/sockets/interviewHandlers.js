@@ -1,4 +1,14 @@
-import InterviewOrchestrator from '../services/interviewOrchestrator.js';
+import {
+  startInterview,
+  submitAnswer,
+  pauseInterview,
+  resumeInterview,
+  saveDraft,
+  adaptiveState,
+  interviewClock
+} from '../services/interviewRuntime.js';
+import { markConnected, markDisconnected } from '../services/interviewPresence.js';
+import { requireAuth } from '../middleware/socketAuth.js';
 import ConversationalInterview from '../models/ConversationalInterview.js';
 import InterviewProgress from '../models/InterviewProgress.js';
 import SkillGap from '../models/SkillGap.js';
@@ -6,6 +16,11 @@ import SkillGap from '../models/SkillGap.js';
 /**
  * Real-Time Interview WebSocket Handlers
  * Enables live interview sessions with instant feedback
+ * Sessions run the runtime's `adaptive` profile (interviewRuntime.js); they
+ * are durable, so a dropped socket (or another browser) can resume them with
+ * interview:resume within the reconnection grace period or after a pause.
+ * Session events act as the socket's authenticated user (socketAuthMiddleware
+ * on the /interview namespace), never as a userId from the payload.
  */
 
 export const setupInterviewHandlers = (io) => {
@@ -23,19 +38,25 @@ export const setupInterviewHandlers = (io) => {
      */
     socket.on('interview:start', async (data, callback) => {
       try {
-        const { userId, resumeId, jobDescriptionId, interviewType } = data;
+        requireAuth(socket);
+        const userId = socket.userId;
+        const { resumeId, jobDescriptionId, interviewType, deviceId } = data;
         
         console.log('[INTERVIEW] Starting session:', { userId, resumeId, type: interviewType });
         
-        const sessionData = await InterviewOrchestrator.startSession({
+        const { session, question, context } = await startInterview('adaptive', {
           userId,
           resumeId,
           jobDescriptionId,
           interviewType: interviewType || 'technical',
+          socketId: socket.id,
         });
         
-        currentSessionId = sessionData.sessionId;
+        currentSessionId = session._id;
         currentUserId = userId;
+        markConnected(currentSessionId, { socketId: socket.id, deviceId }).catch((error) => {
+          console.warn('[INTERVIEW] Could not record connection:', error.message);
+        });
         
         // Join room for this session
         socket.join(`session:${currentSessionId}`);
@@ -43,15 +64,15 @@ export const setupInterviewHandlers = (io) => {
         // Emit session started event
         socket.emit('interview:session_started', {
           sessionId: currentSessionId,
-          context: sessionData.context,
-          state: sessionData.state,
+          context,
+          state: adaptiveState(session),
         });
         
         // Emit first question
         socket.emit('interview:question', {
-          turnNumber: 1,
-          question: sessionData.question,
-          questionId: sessionData.questionId,
+          turnNumber: question.turnNumber,
+          question: question.text,
+          questionId: question.questionId,
           timestamp: new Date(),
         });
         
@@ -68,6 +89,7 @@ export const setupInterviewHandlers = (io) => {
      */
     socket.on('interview:submit_answer', async (data, callback) => {
       try {
+        requireAuth(socket);
         const { sessionId, answer, timeSpent } = data;
         
         if (!sessionId || !answer) {
@@ -82,43 +104,50 @@ export const setupInterviewHandlers = (io) => {
           message: 'Analyzing your answer...',
         });
         
-        // Process answer
-        const result = await InterviewOrchestrator.processAnswer(
-          sessionId,
-          answer,
-          timeSpent || 0
-        );
-        
-        // Emit evaluation results
-        socket.emit('interview:evaluation', {
-          turnNumber: result.sessionState?.currentTurn - 1,
-          score: result.evaluation.score,
-          metrics: result.evaluation.metrics,
-          feedback: result.evaluation.feedback,
-          timestamp: new Date(),
+        // Process answer; the evaluation is emitted as soon as it is scored
+        const result = await submitAnswer(sessionId, { text: answer, timeSpent: timeSpent || 0 }, {
+          userId: socket.userId,
+          onEvent: (type, payload) => {
+            if (type !== 'answer_evaluated') return;
+            socket.emit('interview:evaluation', {
+              turnNumber: payload.turnNumber,
+              score: payload.evaluation.turnScore,
+              metrics: {
+                clarity: payload.evaluation.clarity,
+                relevance: payload.evaluation.relevance,
+                depth: payload.evaluation.depth,
+                structure: payload.evaluation.structure,
+                technicalAccuracy: payload.evaluation.technicalAccuracy,
+              },
+              feedback: payload.evaluation.feedback,
+              timestamp: new Date(),
+            });
+          },
         });
         
         // If interview continues, emit next question
-        if (result.shouldContinue) {
+        if (result.type !== 'interview_complete') {
+          const state = adaptiveState(result.session);
           setTimeout(() => {
             socket.emit('interview:question', {
-              turnNumber: result.sessionState.currentTurn,
-              question: result.nextQuestion.question,
-              questionId: result.nextQuestion.questionId,
+              turnNumber: result.question.turnNumber,
+              question: result.question.text,
+              questionId: result.question.questionId,
+              isFollowUp: result.question.isFollowUp,
               timestamp: new Date(),
             });
             
             // Emit updated state
-            socket.emit('interview:state_update', {
-              state: result.sessionState,
-            });
+            socket.emit('interview:state_update', { state });
           }, 1000); // 1 second delay for better UX
         } else {
           // Interview complete
+          const { session } = result;
           socket.emit('interview:completed', {
-            finalEvaluation: result.finalEvaluation || result,
-            totalTurns: result.totalTurns,
-            duration: result.duration,
+            finalEvaluation: session.finalEvaluation,
+            summary: result.summary,
+            totalTurns: session.turns.length,
+            duration: Math.round((session.completedAt - session.startedAt) / 1000 / 60),
             timestamp: new Date(),
           });
         }
@@ -140,19 +169,21 @@ export const setupInterviewHandlers = (io) => {
      */
     socket.on('interview:get_status', async (data, callback) => {
       try {
+        requireAuth(socket);
         const { sessionId } = data;
         
-        const session = await ConversationalInterview.findById(sessionId);
+        const session = await ConversationalInterview.findOne({ _id: sessionId, userId: socket.userId });
         
         if (!session) {
           return callback({ success: false, error: 'Session not found' });
         }
         
+        const state = adaptiveState(session);
         callback({
           success: true,
           status: session.status,
-          state: session.state,
-          currentTurn: session.state.currentTurn,
+          state,
+          currentTurn: state.currentTurn,
         });
       } catch (error) {
         callback({ success: false, error: error.message });
@@ -180,9 +211,10 @@ export const setupInterviewHandlers = (io) => {
      */
     socket.on('interview:request_hint', async (data, callback) => {
       try {
+        requireAuth(socket);
         const { sessionId } = data;
         
-        const session = await ConversationalInterview.findById(sessionId);
+        const session = await ConversationalInterview.findOne({ _id: sessionId, userId: socket.userId });
         
         if (!session) {
           return callback({ success: false, error: 'Session not found' });
@@ -273,23 +305,20 @@ export const setupInterviewHandlers = (io) => {
     
     /**
      * PAUSE INTERVIEW
-     * Client pauses the interview
+     * Client pauses the interview; the clock stops until it is resumed
      */
     socket.on('interview:pause', async (data, callback) => {
       try {
+        requireAuth(socket);
         const { sessionId } = data;
         
-        const session = await ConversationalInterview.findById(sessionId);
+        const session = await pauseInterview(sessionId, { userId: socket.userId });
         
-        if (session) {
-          session.status = 'paused';
-          await session.save();
-          
-          socket.emit('interview:paused', {
-            sessionId,
-            timestamp: new Date(),
-          });
-        }
+        socket.emit('interview:paused', {
+          sessionId,
+          clock: interviewClock(session),
+          timestamp: new Date(),
+        });
         
         callback({ success: true });
       } catch (error) {
@@ -299,55 +328,82 @@ export const setupInterviewHandlers = (io) => {
     
     /**
      * RESUME INTERVIEW
-     * Client resumes paused interview
+     * Client resumes a paused interview, reconnects after a dropped socket, or
+     * picks the session up in another browser
      */
     socket.on('interview:resume', async (data, callback) => {
       try {
-        const { sessionId } = data;
+        requireAuth(socket);
+        const { sessionId, deviceId } = data;
         
-        const session = await ConversationalInterview.findById(sessionId);
-        
-        if (session) {
-          session.status = 'in-progress';
-          await session.save();
-          
-          // Re-join session room
-          socket.join(`session:${sessionId}`);
-          
-          // Send current question
-          const currentTurn = session.turns[session.turns.length - 1];
-          
-          if (currentTurn && !currentTurn.answer) {
-            socket.emit('interview:question', {
-              turnNumber: session.state.currentTurn,
-              question: currentTurn.question,
-              questionId: currentTurn.questionId,
-              timestamp: new Date(),
-            });
-          }
-          
-          socket.emit('interview:resumed', {
-            sessionId,
-            state: session.state,
+        const { session, question, draft, clock } = await resumeInterview(sessionId, {
+          userId: socket.userId,
+          deviceId,
+          socketId: socket.id,
+        });
+        await markConnected(sessionId, { socketId: socket.id, deviceId });
+        
+        currentSessionId = session._id;
+        currentUserId = session.userId;
+        
+        // Re-join session room
+        socket.join(`session:${sessionId}`);
+        
+        // Send current question with the answer drafted so far
+        if (question) {
+          socket.emit('interview:question', {
+            turnNumber: question.turnNumber,
+            question: question.text,
+            questionId: question.questionId,
+            isFollowUp: question.isFollowUp,
+            draft: draft?.text || '',
             timestamp: new Date(),
           });
         }
         
+        socket.emit('interview:resumed', {
+          sessionId,
+          state: adaptiveState(session),
+          clock,
+          draft,
+          timestamp: new Date(),
+        });
+        
         callback({ success: true });
       } catch (error) {
         callback({ success: false, error: error.message });
       }
     });
     
+    /**
+     * SAVE DRAFT
+     * Client saves the answer being typed, so it survives a reload or a device switch
+     */
+    socket.on('interview:save_draft', async (data, callback) => {
+      try {
+        requireAuth(socket);
+        const { sessionId, text, deviceId } = data;
+        
+        const saved = await saveDraft(sessionId, { text, deviceId, userId: socket.userId });
+        
+        callback?.({ success: true, ...saved });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
     /**
      * DISCONNECT
-     * Client disconnects
+     * Client disconnects; the session is paused if it does not reconnect in time
      */
     socket.on('disconnect', () => {
       console.log('❌ Interview client disconnected:', socket.id);
       
       if (currentSessionId) {
         socket.leave(`session:${currentSessionId}`);
+        markDisconnected(currentSessionId, { socketId: socket.id }).catch((error) => {
+          console.warn('[INTERVIEW] Could not record disconnect:', error.message);
+        });
       }
     });
   });
@@ -5,59 +5,25 @@
  * - Session start/end
  * - Answer submission
  * - Real-time evaluation feedback
- * - Adaptive question flow
+ * - Adaptive question flow (follow-ups stream as question_token events)
+ *
+ * Every event acts as the socket's authenticated user (socketAuth on the
+ * namespace); a session another user owns reads as not found.
  */
 
-import ImprovedInterviewOrchestrator from '../services/improvedInterviewOrchestrator.js';
-import ConversationalInterview from '../models/ConversationalInterview.js';
-import InterviewReport from '../models/InterviewReport.js';
-import User from '../models/User.js';
-import ReportService from '../services/reportService.js';
+import {
+  startInterview,
+  submitAnswer,
+  endInterview,
+  getInterviewState,
+  getInterviewAnalytics
+} from '../services/interviewRuntime.js';
+import { markDisconnected } from '../services/interviewPresence.js';
+import { requireAuth } from '../middleware/socketAuth.js';
 
-/**
- * Persist completed session to user interview history.
- * Idempotent – skips if the sessionId already exists in history.
- */
-async function persistInterviewHistory(sessionId, userId, summary) {
-  try {
-    const session = await ConversationalInterview.findById(sessionId).lean();
-    if (!session) return;
-
-    // Generate (or retrieve existing) report
-    let report;
-    try {
-      report = await ReportService.generateReport(sessionId, userId);
-    } catch (err) {
-      console.warn('[interviewSocket] Could not generate report:', err.message);
-    }
-
-    // Avoid duplicate history entries
-    const user = await User.findById(userId);
-    if (!user) return;
-
-    const already = (user.interviewHistory || []).some(
-      (h) => h.interviewId?.toString() === sessionId.toString()
-    );
-
-    if (!already) {
-      user.interviewHistory = user.interviewHistory || [];
-      user.interviewHistory.push({
-        interviewId: session._id,
-        reportId: report?._id || null,
-        type: session.interviewType || 'technical',
-        role: session.targetRole || 'Software Engineer',
-        date: new Date(),
-        overallScore: summary?.overallScore || session.finalEvaluation?.scores?.overall || 0,
-        readinessLabel: report?.readinessLabel || summary?.readinessLevel || 'Needs Work',
-        durationSeconds: session.turns?.reduce((acc, t) => acc + (t.answer?.timeSpent || 0), 0) || 0,
-      });
-      await user.save();
-      console.log(`[interviewSocket] Saved interview history for user ${userId}`);
-    }
-  } catch (err) {
-    console.error('[interviewSocket] persistInterviewHistory error:', err.message);
-  }
-}
+// Sessions started here run the runtime's `dynamic` profile; the runtime
+// records the report and interview history entry when a session closes
+const PROFILE = 'dynamic';
 
 export default function setupInterviewSocket(io) {
   const interviewNamespace = io.of('/interview');
@@ -70,47 +36,48 @@ export default function setupInterviewSocket(io) {
      */
     socket.on('start_interview', async (data, callback) => {
       try {
-        const { userId, resumeId, jobDescriptionId, interviewType } = data;
+        requireAuth(socket);
+        const userId = socket.userId;
+        const { resumeId, jobDescriptionId, interviewType } = data;
         
         // Validate required fields
-        if (!userId || !resumeId) {
+        if (!resumeId) {
           return callback({
             success: false,
-            error: 'Missing required fields: userId and resumeId'
+            error: 'Missing required field: resumeId'
           });
         }
         
         // Start session
-        const result = await ImprovedInterviewOrchestrator.startSession({
+        const result = await startInterview(PROFILE, {
           userId,
           resumeId,
           jobDescriptionId,
           interviewType: interviewType || 'technical',
           socketId: socket.id
         });
+        const sessionId = result.session._id;
         
         // Join room for this session
-        socket.join(`session_${result.sessionId}`);
+        socket.join(`session_${sessionId}`);
         
-        // Store session ID and userId in socket for later use
-        socket.sessionId = result.sessionId;
-        socket.userId = userId;
+        // Store session ID in socket for later use
+        socket.sessionId = sessionId;
         
-        console.log(`Interview started: Session ${result.sessionId} for user ${userId}`);
+        console.log(`Interview started: Session ${sessionId} for user ${userId}`);
         
         callback({
           success: true,
           data: {
-            sessionId: result.sessionId,
+            sessionId,
             firstQuestion: result.question,
-            context: result.context,
-            metadata: result.metadata
+            context: result.context
           }
         });
         
         // Emit event to room
-        interviewNamespace.to(`session_${result.sessionId}`).emit('interview_started', {
-          sessionId: result.sessionId,
+        interviewNamespace.to(`session_${sessionId}`).emit('interview_started', {
+          sessionId,
           targetRole: result.context.targetRole
         });
         
@@ -128,6 +95,7 @@ export default function setupInterviewSocket(io) {
      */
     socket.on('submit_answer', async (data, callback) => {
       try {
+        requireAuth(socket);
         const { sessionId, answer, timeSpent, mediaId, mediaDuration, mediaSize } = data;
         
         if (!sessionId || !answer) {
@@ -137,14 +105,18 @@ export default function setupInterviewSocket(io) {
           });
         }
         
-        // Process answer
-        const result = await ImprovedInterviewOrchestrator.processAnswer({
-          sessionId,
-          answer,
+        // Process answer, relaying the evaluation and follow-up tokens as they arrive
+        const result = await submitAnswer(sessionId, {
+          text: answer,
           timeSpent: timeSpent || 0,
-          mediaId: mediaId || null,
-          mediaDuration: mediaDuration || 0,
-          mediaSize: mediaSize || 0
+          media: mediaId
+            ? { mediaId, duration: mediaDuration || 0, size: mediaSize || 0, type: 'video/webm' }
+            : null
+        }, {
+          userId: socket.userId,
+          onEvent: (event, payload) => {
+            interviewNamespace.to(`session_${sessionId}`).emit(event, { sessionId, ...payload });
+          }
         });
         
         console.log(`Answer processed for session ${sessionId}: ${result.type}`);
@@ -165,11 +137,6 @@ export default function setupInterviewSocket(io) {
             sessionId,
             summary: result.summary
           });
-
-          // Persist to user interview history (non-blocking)
-          if (data.userId || socket.userId) {
-            persistInterviewHistory(sessionId, data.userId || socket.userId, result.summary);
-          }
           
         } else if (result.type === 'follow_up') {
           callback({
@@ -177,7 +144,7 @@ export default function setupInterviewSocket(io) {
             data: {
               type: 'follow_up',
               evaluation: result.evaluation,
-              nextQuestion: result.nextQuestion,
+              nextQuestion: result.question,
               context: result.context
             }
           });
@@ -185,7 +152,7 @@ export default function setupInterviewSocket(io) {
           // Emit follow-up event
           interviewNamespace.to(`session_${sessionId}`).emit('follow_up_question', {
             sessionId,
-            question: result.nextQuestion,
+            question: result.question,
             reason: 'Additional clarification needed'
           });
           
@@ -196,7 +163,7 @@ export default function setupInterviewSocket(io) {
             data: {
               type: 'next_question',
               evaluation: result.evaluation,
-              nextQuestion: result.nextQuestion,
+              nextQuestion: result.question,
               context: result.context
             }
           });
@@ -204,7 +171,7 @@ export default function setupInterviewSocket(io) {
           // Emit next question event
           interviewNamespace.to(`session_${sessionId}`).emit('next_question', {
             sessionId,
-            question: result.nextQuestion,
+            question: result.question,
             progress: {
               turnNumber: result.context.turnNumber,
               topicsCovered: result.context.topicsCovered
@@ -226,6 +193,7 @@ export default function setupInterviewSocket(io) {
      */
     socket.on('get_session', async (data, callback) => {
       try {
+        requireAuth(socket);
         const { sessionId } = data;
         
         if (!sessionId) {
@@ -235,7 +203,7 @@ export default function setupInterviewSocket(io) {
           });
         }
         
-        const session = await ImprovedInterviewOrchestrator.getSession(sessionId);
+        const session = await getInterviewState(sessionId, { userId: socket.userId });
         
         callback({
           success: true,
@@ -256,6 +224,7 @@ export default function setupInterviewSocket(io) {
      */
     socket.on('end_interview', async (data, callback) => {
       try {
+        requireAuth(socket);
         const { sessionId } = data;
         
         if (!sessionId) {
@@ -265,27 +234,22 @@ export default function setupInterviewSocket(io) {
           });
         }
         
-        const result = await ImprovedInterviewOrchestrator.endSession(sessionId);
+        const { summary } = await endInterview(sessionId, { userId: socket.userId });
         
         console.log(`Interview ended early: Session ${sessionId}`);
         
         callback({
           success: true,
-          data: result
+          data: { sessionId, status: 'terminated', summary }
         });
         
         // Emit termination event
         interviewNamespace.to(`session_${sessionId}`).emit('interview_ended', {
           sessionId,
           status: 'terminated',
-          summary: result.summary
+          summary
         });
 
-        // Persist to user interview history (non-blocking)
-        if (data.userId || socket.userId) {
-          persistInterviewHistory(sessionId, data.userId || socket.userId, result.summary);
-        }
-
         // Leave room
         socket.leave(`session_${sessionId}`);
         
@@ -303,16 +267,10 @@ export default function setupInterviewSocket(io) {
      */
     socket.on('get_analytics', async (data, callback) => {
       try {
-        const { userId, filters } = data;
+        requireAuth(socket);
+        const { filters } = data || {};
         
-        if (!userId) {
-          return callback({
-            success: false,
-            error: 'userId is required'
-          });
-        }
-        
-        const analytics = await ImprovedInterviewOrchestrator.getAnalytics(userId, filters || {});
+        const analytics = await getInterviewAnalytics(socket.userId, filters || {});
         
         callback({
           success: true,
@@ -343,17 +301,25 @@ export default function setupInterviewSocket(io) {
     /**
      * Join existing session room (for clients loading a previously-created session)
      * Allows the socket to receive room-based broadcasts: next_question, interview_completed, etc.
+     * Only the session's owner may join.
      */
-    socket.on('join_session', ({ sessionId, userId }, callback) => {
+    socket.on('join_session', async ({ sessionId } = {}, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
       if (!sessionId) {
-        if (typeof callback === 'function') callback({ success: false, error: 'sessionId is required' });
+        reply({ success: false, error: 'sessionId is required' });
+        return;
+      }
+      try {
+        requireAuth(socket);
+        await getInterviewState(sessionId, { userId: socket.userId });
+      } catch (error) {
+        reply({ success: false, error: error.message });
         return;
       }
       socket.join(`session_${sessionId}`);
       socket.sessionId = sessionId;
-      if (userId) socket.userId = userId;
       console.log(`Socket ${socket.id} joined room session_${sessionId}`);
-      if (typeof callback === 'function') callback({ success: true });
+      reply({ success: true });
     });
 
     /**
@@ -362,9 +328,12 @@ export default function setupInterviewSocket(io) {
     socket.on('disconnect', () => {
       console.log(`Interview client disconnected: ${socket.id}`);
       
-      // Leave all session rooms
+      // Leave all session rooms; the session is paused if it does not reconnect in time
       if (socket.sessionId) {
         socket.leave(`session_${socket.sessionId}`);
+        markDisconnected(socket.sessionId, { socketId: socket.id }).catch((error) => {
+          console.warn('Could not record interview disconnect:', error.message);
+        });
       }
     });
     
@@ -2,14 +2,18 @@
  * mockInterviewSocket.js
  * Socket.IO handlers for the AI-augmented mock interview system.
  * Uses namespace /mock-interview to stay independent from /interview namespace.
+ * AI events need an authenticated socket; the token's user is who they are
+ * metered to, whatever userId a payload carries.
  */
 import {
   generateQuestion,
   evaluateAnswer,
   generateFollowUp,
   adaptDifficulty,
+  estimateAbility,
 } from '../services/mockInterviewAIService.js';
 import MockInterview from '../models/MockInterview.js';
+import { requireAuth } from '../middleware/socketAuth.js';
 
 /**
  * Register all /mock-interview socket listeners.
@@ -27,12 +31,12 @@ export default function registerMockInterviewSocket(io) {
     socket.on('join_room', ({ mockInterviewId, userId, role = 'candidate' }) => {
       socket.join(mockInterviewId);
       socket.mockInterviewId = mockInterviewId;
-      socket.userId = userId;
+      if (!socket.authenticated) socket.userId = userId;
       socket.role = role;
 
       // Notify others in room
-      socket.to(mockInterviewId).emit('peer_joined', { userId, role, socketId: socket.id });
-      console.log(`[mockInterviewSocket] ${userId} joined ${mockInterviewId} as ${role}`);
+      socket.to(mockInterviewId).emit('peer_joined', { userId: socket.userId, role, socketId: socket.id });
+      console.log(`[mockInterviewSocket] ${socket.userId} joined ${mockInterviewId} as ${role}`);
     });
 
     /* ────────────────────────────────────────────────
@@ -42,6 +46,7 @@ export default function registerMockInterviewSocket(io) {
     socket.on('request_ai_question', async (data) => {
       const roomId = data.mockInterviewId || socket.mockInterviewId;
       try {
+        requireAuth(socket);
         const session = await MockInterview.findById(roomId).lean();
         const question = await generateQuestion({
           interviewType: session?.type || 'technical',
@@ -51,6 +56,7 @@ export default function registerMockInterviewSocket(io) {
           resumeText: data.resumeText || '',
           jobDescription: data.jobDescription || '',
           skillGaps: data.skillGaps || [],
+          userId: socket.userId,
         });
 
         // Emit to everyone in the room (interviewer + candidate see same question)
@@ -68,17 +74,20 @@ export default function registerMockInterviewSocket(io) {
     socket.on('submit_answer', async (data) => {
       const roomId = data.mockInterviewId || socket.mockInterviewId;
       try {
+        requireAuth(socket);
         const evaluation = await evaluateAnswer({
           questionText: data.questionText,
           questionType: data.questionType || 'technical',
           answerText: data.answerText || '',
           expectedTopics: data.expectedTopics || [],
+          userId: socket.userId,
         });
 
         const followUpQuestion = await generateFollowUp(
           data.questionText,
           data.answerText,
-          evaluation
+          evaluation,
+          { userId: socket.userId }
         );
 
         // Emit evaluation only to the candidate socket
@@ -98,7 +107,8 @@ export default function registerMockInterviewSocket(io) {
         // Adapt difficulty
         const recentScores = data.recentScores || [evaluation.overallScore];
         const nextDifficulty = adaptDifficulty(recentScores, data.difficulty || 'medium');
-        socket.emit('difficulty_updated', { nextDifficulty });
+        const ability = estimateAbility(recentScores, data.difficulty || 'medium');
+        socket.emit('difficulty_updated', { nextDifficulty, ability });
       } catch (err) {
         socket.emit('ai_error', { event: 'submit_answer', message: err.message });
       }
@@ -110,10 +120,10 @@ export default function registerMockInterviewSocket(io) {
     socket.on('recruiter_join', ({ mockInterviewId, userId }) => {
       socket.join(mockInterviewId);
       socket.mockInterviewId = mockInterviewId;
-      socket.userId = userId;
+      if (!socket.authenticated) socket.userId = userId;
       socket.role = 'recruiter';
 
-      socket.to(mockInterviewId).emit('recruiter_joined', { userId, socketId: socket.id });
+      socket.to(mockInterviewId).emit('recruiter_joined', { userId: socket.userId, socketId: socket.id });
       socket.emit('join_confirmed', { role: 'recruiter', mockInterviewId });
     });
 
@@ -0,0 +1,330 @@
+/**
+ * AI Usage Budgets - Test Suite
+ *
+ * Checks the per-user token ledger and budgets in services/aiUsageService.js:
+ * daily user and feature budgets, per-user overrides, what counts (cache
+ * hits and earlier days do not), the gateway refusing over-budget calls while
+ * still serving cache hits, and the admin report query. The AIUsage model is
+ * backed by an in-memory ledger so no database is needed.
+ *
+ * Usage:
+ *   node server/tests/testAiBudgets.js
+ */
+
+import http from 'http';
+import mongoose from 'mongoose';
+import AIUsage from '../models/AIUsage.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const newUserId = () => new mongoose.Types.ObjectId().toString();
+
+const VIP = newUserId();
+
+const BUDGETS = {
+  user: { daily: 100 },
+  users: { [VIP]: { daily: 1000 } },
+  features: { roadmap: { daily: 30 } }
+};
+
+// ============= IN-MEMORY LEDGER =============
+
+const ledger = [];
+const reportQueries = [];
+let connected = true;
+
+// Budget checks only run while the database is connected
+Object.defineProperty(mongoose.connection, 'readyState', { configurable: true, get: () => (connected ? 1 : 0) });
+
+AIUsage.create = async (entry) => {
+  ledger.push({ ...entry, createdAt: new Date() });
+};
+
+// Answers the token sum the budget check asks for; report queries are recorded
+AIUsage.aggregate = async (pipeline) => {
+  const [{ $match: match }, stage] = pipeline;
+  if (stage.$facet) {
+    reportQueries.push(pipeline);
+    return [{
+      totals: [{ _id: null, requests: 3, cacheHits: 1, promptTokens: 20, completionTokens: 10, totalTokens: 30, avgLatencyMs: 123.6 }],
+      breakdown: [{ _id: { feature: 'roadmap' }, requests: 3, cacheHits: 1, promptTokens: 20, completionTokens: 10, totalTokens: 30, avgLatencyMs: 123.6 }]
+    }];
+  }
+
+  const tokens = ledger
+    .filter((entry) => String(entry.userId) === String(match.userId)
+      && entry.cached === match.cached
+      && entry.createdAt >= match.createdAt.$gte
+      && (!match.feature || entry.feature === match.feature))
+    .reduce((sum, entry) => sum + entry.totalTokens, 0);
+  return [{ _id: null, tokens }];
+};
+
+function spend(userId, feature, tokens, createdAt = new Date()) {
+  ledger.push({ userId: new mongoose.Types.ObjectId(userId), feature, provider: 'local', cached: false, totalTokens: tokens, createdAt });
+}
+
+async function budgetError(usage, userId, feature) {
+  try {
+    await usage.checkBudget(userId, feature);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function startFakeProvider() {
+  const provider = { requests: [] };
+
+  provider.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      provider.requests.push(JSON.parse(body));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'local-completion',
+        object: 'chat.completion',
+        model: 'llama3.1',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'local answer' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 40, completion_tokens: 20, total_tokens: 60 }
+      }));
+    });
+  });
+
+  return new Promise((resolve) => provider.server.listen(0, '127.0.0.1', () => resolve(provider)));
+}
+
+// Test Functions
+
+async function testBudgets(usage) {
+  logTest('Budgets');
+  let passed = true;
+
+  const user = newUserId();
+  spend(user, 'interview', 60);
+  passed = check(await budgetError(usage, user, 'interview') === null,
+    'Under the daily budget the call is allowed',
+    'A user with 60/100 tokens was refused') && passed;
+
+  usage.recordUsage({ userId: user, feature: 'interview', provider: 'local', model: 'm', usage: { total_tokens: 40 } });
+  const over = await budgetError(usage, user, 'interview');
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  passed = check(over?.code === 'AI_BUDGET_EXCEEDED' && over.budget.scope === 'user' && over.budget.used === 100,
+    'Usage recorded since the last check counts straight away',
+    `After 100/100 tokens: ${over ? JSON.stringify(over.budget) : 'allowed'}`) && passed;
+  passed = check(over?.budget.resetsAt.getTime() === midnight.getTime() && over.message.includes(midnight.toISOString()),
+    'The error says when the budget resets (next 00:00 UTC)',
+    `Resets at ${over?.budget.resetsAt?.toISOString()}`) && passed;
+
+  const returning = newUserId();
+  spend(returning, 'interview', 500, new Date(Date.now() - 36 * 60 * 60 * 1000));
+  usage.recordUsage({ userId: returning, feature: 'interview', provider: 'local', usage: { total_tokens: 500 }, cached: true });
+  passed = check(await budgetError(usage, returning, 'interview') === null,
+    'Earlier days and cache hits do not count',
+    'A user with only old and cached usage was refused') && passed;
+
+  const planner = newUserId();
+  spend(planner, 'roadmap', 30);
+  const roadmap = await budgetError(usage, planner, 'roadmap');
+  passed = check(roadmap?.budget.scope === 'feature' && roadmap.budget.feature === 'roadmap' && /daily roadmap budget/.test(roadmap.message),
+    'A feature budget stops that feature',
+    `Roadmap at 30/30: ${roadmap ? roadmap.message : 'allowed'}`) && passed;
+  passed = check(await budgetError(usage, planner, 'interview') === null,
+    'Other features stay available',
+    'Interview was refused by the roadmap budget') && passed;
+
+  spend(VIP, 'interview', 500);
+  passed = check(await budgetError(usage, VIP, 'interview') === null,
+    'A per-user budget replaces the default one',
+    'A user with a 1000 token budget was refused at 500') && passed;
+
+  passed = check(await budgetError(usage, 'script', 'interview') === null && await budgetError(usage, undefined, 'interview') === null,
+    'Calls without a user id are not metered',
+    'A call without a user id was refused') && passed;
+
+  return passed;
+}
+
+async function testLedger(usage) {
+  logTest('Ledger Entries');
+  let passed = true;
+  const user = newUserId();
+
+  usage.recordUsage({ userId: user, feature: 'skillGap', provider: 'groq', model: 'llama', latencyMs: 850, usage: { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 } });
+  usage.recordUsage({ userId: user, feature: 'skillGap', provider: 'groq', model: 'llama', usage: { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 }, cached: true });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const [live, cached] = ledger.filter((entry) => String(entry.userId) === user);
+  passed = check(live?.promptTokens === 12 && live.completionTokens === 8 && live.totalTokens === 20 && live.latencyMs === 850 && !live.cached,
+    'Each completion is written with its tokens, provider and latency',
+    `Live entry: ${JSON.stringify(live)}`) && passed;
+  passed = check(cached?.cached === true && cached.totalTokens === 0,
+    'Cache hits are written with no tokens',
+    `Cached entry: ${JSON.stringify(cached)}`) && passed;
+
+  connected = false;
+  const before = ledger.length;
+  usage.recordUsage({ userId: user, feature: 'skillGap', provider: 'groq', usage: { total_tokens: 5 } });
+  const skipped = await budgetError(usage, user, 'roadmap');
+  connected = true;
+  passed = check(ledger.length === before && skipped === null,
+    'Without a database nothing is written and budgets are not enforced',
+    `Ledger grew by ${ledger.length - before} while disconnected`) && passed;
+
+  return passed;
+}
+
+async function testGateway(gateway, provider) {
+  logTest('Gateway Enforcement');
+  let passed = true;
+  gateway.resetQuotaStats();
+  await gateway.clearCache();
+
+  const user = newUserId();
+  const messages = [{ role: 'user', content: 'Plan my week of practice.' }];
+  const first = await gateway.createChatCompletion('interview', messages, { userId: user });
+  await new Promise((resolve) => setImmediate(resolve));
+  const entry = ledger.filter((e) => String(e.userId) === user).at(-1);
+  passed = check(first.provider === 'local' && entry?.feature === 'interview' && entry.provider === 'local' && entry.totalTokens === 60,
+    'A completion made for a user lands in the ledger',
+    `Ledger entry: ${JSON.stringify(entry)}`) && passed;
+
+  await gateway.createChatCompletion('interview', [{ role: 'user', content: 'And the week after?' }], { userId: user });
+  const asked = provider.requests.length;
+  let refused = null;
+  try {
+    await gateway.createChatCompletion('interview', [{ role: 'user', content: 'Something new' }], { userId: user });
+  } catch (error) {
+    refused = error;
+  }
+  passed = check(refused?.code === 'AI_BUDGET_EXCEEDED' && provider.requests.length === asked,
+    'Once its own answers use up the budget, the gateway refuses before calling a provider',
+    `Over-budget call: ${refused ? refused.code : 'answered'}, provider asked ${provider.requests.length - asked} time(s)`) && passed;
+
+  const cached = await gateway.createChatCompletion('interview', messages, { userId: user });
+  passed = check(cached.cached && cached.content === first.content,
+    'Answers already in the cache are still served over budget',
+    `Cached call: ${JSON.stringify(cached)}`) && passed;
+
+  return passed;
+}
+
+async function testReport(usage) {
+  logTest('Usage Report');
+  let passed = true;
+
+  const user = newUserId();
+  const from = new Date('2026-09-01T00:00:00Z');
+  const to = new Date('2026-10-01T00:00:00Z');
+  const report = await usage.getUsageBreakdown({ from, to, userId: user, provider: 'groq', groupBy: ['feature', 'bogus', 'day'] });
+  const [{ $match: match }, { $facet: facet }] = reportQueries.at(-1);
+
+  passed = check(String(match.userId) === user && match.provider === 'groq' && match.createdAt.$gte === from && match.createdAt.$lt === to,
+    'Filters and the date range go into the query',
+    `Match: ${JSON.stringify(match)}`) && passed;
+  passed = check(report.groupBy.join(',') === 'feature,day' && Object.keys(facet.breakdown[0].$group._id).join(',') === 'feature,day',
+    'Unknown groupBy dimensions are ignored',
+    `Grouped by: ${report.groupBy}`) && passed;
+  passed = check(report.totals.totalTokens === 30 && report.totals.avgLatencyMs === 124 && report.breakdown[0].feature === 'roadmap' && !('_id' in report.breakdown[0]),
+    'Rows are flattened and latency rounded',
+    `Report: ${JSON.stringify(report)}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   AI Usage Budgets - Test Suite                          ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const provider = await startFakeProvider();
+
+  // Read on first use, so set before the services load
+  ['OPENAI_API_KEY', 'GROQ_API_KEY', 'OPENROUTER_API_KEY', 'LLM_REPLAY_DIR', 'LLM_OFFLINE', 'LLM_FEATURES', 'LLM_CACHE_BACKEND']
+    .forEach((key) => delete process.env[key]);
+  process.env.AI_BUDGETS = JSON.stringify(BUDGETS);
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${provider.server.address().port}/v1`;
+  const usage = await import('../services/aiUsageService.js');
+  const gateway = await import('../services/llmGateway.js');
+
+  const tests = [
+    { name: 'Budgets', fn: () => testBudgets(usage) },
+    { name: 'Ledger Entries', fn: () => testLedger(usage) },
+    { name: 'Gateway Enforcement', fn: () => testGateway(gateway, provider) },
+    { name: 'Usage Report', fn: () => testReport(usage) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  provider.server.close();
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
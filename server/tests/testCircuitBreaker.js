@@ -0,0 +1,362 @@
+/**
+ * Provider Circuit Breakers - Test Suite
+ *
+ * Checks services/circuitBreaker.js on its own (opening, the single
+ * half-open trial, doubling cool-downs) and wired into the LLM gateway:
+ * tripped providers are skipped, only one live request tests a recovering
+ * provider, and services/providerHealth.js probes close or re-open circuits.
+ * Stand-in OpenAI-compatible servers on localhost play the local and OpenAI
+ * providers; cool-downs are skipped by moving `nextProbeAt` into the past.
+ *
+ * Usage:
+ *   node server/tests/testCircuitBreaker.js
+ */
+
+import http from 'http';
+import { CircuitBreaker, CIRCUIT_STATES } from '../services/circuitBreaker.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stand-in provider. Answers "<name> answer"; a queued reply can fail
+ * ({ status }) or answer late ({ delayMs }).
+ */
+function startFakeProvider(name) {
+  const provider = { name, requests: [], replies: [] };
+
+  provider.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      provider.requests.push(JSON.parse(body));
+      const reply = provider.replies.shift() || {};
+      if (reply.delayMs) await sleep(reply.delayMs);
+
+      if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `${name} failed with ${reply.status}` } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `${name}-completion`,
+        object: 'chat.completion',
+        model: 'stand-in',
+        choices: [{ index: 0, message: { role: 'assistant', content: `${name} answer` }, finish_reason: 'stop' }]
+      }));
+    });
+  });
+
+  return new Promise((resolve) => provider.server.listen(0, '127.0.0.1', () => resolve(provider)));
+}
+
+function ask(gateway, text) {
+  return gateway.createChatCompletion('interview', [{ role: 'user', content: text }], { skipCache: true });
+}
+
+// Trip the local circuit: three requests that each fail on local with a 400
+async function tripLocal(gateway, local) {
+  local.replies.push({ status: 400 }, { status: 400 }, { status: 400 });
+  for (let i = 0; i < 3; i++) {
+    await ask(gateway, `trip ${i}`);
+  }
+}
+
+function skipCoolDown(breaker) {
+  breaker.nextProbeAt = Date.now() - 1;
+}
+
+function reset(gateway, providers) {
+  gateway.resetQuotaStats();
+  providers.forEach((provider) => {
+    provider.requests.length = 0;
+    provider.replies.length = 0;
+  });
+}
+
+// Test Functions
+
+async function testBreaker() {
+  logTest('Breaker States');
+  let passed = true;
+
+  const breaker = new CircuitBreaker('unit', { failureThreshold: 3, openMs: 40, maxOpenMs: 100, historySize: 5 });
+  const transitions = [];
+  breaker.on('transition', (event) => transitions.push(event));
+
+  breaker.recordFailure('boom');
+  breaker.recordFailure('boom');
+  breaker.recordSuccess();
+  breaker.recordFailure('boom');
+  breaker.recordFailure('boom');
+  passed = check(breaker.state === CIRCUIT_STATES.CLOSED && breaker.consecutiveFailures === 2,
+    'A success in between resets the failure count',
+    `After fail, fail, ok, fail, fail: ${breaker.state} with ${breaker.consecutiveFailures} failures`) && passed;
+
+  breaker.recordFailure('boom 3');
+  passed = check(breaker.state === CIRCUIT_STATES.OPEN && !breaker.allowsRequest() && !breaker.acquire(),
+    'The third failure in a row opens the circuit and requests skip it',
+    `After three failures: ${breaker.state}`) && passed;
+  passed = check(transitions.at(-1).to === 'open' && /3 consecutive failures: boom 3/.test(transitions.at(-1).reason),
+    'The transition says why it opened',
+    `Transition: ${JSON.stringify(transitions.at(-1))}`) && passed;
+
+  await sleep(50);
+  passed = check(breaker.allowsRequest() && breaker.acquire() && breaker.state === CIRCUIT_STATES.HALF_OPEN,
+    'After the cool-down the next request becomes the half-open trial',
+    `After the cool-down: ${breaker.state}`) && passed;
+  passed = check(!breaker.acquire() && !breaker.allowsRequest(),
+    'While the trial is in flight every other request skips the provider',
+    'A second request got through during the trial') && passed;
+
+  breaker.recordFailure('still down');
+  const firstWait = breaker.nextProbeAt - breaker.openedAt.getTime();
+  passed = check(breaker.state === CIRCUIT_STATES.OPEN && firstWait >= 79 && firstWait <= 81,
+    'A failed trial re-opens the circuit with the cool-down doubled',
+    `After a failed trial: ${breaker.state}, next probe in ${firstWait}ms`) && passed;
+
+  await sleep(90);
+  breaker.acquire();
+  breaker.recordFailure('still down');
+  const cappedWait = breaker.nextProbeAt - breaker.openedAt.getTime();
+  passed = check(cappedWait >= 99 && cappedWait <= 101,
+    'The cool-down stops growing at maxOpenMs',
+    `Next probe in ${cappedWait}ms`) && passed;
+
+  await sleep(110);
+  breaker.acquire();
+  breaker.release();
+  passed = check(breaker.state === CIRCUIT_STATES.HALF_OPEN && breaker.acquire(),
+    'A released trial lets the next request be the trial',
+    `After release: ${breaker.state}, trial in flight ${breaker.trialInFlight}`) && passed;
+
+  breaker.recordSuccess();
+  passed = check(breaker.state === CIRCUIT_STATES.CLOSED && breaker.openMs === 40 && breaker.nextProbeAt === null,
+    'A successful trial closes the circuit and resets the cool-down',
+    `After a good trial: ${JSON.stringify(breaker.snapshot())}`) && passed;
+  passed = check(breaker.history.length === 5 && breaker.history.at(-1).to === 'closed',
+    'Only the most recent transitions are kept',
+    `History: ${breaker.history.length} entries`) && passed;
+
+  return passed;
+}
+
+async function testGatewaySkips(gateway, [local, openai]) {
+  logTest('Tripped Providers in the Gateway');
+  let passed = true;
+  reset(gateway, [local, openai]);
+
+  const transitions = [];
+  const unsubscribe = gateway.onCircuitTransition((event) => transitions.push(event));
+  await tripLocal(gateway, local);
+  passed = check(gateway.getCircuitBreaker('local').state === 'open' && transitions.some((e) => e.name === 'local' && e.to === 'open'),
+    'Three failed requests open the local circuit and subscribers hear about it',
+    `Local: ${gateway.getCircuitBreaker('local').state}, transitions ${JSON.stringify(transitions)}`) && passed;
+
+  local.requests.length = 0;
+  const skipped = await ask(gateway, 'while open');
+  passed = check(skipped.provider === 'openai' && local.requests.length === 0 && gateway.isFeatureAvailable('interview'),
+    'While open, requests go straight to the next provider',
+    `While open: ${skipped.provider}, local asked ${local.requests.length} time(s)`) && passed;
+
+  skipCoolDown(gateway.getCircuitBreaker('local'));
+  local.replies.push({ delayMs: 300 });
+  const trial = ask(gateway, 'trial');
+  await sleep(100);
+  const during = await ask(gateway, 'during the trial');
+  const trialResult = await trial;
+  passed = check(trialResult.provider === 'local' && during.provider === 'openai' && local.requests.length === 1,
+    'Once the cool-down is over exactly one request tries local; the rest go elsewhere',
+    `Trial: ${trialResult.provider}, concurrent: ${during.provider}, local asked ${local.requests.length} time(s)`) && passed;
+  passed = check(gateway.getCircuitBreaker('local').state === 'closed',
+    'The successful trial closes the circuit',
+    `Local: ${gateway.getCircuitBreaker('local').state}`) && passed;
+
+  const health = gateway.getProviderHealth();
+  passed = check(health.providers.local.configured && !health.providers.groq.configured
+    && health.transitions.map((e) => e.to).join(',').endsWith('open,half-open,closed'),
+    'Provider health lists each circuit and the transitions in order',
+    `Health: ${JSON.stringify(health.transitions.map((e) => `${e.name}:${e.to}`))}`) && passed;
+
+  unsubscribe();
+  return passed;
+}
+
+async function testProbes(gateway, health, [local, openai]) {
+  logTest('Health Probes');
+  let passed = true;
+  reset(gateway, [local, openai]);
+  const breaker = gateway.getCircuitBreaker('local');
+
+  await tripLocal(gateway, local);
+  const passedProbe = await health.probeProvider('local');
+  passed = check(passedProbe.available && breaker.state === 'closed' && breaker.history.at(-1).reason === 'health probe passed',
+    'A passing probe closes a tripped circuit without waiting for the cool-down',
+    `Probe: ${JSON.stringify(passedProbe)}, local ${breaker.state}`) && passed;
+
+  await tripLocal(gateway, local);
+  local.replies.push({ status: 400 });
+  const failedProbe = await health.probeProvider('local');
+  const wait = breaker.nextProbeAt - breaker.openedAt.getTime();
+  passed = check(!failedProbe.available && breaker.state === 'open' && wait >= 119000,
+    'A failing probe re-opens the circuit for twice as long',
+    `Probe: ${JSON.stringify(failedProbe)}, local ${breaker.state}, next probe in ${wait}ms`) && passed;
+
+  gateway.resetQuotaStats();
+  local.replies.push({ status: 400 });
+  await health.probeProvider('local');
+  passed = check(breaker.state === 'closed' && breaker.consecutiveFailures === 0,
+    'A failing probe never trips a closed circuit',
+    `Local after a failed probe while closed: ${breaker.state}, ${breaker.consecutiveFailures} failures`) && passed;
+
+  let unknown = null;
+  try {
+    await health.probeProvider('bogus');
+  } catch (error) {
+    unknown = error.code;
+  }
+  passed = check(unknown === 'PROVIDER_NOT_FOUND',
+    'Probing an unknown provider is refused',
+    `Unknown provider: ${unknown}`) && passed;
+
+  return passed;
+}
+
+async function testProbeLoop(gateway, health, [local, openai]) {
+  logTest('Probe Loop');
+  let passed = true;
+  reset(gateway, [local, openai]);
+
+  await tripLocal(gateway, local);
+  const openaiBreaker = gateway.getCircuitBreaker('openai');
+  ['a', 'b', 'c'].forEach((e) => openaiBreaker.recordFailure(e));
+  skipCoolDown(gateway.getCircuitBreaker('local'));
+  local.requests.length = 0;
+  openai.requests.length = 0;
+
+  await health.runHealthProbes();
+  passed = check(gateway.getCircuitBreaker('local').state === 'closed' && local.requests.length === 1,
+    'Circuits past their cool-down are probed and closed',
+    `Local: ${gateway.getCircuitBreaker('local').state}, probed ${local.requests.length} time(s)`) && passed;
+  passed = check(openaiBreaker.state === 'open' && openai.requests.length === 0,
+    'Circuits still cooling down are left alone',
+    `OpenAI: ${openaiBreaker.state}, probed ${openai.requests.length} time(s)`) && passed;
+  passed = check(health.getProbeStatus().lastRunAt instanceof Date && !health.getProbeStatus().running,
+    'The probe status records the last run',
+    `Status: ${JSON.stringify(health.getProbeStatus())}`) && passed;
+
+  health.startHealthProbes({ intervalMs: 20 });
+  health.startHealthProbes({ intervalMs: 5000 });
+  skipCoolDown(openaiBreaker);
+  await sleep(150);
+  const status = health.getProbeStatus();
+  health.stopHealthProbes();
+  passed = check(status.running && status.intervalMs === 20 && openaiBreaker.state === 'closed',
+    'The background loop probes on its own; starting it twice keeps the first interval',
+    `Loop status: ${JSON.stringify(status)}, OpenAI ${openaiBreaker.state}`) && passed;
+  passed = check(!health.getProbeStatus().running,
+    'The loop can be stopped',
+    'The loop kept running') && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Provider Circuit Breakers - Test Suite                 ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const providers = [await startFakeProvider('local'), await startFakeProvider('openai')];
+  const [local, openai] = providers;
+
+  // Only the stand-ins; set before the gateway reads its settings
+  ['GROQ_API_KEY', 'OPENROUTER_API_KEY', 'LLM_REPLAY_DIR', 'LLM_OFFLINE', 'LLM_FEATURES', 'LLM_CACHE_BACKEND']
+    .forEach((key) => delete process.env[key]);
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${local.server.address().port}/v1`;
+  process.env.OPENAI_API_KEY = 'test-key';
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${openai.server.address().port}/v1`;
+  const gateway = await import('../services/llmGateway.js');
+  const health = await import('../services/providerHealth.js');
+
+  const tests = [
+    { name: 'Breaker States', fn: testBreaker },
+    { name: 'Tripped Providers in the Gateway', fn: () => testGatewaySkips(gateway, providers) },
+    { name: 'Health Probes', fn: () => testProbes(gateway, health, providers) },
+    { name: 'Probe Loop', fn: () => testProbeLoop(gateway, health, providers) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  providers.forEach((provider) => provider.server.close());
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
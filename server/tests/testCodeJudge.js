@@ -0,0 +1,296 @@
+/**
+ * Code Judge - Test Suite
+ *
+ * Checks output comparison, per-case verdicts and the /submit endpoint:
+ * the question's compareOptions decide how outputs are compared, and a
+ * question counts as solved once, on its first accepted submission.
+ * Submissions really run (JavaScript / TypeScript); the database models are
+ * stubbed in memory.
+ *
+ * Usage:
+ *   node server/tests/testCodeJudge.js
+ */
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { judgeSubmission, toCandidateResult, compareOutputs, VERDICTS } from '../services/codeJudge.js';
+import Question from '../models/Question.js';
+import Progress from '../models/Progress.js';
+import User from '../models/User.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+// Reads two numbers per line and prints their sum
+const SUM_JS = `const lines = require('fs').readFileSync(0, 'utf8').trim().split('\\n');
+for (const line of lines) {
+  const [a, b] = line.split(' ').map(Number);
+  console.log(a + b);
+}`;
+
+const SUM_CASES = [
+  { input: '1 2', output: '3' },
+  { input: '10 20\n5 5', output: '30\n10' },
+  { input: '-4 4', output: '0', hidden: true }
+];
+
+// Test Functions
+
+function testCompareOutputs() {
+  logTest('Output Comparison');
+  let passed = true;
+
+  passed = check(compareOutputs('3  \n4\n\n', '3\n4'),
+    'trailing: trailing spaces and blank lines are ignored',
+    'trailing: trailing whitespace made outputs differ') && passed;
+  passed = check(!compareOutputs('3 4', '3  4'),
+    'trailing: spacing inside a line still counts',
+    'trailing: inner spacing was ignored') && passed;
+  passed = check(!compareOutputs('3\n', '3', { whitespace: 'exact' }),
+    'exact: a trailing newline is a difference',
+    'exact: trailing newline was ignored') && passed;
+  passed = check(compareOutputs('1\n2\n3', '1 2   3', { whitespace: 'all' }),
+    'all: any run of whitespace is one separator',
+    'all: line breaks vs spaces made outputs differ') && passed;
+  passed = check(compareOutputs('0.3333334', '0.3333333', { floatTolerance: 1e-6 }),
+    'floatTolerance: numbers within tolerance match',
+    'floatTolerance: close numbers did not match') && passed;
+  passed = check(!compareOutputs('0.34', '0.3333333', { floatTolerance: 1e-6 }),
+    'floatTolerance: numbers outside tolerance differ',
+    'floatTolerance: distant numbers matched') && passed;
+
+  return passed;
+}
+
+async function testVerdicts() {
+  logTest('Verdicts');
+  let passed = true;
+
+  const accepted = await judgeSubmission(SUM_JS, 'javascript', SUM_CASES);
+  passed = check(accepted.verdict === VERDICTS.ACCEPTED && accepted.passed === 3 && accepted.total === 3,
+    'Correct solution: AC on 3/3 cases',
+    `Correct solution: ${accepted.verdict} with ${accepted.passed}/${accepted.total}`) && passed;
+
+  const offByOne = SUM_JS.replace('a + b', 'a + b + (a < 0 ? 1 : 0)');
+  const wrong = await judgeSubmission(offByOne, 'javascript', SUM_CASES);
+  passed = check(wrong.verdict === VERDICTS.WRONG_ANSWER && wrong.passed === 2,
+    'Wrong on one case: WA with 2/3 passed',
+    `Wrong on one case: ${wrong.verdict} with ${wrong.passed}/3`) && passed;
+
+  const sampleWrong = await judgeSubmission(SUM_JS.replace('a + b', 'a * b'), 'javascript', SUM_CASES.slice(1, 2));
+  const diff = toCandidateResult(sampleWrong).results[0].diff;
+  passed = check(diff?.line === 1 && diff.expected === '30' && diff.actual === '200',
+    'Sample case diff points at the first differing line',
+    `Unexpected diff: ${JSON.stringify(diff)}`) && passed;
+
+  const crash = await judgeSubmission('throw new Error("boom")', 'javascript', SUM_CASES);
+  passed = check(crash.verdict === VERDICTS.RUNTIME_ERROR,
+    'Thrown error: RE',
+    `Thrown error: ${crash.verdict}`) && passed;
+
+  const compileError = await judgeSubmission('const n: number = "text";\nconsole.log(n);', 'typescript', SUM_CASES);
+  passed = check(compileError.verdict === VERDICTS.COMPILATION_ERROR && compileError.results.length === 1,
+    'Type error: CE, judged once instead of per case',
+    `Type error: ${compileError.verdict} after ${compileError.results.length} case(s)`) && passed;
+
+  return passed;
+}
+
+/**
+ * Keep progress and the user in memory so /submit can run without MongoDB
+ */
+function stubModels(questions) {
+  const progress = new Map();
+  const user = {
+    _id: USER_ID,
+    name: 'Judge Tester',
+    email: 'judge@example.com',
+    stats: { questionsSolved: 0, accuracy: 0 },
+    save: async () => user
+  };
+
+  Question.findById = async (id) => questions.get(String(id)) || null;
+  User.findById = async () => user;
+  Progress.findOne = async ({ questionId }) => progress.get(String(questionId)) || null;
+  Progress.find = async () => [...progress.values()];
+  Progress.prototype.save = async function save() {
+    await this.validate();
+    progress.set(String(this.questionId), this);
+    return this;
+  };
+
+  return { progress, user };
+}
+
+async function startApp() {
+  const { default: codeExecutionRoutes } = await import('../routes/codeExecution.js');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/code-execution', codeExecutionRoutes);
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function submit(baseUrl, token, questionId, code) {
+  const response = await fetch(`${baseUrl}/api/code-execution/submit`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: JSON.stringify({ questionId, code, language: 'javascript' })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function testSubmitEndpoint() {
+  logTest('Submit Endpoint');
+  let passed = true;
+
+  // Prints one number per line; the expected output has them on one line
+  const perLine = new Question({
+    title: 'Count to three',
+    description: 'Print 1 2 3',
+    difficulty: 'easy',
+    topic: 'Arrays',
+    type: 'coding',
+    testCases: [{ input: '', output: '1 2 3' }],
+    compareOptions: { whitespace: 'all' }
+  });
+  const strict = new Question({
+    title: 'Count to three, strictly',
+    description: 'Print 1 2 3 on one line',
+    difficulty: 'easy',
+    topic: 'Arrays',
+    type: 'coding',
+    testCases: [{ input: '', output: '1 2 3' }]
+  });
+  const questions = new Map([[String(perLine._id), perLine], [String(strict._id), strict]]);
+  const { progress, user } = stubModels(questions);
+
+  const server = await startApp();
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const token = jwt.sign({ userId: USER_ID }, process.env.JWT_SECRET);
+  const countCode = 'for (let i = 1; i <= 3; i++) console.log(i);';
+
+  try {
+    const unauthenticated = await fetch(`${baseUrl}/api/code-execution/submit`, { method: 'POST' });
+    passed = check(unauthenticated.status === 401,
+      'Submitting without a token is rejected',
+      `Submitting without a token returned ${unauthenticated.status}`) && passed;
+
+    const lenient = await submit(baseUrl, token, perLine._id, countCode);
+    passed = check(lenient.body.verdict === VERDICTS.ACCEPTED,
+      'Question with whitespace "all": line breaks accepted',
+      `Question with whitespace "all": ${lenient.body.verdict || lenient.body.message}`) && passed;
+
+    const exact = await submit(baseUrl, token, strict._id, countCode);
+    passed = check(exact.body.verdict === VERDICTS.WRONG_ANSWER,
+      'Question with default options: the same output is WA',
+      `Question with default options: ${exact.body.verdict || exact.body.message}`) && passed;
+
+    const firstSolve = progress.get(String(perLine._id))?.solvedAt;
+    passed = check(firstSolve instanceof Date && user.stats.questionsSolved === 1,
+      'First accepted submission sets solvedAt and counts one solve',
+      `After the first solve: solvedAt ${firstSolve}, questionsSolved ${user.stats.questionsSolved}`) && passed;
+
+    await submit(baseUrl, token, perLine._id, 'console.log(4);');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await submit(baseUrl, token, perLine._id, countCode);
+    const record = progress.get(String(perLine._id));
+    passed = check(record.solvedAt.getTime() === firstSolve.getTime() && user.stats.questionsSolved === 1,
+      'Failing and re-solving keeps the first solvedAt and the solve count',
+      `After re-solving: solvedAt ${record.solvedAt}, questionsSolved ${user.stats.questionsSolved}`) && passed;
+    passed = check(record.attempts === 3 && record.isCorrect,
+      'Every submission is counted as an attempt',
+      `Expected 3 attempts, got ${record.attempts}`) && passed;
+  } finally {
+    server.close();
+  }
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Code Judge - Test Suite                                ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'code-judge-test-secret';
+
+  const tests = [
+    { name: 'Output Comparison', fn: testCompareOutputs },
+    { name: 'Verdicts', fn: testVerdicts },
+    { name: 'Submit Endpoint', fn: testSubmitEndpoint }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
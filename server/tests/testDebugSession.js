@@ -0,0 +1,351 @@
+/**
+ * Step-through Debugger - Test Suite
+ *
+ * Drives real debug sessions (services/debugSession.js) for JavaScript and
+ * Python: breakpoints with locals and call stack, stepping, stop-on-entry,
+ * changing breakpoints while paused, and the ownership / state errors the
+ * socket layer relies on.
+ *
+ * Usage:
+ *   node server/tests/testDebugSession.js
+ */
+
+import {
+  startDebugSession,
+  sendDebugCommand,
+  stopDebugSession,
+  withEntryPause,
+  getDebugSessionStats
+} from '../services/debugSession.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const USER = 'debug-tester';
+const EVENT_TIMEOUT_MS = 15000;
+
+/**
+ * Start a session and collect its events so a test can wait for the next one
+ */
+async function debug(options) {
+  const events = [];
+  const waiters = [];
+  let output = '';
+
+  const onEvent = (type, payload) => {
+    if (type === 'output') {
+      output += payload.text;
+      return;
+    }
+    const waiter = waiters.findIndex((w) => w.type === type);
+    if (waiter >= 0) {
+      const [{ resolve, timer }] = waiters.splice(waiter, 1);
+      clearTimeout(timer);
+      resolve(payload);
+    } else {
+      events.push({ type, payload });
+    }
+  };
+
+  const next = (type) => {
+    const queued = events.findIndex((e) => e.type === type);
+    if (queued >= 0) {
+      return Promise.resolve(events.splice(queued, 1)[0].payload);
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${type} event within ${EVENT_TIMEOUT_MS}ms`)), EVENT_TIMEOUT_MS);
+      waiters.push({ type, resolve, timer });
+    });
+  };
+
+  const { sessionId } = await startDebugSession(options.userId || USER, options, onEvent);
+  return {
+    sessionId,
+    next,
+    output: () => output,
+    send: (command, lines) => sendDebugCommand(sessionId, options.userId || USER, { command, lines })
+  };
+}
+
+function errorCode(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+const LOOP_JS = `function square(x) {
+  const result = x * x;
+  return result;
+}
+let total = 0;
+for (let i = 1; i <= 3; i++) {
+  total += square(i);
+}
+console.log('total', total);`;
+
+const LOOP_PY = `def square(x):
+    result = x * x
+    return result
+
+total = 0
+for i in range(1, 4):
+    total += square(i)
+print('total', total)`;
+
+// Test Functions
+
+function testEntryPause() {
+  logTest('Entry Pause Injection');
+  let passed = true;
+
+  passed = check(withEntryPause('let a = 1;\nlet b = 2;') === 'debugger;let a = 1;\nlet b = 2;',
+    'The pause goes on line 1 without shifting line numbers',
+    `Plain code became: ${JSON.stringify(withEntryPause('let a = 1;\nlet b = 2;'))}`) && passed;
+  passed = check(withEntryPause('#!/usr/bin/env node\nlet a = 1;') === '#!/usr/bin/env node\ndebugger;let a = 1;',
+    'A #! line stays first; the pause goes on line 2',
+    `Hashbang code became: ${JSON.stringify(withEntryPause('#!/usr/bin/env node\nlet a = 1;'))}`) && passed;
+  passed = check(withEntryPause('#!/usr/bin/env node') === '#!/usr/bin/env node\ndebugger;',
+    'A program that is only a #! line still gets a valid pause',
+    `Hashbang-only code became: ${JSON.stringify(withEntryPause('#!/usr/bin/env node'))}`) && passed;
+
+  return passed;
+}
+
+async function testJavaScript() {
+  logTest('JavaScript Session');
+  let passed = true;
+
+  const session = await debug({ code: LOOP_JS, language: 'javascript', breakpoints: [2, 9] });
+  const verified = await session.next('breakpoints');
+  passed = check(verified.lines.join(',') === '2,9',
+    'Breakpoints are confirmed before the program runs',
+    `Verified lines: ${verified.lines}`) && passed;
+
+  const hit = await session.next('paused');
+  passed = check(hit.reason === 'breakpoint' && hit.line === 2 && hit.function === 'square' && hit.locals.x === '1',
+    'Stops at the breakpoint inside square() with x = 1',
+    `First pause: ${JSON.stringify(hit)}`) && passed;
+  passed = check(hit.stack.length === 2 && hit.stack[1].line === 7,
+    'The call stack shows square() called from the top level',
+    `Stack: ${JSON.stringify(hit.stack)}`) && passed;
+
+  passed = check(errorCode(() => sendDebugCommand(session.sessionId, 'someone-else', { command: 'continue' })) === 'DEBUG_SESSION_NOT_FOUND',
+    'Another user cannot drive the session',
+    'Another user drove the session') && passed;
+  passed = check(errorCode(() => session.send('jump')) === 'DEBUG_INVALID_COMMAND',
+    'Unknown commands are refused',
+    'An unknown command was accepted') && passed;
+
+  session.send('stepOver');
+  const stepped = await session.next('paused');
+  passed = check(stepped.reason === 'step' && stepped.line === 3 && stepped.locals.result === '1',
+    'stepOver moves to the next line with the new local',
+    `After stepOver: ${JSON.stringify(stepped)}`) && passed;
+
+  session.send('setBreakpoints', []);
+  const cleared = await session.next('breakpoints');
+  passed = check(cleared.lines.length === 0,
+    'Breakpoints can be cleared while paused',
+    `After clearing: ${cleared.lines}`) && passed;
+
+  session.send('continue');
+  passed = check(errorCode(() => session.send('stepOver')) === 'DEBUG_NOT_PAUSED',
+    'Commands are refused while the program runs',
+    'A command was accepted while running') && passed;
+
+  const ended = await session.next('terminated');
+  passed = check(ended.reason === 'exited' && ended.exitCode === 0 && session.output().includes('total 14'),
+    'With no breakpoints left the program runs to the end',
+    `Termination: ${JSON.stringify(ended)}, output "${session.output()}"`) && passed;
+
+  return passed;
+}
+
+async function testStopOnEntry() {
+  logTest('Stop on Entry');
+  let passed = true;
+
+  const session = await debug({ code: LOOP_JS, language: 'javascript', stopOnEntry: true });
+  const entry = await session.next('paused');
+  passed = check(entry.reason === 'entry' && entry.line === 5,
+    'Pauses on the first statement that runs (line 5)',
+    `Entry pause: ${JSON.stringify(entry)}`) && passed;
+
+  session.send('stepOver');
+  const next = await session.next('paused');
+  passed = check(next.line === 6 && next.locals.total === '0',
+    'Stepping from the entry pause goes line by line',
+    `After stepping: ${JSON.stringify(next)}`) && passed;
+
+  stopDebugSession(session.sessionId, USER);
+  const stopped = await session.next('terminated');
+  passed = check(stopped.reason === 'stopped' && stopped.error === '',
+    'Stopping a paused session kills it without an error',
+    `Stopped session: ${JSON.stringify(stopped)}`) && passed;
+
+  return passed;
+}
+
+async function testPython() {
+  logTest('Python Session');
+  let passed = true;
+
+  const session = await debug({ code: LOOP_PY, language: 'python', breakpoints: [4, 7] });
+  const verified = await session.next('breakpoints');
+  passed = check(verified.lines.join(',') === '7',
+    'A breakpoint on a blank line is dropped, the one on code is kept',
+    `Verified lines: ${verified.lines}`) && passed;
+
+  const hit = await session.next('paused');
+  passed = check(hit.reason === 'breakpoint' && hit.line === 7 && hit.locals.i === '1' && hit.locals.total === '0',
+    'Stops at the breakpoint with i = 1 and total = 0',
+    `First pause: ${JSON.stringify(hit)}`) && passed;
+
+  session.send('stepInto');
+  const inside = await session.next('paused');
+  passed = check(inside.function === 'square' && inside.line === 2 && inside.stack.length === 2,
+    'stepInto enters square()',
+    `After stepInto: ${JSON.stringify(inside)}`) && passed;
+
+  session.send('stepOut');
+  const back = await session.next('paused');
+  passed = check(back.function === '<module>' && back.locals.total === '1',
+    'stepOut finishes square() and pauses back in the caller',
+    `After stepOut: ${JSON.stringify(back)}`) && passed;
+
+  session.send('setBreakpoints', []);
+  await session.next('breakpoints');
+  session.send('continue');
+  const ended = await session.next('terminated');
+  passed = check(ended.reason === 'exited' && session.output().includes('total 14'),
+    'The program finishes once resumed',
+    `Termination: ${JSON.stringify(ended)}, output "${session.output()}"`) && passed;
+
+  return passed;
+}
+
+async function testLimits() {
+  logTest('Session Limits');
+  let passed = true;
+
+  let unsupported = null;
+  try {
+    await startDebugSession(USER, { code: 'int main() {}', language: 'cpp' }, () => {});
+  } catch (error) {
+    unsupported = error.code;
+  }
+  passed = check(unsupported === 'DEBUG_UNSUPPORTED_LANGUAGE',
+    'Languages without a debugger are refused',
+    `C++ session: ${unsupported}`) && passed;
+
+  const sessions = [
+    await debug({ code: LOOP_JS, language: 'javascript', stopOnEntry: true, userId: 'busy-user' }),
+    await debug({ code: LOOP_JS, language: 'javascript', stopOnEntry: true, userId: 'busy-user' })
+  ];
+  let busy = null;
+  try {
+    await startDebugSession('busy-user', { code: LOOP_JS, language: 'javascript' }, () => {});
+  } catch (error) {
+    busy = error.code;
+  }
+  passed = check(busy === 'DEBUG_BUSY',
+    'A user cannot open more than two sessions at once',
+    `Third session: ${busy || 'started'}`) && passed;
+
+  for (const session of sessions) {
+    await session.next('paused');
+    stopDebugSession(session.sessionId, 'busy-user');
+    await session.next('terminated');
+  }
+  passed = check(getDebugSessionStats().active === 0,
+    'Stopped sessions are cleaned up',
+    `Sessions still active: ${getDebugSessionStats().active}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Step-through Debugger - Test Suite                     ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const tests = [
+    { name: 'Entry Pause Injection', fn: testEntryPause },
+    { name: 'JavaScript Session', fn: testJavaScript },
+    { name: 'Stop on Entry', fn: testStopOnEntry },
+    { name: 'Python Session', fn: testPython },
+    { name: 'Session Limits', fn: testLimits }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
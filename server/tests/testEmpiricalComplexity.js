@@ -0,0 +1,176 @@
+/**
+ * Empirical Complexity - Test Suite
+ *
+ * Times real JavaScript submissions on generated inputs with
+ * services/empiricalComplexity.js and checks the fitted growth class for
+ * constant, linear and quadratic programs, plus how failures are reported
+ * (bad generator, crashing submission, too few points). The work per size
+ * is made large enough to stand out from interpreter start-up.
+ *
+ * Usage:
+ *   node server/tests/testEmpiricalComplexity.js
+ */
+
+import { measureComplexity } from '../services/empiricalComplexity.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+// The submission's input is just n
+const PRINT_N = { language: 'python', code: 'print(int(input()))' };
+
+const READ_N = 'const n = Number(require("fs").readFileSync(0, "utf8"));';
+
+const CONSTANT_JS = `${READ_N}\nlet x = 0;\nfor (let i = 0; i < 1000; i++) x += i;\nconsole.log(x + n);`;
+
+const LINEAR_JS = `${READ_N}\nlet x = 0;\nfor (let i = 0; i < n * 20000; i++) x = (x + i) % 1000003;\nconsole.log(x);`;
+
+const QUADRATIC_JS = `${READ_N}\nlet x = 0;\nfor (let i = 0; i < n; i++) for (let j = 0; j < n; j++) x = (x + j) % 1000003;\nconsole.log(x);`;
+
+const describe = (result) => `${result.notation} (confidence ${result.confidence}, `
+  + `${result.samples.map((s) => `${s.n}:${s.timeMs}ms`).join(' ')})`;
+
+// Test Functions
+
+async function testGrowthClasses() {
+  logTest('Growth Classes');
+  let passed = true;
+
+  const constant = await measureComplexity(CONSTANT_JS, 'javascript', { ...PRINT_N, sizes: [1000, 2000, 4000, 6000, 8000, 10000] });
+  passed = check(constant.notation === 'O(1)',
+    `Fixed work: ${describe(constant)}`,
+    `Fixed work: ${describe(constant)}`) && passed;
+
+  const linear = await measureComplexity(LINEAR_JS, 'javascript', { ...PRINT_N, sizes: [1000, 2000, 4000, 6000, 8000, 10000] });
+  passed = check(['O(n)', 'O(n log n)'].includes(linear.notation),
+    `Linear work: ${describe(linear)}`,
+    `Linear work: ${describe(linear)}`) && passed;
+
+  const quadratic = await measureComplexity(QUADRATIC_JS, 'javascript', { ...PRINT_N, sizes: [2000, 4000, 6000, 8000, 10000, 12000] });
+  passed = check(quadratic.notation === 'O(n^2)' && quadratic.confidence > 0,
+    `Nested loops: ${describe(quadratic)}`,
+    `Nested loops: ${describe(quadratic)}`) && passed;
+
+  passed = check(quadratic.fits[0]?.notation === 'O(n^2)' && quadratic.fits.every((fit) => typeof fit.r2 === 'number'),
+    'Every candidate fit is reported, best first',
+    `Fits: ${JSON.stringify(quadratic.fits)}`) && passed;
+
+  return passed;
+}
+
+async function testFailures() {
+  logTest('Failures');
+  let passed = true;
+
+  let invalid = null;
+  try {
+    await measureComplexity(LINEAR_JS, 'javascript', { language: 'ruby', code: 'puts 1' });
+  } catch (error) {
+    invalid = error.message;
+  }
+  passed = check(/Input generator must be/.test(invalid || ''),
+    'Generators in other languages are refused',
+    `Ruby generator: ${invalid || 'accepted'}`) && passed;
+
+  let broken = null;
+  try {
+    await measureComplexity(LINEAR_JS, 'javascript', { language: 'python', code: 'raise SystemExit(3)' });
+  } catch (error) {
+    broken = error.message;
+  }
+  passed = check(/Input generator failed for n=16/.test(broken || ''),
+    'A generator that fails on the first size is an error naming n',
+    `Failing generator: ${broken || 'no error'}`) && passed;
+
+  const crashing = await measureComplexity('throw new Error("nope")', 'javascript', PRINT_N);
+  passed = check(crashing.stoppedReason === 'error' && crashing.notation === null && crashing.samples.length === 0,
+    'A crashing submission stops the measurement without a verdict',
+    `Crashing submission: ${JSON.stringify(crashing)}`) && passed;
+
+  const few = await measureComplexity(CONSTANT_JS, 'javascript', { ...PRINT_N, sizes: [10, 20] });
+  passed = check(few.notation === null && few.stoppedReason === 'max-size' && /at least 4/.test(few.message),
+    'Too few sizes gives no estimate and says why',
+    `Two sizes: ${JSON.stringify(few)}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Empirical Complexity - Test Suite                      ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const tests = [
+    { name: 'Growth Classes', fn: testGrowthClasses },
+    { name: 'Failures', fn: testFailures }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
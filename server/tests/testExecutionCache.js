@@ -0,0 +1,199 @@
+/**
+ * Execution Caches - Test Suite
+ *
+ * Checks the two caches behind executeCode: memoized results keyed by
+ * (code, language, input), which never keep limit violations, and compiled
+ * artifacts keyed by (language, source), so a new input skips the compiler
+ * but any change to the source rebuilds. Programs really run (JavaScript, C).
+ *
+ * Usage:
+ *   node server/tests/testExecutionCache.js
+ */
+
+import { spawnSync } from 'child_process';
+import { executeCode } from '../services/codeExecutor.js';
+import {
+  getCachedResult,
+  setCachedResult,
+  clearExecutionCache,
+  getExecutionCacheStats
+} from '../services/executionCache.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function logSkip(message) {
+  log(COLORS.yellow, `⏭️  ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const ECHO_JS = 'console.log(require("fs").readFileSync(0, "utf8").trim().toUpperCase());';
+
+const DOUBLE_C = '#include <stdio.h>\nint main(void) { int n; scanf("%d", &n); printf("%d\\n", n * 2); return 0; }';
+
+// Test Functions
+
+async function testResultCache() {
+  logTest('Result Cache');
+  let passed = true;
+  await clearExecutionCache();
+
+  const first = await executeCode(ECHO_JS, 'javascript', 'hello');
+  const second = await executeCode(ECHO_JS, 'javascript', 'hello');
+  passed = check(!first.cached && second.cached && second.output === 'HELLO',
+    'An identical run is answered from the cache',
+    `Identical runs: cached ${first.cached} then ${second.cached}, output "${second.output}"`) && passed;
+
+  const otherInput = await executeCode(ECHO_JS, 'javascript', 'world');
+  const otherCode = await executeCode(`${ECHO_JS}\n`, 'javascript', 'hello');
+  const otherLanguage = await executeCode(ECHO_JS, 'typescript', 'hello');
+  passed = check(!otherInput.cached && otherInput.output === 'WORLD' && !otherCode.cached && !otherLanguage.cached,
+    'Changing the input, the code or the language misses the cache',
+    `Misses: input ${otherInput.cached}, code ${otherCode.cached}, language ${otherLanguage.cached}`) && passed;
+
+  const bypass = await executeCode(ECHO_JS, 'javascript', 'hello', { skipCache: true });
+  passed = check(!bypass.cached,
+    'skipCache always runs the program',
+    'skipCache was answered from the cache') && passed;
+
+  second.output = 'tampered';
+  passed = check(getCachedResult(ECHO_JS, 'javascript', 'hello').output === 'HELLO',
+    'Callers get copies; changing a result does not change the cache',
+    'Changing a returned result changed the cached one') && passed;
+
+  for (const failure of [
+    { output: '', error: 'Execution timed out (10s limit)', timedOut: true },
+    { output: '', error: 'Memory limit exceeded (256MB)', memoryExceeded: true },
+    { output: '', error: 'Failed to start process: spawn EAGAIN' }
+  ]) {
+    setCachedResult('while (true) {}', 'javascript', failure.error, failure);
+  }
+  const keptFailures = ['Execution timed out (10s limit)', 'Memory limit exceeded (256MB)', 'Failed to start process: spawn EAGAIN']
+    .filter((input) => getCachedResult('while (true) {}', 'javascript', input));
+  passed = check(keptFailures.length === 0,
+    'Timeouts, memory kills and start-up failures are never cached',
+    `Cached failures: ${keptFailures.join(', ')}`) && passed;
+
+  return passed;
+}
+
+async function testArtifactCache() {
+  logTest('Compiled Artifact Cache');
+  let passed = true;
+
+  if (spawnSync('sh', ['-c', 'command -v gcc'], { stdio: 'ignore' }).status !== 0) {
+    logSkip('gcc is not installed here');
+    return passed;
+  }
+  await clearExecutionCache();
+
+  const built = await executeCode(DOUBLE_C, 'c', '4');
+  const reused = await executeCode(DOUBLE_C, 'c', '21');
+  passed = check(built.compileCached === false && reused.compileCached === true && !reused.cached && reused.output === '42',
+    'New input reruns the program with the cached binary',
+    `Second input: compileCached ${reused.compileCached}, cached ${reused.cached}, output "${reused.output}"`) && passed;
+
+  const edited = await executeCode(DOUBLE_C.replace('n * 2', 'n * 3'), 'c', '4');
+  passed = check(edited.compileCached === false && edited.output === '12',
+    'Editing the source rebuilds it',
+    `Edited source: compileCached ${edited.compileCached}, output "${edited.output}"`) && passed;
+
+  const broken = 'int main(void) { return missing; }';
+  await executeCode(broken, 'c', '1');
+  const brokenAgain = await executeCode(broken, 'c', '2');
+  passed = check(/^Compilation Error:/.test(brokenAgain.error) && !brokenAgain.compileCached,
+    'Compile errors are not cached as artifacts',
+    `Broken source again: compileCached ${brokenAgain.compileCached}, error "${brokenAgain.error}"`) && passed;
+
+  passed = check(getExecutionCacheStats().artifacts.keys === 2,
+    'One artifact per successfully compiled source',
+    `Artifact entries: ${getExecutionCacheStats().artifacts.keys}`) && passed;
+
+  await clearExecutionCache();
+  const rebuilt = await executeCode(DOUBLE_C, 'c', '5');
+  passed = check(rebuilt.compileCached === false && rebuilt.output === '10',
+    'Clearing the caches forces a rebuild',
+    `After clearing: compileCached ${rebuilt.compileCached}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Execution Caches - Test Suite                          ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const tests = [
+    { name: 'Result Cache', fn: testResultCache },
+    { name: 'Compiled Artifact Cache', fn: testArtifactCache }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+  await clearExecutionCache();
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,263 @@
+/**
+ * Execution Queue - Test Suite
+ *
+ * Checks the worker pool in front of code runs: the concurrency limit,
+ * round-robin fairness across users, queue positions, the per-user pending
+ * cap and max wait (EXECUTION_BUSY), and async runs polled through
+ * /api/code-execution/jobs/:jobId. Queue tests use short fake tasks; the
+ * endpoint test runs real JavaScript with the user model stubbed in memory.
+ *
+ * Usage:
+ *   node server/tests/testExecutionQueue.js
+ */
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { ExecutionQueue, BUSY_ERROR_CODE } from '../services/executionQueue.js';
+import User from '../models/User.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A task that records when it starts and how many tasks run alongside it
+ */
+function tracked(log, name, ms = 20) {
+  return async () => {
+    log.started.push(name);
+    log.active++;
+    log.maxActive = Math.max(log.maxActive, log.active);
+    await sleep(ms);
+    log.active--;
+    return name;
+  };
+}
+
+// Test Functions
+
+async function testConcurrencyAndFairness() {
+  logTest('Concurrency & Fairness');
+  let passed = true;
+
+  const queue = new ExecutionQueue({ concurrency: 2, maxPendingPerUser: 10 });
+  const runs = { started: [], active: 0, maxActive: 0 };
+  const jobs = [];
+  for (let i = 1; i <= 6; i++) {
+    jobs.push(queue.enqueue('alice', 'execute', tracked(runs, `alice-${i}`)));
+  }
+  jobs.push(queue.enqueue('bob', 'execute', tracked(runs, 'bob-1')));
+
+  const bobWaiting = queue.getStatus(jobs[6].jobId);
+  passed = check(bobWaiting.status === 'queued' && bobWaiting.position === 2,
+    'Bob\'s single run is second in line despite Alice\'s four waiting runs',
+    `Bob's run: ${bobWaiting.status} at position ${bobWaiting.position}`) && passed;
+
+  const results = await Promise.all(jobs.map((job) => job.promise));
+  passed = check(runs.maxActive === 2,
+    'Never more runs at once than the concurrency limit',
+    `${runs.maxActive} runs were active at once with a limit of 2`) && passed;
+  passed = check(runs.started.indexOf('bob-1') === 3,
+    `Round-robin: Bob starts right after Alice's next run (${runs.started.join(', ')})`,
+    `Round-robin: start order was ${runs.started.join(', ')}`) && passed;
+  passed = check(results[6] === 'bob-1' && queue.getStatus(jobs[6].jobId).status === 'completed',
+    'Each caller gets its own task\'s result and the job reads completed',
+    `Bob's result: ${results[6]}, status ${queue.getStatus(jobs[6].jobId).status}`) && passed;
+
+  const failing = queue.enqueue('carol', 'execute', async () => { throw new Error('sandbox exploded'); });
+  const failure = await failing.promise.catch((error) => error);
+  const failedStatus = queue.getStatus(failing.jobId);
+  passed = check(failure.message === 'sandbox exploded' && failedStatus.status === 'failed' && failedStatus.error === 'sandbox exploded',
+    'A task that throws leaves a failed job with its error',
+    `Failing task: ${failedStatus.status}, ${failedStatus.error}`) && passed;
+
+  return passed;
+}
+
+async function testBackpressure() {
+  logTest('Backpressure');
+  let passed = true;
+
+  const queue = new ExecutionQueue({ concurrency: 1, maxPendingPerUser: 2, maxWaitMs: 100 });
+  const updates = [];
+  queue.on('job:update', (status) => updates.push(status));
+
+  const blocker = queue.enqueue('alice', 'execute', () => sleep(300));
+  const waiting = [
+    queue.enqueue('alice', 'execute', async () => 'second'),
+    queue.enqueue('alice', 'execute', async () => 'third')
+  ];
+
+  let busy = null;
+  try {
+    queue.enqueue('alice', 'execute', async () => 'fourth');
+  } catch (error) {
+    busy = error;
+  }
+  passed = check(busy?.code === BUSY_ERROR_CODE,
+    'A third waiting run from one user is refused with EXECUTION_BUSY',
+    `Over the pending cap: ${busy ? busy.code : 'accepted'}`) && passed;
+
+  const otherUser = queue.enqueue('bob', 'execute', async () => 'bob');
+  passed = check(Boolean(otherUser.jobId),
+    'Another user can still queue while Alice is at her cap',
+    'Another user was refused') && passed;
+
+  const expired = await waiting[0].promise.catch((error) => error);
+  passed = check(expired.code === BUSY_ERROR_CODE && queue.getStatus(waiting[0].jobId).status === 'rejected',
+    'A run that waits past maxWaitMs is rejected as busy',
+    `Long wait: ${expired.code || expired}, status ${queue.getStatus(waiting[0].jobId).status}`) && passed;
+
+  await blocker.promise;
+  await Promise.allSettled([...waiting.map((job) => job.promise), otherUser.promise]);
+  passed = check(queue.getStats().queued === 0 && queue.getStats().running === 0,
+    'The queue is empty once everything settled',
+    `Queue after settling: ${JSON.stringify(queue.getStats())}`) && passed;
+
+  const blockerStates = updates.filter((u) => u.jobId === blocker.jobId).map((u) => u.status);
+  passed = check(blockerStates.join(',') === 'queued,running,completed',
+    'job:update reports each state change',
+    `Blocker updates: ${blockerStates.join(',')}`) && passed;
+
+  return passed;
+}
+
+async function startApp() {
+  const { default: codeExecutionRoutes } = await import('../routes/codeExecution.js');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/code-execution', codeExecutionRoutes);
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function testAsyncEndpoint() {
+  logTest('Async Runs over HTTP');
+  let passed = true;
+
+  const users = [new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId().toString()];
+  User.findById = async (id) => ({ _id: id, name: 'Queue Tester', email: 'queue@example.com' });
+  const [owner, stranger] = users.map((userId) => ({
+    authorization: `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}`,
+    'content-type': 'application/json'
+  }));
+
+  const server = await startApp();
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/code-execution`;
+
+  try {
+    const accepted = await fetch(`${baseUrl}/execute`, {
+      method: 'POST',
+      headers: owner,
+      body: JSON.stringify({ code: 'console.log(6 * 7)', language: 'javascript', async: true })
+    });
+    const { jobId, status } = await accepted.json();
+    passed = check(accepted.status === 202 && jobId && ['queued', 'running'].includes(status),
+      'async: true answers 202 with a job id right away',
+      `async run answered ${accepted.status} with status ${status}`) && passed;
+
+    const hidden = await fetch(`${baseUrl}/jobs/${jobId}`, { headers: stranger });
+    passed = check(hidden.status === 404,
+      'Another user cannot see the job',
+      `Another user got ${hidden.status}`) && passed;
+
+    let job = null;
+    for (let i = 0; i < 100 && job?.status !== 'completed'; i++) {
+      await sleep(100);
+      job = await (await fetch(`${baseUrl}/jobs/${jobId}`, { headers: owner })).json();
+    }
+    passed = check(job?.status === 'completed' && job.result?.output === '42',
+      'Polling the job returns the run\'s result',
+      `Polled job: ${JSON.stringify(job)}`) && passed;
+  } finally {
+    server.close();
+  }
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Execution Queue - Test Suite                           ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'execution-queue-test-secret';
+
+  const tests = [
+    { name: 'Concurrency & Fairness', fn: testConcurrencyAndFairness },
+    { name: 'Backpressure', fn: testBackpressure },
+    { name: 'Async Runs over HTTP', fn: testAsyncEndpoint }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
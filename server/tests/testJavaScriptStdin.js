@@ -0,0 +1,169 @@
+/**
+ * JavaScript Stdin - Test Suite
+ *
+ * JavaScript submissions get the program input on real stdin. Checks every
+ * common way of reading it (fs.readFileSync(0) and '/dev/stdin',
+ * process.stdin events, readline, ES modules), the legacy `input` /
+ * `inputLines` globals, and that input is never evaluated as source.
+ *
+ * Usage:
+ *   node server/tests/testJavaScriptStdin.js
+ */
+
+import { executeCode } from '../services/codeExecutor.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const INPUT = '3\n1 2 3';
+
+// Each reads "n" then n numbers and prints their sum
+const READERS = {
+  'fs.readFileSync(0)': `const [n, line] = require('fs').readFileSync(0, 'utf8').trim().split('\\n');
+console.log(line.split(' ').map(Number).reduce((a, b) => a + b, 0));`,
+
+  "fs.readFileSync('/dev/stdin')": `const [n, line] = require('fs').readFileSync('/dev/stdin', 'utf8').trim().split('\\n');
+console.log(line.split(' ').map(Number).reduce((a, b) => a + b, 0));`,
+
+  'process.stdin events': `let data = '';
+process.stdin.on('data', (chunk) => { data += chunk; });
+process.stdin.on('end', () => {
+  const [, line] = data.trim().split('\\n');
+  console.log(line.split(' ').map(Number).reduce((a, b) => a + b, 0));
+});`,
+
+  readline: `const rl = require('readline').createInterface({ input: process.stdin });
+const lines = [];
+rl.on('line', (line) => lines.push(line));
+rl.on('close', () => console.log(lines[1].split(' ').map(Number).reduce((a, b) => a + b, 0)));`,
+
+  'ES module': `import { readFileSync } from 'fs';
+const [, line] = readFileSync(0, 'utf8').trim().split('\\n');
+console.log(line.split(' ').map(Number).reduce((a, b) => a + b, 0));`,
+
+  'legacy input / inputLines globals': `const total = inputLines[1].split(' ').map(Number).reduce((a, b) => a + b, 0);
+console.log(input.startsWith('3') ? total : 'bad input global');`
+};
+
+// Test Functions
+
+async function testReaders() {
+  logTest('Ways of Reading Stdin');
+  let passed = true;
+
+  for (const [name, code] of Object.entries(READERS)) {
+    const result = await executeCode(code, 'javascript', INPUT, { skipCache: true });
+    passed = check(result.output === '6' && !result.error,
+      `${name}: read the input`,
+      `${name}: output "${result.output}", error "${result.error}"`) && passed;
+  }
+
+  return passed;
+}
+
+async function testInputHandling() {
+  logTest('Input Handling');
+  let passed = true;
+
+  const hostile = '`; process.exit(7); `${process.exit(8)}\'"\\';
+  const echoed = await executeCode("process.stdout.write(require('fs').readFileSync(0, 'utf8'))", 'javascript', hostile, { skipCache: true });
+  passed = check(echoed.output === hostile.trim() && !echoed.error,
+    'Input with quotes, backticks and ${} arrives verbatim and is never run',
+    `Hostile input: output "${echoed.output}", error "${echoed.error}"`) && passed;
+
+  const started = Date.now();
+  const empty = await executeCode("process.stdin.on('data', () => {}); process.stdin.on('end', () => console.log('eof'));",
+    'javascript', '', { skipCache: true });
+  passed = check(empty.output === 'eof' && Date.now() - started < 5000,
+    'With no input the program sees end-of-file instead of waiting',
+    `No input: output "${empty.output}", error "${empty.error}" after ${Date.now() - started}ms`) && passed;
+
+  const large = Array.from({ length: 20000 }, (_, i) => i).join('\n');
+  const counted = await executeCode("console.log(require('fs').readFileSync(0, 'utf8').trim().split('\\n').length)",
+    'javascript', large, { skipCache: true });
+  passed = check(counted.output === '20000',
+    'Large inputs arrive whole',
+    `Large input: read ${counted.output} lines`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   JavaScript Stdin - Test Suite                          ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const tests = [
+    { name: 'Ways of Reading Stdin', fn: testReaders },
+    { name: 'Input Handling', fn: testInputHandling }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,206 @@
+/**
+ * Hidden Test Cases & Custom Checkers - Test Suite
+ *
+ * Checks that hidden cases are judged but never shown to the candidate, and
+ * that a question's custom checker decides the verdict (AC / WA with its
+ * message, JE when the checker itself fails). Submissions and checkers
+ * really run in the code sandbox.
+ *
+ * Usage:
+ *   node server/tests/testJudgeCheckers.js
+ */
+
+import { judgeSubmission, toCandidateResult, VERDICTS } from '../services/codeJudge.js';
+import Question from '../models/Question.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+// Prints the numbers on stdin in reverse order
+const REVERSE_JS = `const numbers = require('fs').readFileSync(0, 'utf8').trim().split(' ');
+console.log(numbers.reverse().join(' '));`;
+
+const CASES = [
+  { input: '1 2 3', output: '3 2 1' },
+  { input: '7 8', output: '8 7', hidden: true },
+  { input: '4 5 6', output: '6 5 4', hidden: true }
+];
+
+// Accepts any order of the expected numbers ("print the set" problems)
+const SAME_NUMBERS_CHECKER_JS = `const { expectedOutput, actualOutput } = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+const sorted = (text) => text.trim().split(/\\s+/).sort().join(' ');
+if (sorted(actualOutput) === sorted(expectedOutput)) {
+  console.log('AC');
+} else {
+  console.log('WA');
+  console.log('expected the numbers ' + expectedOutput.trim());
+}`;
+
+const SAME_NUMBERS_CHECKER_PY = `import json, sys
+data = json.load(sys.stdin)
+same = sorted(data['actualOutput'].split()) == sorted(data['expectedOutput'].split())
+print('AC' if same else 'WA')
+if not same:
+    print('different numbers')`;
+
+// Test Functions
+
+async function testHiddenCases() {
+  logTest('Hidden Cases');
+  let passed = true;
+
+  const judgement = await judgeSubmission(REVERSE_JS.replace('.reverse()', ''), 'javascript', CASES);
+  const candidate = toCandidateResult(judgement);
+
+  passed = check(judgement.results.length === 3 && candidate.total === 3,
+    'Hidden cases are judged with the samples',
+    `Judged ${judgement.results.length} of 3 cases`) && passed;
+  passed = check(candidate.samples.total === 1 && candidate.hidden.total === 2 && candidate.hidden.passed === 0,
+    'Sample and hidden tallies are reported separately',
+    `Tallies: samples ${JSON.stringify(candidate.samples)}, hidden ${JSON.stringify(candidate.hidden)}`) && passed;
+
+  const hiddenResults = candidate.results.filter((r) => r.hidden);
+  const leaks = hiddenResults.filter((r) => 'input' in r || 'expectedOutput' in r || 'actualOutput' in r || 'diff' in r);
+  passed = check(hiddenResults.length === 2 && leaks.length === 0,
+    'Hidden results carry only the verdict and timings',
+    `Hidden results leak details: ${JSON.stringify(leaks)}`) && passed;
+
+  const sample = candidate.results.find((r) => !r.hidden);
+  passed = check(sample.input === '1 2 3' && sample.diff?.expected === '3 2 1',
+    'Sample results keep input, output and the diff',
+    `Sample result: ${JSON.stringify(sample)}`) && passed;
+
+  const question = new Question({
+    title: 'Reverse',
+    description: 'Reverse the numbers',
+    topic: 'Arrays',
+    difficulty: 'easy',
+    type: 'coding',
+    testCases: CASES,
+    checker: { language: 'javascript', code: SAME_NUMBERS_CHECKER_JS }
+  });
+  const view = question.toCandidateView();
+  passed = check(view.testCases.length === 1 && !view.testCases[0].hidden && view.checker === undefined,
+    'Candidate view of a question drops hidden cases and the checker',
+    `Candidate view: ${view.testCases.length} case(s), checker ${view.checker ? 'present' : 'absent'}`) && passed;
+
+  return passed;
+}
+
+async function testCheckers() {
+  logTest('Custom Checkers');
+  let passed = true;
+  const sorted = 'console.log(require("fs").readFileSync(0, "utf8").trim().split(" ").sort().join(" "));';
+
+  const plain = await judgeSubmission(sorted, 'javascript', CASES);
+  passed = check(plain.verdict === VERDICTS.WRONG_ANSWER,
+    'Without a checker, another order is WA',
+    `Without a checker: ${plain.verdict}`) && passed;
+
+  for (const [language, code] of [['javascript', SAME_NUMBERS_CHECKER_JS], ['python', SAME_NUMBERS_CHECKER_PY]]) {
+    const accepted = await judgeSubmission(sorted, 'javascript', CASES, {}, { language, code });
+    passed = check(accepted.verdict === VERDICTS.ACCEPTED && accepted.passed === 3,
+      `${language} checker: any order of the right numbers is AC`,
+      `${language} checker: ${accepted.verdict} with ${accepted.passed}/3`) && passed;
+  }
+
+  const wrong = await judgeSubmission('console.log("9 9 9");', 'javascript', CASES.slice(0, 1), {},
+    { language: 'javascript', code: SAME_NUMBERS_CHECKER_JS });
+  passed = check(wrong.verdict === VERDICTS.WRONG_ANSWER && wrong.results[0].checkerMessage === 'expected the numbers 3 2 1',
+    'Checker rejection: WA with the checker\'s message',
+    `Checker rejection: ${wrong.verdict}, message "${wrong.results[0].checkerMessage}"`) && passed;
+
+  const broken = await judgeSubmission(REVERSE_JS, 'javascript', CASES.slice(0, 1), {},
+    { language: 'javascript', code: 'throw new Error("checker bug")' });
+  passed = check(broken.verdict === VERDICTS.JUDGE_ERROR,
+    'A checker that crashes is a judge error, not the candidate\'s fault',
+    `Crashing checker: ${broken.verdict}`) && passed;
+
+  const crashing = await judgeSubmission('process.exit(3)', 'javascript', CASES.slice(0, 1), {},
+    { language: 'javascript', code: SAME_NUMBERS_CHECKER_JS });
+  passed = check(crashing.verdict === VERDICTS.RUNTIME_ERROR,
+    'The submission failing is still RE; the checker only sees finished runs',
+    `Failing submission with a checker: ${crashing.verdict}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Hidden Cases & Custom Checkers - Test Suite            ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const tests = [
+    { name: 'Hidden Cases', fn: testHiddenCases },
+    { name: 'Custom Checkers', fn: testCheckers }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,429 @@
+/**
+ * LLM Response Cache - Test Suite
+ *
+ * Checks the cache backends in services/llmCache.js (memory and Redis, with
+ * TTLs, key prefixes, the embedding index and Redis errors treated as
+ * misses), similarity lookup, and the gateway's semantic cache. An in-memory
+ * stand-in plays the Redis client and a stand-in OpenAI-compatible server on
+ * localhost plays the local model and its embeddings endpoint.
+ *
+ * Usage:
+ *   node server/tests/testLlmCache.js
+ */
+
+import http from 'http';
+import {
+  createMemoryStore,
+  createRedisStore,
+  cosineSimilarity,
+  findSimilar
+} from '../services/llmCache.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Just enough of the ioredis API for the Redis store, kept in a Map
+ */
+function createFakeRedis() {
+  const data = new Map();
+  const ttls = new Map();
+
+  const client = {
+    data,
+    ttls,
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async set(key, value, mode, ttl) {
+      data.set(key, value);
+      if (mode === 'EX') ttls.set(key, ttl);
+      return 'OK';
+    },
+    async scan(cursor, match, pattern) {
+      const prefix = pattern.replace(/\*$/, '');
+      return ['0', [...data.keys()].filter((key) => key.startsWith(prefix))];
+    },
+    async del(...keys) {
+      keys.forEach((key) => data.delete(key));
+      return keys.length;
+    },
+    async lrange(key) {
+      return data.get(key) || [];
+    },
+    multi() {
+      const queue = [];
+      const chain = {
+        lpush: (key, value) => { queue.push(() => data.set(key, [value, ...(data.get(key) || [])])); return chain; },
+        ltrim: (key, start, stop) => { queue.push(() => data.set(key, data.get(key).slice(start, stop + 1))); return chain; },
+        expire: (key, ttl) => { queue.push(() => ttls.set(key, ttl)); return chain; },
+        exec: async () => queue.map((run) => run())
+      };
+      return chain;
+    }
+  };
+  return client;
+}
+
+// Every command fails, as when Redis is unreachable
+const brokenRedis = new Proxy({}, {
+  get: () => async () => { throw new Error('connect ECONNREFUSED 127.0.0.1:6379'); }
+});
+
+/**
+ * Stand-in local model. Chat replies echo the question; embeddings are
+ * fixed vectors picked by keyword so similarity is predictable.
+ */
+function startFakeModel() {
+  const model = { completions: 0, embeddings: 0, failEmbeddings: false };
+
+  model.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url.endsWith('/embeddings')) {
+        model.embeddings++;
+        if (model.failEmbeddings) {
+          res.writeHead(400);
+          res.end(JSON.stringify({ error: { message: 'no embedding model loaded' } }));
+          return;
+        }
+        const text = String(request.input).toLowerCase();
+        const vector = text.includes('closure') ? (text.includes('explain') ? [0.99, 0.12, 0] : [1, 0, 0]) : [0, 0, 1];
+        // The SDK asks for base64 float32 unless told otherwise, like the real API
+        const embedding = request.encoding_format === 'base64'
+          ? Buffer.from(new Float32Array(vector).buffer).toString('base64')
+          : vector;
+        res.end(JSON.stringify({ object: 'list', data: [{ object: 'embedding', index: 0, embedding }], model: request.model }));
+        return;
+      }
+
+      model.completions++;
+      const question = request.messages.at(-1).content;
+      res.end(JSON.stringify({
+        id: 'local-completion',
+        object: 'chat.completion',
+        model: 'llama3.1',
+        choices: [{ index: 0, message: { role: 'assistant', content: `answer to: ${question}` }, finish_reason: 'stop' }]
+      }));
+    });
+  });
+
+  return new Promise((resolve) => model.server.listen(0, '127.0.0.1', () => resolve(model)));
+}
+
+// Test Functions
+
+async function testMemoryStore() {
+  logTest('Memory Store');
+  let passed = true;
+  const store = createMemoryStore({ ttlSeconds: 60 });
+
+  await store.set('a', { content: 'cached' });
+  await store.set('short', { content: 'brief' }, 1);
+  passed = check((await store.get('a'))?.content === 'cached' && await store.get('missing') === undefined,
+    'Values are returned until they expire; unknown keys miss',
+    'Memory store get/set failed') && passed;
+
+  await sleep(1100);
+  passed = check(await store.get('short') === undefined && (await store.get('a'))?.content === 'cached',
+    'A per-entry TTL overrides the store default',
+    'The 1 second entry was still there') && passed;
+
+  for (let i = 0; i < 501; i++) {
+    await store.addEmbedding('scope', { key: `k${i}`, embedding: [i] });
+  }
+  const embeddings = await store.getEmbeddings('scope');
+  passed = check(embeddings.length === 500 && embeddings[0].key === 'k1' && (await store.getEmbeddings('other')).length === 0,
+    'Each scope keeps its latest 500 embeddings',
+    `Scope holds ${embeddings.length}, oldest ${embeddings[0]?.key}`) && passed;
+
+  await store.clear();
+  passed = check(await store.get('a') === undefined && (await store.getEmbeddings('scope')).length === 0 && store.getStats().backend === 'memory',
+    'clear() drops answers and embeddings',
+    'Entries survived clear()') && passed;
+
+  return passed;
+}
+
+async function testRedisStore() {
+  logTest('Redis Store');
+  let passed = true;
+  const redis = createFakeRedis();
+  const store = await createRedisStore({ client: redis, ttlSeconds: 120 });
+
+  await store.set('abc', { content: 'shared answer' });
+  await store.set('def', { content: 'short' }, 5);
+  passed = check(redis.data.get('llm:cache:abc') === JSON.stringify({ content: 'shared answer' })
+    && redis.ttls.get('llm:cache:abc') === 120 && redis.ttls.get('llm:cache:def') === 5,
+    'Answers are stored as JSON under llm:cache: with an expiry',
+    `Redis holds: ${JSON.stringify([...redis.data])}`) && passed;
+
+  const other = await createRedisStore({ client: redis });
+  passed = check((await other.get('abc'))?.content === 'shared answer' && await other.get('nope') === undefined,
+    'Another instance on the same Redis sees the answer',
+    'The second store could not read the answer') && passed;
+
+  for (let i = 0; i < 502; i++) {
+    await store.addEmbedding('scope', { key: `k${i}`, embedding: [i] });
+  }
+  const embeddings = await store.getEmbeddings('scope');
+  passed = check(embeddings.length === 500 && embeddings[0].key === 'k501' && redis.ttls.get('llm:embeddings:scope') === 120,
+    'The embedding index is a capped list, newest first, with the store TTL',
+    `Index holds ${embeddings.length}, newest ${embeddings[0]?.key}`) && passed;
+
+  redis.data.set('session:1', 'not ours');
+  await store.clear();
+  passed = check([...redis.data.keys()].join() === 'session:1',
+    'clear() removes only cache and embedding keys',
+    `Left after clear: ${[...redis.data.keys()]}`) && passed;
+  passed = check(store.getStats().hits === 0 && store.getStats().sets === 2 && other.getStats().hits === 1 && other.getStats().misses === 1,
+    'Each store counts its hits, misses and writes',
+    `Stats: ${JSON.stringify([store.getStats(), other.getStats()])}`) && passed;
+
+  const broken = await createRedisStore({ client: brokenRedis });
+  const results = [await broken.get('abc'), await broken.set('abc', {}), await broken.getEmbeddings('scope')];
+  passed = check(results[0] === undefined && results[2].length === 0 && broken.getStats().errors === 3,
+    'Redis errors are logged and treated as misses, never thrown',
+    `Broken Redis: ${JSON.stringify(results)}, ${JSON.stringify(broken.getStats())}`) && passed;
+
+  return passed;
+}
+
+async function testSimilarity() {
+  logTest('Similarity Lookup');
+  let passed = true;
+
+  passed = check(Math.abs(cosineSimilarity([1, 2], [2, 4]) - 1) < 1e-9 && cosineSimilarity([1, 0], [0, 1]) === 0
+    && cosineSimilarity([1, 0], [1, 0, 0]) === 0 && cosineSimilarity([0, 0], [1, 1]) === 0,
+    'Cosine similarity: same direction 1, orthogonal 0, mismatched or zero vectors 0',
+    'Cosine similarity was wrong') && passed;
+
+  const store = createMemoryStore();
+  await store.set('close', { content: 'close answer' });
+  await store.set('closer', { content: 'closer answer' });
+  await store.addEmbedding('scope', { key: 'far', embedding: [0, 1] });
+  await store.addEmbedding('scope', { key: 'close', embedding: [0.96, 0.28] });
+  await store.addEmbedding('scope', { key: 'expired', embedding: [1, 0.01] });
+  await store.addEmbedding('scope', { key: 'closer', embedding: [0.99, 0.14] });
+
+  const match = await findSimilar(store, 'scope', [1, 0], 0.9);
+  passed = check(match?.key === 'closer' && match.value.content === 'closer answer' && match.similarity > 0.98,
+    'The most similar answer above the threshold wins; expired answers are skipped',
+    `Match: ${JSON.stringify(match)}`) && passed;
+  passed = check(await findSimilar(store, 'scope', [1, 0], 0.999) === null && await findSimilar(store, 'other', [1, 0], 0.5) === null,
+    'Nothing above the threshold, or another scope, is a miss',
+    'A match was found where none should be') && passed;
+
+  return passed;
+}
+
+async function testSemanticCache(gateway, model) {
+  logTest('Semantic Cache in the Gateway');
+  let passed = true;
+  gateway.resetQuotaStats();
+  await gateway.clearCache();
+
+  const ask = (feature, content) => gateway.createChatCompletion(feature, [{ role: 'user', content }]);
+
+  const first = await ask('interview', 'What is a closure?');
+  const similar = await ask('interview', 'Explain a closure');
+  passed = check(!first.cached && similar.cached && similar.content === first.content && similar.metadata.semanticSimilarity > 0.99,
+    'A near-identical prompt gets the cached answer, with its similarity',
+    `Similar prompt: ${JSON.stringify(similar)}`) && passed;
+
+  const unrelated = await ask('interview', 'What is a heap?');
+  passed = check(!unrelated.cached && model.completions === 2,
+    'An unrelated prompt is answered live',
+    `Unrelated: cached ${unrelated.cached}, completions ${model.completions}`) && passed;
+
+  const stats = gateway.getQuotaStats().features.interview;
+  passed = check(stats.semanticHits === 1 && stats.cacheHits === 1,
+    'Semantic hits are counted as cache hits and separately',
+    `Stats: ${JSON.stringify(stats)}`) && passed;
+
+  process.env.LLM_SEMANTIC_CACHE_THRESHOLD = '0.999';
+  const strict = await ask('interview', 'Explain closures please');
+  delete process.env.LLM_SEMANTIC_CACHE_THRESHOLD;
+  passed = check(!strict.cached,
+    'LLM_SEMANTIC_CACHE_THRESHOLD raises the bar',
+    `With threshold 0.999: cached ${strict.cached}`) && passed;
+
+  const embeddingsBefore = model.embeddings;
+  await ask('roadmap', 'What is a closure?');
+  await ask('roadmap', 'Explain a closure');
+  passed = check(model.embeddings === embeddingsBefore,
+    'Features without semanticCache never embed prompts',
+    `Embedding requests: ${model.embeddings - embeddingsBefore}`) && passed;
+
+  model.failEmbeddings = true;
+  const withoutEmbeddings = await ask('interview', 'Explain a closure in one line');
+  model.failEmbeddings = false;
+  passed = check(withoutEmbeddings.content === 'answer to: Explain a closure in one line',
+    'When embedding fails the request is still answered',
+    `Without embeddings: ${JSON.stringify(withoutEmbeddings)}`) && passed;
+
+  return passed;
+}
+
+async function testPerUserCache(gateway, model) {
+  logTest('Cache Scoped per User');
+  let passed = true;
+  gateway.resetQuotaStats();
+  await gateway.clearCache();
+
+  const alice = '64b000000000000000000001';
+  const bob = '64b000000000000000000002';
+  const ask = (feature, content, userId) => gateway.createChatCompletion(feature, [{ role: 'user', content }], { userId });
+  const before = model.completions;
+
+  await ask('roadmap', 'Plan my next month', alice);
+  const again = await ask('roadmap', 'Plan my next month', alice);
+  passed = check(again.cached,
+    'The same user gets their cached answer back',
+    `Second call for the same user: cached ${again.cached}`) && passed;
+
+  const other = await ask('roadmap', 'Plan my next month', bob);
+  const anonymous = await ask('roadmap', 'Plan my next month');
+  passed = check(!other.cached && !anonymous.cached && model.completions === before + 3,
+    'Another user, or a call without one, never gets it',
+    `Other user cached ${other.cached}, anonymous cached ${anonymous.cached}, completions ${model.completions - before}`) && passed;
+
+  await ask('interview', 'What is a closure?', alice);
+  const similar = await ask('interview', 'Explain a closure', bob);
+  passed = check(!similar.cached,
+    'Semantic matches stay within the user too',
+    `Similar prompt from another user: ${JSON.stringify(similar)}`) && passed;
+
+  return passed;
+}
+
+async function testSharedStore(gateway, cache, model) {
+  logTest('Gateway on a Shared Store');
+  let passed = true;
+  gateway.resetQuotaStats();
+
+  const redis = createFakeRedis();
+  cache.setCacheStore(await createRedisStore({ client: redis }));
+  const before = model.completions;
+
+  const messages = [{ role: 'user', content: 'Shared: what is a trie?' }];
+  await gateway.createChatCompletion('roadmap', messages);
+  const cachedKeys = [...redis.data.keys()].filter((key) => key.startsWith('llm:cache:'));
+  passed = check(cachedKeys.length === 1 && redis.ttls.get(cachedKeys[0]) === 3600,
+    'The gateway writes answers to the active store with the cache TTL',
+    `Redis keys: ${[...redis.data.keys()]}`) && passed;
+
+  const hit = await gateway.createChatCompletion('roadmap', messages);
+  passed = check(hit.cached && model.completions === before + 1 && gateway.getQuotaStats().cacheStats.backend === 'redis',
+    'Answers in the shared store are served as cache hits',
+    `Second call: cached ${hit.cached}, stats ${JSON.stringify(gateway.getQuotaStats().cacheStats)}`) && passed;
+
+  await gateway.clearCache();
+  passed = check(redis.data.size === 0,
+    'clearCache() empties the shared store',
+    `Left in Redis: ${[...redis.data.keys()]}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   LLM Response Cache - Test Suite                        ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const model = await startFakeModel();
+
+  // Only the stand-in; set before the gateway reads its settings
+  ['OPENAI_API_KEY', 'GROQ_API_KEY', 'OPENROUTER_API_KEY', 'LLM_REPLAY_DIR', 'LLM_OFFLINE', 'LLM_CACHE_BACKEND', 'LLM_SEMANTIC_CACHE_THRESHOLD']
+    .forEach((key) => delete process.env[key]);
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${model.server.address().port}/v1`;
+  process.env.LLM_FEATURES = JSON.stringify({ interview: { semanticCache: true } });
+  const gateway = await import('../services/llmGateway.js');
+  const cache = await import('../services/llmCache.js');
+
+  const tests = [
+    { name: 'Memory Store', fn: testMemoryStore },
+    { name: 'Redis Store', fn: testRedisStore },
+    { name: 'Similarity Lookup', fn: testSimilarity },
+    { name: 'Semantic Cache in the Gateway', fn: () => testSemanticCache(gateway, model) },
+    { name: 'Cache Scoped per User', fn: () => testPerUserCache(gateway, model) },
+    { name: 'Gateway on a Shared Store', fn: () => testSharedStore(gateway, cache, model) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  model.server.close();
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
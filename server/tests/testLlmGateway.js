@@ -0,0 +1,301 @@
+/**
+ * LLM Gateway - Test Suite
+ *
+ * Checks the per-feature settings table (built-ins, LLM_FEATURES overrides,
+ * call-site options), provider order, retries, fallback to the next
+ * provider and the response cache. Two stand-in OpenAI-compatible servers on
+ * localhost play the local and OpenAI providers, so no API keys are needed.
+ *
+ * Usage:
+ *   node server/tests/testLlmGateway.js
+ */
+
+import http from 'http';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const MESSAGES = [{ role: 'user', content: 'Give me one interview tip.' }];
+
+/**
+ * Stand-in provider. Answers "<name> answer" unless a scripted reply is
+ * queued: { status } fails the request, { content } changes the answer.
+ */
+function startFakeProvider(name) {
+  const provider = { name, requests: [], replies: [] };
+
+  provider.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      provider.requests.push(request);
+      const reply = provider.replies.shift() || {};
+
+      if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `${name} failed with ${reply.status}` } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `${name}-completion`,
+        object: 'chat.completion',
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: reply.content ?? `${name} answer` }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 7, completion_tokens: 5, total_tokens: 12 }
+      }));
+    });
+  });
+
+  return new Promise((resolve) => provider.server.listen(0, '127.0.0.1', () => resolve(provider)));
+}
+
+function reset(gateway, providers) {
+  gateway.resetQuotaStats();
+  providers.forEach((provider) => {
+    provider.requests.length = 0;
+    provider.replies.length = 0;
+  });
+}
+
+// Test Functions
+
+function testFeatureConfig(gateway) {
+  logTest('Feature Settings');
+  let passed = true;
+
+  const roadmap = gateway.getFeatureConfig('roadmap');
+  passed = check(roadmap.providers.join(',') === 'replay,local,groq,openrouter,openai',
+    'Offline providers go first, then the feature\'s own order',
+    `roadmap providers: ${roadmap.providers}`) && passed;
+  passed = check(roadmap.maxTokens === 3000 && roadmap.temperature === 0.7,
+    'LLM_FEATURES overrides the built-in token budget; unset keys fall back to default',
+    `roadmap: maxTokens ${roadmap.maxTokens}, temperature ${roadmap.temperature}`) && passed;
+
+  const unlisted = gateway.getFeatureConfig('mistakeAnalysis');
+  passed = check(unlisted.maxTokens === 2000 && unlisted.providers.join(',') === 'replay,local,openai,groq,openrouter',
+    'Features missing from the table use the default settings',
+    `mistakeAnalysis: ${JSON.stringify({ providers: unlisted.providers, maxTokens: unlisted.maxTokens })}`) && passed;
+
+  const explainer = gateway.getFeatureConfig('codeExplainer');
+  passed = check(explainer.providers.join(',') === 'replay,openai,local',
+    'An override placing local itself keeps that order; unknown providers are dropped',
+    `codeExplainer providers: ${explainer.providers}`) && passed;
+
+  const companion = gateway.getFeatureConfig('studyCompanion');
+  passed = check(companion.models.openai === 'gpt-4-turbo-preview' && companion.models.groq === 'llama-3.3-70b-versatile',
+    'Per-feature models replace only the providers they name',
+    `studyCompanion models: ${JSON.stringify(companion.models)}`) && passed;
+
+  return passed;
+}
+
+async function testRequestParameters(gateway, [local, openai]) {
+  logTest('Request Parameters');
+  let passed = true;
+  reset(gateway, [local, openai]);
+
+  await gateway.createChatCompletion('interview', MESSAGES, { temperature: 0.2, max_tokens: 111, skipCache: true, userId: 'x' });
+  const [sent] = local.requests;
+  passed = check(sent.temperature === 0.2 && sent.max_tokens === 111 && sent.model === 'llama3.1',
+    'Call-site temperature and max_tokens beat the built-in table',
+    `Sent: ${JSON.stringify({ temperature: sent.temperature, max_tokens: sent.max_tokens, model: sent.model })}`) && passed;
+  passed = check(!('userId' in sent) && !('skipCache' in sent),
+    'Gateway options never reach the provider',
+    `Sent keys: ${Object.keys(sent)}`) && passed;
+
+  await gateway.createChatCompletion('codeExplainer', MESSAGES, { temperature: 0.9, skipCache: true });
+  const [pinned] = openai.requests;
+  passed = check(pinned?.temperature === 0.1 && pinned.model === 'gpt-4o-mini',
+    'A temperature pinned in LLM_FEATURES wins over the call site',
+    `codeExplainer sent: ${JSON.stringify(pinned)}`) && passed;
+
+  return passed;
+}
+
+async function testFallback(gateway, [local, openai]) {
+  logTest('Retry & Fallback');
+  let passed = true;
+
+  reset(gateway, [local, openai]);
+  local.replies.push({ status: 503 });
+  const retried = await gateway.createChatCompletion('interview', MESSAGES, { skipCache: true });
+  passed = check(retried.provider === 'local' && retried.attempts === 2 && local.requests.length === 2,
+    'A 503 is retried on the same provider',
+    `After a 503: ${retried.provider} in ${retried.attempts} attempt(s)`) && passed;
+
+  reset(gateway, [local, openai]);
+  local.replies.push({ status: 400 });
+  const fellBack = await gateway.createChatCompletion('interview', MESSAGES, { skipCache: true });
+  passed = check(fellBack.provider === 'openai' && fellBack.content === 'openai answer' && local.requests.length === 1,
+    'A 400 is not retried; the next provider answers',
+    `After a 400: ${fellBack.provider} "${fellBack.content}", local asked ${local.requests.length} time(s)`) && passed;
+
+  reset(gateway, [local, openai]);
+  local.replies.push({ content: '' });
+  const empty = await gateway.createChatCompletion('interview', MESSAGES, { skipCache: true });
+  passed = check(empty.provider === 'openai',
+    'An empty answer counts as a failure',
+    `After an empty answer: ${empty.provider}`) && passed;
+
+  reset(gateway, [local, openai]);
+  local.replies.push({ status: 400 });
+  openai.replies.push({ status: 401 });
+  let failure = null;
+  try {
+    await gateway.createChatCompletion('interview', MESSAGES, { skipCache: true });
+  } catch (error) {
+    failure = error;
+  }
+  passed = check(failure?.code === 'LLM_UNAVAILABLE' && /401/.test(failure.message) && failure.cause,
+    'When every provider fails the error names the last failure',
+    `All failing: ${failure ? `${failure.code} ${failure.message}` : 'no error'}`) && passed;
+
+  const stats = gateway.getQuotaStats().features.interview;
+  passed = check(stats.failures === 1 && gateway.getQuotaStats().failedRequests === 2,
+    'Per-feature and provider failures are counted',
+    `Stats: ${JSON.stringify(stats)}`) && passed;
+
+  return passed;
+}
+
+async function testCache(gateway, [local, openai]) {
+  logTest('Response Cache');
+  let passed = true;
+  reset(gateway, [local, openai]);
+  await gateway.clearCache();
+
+  const messages = [{ role: 'user', content: 'Cache me: what is a closure?' }];
+  const first = await gateway.createChatCompletion('interview', messages);
+  const second = await gateway.createChatCompletion('interview', messages);
+  passed = check(!first.cached && second.cached && second.attempts === 0 && local.requests.length === 1,
+    'The same prompt is answered from the cache',
+    `Second call: cached ${second.cached}, provider asked ${local.requests.length} time(s)`) && passed;
+  passed = check(second.content === first.content && second.metadata.cached,
+    'A cached answer carries the original content and says it is cached',
+    `Cached answer: ${JSON.stringify(second)}`) && passed;
+
+  await gateway.createChatCompletion('interview', messages, { temperature: 0.1 });
+  await gateway.createChatCompletion('roadmap', messages);
+  await gateway.createChatCompletion('interview', messages, { skipCache: true });
+  passed = check(local.requests.length === 4,
+    'Other parameters, another feature or skipCache all miss the cache',
+    `Provider asked ${local.requests.length} time(s), expected 4`) && passed;
+
+  passed = check(gateway.getQuotaStats().features.interview.cacheHits === 1,
+    'Cache hits are counted per feature',
+    `interview cache hits: ${gateway.getQuotaStats().features.interview.cacheHits}`) && passed;
+
+  const { explainCode } = await import('../services/aiCodeExplainer.js');
+  openai.replies.push({
+    content: JSON.stringify({ summary: 'Adds two numbers', explanation: 'Returns a + b', stepByStep: ['Add a and b'], complexity: { time: 'O(1)', space: 'O(1)' } })
+  });
+  const explained = await explainCode('const add = (a, b) => a + b;', 'javascript');
+  const explainedAgain = await explainCode('const add = (a, b) => a + b;', 'javascript');
+  passed = check(explained.summary === 'Adds two numbers' && explained.provider === 'openai' && !explained.cached
+    && explainedAgain.provider === 'openai' && explainedAgain.cached,
+    'Code explanations report the provider that answered and whether it came from the cache',
+    `Explanations: ${JSON.stringify([explained, explainedAgain].map(({ provider, cached }) => ({ provider, cached })))}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   LLM Gateway - Test Suite                               ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const providers = [await startFakeProvider('local'), await startFakeProvider('openai')];
+  const [local, openai] = providers;
+
+  // Only the stand-ins; set before the gateway reads its settings
+  ['GROQ_API_KEY', 'OPENROUTER_API_KEY', 'LLM_REPLAY_DIR', 'LLM_OFFLINE', 'LLM_CACHE_BACKEND'].forEach((key) => delete process.env[key]);
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${local.server.address().port}/v1`;
+  process.env.OPENAI_API_KEY = 'test-key';
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${openai.server.address().port}/v1`;
+  process.env.LLM_FEATURES = JSON.stringify({
+    roadmap: { maxTokens: 3000 },
+    codeExplainer: { providers: ['openai', 'bogus', 'local'], temperature: 0.1 }
+  });
+  const gateway = await import('../services/llmGateway.js');
+
+  const tests = [
+    { name: 'Feature Settings', fn: () => testFeatureConfig(gateway) },
+    { name: 'Request Parameters', fn: () => testRequestParameters(gateway, providers) },
+    { name: 'Retry & Fallback', fn: () => testFallback(gateway, providers) },
+    { name: 'Response Cache', fn: () => testCache(gateway, providers) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  providers.forEach((provider) => provider.server.close());
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,303 @@
+/**
+ * Offline LLM Providers - Test Suite
+ *
+ * Checks the replay provider (exact and _default fixtures, misses falling
+ * through without tripping its circuit, recording live answers), the local
+ * OpenAI-compatible provider and LLM_OFFLINE. Fixtures go to a temporary
+ * directory and a stand-in server on localhost plays the local model.
+ *
+ * Usage:
+ *   node server/tests/testLlmReplay.js
+ */
+
+import http from 'http';
+import os from 'os';
+import { join } from 'path';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { getFixtureKey } from '../services/llmReplay.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const MESSAGES = [
+  { role: 'system', content: 'You are an interviewer.' },
+  { role: 'user', content: 'Ask me about hash maps.' }
+];
+
+/**
+ * Stand-in for a local model server. Answers "local answer" unless a
+ * status is queued in `failures`.
+ */
+function startLocalModel() {
+  const model = { requests: [], failures: [] };
+
+  model.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      model.requests.push(JSON.parse(body));
+      const status = model.failures.shift();
+
+      if (status) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `local failed with ${status}` } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'local-completion',
+        object: 'chat.completion',
+        model: 'llama3.1',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'local answer' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 }
+      }));
+    });
+  });
+
+  return new Promise((resolve) => model.server.listen(0, '127.0.0.1', () => resolve(model)));
+}
+
+async function writeFixture(dir, feature, name, content) {
+  await mkdir(join(dir, feature), { recursive: true });
+  await writeFile(join(dir, feature, `${name}.json`), JSON.stringify({
+    feature,
+    request: {},
+    response: { content, model: 'recorded-model', usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 } }
+  }));
+}
+
+async function waitForFile(path, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+  return null;
+}
+
+// Test Functions
+
+async function testFixtures(gateway, local, dir) {
+  logTest('Replay Fixtures');
+  let passed = true;
+  gateway.resetQuotaStats();
+  local.requests.length = 0;
+
+  await writeFixture(dir, 'interview', getFixtureKey(MESSAGES), 'recorded hash map question');
+  await writeFixture(dir, 'interview', '_default', 'recorded fallback question');
+
+  const exact = await gateway.createChatCompletion('interview', MESSAGES, { skipCache: true });
+  passed = check(exact.provider === 'replay' && exact.content === 'recorded hash map question' && exact.model === 'recorded-model',
+    'A fixture recorded for the exact prompt is replayed',
+    `Exact prompt: ${JSON.stringify(exact)}`) && passed;
+
+  const tuned = await gateway.createChatCompletion('interview', MESSAGES.map((m) => ({ ...m, name: 'x' })), { skipCache: true, temperature: 0 });
+  passed = check(tuned.content === 'recorded hash map question',
+    'Only roles and content pick the fixture, not other fields or parameters',
+    `With extra fields: "${tuned.content}"`) && passed;
+
+  const other = await gateway.createChatCompletion('interview', [{ role: 'user', content: 'Something new' }], { skipCache: true });
+  passed = check(other.content === 'recorded fallback question',
+    'Other prompts for the feature get its _default.json',
+    `Unrecorded prompt: "${other.content}"`) && passed;
+
+  passed = check(local.requests.length === 0,
+    'Replayed prompts never reach the local model',
+    `Local model asked ${local.requests.length} time(s)`) && passed;
+
+  return passed;
+}
+
+async function testMisses(gateway, local, dir) {
+  logTest('Replay Misses');
+  let passed = true;
+  gateway.resetQuotaStats();
+  local.requests.length = 0;
+
+  for (let i = 0; i < 4; i++) {
+    const missed = await gateway.createChatCompletion('codeExplainer', [{ role: 'user', content: `Explain #${i}` }], { skipCache: true });
+    passed = check(missed.provider === 'local' && missed.content === 'local answer',
+      `Miss ${i + 1}: the local model answers instead`,
+      `Miss ${i + 1}: ${JSON.stringify(missed)}`) && passed;
+  }
+  passed = check(gateway.getCircuitBreaker('replay').state === 'closed',
+    'Misses are not failures; the replay circuit stays closed',
+    `Replay circuit: ${gateway.getCircuitBreaker('replay').state}`) && passed;
+
+  await mkdir(join(dir, 'skillGap'), { recursive: true });
+  await writeFile(join(dir, 'skillGap', '_default.json'), '{ not json');
+  const corrupt = await gateway.createChatCompletion('skillGap', MESSAGES, { skipCache: true });
+  passed = check(corrupt.provider === 'local' && /Invalid replay fixture/.test(gateway.getCircuitBreaker('replay').lastError || ''),
+    'A corrupt fixture is a replay failure and the next provider answers',
+    `Corrupt fixture: ${corrupt.provider}, replay error "${gateway.getCircuitBreaker('replay').lastError}"`) && passed;
+
+  return passed;
+}
+
+async function testOffline(gateway, local) {
+  logTest('LLM_OFFLINE');
+  let passed = true;
+  gateway.resetQuotaStats();
+  local.requests.length = 0;
+  process.env.LLM_OFFLINE = 'true';
+
+  try {
+    passed = check(gateway.getFeatureConfig('roadmap').providers.join(',') === 'replay,local',
+      'Offline, every feature uses only replay and local',
+      `Offline roadmap providers: ${gateway.getFeatureConfig('roadmap').providers}`) && passed;
+
+    local.failures.push(400);
+    let failure = null;
+    try {
+      await gateway.createChatCompletion('mockInterview', MESSAGES, { skipCache: true });
+    } catch (error) {
+      failure = error;
+    }
+    passed = check(failure?.code === 'LLM_UNAVAILABLE' && /local failed/.test(failure.message) && local.requests.length === 1,
+      'When the offline providers fail the request fails with the local error',
+      `Offline failure: ${failure ? failure.message : 'answered'}`) && passed;
+
+    const probe = await gateway.checkProvider('replay');
+    passed = check(probe.available && probe.dir === process.env.LLM_REPLAY_DIR,
+      'The replay provider reports its fixture directory',
+      `checkProvider(replay): ${JSON.stringify(probe)}`) && passed;
+  } finally {
+    delete process.env.LLM_OFFLINE;
+  }
+
+  passed = check(gateway.getFeatureConfig('roadmap').providers.at(-1) === 'openai',
+    'Back online, hosted providers follow the offline ones',
+    `Online roadmap providers: ${gateway.getFeatureConfig('roadmap').providers}`) && passed;
+
+  return passed;
+}
+
+async function testRecording(gateway, local, dir) {
+  logTest('Recording');
+  let passed = true;
+  gateway.resetQuotaStats();
+  local.requests.length = 0;
+
+  const messages = [{ role: 'user', content: 'Record this answer please' }];
+  process.env.LLM_REPLAY_RECORD = 'true';
+  try {
+    const live = await gateway.createChatCompletion('resumeWriter', messages, { skipCache: true, temperature: 0.3 });
+    passed = check(live.provider === 'local',
+      'Without a fixture the live provider answers',
+      `Live answer from ${live.provider}`) && passed;
+  } finally {
+    delete process.env.LLM_REPLAY_RECORD;
+  }
+
+  const fixture = await waitForFile(join(dir, 'resumeWriter', `${getFixtureKey(messages)}.json`));
+  passed = check(fixture?.response.content === 'local answer' && fixture.request.temperature === 0.3,
+    'The live answer is saved as the fixture for its prompt, with the request parameters',
+    `Recorded fixture: ${JSON.stringify(fixture)}`) && passed;
+
+  local.failures.push(400);
+  const replayed = await gateway.createChatCompletion('resumeWriter', messages, { skipCache: true });
+  passed = check(replayed.provider === 'replay' && replayed.content === 'local answer' && local.requests.length === 1,
+    'The next run replays the recording without asking the model',
+    `Replayed: ${JSON.stringify(replayed)}, local asked ${local.requests.length} time(s)`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Offline LLM Providers - Test Suite                     ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const local = await startLocalModel();
+  const dir = await mkdtemp(join(os.tmpdir(), 'llm-replay-'));
+
+  // Hosted providers stay unconfigured so only replay and local can answer
+  ['OPENAI_API_KEY', 'GROQ_API_KEY', 'OPENROUTER_API_KEY', 'LLM_FEATURES', 'LLM_OFFLINE', 'LLM_REPLAY_RECORD']
+    .forEach((key) => delete process.env[key]);
+  process.env.LLM_REPLAY_DIR = dir;
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${local.server.address().port}/v1`;
+  const gateway = await import('../services/llmGateway.js');
+
+  const tests = [
+    { name: 'Replay Fixtures', fn: () => testFixtures(gateway, local, dir) },
+    { name: 'Replay Misses', fn: () => testMisses(gateway, local, dir) },
+    { name: 'LLM_OFFLINE', fn: () => testOffline(gateway, local) },
+    { name: 'Recording', fn: () => testRecording(gateway, local, dir) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  local.server.close();
+  await rm(dir, { recursive: true, force: true });
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
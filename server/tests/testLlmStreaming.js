@@ -0,0 +1,354 @@
+/**
+ * Streaming AI Responses - Test Suite
+ *
+ * Checks `onEvent` streaming in the LLM gateway (tokens in order, `reset`
+ * when a provider fails mid-answer, cache hits as one token, cancelling) and
+ * the SSE helpers in utils/sse.js the routes use to relay it. Stand-in
+ * OpenAI-compatible servers on localhost play the local and OpenAI providers.
+ *
+ * Usage:
+ *   node server/tests/testLlmStreaming.js
+ */
+
+import http from 'http';
+import express from 'express';
+import { wantsEventStream, openEventStream, sendResult } from '../utils/sse.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const MESSAGES = [{ role: 'user', content: 'Explain recursion briefly.' }];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stand-in provider that streams `pieces` as chat.completion.chunk events.
+ * A queued script may stream only some pieces and then send an error chunk
+ * ({ pieces, fail: true }) or pause between pieces ({ pieces, delayMs }).
+ */
+function startFakeProvider(name, pieces) {
+  const provider = { name, requests: [], scripts: [] };
+
+  provider.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      const request = JSON.parse(body);
+      provider.requests.push(request);
+      const script = provider.scripts.shift() || { pieces };
+
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: `${name}-completion`,
+          object: 'chat.completion',
+          model: request.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: script.pieces.join('') }, finish_reason: 'stop' }]
+        }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+      for (const piece of script.pieces) {
+        if (res.destroyed) return;
+        send({ id: `${name}-chunk`, object: 'chat.completion.chunk', model: request.model, choices: [{ index: 0, delta: { content: piece } }] });
+        if (script.delayMs) await sleep(script.delayMs);
+      }
+      if (script.fail) {
+        send({ error: { message: `${name} dropped the stream` } });
+      } else {
+        send({ id: `${name}-chunk`, object: 'chat.completion.chunk', model: request.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+        res.write('data: [DONE]\n\n');
+      }
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => provider.server.listen(0, '127.0.0.1', () => resolve(provider)));
+}
+
+function collect() {
+  const events = [];
+  const onEvent = (type, payload) => events.push({ type, ...payload });
+  const text = () => events.filter((e) => e.type === 'token').map((e) => e.text).join('');
+  return { events, onEvent, text };
+}
+
+/**
+ * Read an SSE response body into [{ event, data }]
+ */
+async function readEventStream(response) {
+  const body = await response.text();
+  return body.split('\n\n')
+    .filter((block) => block.startsWith('event:'))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+// Test Functions
+
+async function testTokens(gateway, [local]) {
+  logTest('Token Events');
+  let passed = true;
+  gateway.resetQuotaStats();
+  await gateway.clearCache();
+
+  const stream = collect();
+  const result = await gateway.createChatCompletion('interview', MESSAGES, { onEvent: stream.onEvent });
+  const tokens = stream.events.filter((e) => e.type === 'token');
+  passed = check(tokens.length === 3 && tokens.every((e) => e.provider === 'local'),
+    'Each streamed chunk is passed on as a token event',
+    `Events: ${JSON.stringify(stream.events)}`) && passed;
+  passed = check(stream.text() === 'Recursion is a function calling itself.' && result.content === stream.text(),
+    'The tokens add up to the final answer',
+    `Tokens "${stream.text()}", answer "${result.content}"`) && passed;
+  passed = check(local.requests[0].stream === true,
+    'The provider is asked to stream',
+    `Request: ${JSON.stringify(local.requests[0])}`) && passed;
+
+  const cached = collect();
+  const hit = await gateway.createChatCompletion('interview', MESSAGES, { onEvent: cached.onEvent });
+  passed = check(hit.cached && cached.events.length === 1 && cached.text() === result.content,
+    'A cache hit sends the whole answer as one token',
+    `Cache hit events: ${JSON.stringify(cached.events)}`) && passed;
+
+  local.requests.length = 0;
+  await gateway.createChatCompletion('interview', MESSAGES, { skipCache: true });
+  passed = check(local.requests[0].stream === undefined,
+    'Without onEvent the request is not streamed',
+    `Request: ${JSON.stringify(local.requests[0])}`) && passed;
+
+  return passed;
+}
+
+async function testReset(gateway, [local]) {
+  logTest('Failure Mid-answer');
+  let passed = true;
+  gateway.resetQuotaStats();
+
+  local.scripts.push({ pieces: ['Recursion is ', 'a half'], fail: true });
+  const stream = collect();
+  const result = await gateway.createChatCompletion('interview', MESSAGES, { onEvent: stream.onEvent, skipCache: true });
+  const resetAt = stream.events.findIndex((e) => e.type === 'reset');
+  passed = check(resetAt === 2 && stream.events[resetAt].provider === 'local' && /dropped the stream/.test(stream.events[resetAt].reason),
+    'After partial text, a provider failure sends reset with the reason',
+    `Events: ${JSON.stringify(stream.events)}`) && passed;
+
+  const after = stream.events.slice(resetAt + 1).map((e) => e.text).join('');
+  passed = check(result.provider === 'openai' && after === result.content && result.content === 'OpenAI explains recursion.',
+    'The next provider streams the whole answer after the reset',
+    `After reset "${after}", answer from ${result.provider}: "${result.content}"`) && passed;
+
+  local.scripts.push({ pieces: [], fail: true });
+  const quiet = collect();
+  await gateway.createChatCompletion('interview', MESSAGES, { onEvent: quiet.onEvent, skipCache: true });
+  passed = check(!quiet.events.some((e) => e.type === 'reset'),
+    'A provider failing before any text sends no reset',
+    `Events: ${JSON.stringify(quiet.events)}`) && passed;
+
+  return passed;
+}
+
+async function testCancel(gateway, [local, openai]) {
+  logTest('Cancelling');
+  let passed = true;
+  gateway.resetQuotaStats();
+  openai.requests.length = 0;
+
+  local.scripts.push({ pieces: ['one ', 'two ', 'three ', 'four'], delayMs: 200 });
+  const controller = new AbortController();
+  const stream = collect();
+  let failure = null;
+  try {
+    await gateway.createChatCompletion('interview', MESSAGES, {
+      skipCache: true,
+      signal: controller.signal,
+      onEvent: (type, payload) => {
+        stream.onEvent(type, payload);
+        controller.abort();
+      }
+    });
+  } catch (error) {
+    failure = error;
+  }
+  passed = check(failure?.code === 'LLM_ABORTED',
+    'Aborting the signal mid-stream cancels the request',
+    `Cancelled request: ${failure ? `${failure.code} ${failure.message}` : 'completed'}`) && passed;
+  passed = check(openai.requests.length === 0 && gateway.getCircuitBreaker('local').consecutiveFailures === 0,
+    'A cancelled request neither falls back nor counts against the provider',
+    `OpenAI asked ${openai.requests.length} time(s), local failures ${gateway.getCircuitBreaker('local').consecutiveFailures}`) && passed;
+
+  return passed;
+}
+
+async function testEventStream(gateway) {
+  logTest('SSE Helpers');
+  let passed = true;
+  gateway.resetQuotaStats();
+
+  let aborted = false;
+  const app = express();
+  app.use(express.json());
+  // Same shape as the streaming routes
+  app.post('/ask', async (req, res) => {
+    let stream = null;
+    try {
+      if (wantsEventStream(req)) {
+        stream = openEventStream(res);
+        stream.signal.addEventListener('abort', () => { aborted = true; });
+      }
+      if (req.body.fail) {
+        throw new Error('route failed');
+      }
+      const result = await gateway.createChatCompletion('interview', MESSAGES, {
+        skipCache: true,
+        onEvent: stream?.send,
+        signal: stream?.signal
+      });
+      sendResult(res, stream, 200, { success: true, answer: result.content });
+    } catch (error) {
+      sendResult(res, stream, 500, { success: false, message: error.message });
+    }
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/ask`;
+  const post = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const streamed = await post({}, { Accept: 'text/event-stream' });
+    const events = await readEventStream(streamed);
+    passed = check(streamed.headers.get('content-type').startsWith('text/event-stream') && streamed.headers.get('x-accel-buffering') === 'no',
+      'Accept: text/event-stream switches the response to SSE',
+      `Headers: ${streamed.headers.get('content-type')}`) && passed;
+    passed = check(events.map((e) => e.event).join(',') === 'token,token,token,done'
+      && events.at(-1).data.answer === 'Recursion is a function calling itself.',
+      'Tokens arrive as named events, then done with the full result',
+      `Events: ${JSON.stringify(events)}`) && passed;
+
+    const failed = await readEventStream(await post({ fail: true }, { Accept: 'text/event-stream' }));
+    passed = check(failed.length === 1 && failed[0].event === 'error' && failed[0].data.message === 'route failed',
+      'A failure on a stream is sent as an error event',
+      `Events: ${JSON.stringify(failed)}`) && passed;
+
+    const plain = await post({});
+    const json = await plain.json();
+    passed = check(plain.status === 200 && json.answer === 'Recursion is a function calling itself.',
+      'Other clients still get plain JSON',
+      `Plain response: ${plain.status} ${JSON.stringify(json)}`) && passed;
+
+    passed = check(!aborted,
+      'Finished streams do not abort the request signal',
+      'The signal aborted after a finished stream') && passed;
+  } finally {
+    server.close();
+  }
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Streaming AI Responses - Test Suite                    ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const providers = [
+    await startFakeProvider('local', ['Recursion is ', 'a function ', 'calling itself.']),
+    await startFakeProvider('openai', ['OpenAI explains ', 'recursion.'])
+  ];
+  const [local, openai] = providers;
+
+  // Only the stand-ins; set before the gateway reads its settings
+  ['GROQ_API_KEY', 'OPENROUTER_API_KEY', 'LLM_REPLAY_DIR', 'LLM_OFFLINE', 'LLM_FEATURES', 'LLM_CACHE_BACKEND']
+    .forEach((key) => delete process.env[key]);
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${local.server.address().port}/v1`;
+  process.env.OPENAI_API_KEY = 'test-key';
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${openai.server.address().port}/v1`;
+  const gateway = await import('../services/llmGateway.js');
+
+  const tests = [
+    { name: 'Token Events', fn: () => testTokens(gateway, providers) },
+    { name: 'Failure Mid-answer', fn: () => testReset(gateway, providers) },
+    { name: 'Cancelling', fn: () => testCancel(gateway, providers) },
+    { name: 'SSE Helpers', fn: () => testEventStream(gateway) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  providers.forEach((provider) => provider.server.close());
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,452 @@
+/**
+ * PII Redaction - Test Suite
+ *
+ * Checks that resume contact details never reach an LLM provider and come
+ * back intact in the answer. The gateway tests run against a stand-in
+ * OpenAI-compatible server on localhost, so no API keys are needed.
+ *
+ * Usage:
+ *   node server/tests/testPiiRedaction.js
+ */
+
+import http from 'http';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { redactMessages, restoreText, createStreamRestorer } from '../services/piiRedaction.js';
+import resumeParserService from '../services/resumeParserService.js';
+import User from '../models/User.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+// Sample resumes, with the details that must not leave the server
+const SAMPLE_RESUMES = [
+  {
+    label: 'US format',
+    text: `
+Jane Alvarez
+jane.alvarez@example.com | (555) 123-4567 | linkedin.com/in/jane-alvarez
+742 Evergreen Terrace, Springfield, IL 62704
+
+Summary:
+Backend engineer with 6 years of experience. Contact Jane Alvarez at jane.alvarez@example.com.
+
+Experience:
+- Senior Engineer at Acme (2019-2024): cut API latency by 35%
+- Engineer at Initech (2016-2019)
+
+Projects: github.com/janealvarez/ledger
+`,
+    secrets: ['Jane Alvarez', 'jane.alvarez@example.com', '(555) 123-4567', 'linkedin.com/in/jane-alvarez',
+      '742 Evergreen Terrace', 'github.com/janealvarez']
+  },
+  {
+    label: 'International format',
+    text: `
+Rahul Mehta
++91 98765 43210
+rahul.mehta+jobs@mail.co.in
+https://www.linkedin.com/in/rahulmehta
+
+Skills: Python, Django, PostgreSQL, AWS
+Experience: Data Engineer at Flipkart (2020-2023), built pipelines processing 2M events/day
+`,
+    secrets: ['Rahul Mehta', '+91 98765 43210', 'rahul.mehta+jobs@mail.co.in', 'linkedin.com/in/rahulmehta']
+  },
+  {
+    label: 'Heading on the first line',
+    text: `
+RESUME
+Sam Lee
+sam.lee@example.org
+555.987.6543
+
+Experience: Frontend Developer at Globex (2021-2024)
+`,
+    secrets: ['sam.lee@example.org', '555.987.6543']
+  }
+];
+
+const JOB_DESCRIPTION = 'Senior Backend Engineer, 5+ years, Python or Node.js, AWS.';
+
+function buildMessages(resumeText) {
+  return [
+    { role: 'system', content: 'You are an expert resume reviewer.' },
+    { role: 'user', content: `Write a cover letter.\n\nResume:\n${resumeText}\n\nJob:\n${JOB_DESCRIPTION}` }
+  ];
+}
+
+function leaked(text, secrets) {
+  return secrets.filter((secret) => text.toLowerCase().includes(secret.toLowerCase()));
+}
+
+// Test Functions
+
+function testSampleResumes() {
+  logTest('Redaction of Sample Resumes');
+  let passed = true;
+
+  for (const sample of SAMPLE_RESUMES) {
+    const known = resumeParserService.extractContact(sample.text);
+    const { messages, redaction } = redactMessages(buildMessages(sample.text), { known });
+    const sent = messages.map((m) => m.content).join('\n');
+    const leaks = leaked(sent, sample.secrets);
+
+    if (leaks.length > 0) {
+      logError(`${sample.label}: still contains ${leaks.join(', ')}`);
+      passed = false;
+    } else {
+      logSuccess(`${sample.label}: ${redaction.count} value(s) replaced, nothing leaked`);
+    }
+
+    // Year ranges look a little like phone numbers; they must survive
+    const years = sample.text.match(/\(\d{4}-\d{4}\)/g) || [];
+    if (!sent.includes(JOB_DESCRIPTION) || years.some((range) => !sent.includes(range))) {
+      logError(`${sample.label}: redaction changed text that is not PII`);
+      passed = false;
+    }
+  }
+
+  return passed;
+}
+
+function testRoundTrip() {
+  logTest('Restore Round Trip');
+  let passed = true;
+
+  for (const sample of SAMPLE_RESUMES) {
+    const original = buildMessages(sample.text);
+    const { messages, redaction } = redactMessages(original, {
+      known: resumeParserService.extractContact(sample.text)
+    });
+    const restored = messages.map((m) => restoreText(m.content, redaction));
+
+    if (restored.every((content, i) => content === original[i].content)) {
+      logSuccess(`${sample.label}: restored text matches the original`);
+    } else {
+      logError(`${sample.label}: restored text differs from the original`);
+      passed = false;
+    }
+  }
+
+  return passed;
+}
+
+function testStablePlaceholders() {
+  logTest('Stable Placeholders');
+  const sample = SAMPLE_RESUMES[0];
+  const known = resumeParserService.extractContact(sample.text);
+  const first = redactMessages(buildMessages(sample.text), { known });
+  const second = redactMessages(buildMessages(sample.text), { known });
+  const content = first.messages[1].content;
+
+  const sameEverywhere = content.split('[EMAIL_1]').length === 3 && content.split('[NAME_1]').length === 3;
+  const deterministic = JSON.stringify(first.messages) === JSON.stringify(second.messages);
+
+  if (sameEverywhere) {
+    logSuccess('A repeated value gets the same placeholder each time');
+  } else {
+    logError('A repeated value got different placeholders');
+  }
+  if (deterministic) {
+    logSuccess('Redacting the same prompt twice gives the same text (cache keys still match)');
+  } else {
+    logError('Redacting the same prompt twice gave different text');
+  }
+
+  return sameEverywhere && deterministic;
+}
+
+function testStreamRestore() {
+  logTest('Streamed Restore Across Split Chunks');
+  const sample = SAMPLE_RESUMES[0];
+  const { redaction } = redactMessages(buildMessages(sample.text), {
+    known: resumeParserService.extractContact(sample.text)
+  });
+  const answer = 'Dear Hiring Manager,\n...\nBest regards,\n[NAME_1]\n[EMAIL_1] | [PHONE_1] | [LINK]';
+  const expected = restoreText(answer, redaction);
+
+  let passed = true;
+  for (const size of [1, 2, 3, 5, 8]) {
+    const restorer = createStreamRestorer(redaction);
+    let output = '';
+    for (let i = 0; i < answer.length; i += size) {
+      output += restorer.push(answer.slice(i, i + size));
+    }
+    output += restorer.flush();
+
+    if (output !== expected) {
+      logError(`Chunks of ${size}: got ${JSON.stringify(output.slice(-60))}`);
+      passed = false;
+    }
+  }
+
+  if (passed) {
+    logSuccess('Placeholders split over chunks of 1-8 characters are restored');
+  }
+  return passed;
+}
+
+/**
+ * Stand-in provider: records what it receives and signs every answer with
+ * the placeholders it was sent, optionally as a stream
+ */
+function startFakeProvider(received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const prompt = request.messages.map((m) => m.content).join('\n');
+      received.push(prompt);
+
+      const placeholders = [...new Set(prompt.match(/\[(NAME|EMAIL|PHONE)_\d+\]/g) || [])];
+      const content = `Dear Hiring Manager,\nI am excited to apply.\nBest regards,\n${placeholders.join('\n') || 'A candidate'}`;
+
+      if (request.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (let i = 0; i < content.length; i += 4) {
+          const chunk = { choices: [{ index: 0, delta: { content: content.slice(i, i + 4) } }] };
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'fake',
+        object: 'chat.completion',
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+      }));
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testGateway(gateway, received) {
+  logTest('Gateway Redacts Requests and Restores Answers');
+  const sample = SAMPLE_RESUMES[0];
+  const pii = resumeParserService.extractContact(sample.text);
+  let passed = true;
+
+  received.length = 0;
+  const response = await gateway.createChatCompletion('coverLetter', buildMessages(sample.text), { pii, skipCache: true });
+  const leaks = leaked(received.join('\n'), sample.secrets);
+  if (leaks.length > 0) {
+    logError(`Provider received ${leaks.join(', ')}`);
+    passed = false;
+  } else {
+    logSuccess('Provider received no contact details');
+  }
+  if (response.content.includes('Jane Alvarez') && response.content.includes('jane.alvarez@example.com') &&
+      !/\[(NAME|EMAIL|PHONE)_\d+\]/.test(response.content)) {
+    logSuccess('Answer has the real name, email and phone back');
+  } else {
+    logError(`Answer not restored: ${JSON.stringify(response.content)}`);
+    passed = false;
+  }
+
+  let streamed = '';
+  const streamedResponse = await gateway.createChatCompletion('coverLetter', buildMessages(sample.text), {
+    pii,
+    skipCache: true,
+    onEvent: (type, payload) => {
+      if (type === 'token') streamed += payload.text;
+    }
+  });
+  if (streamed === streamedResponse.content || streamed.trim() === streamedResponse.content) {
+    logSuccess('Streamed tokens are restored too');
+  } else {
+    logError(`Streamed text differs: ${JSON.stringify(streamed)}`);
+    passed = false;
+  }
+
+  const stats = gateway.getQuotaStats().features.coverLetter;
+  if (stats?.piiRedactions > 0) {
+    logSuccess(`Feature stats count ${stats.piiRedactions} redacted value(s)`);
+  } else {
+    logError('piiRedactions missing from feature stats');
+    passed = false;
+  }
+
+  return passed;
+}
+
+async function testPerFeatureToggle(gateway, received) {
+  logTest('Per-Feature Configuration');
+  const sample = SAMPLE_RESUMES[0];
+  const pii = resumeParserService.extractContact(sample.text);
+  let passed = true;
+
+  const expectations = {
+    coverLetter: true, // built-in default
+    resumeGenome: true, // built-in default
+    roadmap: false, // built-in default
+    interview: ['email'], // from LLM_FEATURES below
+    resumeWriter: false // switched off in LLM_FEATURES below
+  };
+
+  for (const [feature, expected] of Object.entries(expectations)) {
+    const setting = gateway.getFeatureConfig(feature).redactPii;
+    if (JSON.stringify(setting) === JSON.stringify(expected)) {
+      logSuccess(`${feature}: redactPii = ${JSON.stringify(setting)}`);
+    } else {
+      logError(`${feature}: expected redactPii ${JSON.stringify(expected)}, got ${JSON.stringify(setting)}`);
+      passed = false;
+    }
+  }
+
+  received.length = 0;
+  await gateway.createChatCompletion('interview', buildMessages(sample.text), { pii, skipCache: true });
+  const sent = received.join('\n');
+  if (!sent.includes('jane.alvarez@example.com') && sent.includes('Jane Alvarez') && sent.includes('(555) 123-4567')) {
+    logSuccess('interview: only emails redacted');
+  } else {
+    logError('interview: redacted the wrong types');
+    passed = false;
+  }
+
+  received.length = 0;
+  await gateway.createChatCompletion('roadmap', buildMessages(sample.text), { pii, skipCache: true });
+  if (received.join('\n').includes('jane.alvarez@example.com')) {
+    logSuccess('roadmap: sent unchanged');
+  } else {
+    logError('roadmap: redacted although the feature has it off');
+    passed = false;
+  }
+
+  return passed;
+}
+
+async function testSkillGapRoute(received) {
+  logTest('Resume Genome Skill Gap Route');
+  const sample = SAMPLE_RESUMES[0];
+  const userId = new mongoose.Types.ObjectId().toString();
+  let passed = true;
+
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'pii-redaction-test-secret';
+  User.findById = async () => ({ _id: userId, email: 'jane@example.com', name: 'Jane' });
+  const { default: resumeGenomeRoutes } = await import('../routes/resumeGenome.js');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/resume-genome', resumeGenomeRoutes);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    received.length = 0;
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/resume-genome/analyze`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}` },
+      body: JSON.stringify({ resumeText: sample.text, jobDescription: JOB_DESCRIPTION, withJobDescription: true })
+    });
+    const leaks = leaked(received.join('\n'), sample.secrets);
+
+    if (response.ok && received.length > 0 && leaks.length === 0) {
+      logSuccess('Skill gap analysis sends the resume without the name or contact details');
+    } else {
+      logError(`Status ${response.status}, ${received.length} provider request(s), leaked: ${leaks.join(', ')}`);
+      passed = false;
+    }
+  } finally {
+    server.close();
+  }
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   PII Redaction - Test Suite                             ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const received = [];
+  const server = await startFakeProvider(received);
+
+  // Only the stand-in provider; set before the gateway reads its settings
+  process.env.LLM_OFFLINE = 'true';
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.LLM_FEATURES = JSON.stringify({
+    interview: { redactPii: ['email'] },
+    resumeWriter: { redactPii: false }
+  });
+  const gateway = await import('../services/llmGateway.js');
+
+  const tests = [
+    { name: 'Sample Resumes', fn: testSampleResumes },
+    { name: 'Round Trip', fn: testRoundTrip },
+    { name: 'Stable Placeholders', fn: testStablePlaceholders },
+    { name: 'Stream Restore', fn: testStreamRestore },
+    { name: 'Gateway', fn: () => testGateway(gateway, received) },
+    { name: 'Per-Feature Toggle', fn: () => testPerFeatureToggle(gateway, received) },
+    { name: 'Skill Gap Route', fn: () => testSkillGapRoute(received) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  server.close();
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
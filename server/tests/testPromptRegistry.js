@@ -0,0 +1,260 @@
+/**
+ * Prompt Registry - Test Suite
+ *
+ * Checks services/promptRegistry.js: rendering templates into chat messages,
+ * the errors for unknown prompts and missing variables, which version is
+ * served (explicit, A/B split, PROMPT_VERSIONS pin, highest), that a split
+ * keeps each user on one version and honours its weights, and listPrompts().
+ * Test-only prompts are registered next to the built-in ones.
+ *
+ * Usage:
+ *   node server/tests/testPromptRegistry.js
+ */
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const TEST_PROMPTS = [
+  { name: 'test.greeting', version: '1', system: 'You greet {{audience}}.', user: 'Say hi to {{name}}.' },
+  { name: 'test.greeting', version: '2', user: 'Say hello to {{ name }} about {{topics}}.' },
+  { name: 'test.greeting', version: '10', user: 'Greet {{name}}.' },
+  { name: 'test.pinned', version: '1', user: 'pinned one' },
+  { name: 'test.pinned', version: '2', user: 'pinned two' },
+  { name: 'test.badPin', version: '1', user: 'bad pin one' },
+  { name: 'test.badPin', version: '2', user: 'bad pin two' },
+  { name: 'test.split', version: '1', user: 'control' },
+  { name: 'test.split', version: '2', user: 'variant' },
+  { name: 'test.deadSplit', version: '1', user: 'dead one' },
+  { name: 'test.deadSplit', version: '2', user: 'dead two' }
+];
+
+// Test Functions
+
+function testRendering(prompts) {
+  logTest('Rendering');
+  let passed = true;
+
+  const rendered = prompts.renderPrompt('test.greeting', { name: 'Ada', audience: 'engineers' }, { version: '1' });
+  passed = check(rendered.id === 'test.greeting@1' && rendered.version === '1' && !rendered.experiment,
+    'A render reports the id to store on the artifact',
+    `Render: ${JSON.stringify(rendered)}`) && passed;
+  passed = check(rendered.messages.length === 2 && rendered.messages[0].content === 'You greet engineers.' && rendered.messages[1].content === 'Say hi to Ada.',
+    'The system and user templates become chat messages',
+    `Messages: ${JSON.stringify(rendered.messages)}`) && passed;
+
+  const noSystem = prompts.renderPrompt('test.greeting', { name: 'Ada', topics: ['graphs', 'heaps'] }, { version: '2' });
+  passed = check(noSystem.messages.length === 1 && noSystem.system === null && noSystem.user.includes('"graphs"') && noSystem.user.startsWith('Say hello to Ada'),
+    'Without a system template there is one message; objects are inserted as JSON',
+    `Render: ${JSON.stringify(noSystem)}`) && passed;
+
+  const missing = errorOf(() => prompts.renderPrompt('test.greeting', { name: 'Ada' }, { version: '1' }));
+  passed = check(missing?.code === 'PROMPT_VARIABLE_MISSING' && /test\.greeting@1 is missing variable "audience"/.test(missing.message),
+    'A missing variable is an error naming it and the prompt',
+    `Missing variable: ${missing ? missing.message : 'rendered'}`) && passed;
+
+  const unknown = errorOf(() => prompts.renderPrompt('test.nope'));
+  const badVersion = errorOf(() => prompts.renderPrompt('test.greeting', { name: 'Ada' }, { version: '7' }));
+  passed = check(unknown?.code === 'PROMPT_NOT_FOUND' && badVersion?.code === 'PROMPT_NOT_FOUND' && /test\.greeting@7/.test(badVersion.message),
+    'Unknown prompts and versions are PROMPT_NOT_FOUND',
+    `Unknown: ${unknown?.message}; bad version: ${badVersion?.message}`) && passed;
+
+  const duplicate = errorOf(() => prompts.registerPrompt({ name: 'test.greeting', version: '1', user: 'again' }));
+  const incomplete = errorOf(() => prompts.registerPrompt({ name: 'test.incomplete', user: 'no version' }));
+  passed = check(/already registered/.test(duplicate?.message || '') && /need a name, a version/.test(incomplete?.message || ''),
+    'A version cannot be registered twice, and templates need a name, version and user text',
+    `Duplicate: ${duplicate?.message}; incomplete: ${incomplete?.message}`) && passed;
+
+  return passed;
+}
+
+function testBuiltInPrompts(prompts) {
+  logTest('Built-in Prompts');
+  let passed = true;
+
+  const builtIn = prompts.listPrompts().filter((prompt) => !prompt.name.startsWith('test.'));
+  for (const { name, versions } of builtIn) {
+    for (const version of versions) {
+      const template = prompts.getPrompt(name, version);
+      const variables = Object.fromEntries(
+        [...`${template.system || ''} ${template.user}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(([, key]) => [key, `<${key}>`])
+      );
+      const rendered = errorOf(() => {
+        const { user, system } = prompts.renderPrompt(name, variables, { version });
+        if (/\{\{/.test(user + (system || ''))) throw new Error('placeholder left in the text');
+      });
+      passed = check(rendered === null,
+        `${name}@${version} renders`,
+        `${name}@${version}: ${rendered?.message}`) && passed;
+    }
+  }
+
+  passed = check(builtIn.some((prompt) => prompt.name === 'skillGap.analysis') && builtIn.some((prompt) => prompt.name === 'mockInterview.report'),
+    'The feature prompts are registered at startup',
+    `Registered: ${builtIn.map((prompt) => prompt.name)}`) && passed;
+
+  return passed;
+}
+
+function testVersionSelection(prompts) {
+  logTest('Version Selection');
+  let passed = true;
+
+  passed = check(prompts.getPrompt('test.greeting').version === '10',
+    'The highest version is the default, compared as numbers (10 > 2)',
+    `Default greeting: ${prompts.getPrompt('test.greeting').version}`) && passed;
+  passed = check(prompts.renderPrompt('test.pinned').version === '1',
+    'PROMPT_VERSIONS pins a prompt to an older version',
+    `Pinned: ${prompts.renderPrompt('test.pinned').version}`) && passed;
+  passed = check(prompts.renderPrompt('test.badPin').version === '2',
+    'A pin to a version that does not exist falls back to the highest',
+    `Bad pin: ${prompts.renderPrompt('test.badPin').version}`) && passed;
+
+  const forced = prompts.renderPrompt('test.split', {}, { version: '1', unitId: 'user-42' });
+  passed = check(forced.version === '1' && !forced.experiment,
+    'An explicit version bypasses the experiment',
+    `Forced: ${JSON.stringify(forced)}`) && passed;
+
+  const dead = prompts.renderPrompt('test.deadSplit', {}, { unitId: 'user-42' });
+  passed = check(dead.version === '2' && !dead.experiment,
+    'A split with no usable arms (zero weight, unknown version) is ignored',
+    `Dead split: ${JSON.stringify(dead)}`) && passed;
+
+  return passed;
+}
+
+function testSplits(prompts) {
+  logTest('A/B Splits');
+  let passed = true;
+
+  const first = prompts.renderPrompt('test.split', {}, { unitId: 'user-1' });
+  const repeats = Array.from({ length: 20 }, () => prompts.renderPrompt('test.split', {}, { unitId: 'user-1' }).version);
+  passed = check(first.experiment && repeats.every((version) => version === first.version),
+    'The same user always gets the same version',
+    `user-1 got: ${[first.version, ...repeats].join(',')}`) && passed;
+
+  const counts = { 1: 0, 2: 0 };
+  for (let i = 0; i < 2000; i++) {
+    counts[prompts.renderPrompt('test.split', {}, { unitId: `user-${i}` }).version]++;
+  }
+  const share = counts[2] / 2000;
+  passed = check(share > 0.15 && share < 0.25,
+    `Users are split by weight (80/20 configured, ${(share * 100).toFixed(1)}% got version 2)`,
+    `Split: ${JSON.stringify(counts)}`) && passed;
+
+  const anonymous = Array.from({ length: 50 }, () => prompts.renderPrompt('test.split').version);
+  passed = check(anonymous.every((version) => version === '1' || version === '2'),
+    'Without a unit id each render still picks one of the arms',
+    `Anonymous: ${anonymous.join(',')}`) && passed;
+
+  const listed = prompts.listPrompts().find((prompt) => prompt.name === 'test.split');
+  passed = check(listed.experiment['1'] === 80 && listed.renders['1'] + listed.renders['2'] === 2072 && listed.defaultVersion === '2',
+    'listPrompts shows the split and how often each version was rendered',
+    `Listed: ${JSON.stringify(listed)}`) && passed;
+
+  const greeting = prompts.listPrompts().find((prompt) => prompt.name === 'test.greeting');
+  passed = check(greeting.versions.join(',') === '1,2,10' && greeting.experiment === null,
+    'Versions are listed in numeric order',
+    `Listed: ${JSON.stringify(greeting)}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Prompt Registry - Test Suite                           ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  // Read on first use, so set before the registry loads
+  process.env.PROMPT_VERSIONS = JSON.stringify({ 'test.pinned': '1', 'test.badPin': '9' });
+  process.env.PROMPT_EXPERIMENTS = JSON.stringify({
+    'test.split': { 1: 80, 2: 20 },
+    'test.deadSplit': { 1: 0, 3: 50 }
+  });
+  const prompts = await import('../services/promptRegistry.js');
+  TEST_PROMPTS.forEach(prompts.registerPrompt);
+
+  const tests = [
+    { name: 'Rendering', fn: () => testRendering(prompts) },
+    { name: 'Built-in Prompts', fn: () => testBuiltInPrompts(prompts) },
+    { name: 'Version Selection', fn: () => testVersionSelection(prompts) },
+    { name: 'A/B Splits', fn: () => testSplits(prompts) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,239 @@
+/**
+ * Code Sandbox - Test Suite
+ *
+ * Runs real processes through services/sandbox.js and checks each limit:
+ * wall clock, CPU time, memory, output size and process count, plus the
+ * isolation the host supports (per-run uid, scrubbed environment, no
+ * network). Checks for layers this host lacks are skipped, not failed.
+ *
+ * Usage:
+ *   node server/tests/testSandbox.js
+ */
+
+import { mkdtemp, rm, chmod, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runSandboxed, getSandboxInfo } from '../services/sandbox.js';
+import { executeCode } from '../services/codeExecutor.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function logSkip(message) {
+  log(COLORS.yellow, `⏭️  ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+/**
+ * Run a command in a fresh scratch directory; limit rejections are returned
+ * like normal results so tests can inspect both the same way
+ */
+async function run(command, args, options = {}) {
+  const workDir = await mkdtemp(join(tmpdir(), 'sandbox-test-'));
+  await chmod(workDir, 0o755);
+  try {
+    return await runSandboxed(command, args, { workDir, ...options });
+  } catch (result) {
+    return { ...result, rejected: true };
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Test Functions
+
+async function testTimeLimits() {
+  logTest('Time Limits');
+  let passed = true;
+
+  const sleeper = await run('sleep', ['5'], { limits: { timeoutMs: 500 } });
+  passed = check(sleeper.rejected && sleeper.timedOut && /timed out/.test(sleeper.error),
+    'Wall clock: a sleeping process is killed at the timeout',
+    `Wall clock: ${JSON.stringify(sleeper)}`) && passed;
+
+  if (getSandboxInfo().prlimit) {
+    const spinner = await run('sh', ['-c', 'while :; do :; done'], { limits: { cpuTimeSec: 1 } });
+    passed = check(spinner.timedOut && /CPU time limit/.test(spinner.error) && spinner.cpuTimeMs >= 500,
+      `CPU time: a busy loop stops at the CPU limit (${spinner.cpuTimeMs}ms used)`,
+      `CPU time: ${JSON.stringify(spinner)}`) && passed;
+
+    const exit152 = await run('sh', ['-c', 'exit 152'], { limits: { cpuTimeSec: 1 } });
+    passed = check(!exit152.rejected && exit152.exitCode === 152 && !exit152.timedOut,
+      'CPU time: a program that exits with 152 on its own is not a CPU time limit',
+      `Exit 152: ${JSON.stringify(exit152)}`) && passed;
+  } else {
+    logSkip('CPU time: prlimit is not available here');
+  }
+
+  return passed;
+}
+
+async function testMemoryAndOutput() {
+  logTest('Memory & Output Limits');
+  let passed = true;
+
+  const hog = await executeCode('const keep = []; for (;;) keep.push(new Array(1e6).fill(1));', 'javascript', '', { skipCache: true });
+  passed = check(hog.memoryExceeded && /Memory limit exceeded/.test(hog.error) && hog.peakMemoryKb > 0,
+    `Memory: an allocating program is stopped (peak ${Math.round(hog.peakMemoryKb / 1024)}MB)`,
+    `Memory: ${JSON.stringify({ error: hog.error, memoryExceeded: hog.memoryExceeded })}`) && passed;
+
+  const chatty = await run('yes', [], { limits: { maxOutputBytes: 1000 } });
+  passed = check(chatty.rejected && /Output size limit/.test(chatty.error) && chatty.output.length === 1000,
+    'Output: a flood of output is cut off at the cap',
+    `Output: ${chatty.error}, ${chatty.output?.length} bytes kept`) && passed;
+
+  const ok = await run('sh', ['-c', 'echo done'], {});
+  passed = check(!ok.rejected && ok.output === 'done' && ok.exitCode === 0 && typeof ok.peakMemoryKb === 'number',
+    'A well-behaved run resolves with its output and usage',
+    `Well-behaved run: ${JSON.stringify(ok)}`) && passed;
+
+  return passed;
+}
+
+async function testIsolation() {
+  logTest('Isolation');
+  let passed = true;
+  const info = getSandboxInfo();
+  log(COLORS.yellow, `Isolation on this host: ${info.isolation}, uid drop ${info.dropPrivileges}, network ${info.network}`);
+  info.errors.forEach((error) => log(COLORS.yellow, `Sandbox error: ${error}`));
+
+  process.env.SANDBOX_TEST_SECRET = 'do-not-leak';
+  const env = await run('sh', ['-c', 'echo "[$SANDBOX_TEST_SECRET]"'], {});
+  passed = check(env.output === '[]',
+    'Environment: server secrets are not passed to user code',
+    `Environment leaked: ${env.output}`) && passed;
+
+  if (info.dropPrivileges) {
+    const identity = await run('sh', ['-c', 'id -u; echo x > mine.txt && cat mine.txt; echo x > /root/sandbox-escape 2>/dev/null || echo denied'], {});
+    const [uid, written, outside] = identity.output.split('\n');
+    passed = check(Number(uid) > 0,
+      `Runs as an unprivileged uid (${uid})`,
+      `Runs as uid ${uid}`) && passed;
+    passed = check(written === 'x' && outside === 'denied',
+      'Writes work in the scratch directory and are denied outside it',
+      `Writes: scratch "${written}", outside "${outside}"`) && passed;
+
+    const forks = 'for i in 1 2 3 4 5 6 7 8 9 10 11 12; do sleep 1 & done; wait';
+    const forker = await run('sh', ['-c', forks], { limits: { maxProcesses: 4 } });
+    passed = check(/fork/i.test(forker.error) && forker.exitCode !== 0,
+      'Process count: forking past the limit fails',
+      `Process count: ${JSON.stringify(forker)}`) && passed;
+
+    // A toolchain only root can read, like pyenv under /root
+    const privateBin = await mkdtemp(join(tmpdir(), 'sandbox-root-only-'));
+    await writeFile(join(privateBin, 'root-only-tool'), '#!/bin/sh\nid -u\n', { mode: 0o755 });
+    const path = process.env.PATH;
+    process.env.PATH = `${privateBin}:${path}`;
+    const rootOnly = await run('root-only-tool', []);
+    process.env.PATH = path;
+    await rm(privateBin, { recursive: true, force: true });
+    if (info.allowRoot) {
+      passed = check(rootOnly.output === '0' && info.errors.some((error) => error.startsWith('root-only-tool ')),
+        'SANDBOX_ALLOW_ROOT: an unreadable toolchain runs as root and is reported as an error',
+        `Root-only toolchain: ${JSON.stringify(rootOnly)}, errors ${JSON.stringify(info.errors)}`) && passed;
+    } else {
+      passed = check(rootOnly.rejected && /^Refusing to run root-only-tool as root/.test(rootOnly.error) && !rootOnly.output,
+        'A toolchain the sandbox uid cannot read is refused, not run as root',
+        `Root-only toolchain: ${JSON.stringify(rootOnly)}`) && passed;
+    }
+  } else {
+    logSkip('Uid drop, write confinement and process count need root to switch uids');
+  }
+
+  if (!info.network) {
+    const fetcher = await run('node', ['-e', 'fetch("http://example.com").then(() => console.log("online"), () => console.log("offline"))'],
+      { limitAddressSpace: false });
+    passed = check(fetcher.output === 'offline',
+      'Network: user code cannot reach the network',
+      `Network: ${fetcher.output || fetcher.error}`) && passed;
+  } else {
+    logSkip('Network: this host has no network namespace for the sandbox');
+  }
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Code Sandbox - Test Suite                              ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  if (process.platform !== 'linux') {
+    logSkip('The sandbox only enforces limits on Linux');
+    return true;
+  }
+
+  const tests = [
+    { name: 'Time Limits', fn: testTimeLimits },
+    { name: 'Memory & Output Limits', fn: testMemoryAndOutput },
+    { name: 'Isolation', fn: testIsolation }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,385 @@
+/**
+ * Structured AI Output - Test Suite
+ *
+ * Checks schema validation (utils/jsonSchema.js), pulling JSON out of model
+ * replies, and createStructuredCompletion's repair loop: re-asking with the
+ * problems, giving up with LLM_INVALID_OUTPUT, the `reset` event for
+ * streamed replies, the per-feature validation stats, and a caller that must
+ * report a reply it could not repair (roadmap refinement). A stand-in
+ * OpenAI-compatible server on localhost plays the model with scripted replies.
+ *
+ * Usage:
+ *   node server/tests/testStructuredOutput.js
+ */
+
+import http from 'http';
+import { validateSchema } from '../utils/jsonSchema.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['question', 'difficulty', 'hints'],
+  additionalProperties: false,
+  properties: {
+    question: { type: 'string', minLength: 10 },
+    difficulty: { enum: ['easy', 'medium', 'hard'] },
+    score: { type: 'integer', minimum: 0, maximum: 10 },
+    hints: { type: 'array', maxItems: 2, items: { type: 'string' } }
+  }
+};
+
+const VALID = { question: 'What is a hash map?', difficulty: 'easy', hints: ['buckets'] };
+
+const MESSAGES = [{ role: 'user', content: 'Ask one interview question as JSON.' }];
+
+/**
+ * Stand-in model; answers with the queued replies in order, streamed in one
+ * chunk when the request asks for a stream
+ */
+function startFakeModel() {
+  const model = { requests: [], replies: [] };
+
+  model.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      model.requests.push(request);
+      const reply = model.replies.shift();
+
+      if (reply?.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `model failed with ${reply.status}` } }));
+        return;
+      }
+
+      const content = reply ?? JSON.stringify(VALID);
+      if (request.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ id: 'local-chunk', object: 'chat.completion.chunk', model: 'llama3.1', choices: [{ index: 0, delta: { content } }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'local-completion',
+        object: 'chat.completion',
+        model: 'llama3.1',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+      }));
+    });
+  });
+
+  return new Promise((resolve) => model.server.listen(0, '127.0.0.1', () => resolve(model)));
+}
+
+function reset(gateway, structured, model) {
+  gateway.resetQuotaStats();
+  structured.resetValidationStats();
+  model.requests.length = 0;
+  model.replies.length = 0;
+}
+
+async function invalidOutput(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Test Functions
+
+function testSchemaValidation() {
+  logTest('Schema Validation');
+  let passed = true;
+
+  passed = check(validateSchema(QUESTION_SCHEMA, VALID).length === 0,
+    'A matching value has no problems',
+    `Valid value: ${validateSchema(QUESTION_SCHEMA, VALID)}`) && passed;
+
+  const errors = validateSchema(QUESTION_SCHEMA, {
+    question: 'Short?',
+    difficulty: 'brutal',
+    score: 7.5,
+    hints: ['a', 2, 'c'],
+    extra: true
+  });
+  const expected = [
+    '$.question should have at least 10 characters',
+    '$.difficulty should be one of "easy", "medium", "hard"',
+    '$.score should be integer, got number',
+    '$.hints should have at most 2 items',
+    '$.hints[1] should be string, got integer',
+    '$.extra is not allowed'
+  ];
+  passed = check(expected.every((error) => errors.includes(error)) && errors.length === expected.length,
+    'Every problem is reported with its path',
+    `Problems: ${JSON.stringify(errors)}`) && passed;
+
+  passed = check(validateSchema(QUESTION_SCHEMA, { question: 'What is a heap?' }).join('|') === '$.difficulty is required|$.hints is required',
+    'Missing required keys are reported',
+    `Missing keys: ${validateSchema(QUESTION_SCHEMA, { question: 'What is a heap?' })}`) && passed;
+
+  passed = check(validateSchema(QUESTION_SCHEMA, ['not', 'an', 'object']).join() === '$ should be object, got array'
+    && validateSchema({ type: 'number' }, 3).length === 0
+    && validateSchema({ type: ['string', 'null'] }, null).length === 0,
+    'Types: a wrong top-level type stops early, integers are numbers, type lists allow any',
+    'Type checks were wrong') && passed;
+
+  return passed;
+}
+
+function testExtractJSON(structured) {
+  logTest('Reading JSON from Replies');
+  let passed = true;
+  const { extractJSON } = structured;
+
+  passed = check(extractJSON('```json\n{"a": 1}\n```').a === 1,
+    'A fenced ```json block is read',
+    'The fenced block was not read') && passed;
+  passed = check(extractJSON('Sure! Here it is: {"a": {"b": [1, 2]}} Hope that helps.').a.b[1] === 2,
+    'Prose around the object is ignored',
+    'Prose around the object broke parsing') && passed;
+  passed = check(extractJSON('[1, 2, 3]').length === 3,
+    'Top-level arrays are read',
+    'A top-level array was not read') && passed;
+
+  let failure = null;
+  try {
+    extractJSON('I cannot answer that.');
+  } catch (error) {
+    failure = error;
+  }
+  passed = check(failure instanceof SyntaxError,
+    'A reply with no JSON throws SyntaxError',
+    `No JSON: ${failure ? failure.constructor.name : 'parsed'}`) && passed;
+
+  return passed;
+}
+
+async function testRepair(gateway, structured, model) {
+  logTest('Repair Loop');
+  let passed = true;
+  reset(gateway, structured, model);
+
+  const first = await structured.createStructuredCompletion('mockInterview', MESSAGES, { schema: QUESTION_SCHEMA, skipCache: true });
+  passed = check(first.repairs === 0 && first.data.question === VALID.question && model.requests.length === 1,
+    'A valid first reply is returned as data with no repairs',
+    `First reply: ${JSON.stringify(first)}`) && passed;
+
+  model.requests.length = 0;
+  model.replies.push('{"question": "What is a hash map?", "difficulty": "brutal", "hints": []}');
+  const repaired = await structured.createStructuredCompletion('mockInterview', MESSAGES, { schema: QUESTION_SCHEMA, skipCache: true });
+  const repairRequest = model.requests[1]?.messages || [];
+  passed = check(repaired.repairs === 1 && repaired.data.difficulty === 'easy',
+    'An invalid reply is repaired by asking again',
+    `Repaired: ${JSON.stringify(repaired)}`) && passed;
+  passed = check(repairRequest.length === 3 && repairRequest[1].role === 'assistant' && repairRequest[1].content.includes('brutal')
+    && repairRequest[2].content.includes('$.difficulty should be one of') && repairRequest[2].content.includes('"additionalProperties":false'),
+    'The re-ask shows the model its reply, the problems and the schema',
+    `Repair request: ${JSON.stringify(repairRequest)}`) && passed;
+
+  model.replies.push('not json at all', '{"question": 1}', '{"still": "wrong"}');
+  const failure = await invalidOutput(structured.createStructuredCompletion('mockInterview', MESSAGES, { schema: QUESTION_SCHEMA, maxRepairs: 2, skipCache: true }));
+  passed = check(failure?.code === 'LLM_INVALID_OUTPUT' && failure.content === '{"still": "wrong"}'
+    && failure.validationErrors.includes('$.still is not allowed') && /after 3 attempts/.test(failure.message),
+    'After maxRepairs it fails with LLM_INVALID_OUTPUT and the last reply and problems',
+    `Gave up with: ${failure ? `${failure.code} ${failure.message}` : 'data'}`) && passed;
+
+  model.requests.length = 0;
+  model.replies.push('nope');
+  const once = await invalidOutput(structured.createStructuredCompletion('mockInterview', MESSAGES, { schema: QUESTION_SCHEMA, maxRepairs: 0, skipCache: true }));
+  passed = check(once?.code === 'LLM_INVALID_OUTPUT' && /not valid JSON/.test(once.validationErrors[0]) && model.requests.length === 1,
+    'maxRepairs 0 means no re-ask',
+    `maxRepairs 0: ${model.requests.length} request(s)`) && passed;
+
+  model.replies.push({ status: 400 });
+  const unavailable = await invalidOutput(structured.createStructuredCompletion('mockInterview', MESSAGES, { schema: QUESTION_SCHEMA, skipCache: true }));
+  passed = check(unavailable?.code === 'LLM_UNAVAILABLE',
+    'Gateway errors pass through unchanged',
+    `Provider failure: ${unavailable?.code}`) && passed;
+
+  return passed;
+}
+
+async function testStreamingReset(gateway, structured, model) {
+  logTest('Streamed Repairs');
+  let passed = true;
+  reset(gateway, structured, model);
+
+  model.replies.push('{"question": "too short"}');
+  const events = [];
+  const result = await structured.createStructuredCompletion('mockInterview', MESSAGES, {
+    schema: QUESTION_SCHEMA,
+    skipCache: true,
+    onEvent: (type, payload) => events.push({ type, ...payload })
+  });
+  const types = events.map((e) => e.type).join(',');
+  passed = check(types === 'token,reset,token' && events[1].reason === 'invalid structured output',
+    'The rejected reply is followed by reset, then the repair\'s tokens',
+    `Events: ${JSON.stringify(events)}`) && passed;
+  passed = check(events[2].text === JSON.stringify(VALID) && result.repairs === 1,
+    'The tokens after the reset are the repaired reply',
+    `After reset: ${events[2]?.text}`) && passed;
+
+  return passed;
+}
+
+async function testStats(gateway, structured, model) {
+  logTest('Validation Stats');
+  let passed = true;
+  reset(gateway, structured, model);
+
+  const run = (feature, options = {}) => invalidOutput(
+    structured.createStructuredCompletion(feature, MESSAGES, { schema: QUESTION_SCHEMA, skipCache: true, ...options })
+  );
+
+  await run('codeExplainer');
+  model.replies.push('{}');
+  await run('codeExplainer');
+  model.replies.push('{}', '{}');
+  await run('codeExplainer');
+  await run('skillGap');
+
+  const stats = structured.getValidationStats();
+  const explainer = stats.codeExplainer;
+  passed = check(explainer.requests === 3 && explainer.invalid === 2 && explainer.repaired === 1 && explainer.failed === 1,
+    'Requests, invalid first replies, repairs and failures are counted per feature',
+    `codeExplainer: ${JSON.stringify(explainer)}`) && passed;
+  passed = check(Math.abs(explainer.invalidRate - 2 / 3) < 1e-9 && Math.abs(explainer.failureRate - 1 / 3) < 1e-9
+    && explainer.lastErrors.includes('$.question is required') && explainer.lastInvalidAt instanceof Date,
+    'Rates and the latest problems are reported',
+    `codeExplainer: ${JSON.stringify(explainer)}`) && passed;
+  passed = check(stats.skillGap.requests === 1 && stats.skillGap.invalidRate === 0,
+    'Features are kept apart',
+    `skillGap: ${JSON.stringify(stats.skillGap)}`) && passed;
+
+  structured.resetValidationStats();
+  passed = check(Object.keys(structured.getValidationStats()).length === 0,
+    'Stats can be reset',
+    `After reset: ${JSON.stringify(structured.getValidationStats())}`) && passed;
+
+  return passed;
+}
+
+async function testRefineRoadmap(gateway, structured, model, roadmapService) {
+  logTest('Refining a Roadmap');
+  let passed = true;
+  reset(gateway, structured, model);
+
+  const existing = { title: 'Backend', milestones: [{ id: 'm1', title: 'Arrays' }] };
+  model.replies.push(JSON.stringify({ title: 'Backend', milestones: [{ id: 'm1', title: 'Arrays' }, { id: 'm2', title: 'Trees' }] }));
+  const refined = await roadmapService.refineRoadmap(existing, 'Add trees', {});
+  passed = check(refined.success && refined.roadmap.milestones.map((m) => m.title).join() === 'Arrays,Trees',
+    'A valid reply is the refined roadmap',
+    `Refined: ${JSON.stringify(refined)}`) && passed;
+
+  model.replies.push('{"milestones": []}', '{"milestones": "none"}');
+  const invalid = await roadmapService.refineRoadmap(existing, 'Remove everything', {});
+  passed = check(!invalid.success && invalid.code === 'LLM_INVALID_OUTPUT' && invalid.validationErrors.length > 0,
+    'A reply that is never a valid roadmap fails with LLM_INVALID_OUTPUT instead of passing the old one off as refined',
+    `Invalid: ${JSON.stringify(invalid)}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Structured AI Output - Test Suite                      ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const model = await startFakeModel();
+
+  // Only the stand-in; set before the gateway reads its settings
+  ['OPENAI_API_KEY', 'GROQ_API_KEY', 'OPENROUTER_API_KEY', 'LLM_REPLAY_DIR', 'LLM_OFFLINE', 'LLM_FEATURES', 'LLM_CACHE_BACKEND']
+    .forEach((key) => delete process.env[key]);
+  process.env.LLM_LOCAL_BASE_URL = `http://127.0.0.1:${model.server.address().port}/v1`;
+  const gateway = await import('../services/llmGateway.js');
+  const structured = await import('../services/structuredOutput.js');
+  const roadmapService = await import('../services/aiRoadmapService.js');
+
+  const tests = [
+    { name: 'Schema Validation', fn: testSchemaValidation },
+    { name: 'Reading JSON from Replies', fn: () => testExtractJSON(structured) },
+    { name: 'Repair Loop', fn: () => testRepair(gateway, structured, model) },
+    { name: 'Streamed Repairs', fn: () => testStreamingReset(gateway, structured, model) },
+    { name: 'Validation Stats', fn: () => testStats(gateway, structured, model) },
+    { name: 'Refining a Roadmap', fn: () => testRefineRoadmap(gateway, structured, model, roadmapService) }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  model.server.close();
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,171 @@
+/**
+ * Language Toolchains - Test Suite
+ *
+ * Compiles and runs a small stdin program in every compiled language the
+ * executor supports (C++, C, Go, Rust, TypeScript, Java) and checks that
+ * compiler errors come back as `Compilation Error:` results. Languages whose
+ * toolchain is not installed on this host are skipped.
+ *
+ * Usage:
+ *   node server/tests/testToolchains.js
+ */
+
+import { spawnSync } from 'child_process';
+import { executeCode, SUPPORTED_LANGUAGES } from '../services/codeExecutor.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function logSkip(message) {
+  log(COLORS.yellow, `⏭️  ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+// Each program reads two integers from stdin and prints their sum
+const TOOLCHAINS = [
+  {
+    language: 'cpp',
+    compiler: 'g++',
+    sum: '#include <iostream>\nint main() { long a, b; std::cin >> a >> b; std::cout << a + b << std::endl; }',
+    broken: '#include <iostream>\nint main() { std::cout << missing << std::endl; }'
+  },
+  {
+    language: 'c',
+    compiler: 'gcc',
+    sum: '#include <stdio.h>\nint main(void) { long a, b; scanf("%ld %ld", &a, &b); printf("%ld\\n", a + b); return 0; }',
+    broken: 'int main(void) { return missing; }'
+  },
+  {
+    language: 'go',
+    compiler: 'go',
+    sum: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tvar a, b int64\n\tfmt.Scan(&a, &b)\n\tfmt.Println(a + b)\n}',
+    broken: 'package main\n\nfunc main() {\n\tmissing()\n}'
+  },
+  {
+    language: 'rust',
+    compiler: 'rustc',
+    sum: 'use std::io::Read;\nfn main() {\n    let mut s = String::new();\n    std::io::stdin().read_to_string(&mut s).unwrap();\n    let n: Vec<i64> = s.split_whitespace().map(|x| x.parse().unwrap()).collect();\n    println!("{}", n[0] + n[1]);\n}',
+    broken: 'fn main() { let x: i32 = "text"; }'
+  },
+  {
+    language: 'typescript',
+    compiler: 'tsc',
+    // require() without @types/node must not count as a compile error
+    sum: 'const [a, b]: number[] = require("fs").readFileSync(0, "utf8").trim().split(/\\s+/).map(Number);\nconsole.log(a + b);',
+    broken: 'const total: number = "text";\nconsole.log(total);'
+  },
+  {
+    language: 'java',
+    compiler: 'javac',
+    sum: 'import java.util.Scanner;\npublic class Main {\n  public static void main(String[] args) {\n    Scanner in = new Scanner(System.in);\n    System.out.println(in.nextLong() + in.nextLong());\n  }\n}',
+    broken: 'public class Main {\n  public static void main(String[] args) { int x = "text"; }\n}'
+  }
+];
+
+function isInstalled(command) {
+  return spawnSync('sh', ['-c', `command -v ${command}`], { stdio: 'ignore' }).status === 0;
+}
+
+// Test Functions
+
+async function testToolchain({ language, compiler, sum, broken }) {
+  logTest(`${language} (${compiler})`);
+  let passed = true;
+
+  passed = check(SUPPORTED_LANGUAGES.includes(language),
+    `${language} is a supported language`,
+    `${language} is missing from SUPPORTED_LANGUAGES`) && passed;
+
+  if (!isInstalled(compiler)) {
+    logSkip(`${compiler} is not installed here`);
+    return passed;
+  }
+
+  const ran = await executeCode(sum, language, '40 2', { skipCache: true });
+  passed = check(ran.output === '42' && !ran.error,
+    `Compiles and reads stdin: 40 + 2 = ${ran.output}`,
+    `Run failed: output "${ran.output}", error "${ran.error}"`) && passed;
+
+  const failed = await executeCode(broken, language, '', { skipCache: true });
+  passed = check(/^Compilation Error:/.test(failed.error || '') && !failed.output,
+    'Compiler errors come back as a compilation error',
+    `Broken program: output "${failed.output}", error "${failed.error}"`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Language Toolchains - Test Suite                       ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const tests = TOOLCHAINS.map((toolchain) => ({ name: toolchain.language, fn: () => testToolchain(toolchain) }));
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,236 @@
+/**
+ * Execution Traces - Test Suite
+ *
+ * Traces real programs with services/traceEngine.js: Python heap snapshots
+ * (shared references, cycles), pointer detection and the two-pointer /
+ * sliding-window patterns, the step and size caps with `truncated`, and the
+ * detail level each language gets.
+ *
+ * Usage:
+ *   node server/tests/testTraceEngine.js
+ */
+
+import { generateTrace } from '../services/traceEngine.js';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${COLORS.reset}`);
+}
+
+function logTest(name) {
+  console.log(`\n${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+  console.log(`${COLORS.blue}📝 Test: ${name}${COLORS.reset}`);
+  console.log(`${COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${COLORS.reset}`);
+}
+
+function logSuccess(message) {
+  log(COLORS.green, `✅ ${message}`);
+}
+
+function logError(message) {
+  log(COLORS.red, `❌ ${message}`);
+}
+
+function check(condition, success, failure) {
+  if (condition) {
+    logSuccess(success);
+  } else {
+    logError(failure);
+  }
+  return condition;
+}
+
+const HEAP_PY = `class Node:
+    def __init__(self, value):
+        self.value = value
+        self.next = None
+
+a = Node(1)
+b = Node(2)
+a.next = b
+b.next = a
+nums = [3, 1, 2]
+alias = nums
+counts = {'x': 1}
+print('{"steps": "not a trace"}')
+done = True`;
+
+const REVERSE_PY = `nums = [1, 2, 3, 4, 5, 6]
+left, right = 0, len(nums) - 1
+while left < right:
+    nums[left], nums[right] = nums[right], nums[left]
+    left += 1
+    right -= 1`;
+
+const WINDOW_PY = `nums = [2, 1, 5, 1, 3, 2]
+best = 0
+start = 0
+for end in range(len(nums)):
+    while end - start + 1 > 3:
+        start += 1
+    best = max(best, sum(nums[start:end + 1]))`;
+
+// Test Functions
+
+async function testHeapSnapshots() {
+  logTest('Python Heap Snapshots');
+  let passed = true;
+
+  const trace = await generateTrace(HEAP_PY, 'python');
+  const last = trace.steps.filter((step) => step.function === '<module>').at(-1);
+  const { locals, heap } = last;
+
+  passed = check(trace.detail === 'full' && !trace.truncated,
+    'Python gets a full, untruncated trace',
+    `Python trace: detail ${trace.detail}, truncated ${trace.truncated}`) && passed;
+
+  passed = check(locals.nums?.ref && locals.nums.ref === locals.alias?.ref,
+    'Two names for one list share a heap reference',
+    `nums ${JSON.stringify(locals.nums)}, alias ${JSON.stringify(locals.alias)}`) && passed;
+  passed = check(heap[locals.nums.ref]?.kind === 'list' && heap[locals.nums.ref].items.join(',') === '3,1,2',
+    'Lists are stored once in the heap with their items',
+    `nums in heap: ${JSON.stringify(heap[locals.nums.ref])}`) && passed;
+
+  const nodeA = heap[locals.a?.ref];
+  const nodeB = heap[nodeA?.fields?.next?.ref];
+  passed = check(nodeA?.kind === 'object' && nodeB?.fields.value === 2 && nodeB.fields.next.ref === locals.a.ref,
+    'A linked-list cycle is encoded by reference and terminates',
+    `Nodes: ${JSON.stringify({ nodeA, nodeB })}`) && passed;
+
+  passed = check(heap[locals.counts?.ref]?.kind === 'dict' && !('Node' in locals),
+    'Dicts get entries; classes and functions stay out of the snapshot',
+    `counts ${JSON.stringify(heap[locals.counts?.ref])}, locals ${Object.keys(locals)}`) && passed;
+
+  passed = check(locals.done === true,
+    'A program printing JSON does not corrupt the trace',
+    `Last step locals: ${JSON.stringify(locals)}`) && passed;
+
+  return passed;
+}
+
+async function testPointerPatterns() {
+  logTest('Pointers & Patterns');
+  let passed = true;
+
+  const reverse = await generateTrace(REVERSE_PY, 'python');
+  const loopStep = reverse.steps.find((step) => step.line === 4);
+  const names = loopStep.pointers.filter((p) => p.target === 'nums').map((p) => p.name).sort();
+  passed = check(names.join(',') === 'left,right',
+    'left and right are detected as pointers into nums',
+    `Pointers at line 4: ${JSON.stringify(loopStep.pointers)}`) && passed;
+
+  const converging = reverse.steps.flatMap((step) => step.patterns).filter((p) => p.type === 'two-pointer');
+  passed = check(converging.length > 0 && converging[0].left === 'left' && converging[0].right === 'right',
+    'Converging left/right is classified as two-pointer',
+    `Patterns: ${JSON.stringify(reverse.steps.flatMap((step) => step.patterns).slice(0, 3))}`) && passed;
+
+  const window = await generateTrace(WINDOW_PY, 'python');
+  const sliding = window.steps.flatMap((step) => step.patterns).filter((p) => p.type === 'sliding-window');
+  passed = check(sliding.length > 0 && sliding.every((p) => p.left === 'start' && p.right === 'end'),
+    'start/end moving right together is classified as a sliding window',
+    `Patterns: ${JSON.stringify(window.steps.flatMap((step) => step.patterns).slice(0, 3))}`) && passed;
+
+  passed = check(!window.steps.flatMap((step) => step.patterns).some((p) => p.type === 'two-pointer'),
+    'A sliding window is not also reported as two-pointer',
+    'The sliding window was reported as two-pointer') && passed;
+
+  return passed;
+}
+
+async function testTruncationAndDetail() {
+  logTest('Truncation & Detail Levels');
+  let passed = true;
+
+  const long = await generateTrace('total = 0\nfor i in range(100000):\n    total += i\nprint(total)', 'python');
+  passed = check(long.truncated && long.steps.length === 1000,
+    'A long-running loop stops at 1000 steps and says so',
+    `Long trace: ${long.steps.length} steps, truncated ${long.truncated}`) && passed;
+
+  const big = await generateTrace('rows = []\nfor i in range(600):\n    rows.append(list(range(50)))', 'python');
+  passed = check(big.truncated && big.steps.length < 1000,
+    'Large snapshots stop the trace at the size cap before the step cap',
+    `Large trace: ${big.steps.length} steps, truncated ${big.truncated}`) && passed;
+
+  const js = await generateTrace('console.log("a");\nconsole.log("b");', 'javascript');
+  passed = check(js.detail === 'output' && js.steps.map((step) => step.event).join(',') === 'console,console',
+    'JavaScript steps are its console output (detail "output")',
+    `JavaScript trace: ${js.detail}, ${js.steps.map((step) => step.event)}`) && passed;
+
+  const chatty = await generateTrace('for (let i = 0; i < 1500; i++) console.log(i);', 'javascript');
+  passed = check(chatty.truncated && chatty.steps.length === 1000,
+    'JavaScript output steps are capped too',
+    `JavaScript cap: ${chatty.steps.length} steps, truncated ${chatty.truncated}`) && passed;
+
+  const java = await generateTrace('public class Main {\n  public static void main(String[] a) {\n    System.out.println(1);\n  }\n}', 'java');
+  passed = check(java.detail === 'lines' && java.steps.length === 5,
+    'Java gets one step per source line (detail "lines")',
+    `Java trace: ${java.detail}, ${java.steps.length} steps`) && passed;
+
+  let unsupported = null;
+  try {
+    await generateTrace('fn main() {}', 'rust');
+  } catch (error) {
+    unsupported = error.message;
+  }
+  passed = check(/not supported/.test(unsupported || ''),
+    'Languages without a tracer are refused',
+    `Rust trace: ${unsupported || 'accepted'}`) && passed;
+
+  return passed;
+}
+
+// Run all tests
+async function runAllTests() {
+  log(COLORS.cyan, '\n╔══════════════════════════════════════════════════════════╗');
+  log(COLORS.cyan, '║   Execution Traces - Test Suite                          ║');
+  log(COLORS.cyan, '╚══════════════════════════════════════════════════════════╝');
+
+  const tests = [
+    { name: 'Python Heap Snapshots', fn: testHeapSnapshots },
+    { name: 'Pointers & Patterns', fn: testPointerPatterns },
+    { name: 'Truncation & Detail Levels', fn: testTruncationAndDetail }
+  ];
+
+  const results = { passed: 0, failed: 0 };
+  for (const test of tests) {
+    try {
+      if (await test.fn()) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    } catch (error) {
+      logError(`Test crashed: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  console.log('\n');
+  logSuccess(`Passed: ${results.passed}/${tests.length}`);
+  if (results.failed > 0) {
+    logError(`Failed: ${results.failed}/${tests.length}`);
+  }
+  console.log('\n');
+
+  return results.failed === 0;
+}
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests()
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error('Test suite crashed:', error);
+      process.exit(1);
+    });
+}
+
+export { runAllTests };
@@ -0,0 +1,68 @@
+/**
+ * Server-Sent Events Utilities
+ * Streams named JSON events over an Express response
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Whether the client asked for an event stream (Accept: text/event-stream)
+ */
+export const wantsEventStream = (req) => {
+  return (req.get('accept') || '').includes('text/event-stream');
+};
+
+/**
+ * Switch the response to SSE
+ * @returns {{send: Function, close: Function, signal: AbortSignal}}
+ *   send(event, data) writes one event; close() ends the stream;
+ *   signal aborts when the client disconnects
+ */
+export const openEventStream = (res) => {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from timing out an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    send: (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close: () => {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+};
+
+/**
+ * Finish a request that may be streaming: SSE clients get a final `done`
+ * event (`error` when body.success is false), everyone else gets JSON
+ */
+export const sendResult = (res, stream, status, body) => {
+  if (!stream) {
+    return res.status(status).json(body);
+  }
+  stream.send(body.success === false ? 'error' : 'done', body);
+  stream.close();
+};
@@ -327,6 +327,7 @@ const CollaborativeEditor = ({ roomId, userId, userName, onLeave }) => {
               <option value="python">Python</option>
               <option value="java">Java</option>
               <option value="cpp">C++</option>
+              <option value="c">C</option>
               <option value="typescript">TypeScript</option>
               <option value="go">Go</option>
               <option value="rust">Rust</option>
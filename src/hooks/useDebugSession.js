@@ -0,0 +1,154 @@
+import { useEffect, useState, useRef, useCallback } from 'react';
+import socketService from '../services/socket';
+import { getAuthToken } from '../utils/auth';
+
+/**
+ * Step-through Debugger Hook
+ * Drives one debug session over the main socket (server/sockets/debugSocket.js).
+ * status: idle | starting | running | paused | terminated
+ */
+// Server events a session emits (server/services/debugSession.js)
+const DEBUG_EVENTS = ['paused', 'breakpoints', 'output', 'terminated'];
+
+export function useDebugSession() {
+  const [status, setStatus] = useState('idle');
+  const [paused, setPaused] = useState(null); // { reason, line, function, locals, stack }
+  const [output, setOutput] = useState('');
+  const [verifiedLines, setVerifiedLines] = useState([]);
+  const [result, setResult] = useState(null); // debug:terminated payload
+  const [error, setError] = useState(null);
+
+  const sessionRef = useRef(null);
+  // Events received between debug:start and its ack. The server starts the
+  // program before acking, so a fast one can pause or even terminate first;
+  // they are replayed once the session id is known.
+  const pendingRef = useRef(null);
+  const unsubscribeRef = useRef(null);
+
+  // Resolves once the main socket is connected
+  const connect = useCallback(() => {
+    const socket = socketService.connect(getAuthToken());
+    if (socket.connected) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onConnect = () => { cleanup(); resolve(); };
+      const onError = (err) => { cleanup(); reject(err); };
+      const cleanup = () => {
+        socket.off('connect', onConnect);
+        socket.off('connect_error', onError);
+      };
+      socket.on('connect', onConnect);
+      socket.on('connect_error', onError);
+    });
+  }, []);
+
+  const handleEvent = useCallback((type, event) => {
+    switch (type) {
+      case 'paused':
+        setPaused(event);
+        setStatus('paused');
+        break;
+      case 'breakpoints':
+        setVerifiedLines(event.lines);
+        break;
+      case 'output':
+        setOutput((text) => text + event.text);
+        break;
+      case 'terminated':
+        setResult(event);
+        setPaused(null);
+        setStatus('terminated');
+        sessionRef.current = null;
+        break;
+      default:
+        break;
+    }
+  }, []);
+
+  // Called before debug:start is emitted; events for other sessions are ignored
+  const subscribe = useCallback(() => {
+    unsubscribeRef.current?.();
+    const unsubscribe = DEBUG_EVENTS.map((type) => socketService.onDebugEvent(type, (event) => {
+      if (sessionRef.current) {
+        if (event.sessionId === sessionRef.current) handleEvent(type, event);
+      } else if (pendingRef.current) {
+        pendingRef.current.push({ type, event });
+      }
+    }));
+    unsubscribeRef.current = () => unsubscribe.forEach((off) => off());
+  }, [handleEvent]);
+
+  // Never leave a program running behind the page
+  useEffect(() => () => {
+    if (sessionRef.current) {
+      socketService.stopDebugSession(sessionRef.current).catch(() => {});
+    }
+    unsubscribeRef.current?.();
+  }, []);
+
+  const start = useCallback(async ({ code, language, input, breakpoints, stopOnEntry }) => {
+    setStatus('starting');
+    setPaused(null);
+    setOutput('');
+    setResult(null);
+    setError(null);
+    const previous = sessionRef.current;
+    sessionRef.current = null;
+    pendingRef.current = [];
+    try {
+      await connect();
+      subscribe();
+      if (previous) {
+        await socketService.stopDebugSession(previous).catch(() => {});
+      }
+      const response = await socketService.startDebugSession({ code, language, input, breakpoints, stopOnEntry });
+      const buffered = pendingRef.current;
+      pendingRef.current = null;
+      sessionRef.current = response.sessionId;
+      setStatus('running');
+      buffered
+        .filter(({ event }) => event.sessionId === response.sessionId)
+        .forEach(({ type, event }) => handleEvent(type, event));
+    } catch (err) {
+      pendingRef.current = null;
+      setError(err.message);
+      setStatus('idle');
+    }
+  }, [connect, subscribe, handleEvent]);
+
+  const command = useCallback(async (name, lines) => {
+    if (!sessionRef.current) return;
+    try {
+      await socketService.sendDebugCommand(sessionRef.current, name, lines);
+      if (name !== 'setBreakpoints') {
+        setPaused(null);
+        setStatus('running');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const stop = useCallback(async () => {
+    if (!sessionRef.current) return;
+    try {
+      await socketService.stopDebugSession(sessionRef.current);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  return {
+    status,
+    paused,
+    output,
+    verifiedLines,
+    result,
+    error,
+    isActive: status === 'starting' || status === 'running' || status === 'paused',
+    start,
+    command,
+    stop,
+  };
+}
+
+export default useDebugSession;
@@ -1,15 +1,20 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Editor from '@monaco-editor/react';
 import { 
   Play, RotateCcw, Download, Share2, Code2, Eye, EyeOff, 
   Zap, Brain, TrendingUp, ChevronRight, ChevronLeft,
-  AlertCircle, CheckCircle, Loader, FileCode
+  AlertCircle, CheckCircle, Loader, FileCode,
+  Bug, Square, StepForward, ArrowDownRight, ArrowUpRight
 } from 'lucide-react';
 import { showSuccess, showError, showWarning } from '../utils/toast';
 import { getAuthHeaders } from '../utils/auth';
+import { useDebugSession } from '../hooks/useDebugSession';
 import axios from 'axios';
 
+// Languages the step-through debugger supports (server/services/debugSession.js)
+const DEBUG_LANGUAGES = ['python', 'javascript'];
+
 const EXAMPLE_CODE = {
   python: `def two_sum(nums, target):
     """
@@ -69,6 +74,118 @@ function twoSum(nums, target) {
 
 // Test
 console.log(twoSum([2, 7, 11, 15], 9));`,
+
+  typescript: `/**
+ * Two Sum - Hash Map Approach
+ * Time: O(n), Space: O(n)
+ */
+function twoSum(nums: number[], target: number): number[] {
+  const map = new Map<number, number>();
+  for (let i = 0; i < nums.length; i++) {
+    const complement = target - nums[i];
+    if (map.has(complement)) {
+      return [map.get(complement)!, i];
+    }
+    map.set(nums[i], i);
+  }
+  return [];
+}
+
+// Test
+console.log(twoSum([2, 7, 11, 15], 9));`,
+
+  cpp: `#include <bits/stdc++.h>
+using namespace std;
+
+// Two Sum - Hash Map Approach
+// Time: O(n), Space: O(n)
+vector<int> twoSum(const vector<int>& nums, int target) {
+    unordered_map<int, int> seen;
+    for (int i = 0; i < (int)nums.size(); i++) {
+        int complement = target - nums[i];
+        if (seen.count(complement)) {
+            return {seen[complement], i};
+        }
+        seen[nums[i]] = i;
+    }
+    return {};
+}
+
+int main() {
+    vector<int> result = twoSum({2, 7, 11, 15}, 9);
+    cout << "[" << result[0] << ", " << result[1] << "]" << endl;
+    return 0;
+}`,
+
+  c: `#include <stdio.h>
+
+// Two Sum - Brute Force
+// Time: O(n^2), Space: O(1)
+int main() {
+    int nums[] = {2, 7, 11, 15};
+    int n = 4, target = 9;
+    for (int i = 0; i < n; i++) {
+        for (int j = i + 1; j < n; j++) {
+            if (nums[i] + nums[j] == target) {
+                printf("[%d, %d]\\n", i, j);
+                return 0;
+            }
+        }
+    }
+    printf("[]\\n");
+    return 0;
+}`,
+
+  go: `package main
+
+import "fmt"
+
+// Two Sum - Hash Map Approach
+// Time: O(n), Space: O(n)
+func twoSum(nums []int, target int) []int {
+	seen := make(map[int]int)
+	for i, num := range nums {
+		if j, ok := seen[target-num]; ok {
+			return []int{j, i}
+		}
+		seen[num] = i
+	}
+	return []int{}
+}
+
+func main() {
+	fmt.Println(twoSum([]int{2, 7, 11, 15}, 9))
+}`,
+
+  rust: `use std::collections::HashMap;
+
+// Two Sum - Hash Map Approach
+// Time: O(n), Space: O(n)
+fn two_sum(nums: &[i32], target: i32) -> Vec<usize> {
+    let mut seen = HashMap::new();
+    for (i, &num) in nums.iter().enumerate() {
+        if let Some(&j) = seen.get(&(target - num)) {
+            return vec![j, i];
+        }
+        seen.insert(num, i);
+    }
+    vec![]
+}
+
+fn main() {
+    println!("{:?}", two_sum(&[2, 7, 11, 15], 9));
+}`,
+};
+
+const LANGUAGE_LABELS = {
+  python: 'Python',
+  java: 'Java',
+  javascript: 'JavaScript',
+  typescript: 'TypeScript',
+  cpp: 'C++',
+  c: 'C',
+  go: 'Go',
+  rust: 'Rust',
 };
 
 const CodePlayground = () => {
@@ -83,6 +200,7 @@ const CodePlayground = () => {
   // Execution data
   const [executionData, setExecutionData] = useState(null);
   const [traceData, setTraceData] = useState(null);
+  const [traceInfo, setTraceInfo] = useState(null);
   const [complexityData, setComplexityData] = useState(null);
   const [explanationData, setExplanationData] = useState(null);
   const [currentStep, setCurrentStep] = useState(0);
@@ -92,12 +210,32 @@ const CodePlayground = () => {
   const [loadingComplexity, setLoadingComplexity] = useState(false);
   const [loadingExplanation, setLoadingExplanation] = useState(false);
   
+  // Debugger: breakpoints are toggled in the editor gutter
+  const debug = useDebugSession();
+  const [breakpoints, setBreakpoints] = useState([]);
+  const canDebug = DEBUG_LANGUAGES.includes(language);
+
   const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const decorationsRef = useRef(null);
 
   const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
+    decorationsRef.current = editor.createDecorationsCollection([]);
+
+    editor.onMouseDown((event) => {
+      const { type, position } = event.target;
+      if (!position || (type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN
+        && type !== monaco.editor.MouseTargetType.GUTTER_LINE_NUMBERS)) {
+        return;
+      }
+      setBreakpoints((lines) => (lines.includes(position.lineNumber)
+        ? lines.filter((line) => line !== position.lineNumber)
+        : [...lines, position.lineNumber].sort((a, b) => a - b)));
+    });
     
     // Configure editor theme
     monaco.editor.defineTheme('prepwiser-dark', {
@@ -111,9 +249,48 @@ const CodePlayground = () => {
     monaco.editor.setTheme('prepwiser-dark');
   };
 
+  // Breakpoint dots and the paused line
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!decorationsRef.current || !monaco) return;
+    const pausedLine = debug.paused?.line;
+    decorationsRef.current.set([
+      ...breakpoints.map((line) => ({
+        range: new monaco.Range(line, 1, line, 1),
+        options: { glyphMarginClassName: 'debug-breakpoint' },
+      })),
+      ...(pausedLine ? [{
+        range: new monaco.Range(pausedLine, 1, pausedLine, 1),
+        options: { isWholeLine: true, className: 'debug-paused-line' },
+      }] : []),
+    ]);
+  }, [breakpoints, debug.paused]);
+
+  // Breakpoints changed while paused apply to the running program
+  const { status: debugStatus, command: debugCommand } = debug;
+  useEffect(() => {
+    if (debugStatus === 'paused') {
+      debugCommand('setBreakpoints', breakpoints);
+    }
+  }, [breakpoints]);
+
+  const startDebugging = (stopOnEntry) => {
+    if (!code.trim()) {
+      showWarning('Please write some code first');
+      return;
+    }
+    setActivePanel('debug');
+    debug.start({ code, language, input, breakpoints, stopOnEntry });
+  };
+
   const handleLanguageChange = (newLang) => {
     setLanguage(newLang);
     setCode(EXAMPLE_CODE[newLang]);
+    setBreakpoints([]);
+    debug.stop();
+    if (activePanel === 'debug' && !DEBUG_LANGUAGES.includes(newLang)) {
+      setActivePanel('output');
+    }
     resetData();
   };
 
@@ -178,8 +355,13 @@ const CodePlayground = () => {
 
       if (response.data.success) {
         setTraceData(response.data.trace);
+        setTraceInfo({ truncated: response.data.truncated, detail: response.data.traceDetail });
         setCurrentStep(0);
-        showSuccess(`Generated ${response.data.trace.length} execution steps`);
+        if (response.data.truncated) {
+          showWarning(`Trace stopped after ${response.data.trace.length} steps`);
+        } else {
+          showSuccess(`Generated ${response.data.trace.length} execution steps`);
+        }
       }
     } catch (error) {
       showError('Failed to generate trace');
@@ -274,7 +456,7 @@ const CodePlayground = () => {
             {/* Language Selector & Actions */}
             <div className="flex items-center justify-between flex-wrap gap-3">
               <div className="flex items-center space-x-2">
-                {['python', 'java', 'javascript'].map((lang) => (
+                {Object.keys(LANGUAGE_LABELS).map((lang) => (
                   <button
                     key={lang}
                     onClick={() => handleLanguageChange(lang)}
@@ -284,7 +466,7 @@ const CodePlayground = () => {
                         : 'glass hover:glass-strong text-gray-400'
                     }`}
                   >
-                    {lang === 'javascript' ? 'JavaScript' : lang.charAt(0).toUpperCase() + lang.slice(1)}
+                    {LANGUAGE_LABELS[lang]}
                   </button>
                 ))}
               </div>
@@ -319,6 +501,7 @@ const CodePlayground = () => {
                 theme="prepwiser-dark"
                 options={{
                   minimap: { enabled: false },
+                  glyphMargin: canDebug,
                   fontSize: 14,
                   lineNumbers: 'on',
                   scrollBeyondLastLine: false,
@@ -394,6 +577,19 @@ const CodePlayground = () => {
                 {loadingExplanation ? <Loader className="w-3 h-3 animate-spin" /> : <Brain className="w-3 h-3" />}
                 <span>AI Explain</span>
               </button>
+              {canDebug && (
+                <button
+                  onClick={() => setActivePanel('debug')}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium whitespace-nowrap transition-all flex items-center space-x-2 ${
+                    activePanel === 'debug'
+                      ? 'bg-red-500/20 text-red-400 border border-red-400/30'
+                      : 'glass hover:glass-strong text-gray-400'
+                  }`}
+                >
+                  {debug.status === 'starting' ? <Loader className="w-3 h-3 animate-spin" /> : <Bug className="w-3 h-3" />}
+                  <span>Debug</span>
+                </button>
+              )}
             </div>
 
             {/* Panel Content */}
@@ -410,6 +606,7 @@ const CodePlayground = () => {
                 {activePanel === 'trace' && (
                   <TracePanel 
                     traceData={traceData} 
+                    traceInfo={traceInfo}
                     currentStep={currentStep} 
                     setCurrentStep={setCurrentStep}
                     loading={loadingTrace}
@@ -423,6 +620,13 @@ const CodePlayground = () => {
                     onModeChange={explainCode}
                   />
                 )}
+                {activePanel === 'debug' && (
+                  <DebugPanel
+                    debug={debug}
+                    breakpoints={breakpoints}
+                    onStart={startDebugging}
+                  />
+                )}
               </motion.div>
             </AnimatePresence>
           </div>
@@ -432,6 +636,129 @@ const CodePlayground = () => {
   );
 };
 
+// Debug Panel Component
+const DebugPanel = ({ debug, breakpoints, onStart }) => {
+  const { status, paused, output, result, error, isActive, command, stop } = debug;
+  const isPaused = status === 'paused';
+  const controls = [
+    { name: 'continue', label: 'Continue', icon: Play },
+    { name: 'stepOver', label: 'Step over', icon: StepForward },
+    { name: 'stepInto', label: 'Step into', icon: ArrowDownRight },
+    { name: 'stepOut', label: 'Step out', icon: ArrowUpRight },
+  ];
+
+  return (
+    <div className="h-full flex flex-col space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-red-400 flex items-center">
+          <Bug className="w-5 h-5 mr-2" />
+          Debugger
+        </h3>
+        <span className="text-sm text-gray-400">
+          {isPaused ? `Paused at line ${paused.line} (${paused.reason})` : status}
+        </span>
+      </div>
+
+      <div className="flex items-center flex-wrap gap-2">
+        {isActive ? (
+          <button
+            onClick={stop}
+            className="px-3 py-2 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30 flex items-center space-x-1 text-sm"
+          >
+            <Square className="w-4 h-4" />
+            <span>Stop</span>
+          </button>
+        ) : (
+          <>
+            <button
+              onClick={() => onStart(false)}
+              className="px-3 py-2 rounded-lg bg-green-500/20 text-green-400 hover:bg-green-500/30 flex items-center space-x-1 text-sm"
+            >
+              <Play className="w-4 h-4" />
+              <span>Start</span>
+            </button>
+            <button
+              onClick={() => onStart(true)}
+              className="px-3 py-2 rounded-lg glass hover:glass-strong text-gray-300 flex items-center space-x-1 text-sm"
+            >
+              <StepForward className="w-4 h-4" />
+              <span>Step from first line</span>
+            </button>
+          </>
+        )}
+        {controls.map(({ name, label, icon: Icon }) => (
+          <button
+            key={name}
+            onClick={() => command(name)}
+            disabled={!isPaused}
+            title={label}
+            className="px-3 py-2 rounded-lg glass hover:glass-strong text-gray-300 flex items-center space-x-1 text-sm disabled:opacity-40"
+          >
+            <Icon className="w-4 h-4" />
+            <span>{label}</span>
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Click the editor gutter to toggle breakpoints
+        {breakpoints.length > 0 ? ` (lines ${breakpoints.join(', ')})` : ''}.
+      </p>
+
+      {error && (
+        <div className="flex items-center text-sm text-red-400">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {isPaused && (
+        <div className="grid grid-cols-2 gap-4">
+          <div className="glass rounded-lg p-3">
+            <h4 className="text-sm font-semibold text-gray-300 mb-2">Variables</h4>
+            {Object.keys(paused.locals || {}).length === 0 ? (
+              <p className="text-xs text-gray-500">No local variables</p>
+            ) : (
+              <div className="space-y-1 font-mono text-xs">
+                {Object.entries(paused.locals).map(([name, value]) => (
+                  <div key={name} className="flex justify-between gap-2">
+                    <span className="text-blue-400">{name}</span>
+                    <span className="text-gray-300 truncate">
+                      {typeof value === 'string' ? value : JSON.stringify(value)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="glass rounded-lg p-3">
+            <h4 className="text-sm font-semibold text-gray-300 mb-2">Call Stack</h4>
+            <div className="space-y-1 font-mono text-xs">
+              {(paused.stack || []).map((frame, index) => (
+                <div key={index} className={index === 0 ? 'text-yellow-400' : 'text-gray-400'}>
+                  {frame.function} : {frame.line}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="text-xs text-gray-400">
+          Program {result.reason === 'exited' ? `exited with code ${result.exitCode}` : `ended (${result.reason})`}
+          {result.cpuTimeMs != null && ` · CPU ${result.cpuTimeMs}ms`}
+          {result.error && <pre className="mt-2 text-red-400 whitespace-pre-wrap">{result.error}</pre>}
+        </div>
+      )}
+
+      <pre className="flex-1 p-3 rounded-lg bg-navy-900/50 text-sm font-mono text-gray-300 overflow-auto whitespace-pre-wrap min-h-[120px]">
+        {output || 'Program output appears here...'}
+      </pre>
+    </div>
+  );
+};
+
 // Output Panel Component
 const OutputPanel = ({ output, executionData }) => (
   <div className="h-full flex flex-col">
@@ -451,7 +778,7 @@ const OutputPanel = ({ output, executionData }) => (
 );
 
 // Trace Panel Component
-const TracePanel = ({ traceData, currentStep, setCurrentStep, loading }) => {
+const TracePanel = ({ traceData, traceInfo, currentStep, setCurrentStep, loading }) => {
   if (loading) {
     return (
       <div className="h-full flex items-center justify-center">
@@ -483,6 +810,19 @@ const TracePanel = ({ traceData, currentStep, setCurrentStep, loading }) => {
         </span>
       </div>
 
+      {traceInfo?.truncated && (
+        <p className="text-xs text-yellow-400">
+          The trace stopped early; only the first {traceData.length} steps were recorded.
+        </p>
+      )}
+      {traceInfo?.detail && traceInfo.detail !== 'full' && (
+        <p className="text-xs text-gray-400">
+          {traceInfo.detail === 'output'
+            ? 'Only console output is traced for this language; variables are shown for Python.'
+            : 'Line-by-line outline only; variables are traced for Python.'}
+        </p>
+      )}
+
       {/* Step Controls */}
       <div className="flex items-center space-x-2">
         <button
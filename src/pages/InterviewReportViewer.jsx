@@ -7,6 +7,7 @@
  * Features:
  *   - Overall readiness score + grade
  *   - Section scores (technical, behavioral, communication, problemSolving)
+ *   - Rubric scores: level, descriptor and expected evidence per criterion
  *   - Per-turn question/answer/rubric breakdown
  *   - Skill gap analysis with clusters
  *   - Strengths & weaknesses
@@ -510,6 +511,52 @@ export default function InterviewReportViewer() {
               </div>
             </div>
 
+            {/* Rubric Scores: each criterion against its level descriptors */}
+            {report.rubricScores?.length > 0 && (
+              <div className="bg-white rounded-2xl border border-gray-200 p-6">
+                <h2 className="font-bold text-gray-900 mb-1 flex items-center gap-2">
+                  <Target size={18} className="text-blue-600" /> Rubric Scores
+                </h2>
+                {report.provenance?.rubric?.name && (
+                  <p className="text-xs text-gray-500 mb-4">
+                    {report.provenance.rubric.name} v{report.provenance.rubric.version}
+                  </p>
+                )}
+                <div className="space-y-4">
+                  {report.rubricScores.map((criterion) => (
+                    <div key={criterion.key} className={`rounded-xl border p-4 ${scoreBg(criterion.score)}`}>
+                      <div className="flex items-center justify-between gap-3 mb-2">
+                        <p className="font-semibold text-gray-800 text-sm">{criterion.name || criterion.key}</p>
+                        <div className="flex items-center gap-2 shrink-0">
+                          {criterion.level && (
+                            <span className="text-xs px-2 py-0.5 rounded-full bg-white border border-gray-200 text-gray-700">
+                              {criterion.level}
+                            </span>
+                          )}
+                          <span className={`text-sm font-bold ${scoreColor(criterion.score)}`}>
+                            {Math.round(criterion.score ?? 0)}
+                          </span>
+                        </div>
+                      </div>
+                      {criterion.descriptor && (
+                        <p className="text-sm text-gray-700 mb-2">{criterion.descriptor}</p>
+                      )}
+                      {criterion.evidence?.length > 0 && (
+                        <div>
+                          <p className="text-xs font-semibold text-gray-500 uppercase mb-1">Evidence at this level</p>
+                          <ul className="space-y-1">
+                            {criterion.evidence.map((item, i) => (
+                              <li key={i} className="text-xs text-gray-600">• {item}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Strengths & Weaknesses */}
             <div className="grid sm:grid-cols-2 gap-4">
               <div className="bg-emerald-50 border border-emerald-200 rounded-2xl p-5">
@@ -779,11 +826,16 @@ export default function InterviewReportViewer() {
                 <div className="grid sm:grid-cols-2 gap-4 text-xs text-gray-600">
                   <div>
                     <p className="font-semibold mb-2">Rubric Weights Used</p>
+                    {report.provenance.rubric?.name && (
+                      <p className="mb-2">{report.provenance.rubric.name} v{report.provenance.rubric.version}</p>
+                    )}
                     {report.provenance.rubricWeights &&
-                      Object.entries(report.provenance.rubricWeights).map(([k, v]) => (
+                      Object.entries(report.provenance.rubricWeights).map(([k, v], _, all) => (
                         <div key={k} className="flex justify-between mb-1">
                           <span className="capitalize">{k}</span>
-                          <span className="font-medium">{Math.round((v ?? 0) * 100)}%</span>
+                          <span className="font-medium">
+                            {Math.round(((v ?? 0) / (all.reduce((sum, [, w]) => sum + (w ?? 0), 0) || 1)) * 100)}%
+                          </span>
                         </div>
                       ))}
                   </div>
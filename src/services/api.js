@@ -121,6 +121,9 @@ export const aiAPI = {
 
   // AI Study Companion (OpenAI)
   askCompanion: (data) => api.post('/ai/companion/ask', data),
+  getCompanionConversations: (params) => api.get('/ai/companion/conversations', { params }),
+  getCompanionConversation: (id) => api.get(`/ai/companion/conversations/${id}`),
+  deleteCompanionConversation: (id) => api.delete(`/ai/companion/conversations/${id}`),
 };
 
 // Interview APIs (merged: CRUD + pipeline)
@@ -132,6 +132,45 @@ class SocketService {
     return () => this.socket.off('user-typing', callback);
   }
 
+  // ===========================
+  // Debugger Events
+  // ===========================
+
+  // Resolves with the server ack ({ success, sessionId } or { success: false, message })
+  emitWithAck(event, payload) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket?.connected) {
+        reject(new Error('Socket not connected'));
+        return;
+      }
+      this.socket.emit(event, payload, (response) => {
+        if (response?.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response?.message || 'Debugger request failed'));
+        }
+      });
+    });
+  }
+
+  startDebugSession({ code, language, input, breakpoints, stopOnEntry }) {
+    return this.emitWithAck('debug:start', { code, language, input, breakpoints, stopOnEntry });
+  }
+
+  sendDebugCommand(sessionId, command, lines) {
+    return this.emitWithAck('debug:command', { sessionId, command, lines });
+  }
+
+  stopDebugSession(sessionId) {
+    return this.emitWithAck('debug:stop', { sessionId });
+  }
+
+  // type: 'paused' | 'breakpoints' | 'output' | 'terminated'
+  onDebugEvent(type, callback) {
+    this.socket.on(`debug:${type}`, callback);
+    return () => this.socket.off(`debug:${type}`, callback);
+  }
+
   // ===========================
   // Mock Interview Events
   // ===========================